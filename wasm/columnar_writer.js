@@ -0,0 +1,791 @@
+/**
+ * ColumnarWriter - serialises tabular results to Apache Arrow IPC and
+ * Apache Parquet without external dependencies.
+ *
+ * Each column gets one of the logical types
+ *   int64, float64, bool, timestamp (milliseconds, UTC), utf8, binary.
+ * The declared column type reported by the engine (SQLite affinity rules,
+ * e.g. "INTEGER", "REAL", "TEXT", "DATETIME") wins when every value fits
+ * it; otherwise the type is inferred from the values. All columns are
+ * written as nullable. Strings become timestamps only through the
+ * parseTimestamp option (excel_loader.js passes its ISO 8601 reader, which
+ * takes values without an offset as UTC).
+ *
+ * Arrow output is a single record batch in the streaming format (or the
+ * file format with { format: 'file' }). Parquet output is a single row
+ * group of PLAIN-encoded, uncompressed v1 data pages.
+ */
+
+const LOGICAL_TYPES = ['int64', 'float64', 'bool', 'timestamp', 'utf8', 'binary'];
+
+const INT_RE = /^[+-]?\d+$/;
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const textEncoder = new TextEncoder();
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Map a declared SQL column type to a logical type, or null when unknown.
+ */
+function declaredLogicalType(decl) {
+    if (typeof decl !== 'string' || !decl) {
+        return null;
+    }
+    const t = decl.toUpperCase();
+    if (LOGICAL_TYPES.includes(decl)) return decl;
+    if (t.includes('BOOL')) return 'bool';
+    if (t.includes('DATE') || t.includes('TIME')) return 'timestamp';
+    if (t.includes('INT')) return 'int64';
+    if (t.includes('CHAR') || t.includes('CLOB') || t.includes('TEXT') || t === 'STRING') return 'utf8';
+    if (t.includes('BLOB') || t.includes('BINARY')) return 'binary';
+    if (t.includes('REAL') || t.includes('FLOA') || t.includes('DOUB') ||
+        t.includes('NUM') || t.includes('DEC')) return 'float64';
+    return null;
+}
+
+// Each converter returns the physical value for a non-null input, or
+// undefined when the value does not fit the type. `options` are the
+// writer options.
+const CONVERTERS = {
+    int64(v) {
+        if (typeof v === 'bigint') return BigInt.asIntN(64, v) === v ? v : undefined;
+        if (typeof v === 'number') return Number.isSafeInteger(v) ? BigInt(v) : undefined;
+        if (typeof v === 'boolean') return v ? 1n : 0n;
+        if (typeof v === 'string' && INT_RE.test(v.trim())) {
+            const n = BigInt(v.trim());
+            return BigInt.asIntN(64, n) === n ? n : undefined;
+        }
+        return undefined;
+    },
+    float64(v) {
+        if (typeof v === 'number') return v;
+        if (typeof v === 'bigint') return Number(v);
+        if (typeof v === 'boolean') return v ? 1 : 0;
+        if (typeof v === 'string' && NUMBER_RE.test(v.trim())) return Number(v.trim());
+        return undefined;
+    },
+    bool(v) {
+        if (typeof v === 'boolean') return v;
+        if (v === 0 || v === 1) return v === 1;
+        if (typeof v === 'string') {
+            const s = v.trim().toLowerCase();
+            if (s === 'true' || s === '1') return true;
+            if (s === 'false' || s === '0') return false;
+        }
+        return undefined;
+    },
+    timestamp(v, options) {
+        const date = typeof v === 'string' && options.parseTimestamp ? options.parseTimestamp(v) : v;
+        if (date instanceof Date) return isNaN(date.getTime()) ? undefined : BigInt(date.getTime());
+        return undefined;
+    },
+    utf8(v) {
+        let s;
+        if (typeof v === 'string') s = v;
+        else if (v instanceof Date) s = isNaN(v.getTime()) ? String(v) : v.toISOString();
+        else if (v instanceof Uint8Array) s = bytesToHex(v);
+        else if (typeof v === 'object') s = JSON.stringify(v);
+        else s = String(v);
+        return textEncoder.encode(s);
+    },
+    binary(v) {
+        if (v instanceof Uint8Array) return v;
+        if (v instanceof ArrayBuffer) return new Uint8Array(v);
+        if (typeof v === 'string') return textEncoder.encode(v);
+        return undefined;
+    }
+};
+
+function inferLogicalType(values) {
+    let kind = null;
+    for (const v of values) {
+        if (v === null || v === undefined) continue;
+        let k;
+        if (typeof v === 'boolean') k = 'bool';
+        else if (typeof v === 'bigint') k = 'int64';
+        else if (typeof v === 'number') k = Number.isSafeInteger(v) ? 'int64' : 'float64';
+        else if (v instanceof Date) k = 'timestamp';
+        else if (v instanceof Uint8Array || v instanceof ArrayBuffer) k = 'binary';
+        else return 'utf8';
+
+        if (kind === null || kind === k) {
+            kind = k;
+        } else if ((kind === 'int64' || kind === 'float64') && (k === 'int64' || k === 'float64')) {
+            kind = 'float64';
+        } else {
+            return 'utf8';
+        }
+    }
+    return kind || 'utf8';
+}
+
+function convertColumn(type, raw, options) {
+    const convert = CONVERTERS[type];
+    const values = new Array(raw.length);
+    let nullCount = 0;
+    for (let i = 0; i < raw.length; i++) {
+        const v = raw[i];
+        if (v === null || v === undefined) {
+            values[i] = null;
+            nullCount++;
+            continue;
+        }
+        const out = convert(v, options);
+        if (out === undefined) {
+            return null;
+        }
+        values[i] = out;
+    }
+    return { values, nullCount };
+}
+
+/**
+ * Resolve the logical type of every column and convert its values.
+ * @param {Array<{name: string, type?: string}>} columns
+ * @param {Array<Array>} rows
+ * @param {Object} [options] - { parseTimestamp: string => Date|null }
+ * @returns {Array<{name, type, values, nullCount}>}
+ */
+function resolveColumns(columns, rows, options = {}) {
+    return columns.map((col, c) => {
+        const raw = rows.map(row => row[c]);
+        const declared = declaredLogicalType(col.type);
+        let type = declared;
+        let converted = declared ? convertColumn(declared, raw, options) : null;
+        if (!converted) {
+            type = inferLogicalType(raw);
+            converted = convertColumn(type, raw, options);
+        }
+        return { name: col.name, type, values: converted.values, nullCount: converted.nullCount };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Byte helpers
+// ---------------------------------------------------------------------------
+
+class ByteSink {
+    constructor() {
+        this._chunks = [];
+        this.length = 0;
+    }
+
+    push(bytes) {
+        this._chunks.push(bytes);
+        this.length += bytes.length;
+    }
+
+    pad(alignment) {
+        const rem = this.length % alignment;
+        if (rem) {
+            this.push(new Uint8Array(alignment - rem));
+        }
+    }
+
+    int32(value) {
+        const b = new Uint8Array(4);
+        new DataView(b.buffer).setInt32(0, value, true);
+        this.push(b);
+    }
+
+    toBytes() {
+        const out = new Uint8Array(this.length);
+        let pos = 0;
+        for (const chunk of this._chunks) {
+            out.set(chunk, pos);
+            pos += chunk.length;
+        }
+        return out;
+    }
+}
+
+function validityBitmap(values) {
+    const bitmap = new Uint8Array(Math.ceil(values.length / 8));
+    values.forEach((v, i) => {
+        if (v !== null) bitmap[i >> 3] |= 1 << (i & 7);
+    });
+    return bitmap;
+}
+
+function packBooleans(values) {
+    const bits = new Uint8Array(Math.ceil(values.length / 8));
+    values.forEach((v, i) => {
+        if (v) bits[i >> 3] |= 1 << (i & 7);
+    });
+    return bits;
+}
+
+function fixedWidthBytes(values, type) {
+    const out = new Uint8Array(values.length * 8);
+    const view = new DataView(out.buffer);
+    values.forEach((v, i) => {
+        if (v === null) return;
+        if (type === 'float64') view.setFloat64(i * 8, v, true);
+        else view.setBigInt64(i * 8, v, true);
+    });
+    return out;
+}
+
+// ---------------------------------------------------------------------------
+// Apache Arrow IPC
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal FlatBuffers encoder. Tables are described as arrays of slots
+ * (null for absent fields, [kind, value] otherwise) and written front to
+ * back: each table is followed by its children, so every uoffset points
+ * forward as the format requires.
+ * @private
+ */
+class FlatBufferWriter {
+    constructor() {
+        this._buf = new Uint8Array(512);
+        this._view = new DataView(this._buf.buffer);
+        this._pos = 0;
+    }
+
+    _ensure(n) {
+        if (this._pos + n <= this._buf.length) return;
+        let size = this._buf.length * 2;
+        while (size < this._pos + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this._buf);
+        this._buf = next;
+        this._view = new DataView(next.buffer);
+    }
+
+    _align(n) {
+        const pad = (n - (this._pos % n)) % n;
+        this._ensure(pad);
+        this._pos += pad;
+    }
+
+    _u32(value) {
+        this._ensure(4);
+        this._view.setUint32(this._pos, value, true);
+        this._pos += 4;
+    }
+
+    finish(root) {
+        this._u32(0);
+        const tablePos = this._writeTable(root.table);
+        this._view.setUint32(0, tablePos, true);
+        this._align(8);
+        return this._buf.slice(0, this._pos);
+    }
+
+    _writeTable(slots) {
+        const SIZES = { u8: 1, bool: 1, i16: 2, i32: 4, i64: 8, offset: 4 };
+
+        // Lay out inline fields relative to the (8-aligned) table start.
+        const layout = [];
+        let size = 4; // soffset to vtable
+        slots.forEach((slot, i) => {
+            if (!slot) return;
+            const width = SIZES[slot[0]];
+            size = Math.ceil(size / width) * width;
+            layout.push({ index: i, kind: slot[0], value: slot[1], at: size });
+            size += width;
+        });
+
+        this._align(2);
+        const vtPos = this._pos;
+        this._ensure(4 + slots.length * 2);
+        this._view.setUint16(this._pos, 4 + slots.length * 2, true);
+        this._view.setUint16(this._pos + 2, size, true);
+        for (let i = 0; i < slots.length; i++) {
+            this._view.setUint16(this._pos + 4 + i * 2, 0, true);
+        }
+        for (const f of layout) {
+            this._view.setUint16(vtPos + 4 + f.index * 2, f.at, true);
+        }
+        this._pos += 4 + slots.length * 2;
+
+        this._align(8);
+        const tablePos = this._pos;
+        this._ensure(size);
+        this._buf.fill(0, tablePos, tablePos + size);
+        this._view.setInt32(tablePos, tablePos - vtPos, true);
+        for (const f of layout) {
+            const at = tablePos + f.at;
+            switch (f.kind) {
+                case 'u8':
+                case 'bool': this._view.setUint8(at, Number(f.value)); break;
+                case 'i16': this._view.setInt16(at, f.value, true); break;
+                case 'i32': this._view.setInt32(at, f.value, true); break;
+                case 'i64': this._view.setBigInt64(at, BigInt(f.value), true); break;
+                default: break;
+            }
+        }
+        this._pos = tablePos + size;
+
+        for (const f of layout) {
+            if (f.kind !== 'offset') continue;
+            const at = tablePos + f.at;
+            const childPos = this._writeChild(f.value);
+            this._view.setUint32(at, childPos - at, true);
+        }
+        return tablePos;
+    }
+
+    _writeChild(desc) {
+        if (desc.table) {
+            return this._writeTable(desc.table);
+        }
+        if (typeof desc.string === 'string') {
+            const bytes = textEncoder.encode(desc.string);
+            this._align(4);
+            const pos = this._pos;
+            this._u32(bytes.length);
+            this._ensure(bytes.length + 1);
+            this._buf.set(bytes, this._pos);
+            this._buf[this._pos + bytes.length] = 0;
+            this._pos += bytes.length + 1;
+            return pos;
+        }
+        if (desc.tables) {
+            this._align(4);
+            const pos = this._pos;
+            this._u32(desc.tables.length);
+            const slotsAt = this._pos;
+            this._ensure(desc.tables.length * 4);
+            this._pos += desc.tables.length * 4;
+            desc.tables.forEach((t, i) => {
+                const slot = slotsAt + i * 4;
+                const tablePos = this._writeTable(t.table);
+                this._view.setUint32(slot, tablePos - slot, true);
+            });
+            return pos;
+        }
+        if (desc.structs) {
+            // Vector length precedes the elements, which need 8-byte alignment.
+            this._align(4);
+            if ((this._pos + 4) % 8) this._pos += 4;
+            this._ensure(4 + desc.structs.length * desc.size);
+            const pos = this._pos;
+            this._u32(desc.structs.length);
+            this._buf.fill(0, this._pos, this._pos + desc.structs.length * desc.size);
+            desc.structs.forEach((item, i) => desc.write(this._view, this._pos + i * desc.size, item));
+            this._pos += desc.structs.length * desc.size;
+            return pos;
+        }
+        throw new Error('FlatBufferWriter: unknown child descriptor');
+    }
+}
+
+// Arrow flatbuffer enum values (Schema.fbs / Message.fbs)
+const ARROW_METADATA_V5 = 4;
+const ARROW_HEADER_SCHEMA = 1;
+const ARROW_HEADER_RECORD_BATCH = 3;
+const ARROW_TYPE_IDS = { binary: 4, utf8: 5, bool: 6, int64: 2, float64: 3, timestamp: 10 };
+
+function arrowTypeTable(type) {
+    switch (type) {
+        case 'int64': return { table: [['i32', 64], ['bool', true]] };
+        case 'float64': return { table: [['i16', 2]] }; // Precision.DOUBLE
+        case 'timestamp': return { table: [['i16', 1], ['offset', { string: 'UTC' }]] }; // MILLISECOND
+        default: return { table: [] };
+    }
+}
+
+function arrowSchema(columns) {
+    return {
+        table: [
+            ['i16', 0], // Endianness.Little
+            ['offset', {
+                tables: columns.map(col => ({
+                    table: [
+                        ['offset', { string: col.name }],
+                        ['bool', true],
+                        ['u8', ARROW_TYPE_IDS[col.type]],
+                        ['offset', arrowTypeTable(col.type)],
+                        null, // dictionary
+                        ['offset', { tables: [] }] // children
+                    ]
+                }))
+            }]
+        ]
+    };
+}
+
+const writeLongPair = (view, pos, pair) => {
+    view.setBigInt64(pos, BigInt(pair[0]), true);
+    view.setBigInt64(pos + 8, BigInt(pair[1]), true);
+};
+
+function arrowMessage(headerType, header, bodyLength) {
+    return new FlatBufferWriter().finish({
+        table: [
+            ['i16', ARROW_METADATA_V5],
+            ['u8', headerType],
+            ['offset', header],
+            ['i64', bodyLength]
+        ]
+    });
+}
+
+function arrowRecordBatch(columns, rowCount) {
+    const body = new ByteSink();
+    const nodes = [];
+    const buffers = [];
+    const addBuffer = bytes => {
+        buffers.push([body.length, bytes.length]);
+        body.push(bytes);
+        body.pad(8);
+    };
+
+    for (const col of columns) {
+        nodes.push([rowCount, col.nullCount]);
+        addBuffer(col.nullCount > 0 ? validityBitmap(col.values) : new Uint8Array(0));
+        if (col.type === 'utf8' || col.type === 'binary') {
+            const offsets = new Uint8Array((rowCount + 1) * 4);
+            const view = new DataView(offsets.buffer);
+            let total = 0;
+            col.values.forEach((v, i) => {
+                view.setInt32(i * 4, total, true);
+                if (v !== null) total += v.length;
+            });
+            if (total > 0x7FFFFFFF) {
+                throw new Error(`toArrowIPC: column "${col.name}" exceeds 2 GiB of data`);
+            }
+            view.setInt32(rowCount * 4, total, true);
+            const data = new Uint8Array(total);
+            let pos = 0;
+            for (const v of col.values) {
+                if (v !== null) {
+                    data.set(v, pos);
+                    pos += v.length;
+                }
+            }
+            addBuffer(offsets);
+            addBuffer(data);
+        } else if (col.type === 'bool') {
+            addBuffer(packBooleans(col.values));
+        } else {
+            addBuffer(fixedWidthBytes(col.values, col.type));
+        }
+    }
+
+    const header = {
+        table: [
+            ['i64', rowCount],
+            ['offset', { structs: nodes, size: 16, write: writeLongPair }],
+            ['offset', { structs: buffers, size: 16, write: writeLongPair }]
+        ]
+    };
+    return { header, body: body.toBytes() };
+}
+
+function writeEncapsulated(sink, metadata, body) {
+    const start = sink.length;
+    sink.int32(-1); // continuation marker
+    sink.int32(metadata.length);
+    sink.push(metadata);
+    if (body) sink.push(body);
+    return { offset: start, metaDataLength: 8 + metadata.length, bodyLength: body ? body.length : 0 };
+}
+
+/**
+ * Write Arrow IPC bytes.
+ * @param {Array<{name: string, type?: string}>} columns - Names and declared types
+ * @param {Array<Array>} rows - Row data
+ * @param {Object} options - { format: 'stream' | 'file', parseTimestamp }
+ * @returns {Uint8Array}
+ */
+function writeArrowIPC(columns, rows, options = {}) {
+    const format = options.format || 'stream';
+    if (format !== 'stream' && format !== 'file') {
+        throw new Error(`toArrowIPC: unknown format "${format}" (expected "stream" or "file")`);
+    }
+    const resolved = resolveColumns(columns, rows, options);
+    const schema = arrowSchema(resolved);
+    const batch = arrowRecordBatch(resolved, rows.length);
+
+    const sink = new ByteSink();
+    if (format === 'file') {
+        sink.push(textEncoder.encode('ARROW1'));
+        sink.pad(8);
+    }
+    writeEncapsulated(sink, arrowMessage(ARROW_HEADER_SCHEMA, schema, 0), null);
+    const block = writeEncapsulated(sink,
+        arrowMessage(ARROW_HEADER_RECORD_BATCH, batch.header, batch.body.length), batch.body);
+    sink.int32(-1); // end-of-stream
+    sink.int32(0);
+
+    if (format === 'file') {
+        const writeBlock = (view, pos, b) => {
+            view.setBigInt64(pos, BigInt(b.offset), true);
+            view.setInt32(pos + 8, b.metaDataLength, true);
+            view.setBigInt64(pos + 16, BigInt(b.bodyLength), true);
+        };
+        const footer = new FlatBufferWriter().finish({
+            table: [
+                ['i16', ARROW_METADATA_V5],
+                ['offset', schema],
+                ['offset', { structs: [], size: 24, write: writeBlock }],
+                ['offset', { structs: [block], size: 24, write: writeBlock }]
+            ]
+        });
+        sink.push(footer);
+        sink.int32(footer.length);
+        sink.push(textEncoder.encode('ARROW1'));
+    }
+    return sink.toBytes();
+}
+
+// ---------------------------------------------------------------------------
+// Apache Parquet
+// ---------------------------------------------------------------------------
+
+// Thrift compact protocol type ids
+const TC = { BOOL: 1, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+/**
+ * Minimal Thrift compact protocol encoder. Structs are arrays of
+ * [fieldId, type, value]; fields whose value is null/undefined are skipped.
+ * @private
+ */
+class ThriftCompactWriter {
+    constructor() {
+        this._bytes = [];
+    }
+
+    _varint(n) {
+        let v = BigInt(n);
+        while (v >= 0x80n) {
+            this._bytes.push(Number(v & 0x7Fn) | 0x80);
+            v >>= 7n;
+        }
+        this._bytes.push(Number(v));
+    }
+
+    _zigzag(n) {
+        const v = BigInt(n);
+        this._varint(v >= 0n ? v << 1n : ((-v) << 1n) - 1n);
+    }
+
+    _value(type, value) {
+        switch (type) {
+            case TC.I32:
+            case TC.I64: this._zigzag(value); break;
+            case TC.BINARY: {
+                const bytes = typeof value === 'string' ? textEncoder.encode(value) : value;
+                this._varint(bytes.length);
+                for (const b of bytes) this._bytes.push(b);
+                break;
+            }
+            case TC.LIST: {
+                const { type: elemType, items } = value;
+                if (items.length < 15) {
+                    this._bytes.push((items.length << 4) | elemType);
+                } else {
+                    this._bytes.push(0xF0 | elemType);
+                    this._varint(items.length);
+                }
+                items.forEach(item => this._value(elemType, item));
+                break;
+            }
+            case TC.STRUCT: this.struct(value); break;
+            default: throw new Error(`ThriftCompactWriter: unsupported type ${type}`);
+        }
+    }
+
+    struct(fields) {
+        let last = 0;
+        for (const [id, type, value] of fields) {
+            if (value === null || value === undefined) continue;
+            const wireType = type === TC.BOOL ? (value ? 1 : 2) : type;
+            const delta = id - last;
+            if (delta > 0 && delta <= 15) {
+                this._bytes.push((delta << 4) | wireType);
+            } else {
+                this._bytes.push(wireType);
+                this._zigzag(id);
+            }
+            if (type !== TC.BOOL) {
+                this._value(type, value);
+            }
+            last = id;
+        }
+        this._bytes.push(0);
+        return this;
+    }
+
+    toBytes() {
+        return Uint8Array.from(this._bytes);
+    }
+}
+
+// Parquet enum values (parquet.thrift)
+const PARQUET_PHYSICAL = { bool: 0, int64: 2, timestamp: 2, float64: 5, utf8: 6, binary: 6 };
+const PARQUET_REPETITION_OPTIONAL = 1;
+const PARQUET_ENCODING_PLAIN = 0;
+const PARQUET_ENCODING_RLE = 3;
+const PARQUET_CONVERTED_UTF8 = 0;
+const PARQUET_CONVERTED_TIMESTAMP_MILLIS = 9;
+
+function pushVarint(out, n) {
+    while (n >= 0x80) {
+        out.push((n & 0x7F) | 0x80);
+        n = Math.floor(n / 128);
+    }
+    out.push(n);
+}
+
+/**
+ * Definition levels (max level 1) in the RLE/bit-packing hybrid encoding.
+ */
+function encodeDefinitionLevels(values, nullCount) {
+    const out = [];
+    if (nullCount === 0) {
+        if (values.length > 0) {
+            pushVarint(out, values.length * 2); // RLE run of 1s
+            out.push(1);
+        }
+        return Uint8Array.from(out);
+    }
+    const RUN = 63 * 8;
+    for (let start = 0; start < values.length; start += RUN) {
+        const count = Math.min(RUN, values.length - start);
+        const groups = Math.ceil(count / 8);
+        pushVarint(out, (groups << 1) | 1);
+        for (let g = 0; g < groups; g++) {
+            let byte = 0;
+            for (let b = 0; b < 8; b++) {
+                const i = start + g * 8 + b;
+                if (i < start + count && values[i] !== null) byte |= 1 << b;
+            }
+            out.push(byte);
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+function encodePlainValues(col) {
+    const present = col.values.filter(v => v !== null);
+    if (col.type === 'bool') {
+        return packBooleans(present);
+    }
+    if (col.type === 'utf8' || col.type === 'binary') {
+        const total = present.reduce((sum, v) => sum + 4 + v.length, 0);
+        const out = new Uint8Array(total);
+        const view = new DataView(out.buffer);
+        let pos = 0;
+        for (const v of present) {
+            view.setInt32(pos, v.length, true);
+            out.set(v, pos + 4);
+            pos += 4 + v.length;
+        }
+        return out;
+    }
+    return fixedWidthBytes(present, col.type);
+}
+
+function parquetSchemaElement(col) {
+    let convertedType = null;
+    let logicalType = null;
+    if (col.type === 'utf8') {
+        convertedType = PARQUET_CONVERTED_UTF8;
+        logicalType = [[1, TC.STRUCT, []]]; // STRING
+    } else if (col.type === 'timestamp') {
+        convertedType = PARQUET_CONVERTED_TIMESTAMP_MILLIS;
+        logicalType = [[8, TC.STRUCT, [      // TIMESTAMP
+            [1, TC.BOOL, true],                // isAdjustedToUTC
+            [2, TC.STRUCT, [[1, TC.STRUCT, []]]] // unit = MILLIS
+        ]]];
+    }
+    return [
+        [1, TC.I32, PARQUET_PHYSICAL[col.type]],
+        [3, TC.I32, PARQUET_REPETITION_OPTIONAL],
+        [4, TC.BINARY, col.name],
+        [6, TC.I32, convertedType],
+        [10, TC.STRUCT, logicalType]
+    ];
+}
+
+/**
+ * Write a Parquet file.
+ * @param {Array<{name: string, type?: string}>} columns - Names and declared types
+ * @param {Array<Array>} rows - Row data
+ * @param {Object} options - { createdBy, parseTimestamp }
+ * @returns {Uint8Array}
+ */
+function writeParquet(columns, rows, options = {}) {
+    const resolved = resolveColumns(columns, rows, options);
+    const sink = new ByteSink();
+    sink.push(textEncoder.encode('PAR1'));
+
+    const chunks = resolved.map(col => {
+        const levels = encodeDefinitionLevels(col.values, col.nullCount);
+        const values = encodePlainValues(col);
+        const pageSize = 4 + levels.length + values.length;
+        const pageHeader = new ThriftCompactWriter().struct([
+            [1, TC.I32, 0], // DATA_PAGE
+            [2, TC.I32, pageSize],
+            [3, TC.I32, pageSize],
+            [5, TC.STRUCT, [
+                [1, TC.I32, col.values.length],
+                [2, TC.I32, PARQUET_ENCODING_PLAIN],
+                [3, TC.I32, PARQUET_ENCODING_RLE],
+                [4, TC.I32, PARQUET_ENCODING_RLE]
+            ]]
+        ]).toBytes();
+
+        const offset = sink.length;
+        sink.push(pageHeader);
+        sink.int32(levels.length);
+        sink.push(levels);
+        sink.push(values);
+        const chunkSize = sink.length - offset;
+
+        return [
+            [2, TC.I64, offset],
+            [3, TC.STRUCT, [
+                [1, TC.I32, PARQUET_PHYSICAL[col.type]],
+                [2, TC.LIST, { type: TC.I32, items: [PARQUET_ENCODING_PLAIN, PARQUET_ENCODING_RLE] }],
+                [3, TC.LIST, { type: TC.BINARY, items: [col.name] }],
+                [4, TC.I32, 0], // UNCOMPRESSED
+                [5, TC.I64, col.values.length],
+                [6, TC.I64, chunkSize],
+                [7, TC.I64, chunkSize],
+                [9, TC.I64, offset]
+            ]]
+        ];
+    });
+
+    const totalSize = sink.length - 4;
+    const metadata = new ThriftCompactWriter().struct([
+        [1, TC.I32, 1],
+        [2, TC.LIST, {
+            type: TC.STRUCT,
+            items: [
+                [[4, TC.BINARY, 'schema'], [5, TC.I32, resolved.length]],
+                ...resolved.map(parquetSchemaElement)
+            ]
+        }],
+        [3, TC.I64, rows.length],
+        [4, TC.LIST, {
+            type: TC.STRUCT,
+            items: [[
+                [1, TC.LIST, { type: TC.STRUCT, items: chunks }],
+                [2, TC.I64, totalSize],
+                [3, TC.I64, rows.length]
+            ]]
+        }],
+        [6, TC.BINARY, options.createdBy || 'excel_loader_wasm']
+    ]).toBytes();
+
+    sink.push(metadata);
+    sink.int32(metadata.length);
+    sink.push(textEncoder.encode('PAR1'));
+    return sink.toBytes();
+}
+
+const ColumnarWriter = { writeArrowIPC, writeParquet, resolveColumns };
+
+if (typeof module !== 'undefined') {
+    module.exports = { ColumnarWriter };
+}
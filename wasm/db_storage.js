@@ -0,0 +1,686 @@
+/**
+ * DbStorage - persistence backends for the /db directory of the Emscripten
+ * FS (session sources, session databases, vec.db).
+ *
+ * - IdbfsDbStorage: /db is an IDBFS mount; every flush is a whole-tree
+ *   FS.syncfs into IndexedDB and refresh() reloads the whole tree.
+ * - OpfsDbStorage: /db is a mount backed by the Origin Private File System.
+ *   File data is read and written in place through sync access handles
+ *   (dedicated workers only); files created since the last flush stay in
+ *   memory until flush() creates them in OPFS, and refresh() picks up files
+ *   other tabs created or deleted.
+ *
+ * createDbStorage() picks the backend, falls back to IDBFS when OPFS is not
+ * available or cannot be mounted, and copies existing IDBFS data into OPFS
+ * the first time OPFS is mounted.
+ */
+
+const DB_STORAGE_ROOT = '/db';
+const OPFS_DB_DIR = 'excel_loader_db';
+// Marker file in the OPFS directory (hidden from /db): IDBFS data was moved.
+const OPFS_MIGRATED_MARKER = '.idbfs_migrated';
+
+// Emscripten errno values and node modes used by the OPFS mount.
+const OPFS_EBUSY = 10;
+const OPFS_EINVAL = 28;
+const OPFS_EPERM = 63;
+const OPFS_DIR_MODE = 16895; // S_IFDIR | 0777
+const OPFS_FILE_MODE = 33206; // S_IFREG | 0666
+
+function idbfsType(fs) {
+    if (typeof IDBFS !== 'undefined') {
+        return IDBFS;
+    }
+    return (fs.filesystems && fs.filesystems.IDBFS) || null;
+}
+
+function mountedType(fs, path) {
+    const node = fs.lookupPath(path).node;
+    return node.mounted ? node.mounted.type : null;
+}
+
+function syncfs(fs, populate) {
+    return new Promise((resolve, reject) => {
+        fs.syncfs(populate, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function isMarker(path) {
+    return path === `${DB_STORAGE_ROOT}/${OPFS_MIGRATED_MARKER}`;
+}
+
+function mkdirs(fs, path) {
+    let current = '';
+    for (const part of path.split('/').filter(Boolean)) {
+        current += '/' + part;
+        if (!fs.analyzePath(current).exists) {
+            fs.mkdir(current);
+        }
+    }
+}
+
+/**
+ * Files under a directory of the Emscripten FS, recursively.
+ * @returns {Map<string, Object>} - Path -> FS.stat() result
+ */
+function walkFiles(fs, dir, out = new Map()) {
+    for (const name of fs.readdir(dir)) {
+        if (name === '.' || name === '..') {
+            continue;
+        }
+        const path = `${dir}/${name}`;
+        const stat = fs.stat(path);
+        if (fs.isDir(stat.mode)) {
+            walkFiles(fs, path, out);
+        } else if (fs.isFile(stat.mode)) {
+            out.set(path, stat);
+        }
+    }
+    return out;
+}
+
+class IdbfsDbStorage {
+    constructor(fs) {
+        this._fs = fs;
+        this.name = 'idbfs';
+        this.fallbackReason = null;
+        this.migratedFiles = [];
+    }
+
+    /**
+     * Mount IDBFS at /db (unless the page already did) and load its files.
+     */
+    async mount() {
+        const type = idbfsType(this._fs);
+        if (!type) {
+            throw new Error('IDBFS is not available in this build');
+        }
+        mkdirs(this._fs, DB_STORAGE_ROOT);
+        if (mountedType(this._fs, DB_STORAGE_ROOT) !== type) {
+            this._fs.mount(type, {}, DB_STORAGE_ROOT);
+        }
+        await syncfs(this._fs, true);
+    }
+
+    /**
+     * Write the whole /db tree to IndexedDB. Never rejects; failures are logged.
+     * There is no `mayWrite` filter: the store is saved as a whole, so only
+     * the tab that owns /db may flush at all.
+     */
+    flush() {
+        return syncfs(this._fs, false).catch(err => {
+            if (console && console.warn) {
+                console.warn('IDBFS sync (save) failed', err);
+            }
+        });
+    }
+
+    /**
+     * Reload /db from IndexedDB (what another tab saved). Local changes are
+     * lost except for files matching `keep`. Never rejects; failures are logged.
+     * @param {Function} keep - (path) => true for local files to carry over
+     */
+    async refresh(keep = () => false) {
+        const fs = this._fs;
+        const kept = Array.from(walkFiles(fs, DB_STORAGE_ROOT).keys())
+            .filter(keep)
+            .map(path => [path, fs.readFile(path)]);
+        try {
+            await syncfs(fs, true);
+        } catch (err) {
+            if (console && console.warn) {
+                console.warn('IDBFS sync (load) failed', err);
+            }
+        }
+        for (const [path, bytes] of kept) {
+            if (!fs.analyzePath(path).exists) {
+                mkdirs(fs, path.slice(0, path.lastIndexOf('/')));
+                fs.writeFile(path, bytes);
+            }
+        }
+    }
+}
+
+class OpfsDbStorage {
+    /**
+     * @param {Object} fs - Emscripten FS
+     * @param {FileSystemDirectoryHandle} dir - OPFS directory mounted at /db
+     */
+    constructor(fs, dir) {
+        this._fs = fs;
+        this._dir = dir;
+        this._memfs = fs.filesystems ? fs.filesystems.MEMFS : null;
+        this._held = new Set(); // file nodes read and written through a sync access handle
+        this._pending = new Set(); // new file nodes, kept in memory until the next flush
+        this._dirty = new Set(); // held nodes written since the last flush
+        this._removed = []; // OPFS paths to delete at the next flush
+        this._flushing = Promise.resolve();
+        this.name = 'opfs';
+        this.fallbackReason = null;
+        this.migratedFiles = [];
+        this.busyFiles = []; // files another tab holds exclusively
+    }
+
+    /**
+     * Mount the OPFS directory at /db, then copy IDBFS data (if any) into
+     * it. Every file gets a sync access handle; file contents are not read.
+     * Nothing is written to OPFS before the mount succeeds, and the IDBFS
+     * store is left intact (the fallback backend still has it).
+     */
+    async mount() {
+        const fs = this._fs;
+        if (!this._memfs) {
+            throw new Error('MEMFS is not available in this build');
+        }
+        mkdirs(fs, DB_STORAGE_ROOT);
+        const idbfsFiles = await this._fileHandle(`${DB_STORAGE_ROOT}/${OPFS_MIGRATED_MARKER}`, false)
+            ? null
+            : await this._readIdbfs();
+        fs.mount(this._mountType(), {}, DB_STORAGE_ROOT);
+        try {
+            await this._scan(this._dir, DB_STORAGE_ROOT);
+            if (idbfsFiles) {
+                await this._migrate(idbfsFiles);
+            }
+        } catch (e) {
+            this.close();
+            fs.unmount(DB_STORAGE_ROOT);
+            throw e;
+        }
+    }
+
+    /**
+     * Flush written files to disk, create the OPFS files of files made
+     * since the last flush and delete removed ones. Flushes run one at a
+     * time. Never rejects; failures are logged.
+     * @param {Function} [mayWrite] - (path) => false for new or removed files
+     *   that must not reach OPFS yet; they stay pending for a later flush
+     */
+    flush(mayWrite = () => true) {
+        this._flushing = this._flushing.then(() => this._flush(mayWrite)).catch(err => {
+            if (console && console.warn) {
+                console.warn('OPFS sync (save) failed', err);
+            }
+        });
+        return this._flushing;
+    }
+
+    /**
+     * Pick up files other tabs created or deleted, and retry files that
+     * were busy. Files this tab holds are never replaced (only their owner
+     * writes them), so no `keep` filter is needed. Runs in turn with
+     * flushes. Never rejects; failures are logged.
+     */
+    refresh() {
+        this._flushing = this._flushing.then(() => this._refresh()).catch(err => {
+            if (console && console.warn) {
+                console.warn('OPFS refresh failed', err);
+            }
+        });
+        return this._flushing;
+    }
+
+    /**
+     * Flush and close all sync access handles (loader.destroy()).
+     */
+    close() {
+        for (const node of this._held) {
+            node.opfs.access.flush();
+            node.opfs.access.close();
+            node.opfs.access = null;
+        }
+        this._held.clear();
+        this._dirty.clear();
+    }
+
+    /**
+     * Emscripten filesystem type for /db: the directory tree lives in MEMFS
+     * nodes, file data in OPFS. New files stay in memory until flush()
+     * creates them in OPFS.
+     * @private
+     */
+    _mountType() {
+        const fs = this._fs;
+        const memfs = this._memfs;
+        const memDir = memfs.node_ops;
+        const size = node => (node.opfs.access ? node.opfs.access.getSize() : node.usedBytes);
+        const checkBusy = node => {
+            if (!node.opfs.access && node.opfs.file) {
+                throw new fs.ErrnoError(OPFS_EBUSY);
+            }
+        };
+
+        this._dirOps = {
+            getattr: memDir.getattr,
+            setattr: memDir.setattr,
+            lookup: memDir.lookup,
+            readdir: memDir.readdir,
+            mknod: (parent, name, mode, dev) => {
+                const node = this._createNode(parent, name, mode, dev);
+                if (fs.isFile(node.mode)) {
+                    this._pending.add(node);
+                }
+                return node;
+            },
+            unlink: (parent, name) => {
+                this._drop(fs.lookupNode(parent, name));
+                memDir.unlink(parent, name);
+            },
+            rmdir: (parent, name) => {
+                const path = fs.getPath(fs.lookupNode(parent, name));
+                memDir.rmdir(parent, name);
+                this._removed.push(path);
+            },
+            rename: (node, newDir, newName) => {
+                if (!fs.isFile(node.mode)) {
+                    throw new fs.ErrnoError(OPFS_EPERM);
+                }
+                checkBusy(node);
+                let target = null;
+                try {
+                    target = fs.lookupNode(newDir, newName);
+                } catch (e) {
+                    // no file to replace
+                }
+                if (target) {
+                    this._drop(target);
+                }
+                if (node.opfs.access) {
+                    // OPFS cannot move an open file: take it back into memory
+                    // and recreate it under the new name at the next flush.
+                    const bytes = new Uint8Array(size(node));
+                    node.opfs.access.read(bytes, { at: 0 });
+                    this._drop(node);
+                    node.contents = bytes;
+                    node.usedBytes = bytes.length;
+                    this._pending.add(node);
+                } else if (!this._pending.has(node)) {
+                    this._drop(node);
+                    this._pending.add(node);
+                }
+                memDir.rename(node, newDir, newName);
+            }
+        };
+        this._fileNodeOps = {
+            getattr: node => {
+                const attr = memDir.getattr(node);
+                attr.size = size(node);
+                attr.blocks = Math.ceil(attr.size / attr.blksize);
+                return attr;
+            },
+            setattr: (node, attr) => {
+                for (const key of ['mode', 'atime', 'mtime', 'ctime']) {
+                    if (attr[key] != null) {
+                        node[key] = attr[key];
+                    }
+                }
+                if (attr.size !== undefined) {
+                    checkBusy(node);
+                    if (node.opfs.access) {
+                        node.opfs.access.truncate(attr.size);
+                        this._dirty.add(node);
+                    } else {
+                        memfs.resizeFileStorage(node, attr.size);
+                    }
+                }
+            }
+        };
+        this._fileStreamOps = {
+            open: stream => checkBusy(stream.node),
+            read: (stream, buffer, offset, length, position) => {
+                const node = stream.node;
+                if (!node.opfs.access) {
+                    return memfs.stream_ops.read(stream, buffer, offset, length, position);
+                }
+                return node.opfs.access.read(buffer.subarray(offset, offset + length), { at: position });
+            },
+            write: (stream, buffer, offset, length, position, canOwn) => {
+                const node = stream.node;
+                if (!node.opfs.access) {
+                    return memfs.stream_ops.write(stream, buffer, offset, length, position, canOwn);
+                }
+                const written = node.opfs.access.write(buffer.subarray(offset, offset + length), { at: position });
+                node.mtime = node.ctime = Date.now();
+                this._dirty.add(node);
+                return written;
+            },
+            llseek: (stream, offset, whence) => {
+                let position = offset;
+                if (whence === 1) {
+                    position += stream.position;
+                } else if (whence === 2) {
+                    position += size(stream.node);
+                }
+                if (position < 0) {
+                    throw new fs.ErrnoError(OPFS_EINVAL);
+                }
+                return position;
+            }
+        };
+        return { mount: () => this._createNode(null, '/', OPFS_DIR_MODE, 0) };
+    }
+
+    /**
+     * MEMFS node with the OPFS operations; only directories and regular
+     * files are supported.
+     * @private
+     */
+    _createNode(parent, name, mode, dev) {
+        const fs = this._fs;
+        if (!fs.isDir(mode) && !fs.isFile(mode)) {
+            throw new fs.ErrnoError(OPFS_EPERM);
+        }
+        const node = this._memfs.createNode(parent, name, mode, dev);
+        if (fs.isDir(mode)) {
+            node.node_ops = this._dirOps;
+        } else {
+            node.node_ops = this._fileNodeOps;
+            node.stream_ops = this._fileStreamOps;
+            // access: sync access handle; file: OPFS handle of a busy file
+            node.opfs = { access: null, file: null };
+        }
+        return node;
+    }
+
+    /**
+     * Forget an unlinked or replaced file node; its OPFS file is deleted at
+     * the next flush.
+     * @private
+     */
+    _drop(node) {
+        if (!node.opfs) {
+            return;
+        }
+        if (node.opfs.access || node.opfs.file) {
+            this._removed.push(this._fs.getPath(node));
+        }
+        if (node.opfs.access) {
+            node.opfs.access.close();
+        }
+        node.opfs.access = null;
+        node.opfs.file = null;
+        this._held.delete(node);
+        this._pending.delete(node);
+        this._dirty.delete(node);
+    }
+
+    /**
+     * Whether a node is still reachable under its name.
+     * @private
+     */
+    _linked(node) {
+        return !!node.parent && node.parent.contents[node.name] === node;
+    }
+
+    /**
+     * Give a file node the sync access handle of its OPFS file. Files
+     * another tab holds exclusively are left busy (EBUSY on open).
+     * @private
+     */
+    async _attach(node, handle, path) {
+        try {
+            node.opfs.access = await handle.createSyncAccessHandle({ mode: 'readwrite-unsafe' });
+            node.opfs.file = null;
+            this._held.add(node);
+            this.busyFiles = this.busyFiles.filter(p => p !== path);
+        } catch (e) {
+            if (!e || e.name !== 'NoModificationAllowedError') {
+                throw e;
+            }
+            node.opfs.file = handle;
+            if (!this.busyFiles.includes(path)) {
+                this.busyFiles.push(path);
+            }
+        }
+    }
+
+    async _scan(dir, path) {
+        const fs = this._fs;
+        for await (const [name, handle] of dir.entries()) {
+            const child = `${path}/${name}`;
+            if (isMarker(child)) {
+                continue;
+            } else if (handle.kind === 'directory') {
+                mkdirs(fs, child);
+                await this._scan(handle, child);
+            } else if (!fs.analyzePath(child).exists) {
+                const node = this._createNode(fs.lookupPath(path).node, name, OPFS_FILE_MODE, 0);
+                await this._attach(node, handle, child);
+            }
+        }
+    }
+
+    async _refresh() {
+        const fs = this._fs;
+        const remote = new Map();
+        await this._listRemote(this._dir, DB_STORAGE_ROOT, remote);
+        const known = new Map(); // path -> node of files that exist in OPFS
+        for (const path of walkFiles(fs, DB_STORAGE_ROOT).keys()) {
+            const node = fs.lookupPath(path).node;
+            if (!this._pending.has(node)) {
+                known.set(path, node);
+            }
+        }
+        for (const [path, handle] of remote) {
+            const node = known.get(path);
+            if (!node) {
+                if (!fs.analyzePath(path).exists) {
+                    const parent = path.slice(0, path.lastIndexOf('/'));
+                    mkdirs(fs, parent);
+                    const name = path.slice(parent.length + 1);
+                    await this._attach(this._createNode(fs.lookupPath(parent).node, name, OPFS_FILE_MODE, 0), handle, path);
+                }
+            } else if (!node.opfs.access && this._linked(node)) {
+                await this._attach(node, handle, path);
+            }
+        }
+        for (const [path, node] of known) {
+            // Deleted by another tab (only possible for files not held here).
+            if (!remote.has(path) && !node.opfs.access && this._linked(node)) {
+                node.opfs.file = null;
+                this._memfs.node_ops.unlink(node.parent, node.name);
+                fs.destroyNode(node);
+                this.busyFiles = this.busyFiles.filter(p => p !== path);
+            }
+        }
+    }
+
+    async _listRemote(dir, path, out) {
+        for await (const [name, handle] of dir.entries()) {
+            const child = `${path}/${name}`;
+            if (handle.kind === 'directory') {
+                await this._listRemote(handle, child, out);
+            } else if (!isMarker(child)) {
+                out.set(child, handle);
+            }
+        }
+    }
+
+    async _flush(mayWrite) {
+        const fs = this._fs;
+        const removed = this._removed.splice(0);
+        for (const path of removed) {
+            if (mayWrite(path)) {
+                await this._removeEntry(path);
+            } else {
+                this._removed.push(path);
+            }
+        }
+        for (const node of Array.from(this._pending)) {
+            const path = fs.getPath(node);
+            if (!mayWrite(path)) {
+                continue;
+            }
+            const access = await (await this._fileHandle(path, true)).createSyncAccessHandle({ mode: 'readwrite-unsafe' });
+            if (!this._pending.has(node) || !this._linked(node) || fs.getPath(node) !== path) {
+                // Removed or renamed while the handle was being opened.
+                access.close();
+                await this._removeEntry(path);
+                continue;
+            }
+            const bytes = this._memfs.getFileDataAsTypedArray(node);
+            access.truncate(0);
+            access.write(bytes, { at: 0 });
+            access.flush();
+            node.contents = null;
+            node.usedBytes = 0;
+            node.opfs.access = access;
+            this._pending.delete(node);
+            this._held.add(node);
+        }
+        for (const node of this._dirty) {
+            node.opfs.access.flush();
+        }
+        this._dirty.clear();
+    }
+
+    /**
+     * Contents of the files in the IDBFS store at /db, read without
+     * changing the store; /db is left unmounted.
+     * @returns {Promise<Map<string, Uint8Array>|null>} - null without IDBFS
+     */
+    async _readIdbfs() {
+        const fs = this._fs;
+        const type = idbfsType(fs);
+        if (!type) {
+            return null;
+        }
+        if (mountedType(fs, DB_STORAGE_ROOT) !== type) {
+            fs.mount(type, {}, DB_STORAGE_ROOT);
+        }
+        try {
+            await syncfs(fs, true);
+            const files = new Map();
+            for (const path of walkFiles(fs, DB_STORAGE_ROOT).keys()) {
+                files.set(path, fs.readFile(path));
+            }
+            return files;
+        } finally {
+            fs.unmount(DB_STORAGE_ROOT);
+        }
+    }
+
+    /**
+     * Create the IDBFS files missing from the mounted OPFS directory (files
+     * already in OPFS win), then write the marker so later mounts skip
+     * IDBFS.
+     * @private
+     */
+    async _migrate(files) {
+        const fs = this._fs;
+        for (const [path, bytes] of files) {
+            if (!fs.analyzePath(path).exists) {
+                mkdirs(fs, path.slice(0, path.lastIndexOf('/')));
+                fs.writeFile(path, bytes);
+                this.migratedFiles.push(path);
+            }
+        }
+        await this._flush(() => true);
+        await this._writeFile(`${DB_STORAGE_ROOT}/${OPFS_MIGRATED_MARKER}`, new Uint8Array(0));
+    }
+
+    /**
+     * OPFS handle of a /db file, or null if it (or a parent) is missing
+     * and `create` is false.
+     */
+    async _fileHandle(path, create) {
+        const parts = path.slice(DB_STORAGE_ROOT.length + 1).split('/');
+        const name = parts.pop();
+        try {
+            let dir = this._dir;
+            for (const part of parts) {
+                dir = await dir.getDirectoryHandle(part, { create });
+            }
+            return await dir.getFileHandle(name, { create });
+        } catch (e) {
+            if (!create && e && e.name === 'NotFoundError') {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    async _writeFile(path, bytes) {
+        const access = await (await this._fileHandle(path, true)).createSyncAccessHandle();
+        try {
+            access.truncate(0);
+            access.write(bytes, { at: 0 });
+            access.flush();
+        } finally {
+            access.close();
+        }
+    }
+
+    // Delete a file or (empty) directory from OPFS; missing entries are fine.
+    async _removeEntry(path) {
+        const parts = path.slice(DB_STORAGE_ROOT.length + 1).split('/');
+        const name = parts.pop();
+        try {
+            let dir = this._dir;
+            for (const part of parts) {
+                dir = await dir.getDirectoryHandle(part);
+            }
+            await dir.removeEntry(name);
+        } catch (e) {
+            if (!e || e.name !== 'NotFoundError') {
+                throw e;
+            }
+        }
+    }
+}
+
+/**
+ * OPFS directory used for /db; throws when OPFS cannot be used here.
+ */
+async function opfsDbDirectory() {
+    if (typeof navigator === 'undefined' || !navigator.storage ||
+        typeof navigator.storage.getDirectory !== 'function') {
+        throw new Error('navigator.storage.getDirectory is not supported');
+    }
+    // Sync access handles exist only in dedicated workers (see createWorker).
+    if (typeof FileSystemFileHandle === 'undefined' ||
+        typeof FileSystemFileHandle.prototype.createSyncAccessHandle !== 'function') {
+        throw new Error('FileSystemFileHandle.createSyncAccessHandle is not available (OPFS needs a dedicated worker)');
+    }
+    const root = await navigator.storage.getDirectory();
+    return await root.getDirectoryHandle(OPFS_DB_DIR, { create: true });
+}
+
+/**
+ * Mount /db with the requested backend.
+ * @param {Object} fs - Emscripten FS
+ * @param {string} backend - 'idbfs' or 'opfs' (falls back to IDBFS when
+ *   OPFS is unavailable or its mount fails; the reason is kept in `fallbackReason`)
+ * @returns {Promise<IdbfsDbStorage|OpfsDbStorage>}
+ */
+async function createDbStorage(fs, backend = 'idbfs') {
+    if (backend !== 'idbfs' && backend !== 'opfs') {
+        throw new Error(`Unknown db backend: ${backend}`);
+    }
+    let fallbackReason = null;
+    if (backend === 'opfs') {
+        let dir = null;
+        try {
+            dir = await opfsDbDirectory();
+        } catch (e) {
+            fallbackReason = `OPFS unavailable: ${e.message || e}`;
+        }
+        if (dir) {
+            const storage = new OpfsDbStorage(fs, dir);
+            try {
+                await storage.mount();
+                return storage;
+            } catch (e) {
+                fallbackReason = `OPFS mount failed: ${e.message || e}`;
+            }
+        }
+    }
+    const storage = new IdbfsDbStorage(fs);
+    storage.fallbackReason = fallbackReason;
+    await storage.mount();
+    return storage;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { IdbfsDbStorage, OpfsDbStorage, createDbStorage };
+}
@@ -45,1021 +45,5966 @@ const FileFormat = Object.freeze({
     Txt: 19
 });
 
-let SessionManagerImpl = null;
-try {
-    if (typeof require !== 'undefined') {
-        ({ SessionManager: SessionManagerImpl } = require('./session_manager.js'));
+/**
+ * Map a manifest-style format string ("csv", "xlsx", "parquet", ...) to the
+ * FileFormat enum. Numbers are passed through unchanged.
+ * @private
+ */
+function mapFormatStringToEnum(fmt) {
+    if (typeof fmt === 'number') return fmt;
+    if (!fmt) return FileFormat.Auto;
+    const lower = String(fmt).toLowerCase();
+    if (lower === 'csv') return FileFormat.Csv;
+    if (lower === 'tsv') return FileFormat.Tsv;
+    if (lower === 'xlsx') return FileFormat.Xlsx;
+    if (lower === 'xlsm') return FileFormat.Xlsm;
+    if (lower === 'xltx') return FileFormat.Xltx;
+    if (lower === 'xls') return FileFormat.Xls;
+    if (lower === 'xlsb') return FileFormat.Xlsb;
+    if (lower === 'ods') return FileFormat.Ods;
+    if (lower === 'sqlite' || lower === 'db') return FileFormat.Sqlite;
+    if (lower === 'dbf') return FileFormat.Dbf;
+    if (lower === 'mdb') return FileFormat.Mdb;
+    if (lower === 'accdb') return FileFormat.Accdb;
+    if (lower === 'parquet' || lower === 'pq') return FileFormat.Parquet;
+    if (lower === 'duckdb') return FileFormat.DuckDb;
+    if (lower === 'jsonl' || lower === 'ndjson') return FileFormat.Jsonl;
+    if (lower === 'json') return FileFormat.Json;
+    if (lower === 'xml') return FileFormat.Xml;
+    if (lower === 'html' || lower === 'htm') return FileFormat.Html;
+    if (lower === 'txt' || lower === 'log') return FileFormat.Txt;
+    return FileFormat.Auto;
+}
+
+/**
+ * Manifest-style format string for a FileFormat value ("csv", "xlsx", ...).
+ * @private
+ */
+function formatEnumToString(format) {
+    const name = Object.keys(FileFormat).find(key => FileFormat[key] === format);
+    return name ? name.toLowerCase() : 'auto';
+}
+
+/**
+ * Read a File, Blob, Buffer, ArrayBuffer or Uint8Array into a Uint8Array.
+ * @private
+ */
+async function readFileBytes(file) {
+    if (file instanceof Uint8Array) {
+        // Node.js Buffers are Uint8Arrays too; copy-free view is fine here.
+        return file;
     }
-} catch (e) {
-    // Browser path will load via script tag
+    if (file instanceof ArrayBuffer) {
+        return new Uint8Array(file);
+    }
+    if (file && typeof file.arrayBuffer === 'function') {
+        // Browser File / Blob
+        return new Uint8Array(await file.arrayBuffer());
+    }
+    throw new Error('Unsupported file type. Expected File, Blob, Buffer, ArrayBuffer or Uint8Array.');
 }
 
 /**
- * ExcelLoader class - main interface for the WASM module
+ * Apply fn to a value that may be a promise (JS workbooks are often async).
+ * @private
  */
-class ExcelLoader {
-    constructor(wasmModule) {
-        this._module = wasmModule;
-        this._initialized = false;
-        this._handles = new Map(); // Track open file handles
-        this._sessionManager = SessionManagerImpl ? new SessionManagerImpl() : null;
-        this._defaultSessionId = 'default';
-        this._activeWorkbooks = []; // { handleId, workbook, approxSizeBytes, lastUsedAt }
+function thenOrCall(result, fn) {
+    if (result && typeof result.then === 'function') {
+        return result.then(fn);
     }
+    return fn(result);
+}
 
-    /**
-     * Initialize the loader. Must be called before any other operations.
-     */
-    init() {
-        if (!this._initialized) {
-            this._module._ff_init();
-            this._initialized = true;
-        }
-        return this;
+/**
+ * @private
+ */
+function savedQueryInfo(rec) {
+    return { name: rec.name, sql: rec.sql, createdAt: rec.createdAt, updatedAt: rec.updatedAt };
+}
+
+/**
+ * Run a query (sync or async) and add it to the workbook's query history.
+ * @private
+ */
+function recordedQuery(workbook, sql, run) {
+    const started = Date.now();
+    const record = (rowCount, error) => workbook._loader._recordQuery(workbook, sql, started, rowCount, error);
+    let result;
+    try {
+        result = run();
+    } catch (e) {
+        record(null, e);
+        throw e;
+    }
+    if (result && typeof result.then === 'function') {
+        return result.then(
+            qr => {
+                record(qr.rowCount, null);
+                return qr;
+            },
+            e => {
+                record(null, e);
+                throw e;
+            }
+        );
     }
+    record(result.rowCount, null);
+    return result;
+}
 
-    /**
-     * Open a file from a Uint8Array buffer
-     * @param {Uint8Array} data - File contents as binary data
-     * @param {string} fileName - Name of the file (used for format detection)
-     * @param {Object} options - Optional settings
-     * @param {number} options.format - File format (from FileFormat enum)
-     * @param {string} options.delimiter - CSV/TSV delimiter character
-     * @param {boolean} options.hasHeaderRow - Whether first row is header
-     * @returns {Workbook|Promise<Workbook>} - Workbook object for querying
-     */
-    openFile(data, fileName, options = {}) {
-        if (!this._initialized) {
-            throw new Error('ExcelLoader not initialized. Call init() first.');
+/**
+ * Quote a table/column name as a SQL identifier (valid in SQLite and DuckDB).
+ * @private
+ */
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+/**
+ * Render a JS value as a SQL literal.
+ * @param {*} value - string, number, bigint, boolean, null, Date or Uint8Array
+ * @param {'sqlite'|'duckdb'} dialect - Target SQL dialect
+ * @private
+ */
+function sqlLiteral(value, dialect = 'sqlite') {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot bind non-finite number: ${value}`);
+        }
+        // Parenthesised so that "a-?" cannot become the comment "a--1".
+        return value < 0 ? `(${value})` : String(value);
+    }
+    if (typeof value === 'bigint') {
+        return value < 0n ? `(${value})` : value.toString();
+    }
+    if (typeof value === 'boolean') {
+        if (dialect === 'duckdb') return value ? 'TRUE' : 'FALSE';
+        return value ? '1' : '0';
+    }
+    if (typeof value === 'string') {
+        // The SQL text reaches the engine as a C string, so NUL would cut it short.
+        if (value.includes('\0')) {
+            throw new Error('Cannot bind string containing NUL (\\0); pass a Uint8Array instead');
+        }
+        return "'" + value.replace(/'/g, "''") + "'";
+    }
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new Error('Cannot bind invalid Date');
+        }
+        const iso = value.toISOString();
+        if (dialect === 'duckdb') {
+            return `TIMESTAMP '${iso.replace('T', ' ').replace('Z', '')}'`;
+        }
+        return `'${iso}'`;
+    }
+    if (value instanceof Uint8Array) {
+        let hex = '';
+        for (const b of value) {
+            hex += b.toString(16).padStart(2, '0');
+        }
+        if (dialect === 'duckdb') {
+            return `from_hex('${hex}')`;
         }
+        return `X'${hex}'`;
+    }
+    throw new Error(`Cannot bind value of type ${typeof value}`);
+}
 
-        const format = options.format ?? FileFormat.Auto;
+/**
+ * Substitute positional (?, ?NNN) or named (:name, @name, $name) parameters
+ * in a SQL string with escaped literals. String literals, quoted identifiers
+ * ([name] only in SQLite; in DuckDB "[" starts a list or an index), DuckDB
+ * dollar-quoted strings ($$...$$, $tag$...$tag$) and comments are skipped so
+ * placeholders inside them are left untouched.
+ *
+ * @param {string} sql - SQL with placeholders
+ * @param {Array|Object} params - Positional array or { name: value } map
+ * @param {'sqlite'|'duckdb'} dialect - Target SQL dialect
+ * @returns {string} - SQL with parameters inlined
+ * @private
+ */
+function bindSqlParams(sql, params, dialect = 'sqlite') {
+    if (params === undefined || params === null) {
+        return sql;
+    }
+    const positional = Array.isArray(params);
+    if (!positional && typeof params !== 'object') {
+        throw new Error('query params must be an array or an object');
+    }
 
-        // Check if this is a heavy format that should be handled in JavaScript
-        const ext = fileName.toLowerCase().split('.').pop();
-        const isParquet = (format === FileFormat.Parquet) || ext === 'parquet' || ext === 'pq';
-        const isDuckDB = (format === FileFormat.DuckDb) || ext === 'duckdb';
+    const isIdentStart = ch => /[A-Za-z_]/.test(ch);
+    const isIdentChar = ch => /[A-Za-z0-9_]/.test(ch);
+    const usedNames = new Set();
+    let nextIndex = 0;
+    let maxIndex = 0;
+    let out = '';
+    let i = 0;
+
+    const bindPositional = (index, token) => {
+        if (!positional) {
+            throw new Error(`Positional parameter ${token} used with named params object`);
+        }
+        if (index < 0 || index >= params.length) {
+            throw new Error(
+                `Missing value for positional parameter ${token} ` +
+                `(${params.length} provided)`
+            );
+        }
+        maxIndex = Math.max(maxIndex, index + 1);
+        return sqlLiteral(params[index], dialect);
+    };
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        // Quoted strings / identifiers: copy verbatim up to the closing quote.
+        if (ch === "'" || ch === '"' || ch === '`' || (ch === '[' && dialect === 'sqlite')) {
+            const close = ch === '[' ? ']' : ch;
+            let j = i + 1;
+            while (j < sql.length) {
+                if (sql[j] === close) {
+                    if (close !== ']' && sql[j + 1] === close) {
+                        j += 2;
+                        continue;
+                    }
+                    break;
+                }
+                j++;
+            }
+            out += sql.slice(i, j + 1);
+            i = j + 1;
+            continue;
+        }
 
-        // Handle Parquet files
-        if (isParquet) {
-            return this._openParquetFile(data, fileName);
+        // DuckDB dollar-quoted strings: copy verbatim up to the same tag.
+        if (ch === '$' && dialect === 'duckdb' && !isIdentChar(sql[i - 1] || '')) {
+            const tag = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+            if (tag) {
+                const end = sql.indexOf(tag[0], i + tag[0].length);
+                const j = end === -1 ? sql.length : end + tag[0].length;
+                out += sql.slice(i, j);
+                i = j;
+                continue;
+            }
         }
 
-        // Handle DuckDB files
-        if (isDuckDB) {
-            return this._openDuckDBFile(data, fileName);
+        // Comments
+        if (ch === '-' && next === '-') {
+            const end = sql.indexOf('\n', i);
+            const j = end === -1 ? sql.length : end;
+            out += sql.slice(i, j);
+            i = j;
+            continue;
+        }
+        if (ch === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            const j = end === -1 ? sql.length : end + 2;
+            out += sql.slice(i, j);
+            i = j;
+            continue;
         }
 
-        // Standard path: use WASM module
-        const delimiter = options.delimiter ?? ',';
-        const hasHeaderRow = options.hasHeaderRow ?? true;
+        if (ch === '?') {
+            let j = i + 1;
+            while (j < sql.length && /[0-9]/.test(sql[j])) j++;
+            const token = sql.slice(i, j);
+            const index = j > i + 1 ? parseInt(sql.slice(i + 1, j), 10) - 1 : nextIndex++;
+            out += bindPositional(index, token);
+            i = j;
+            continue;
+        }
 
-        // Allocate memory in WASM heap for the data
-        const dataPtr = this._module._malloc(data.length);
-        const dataHeap = new Uint8Array(this._module.HEAPU8.buffer, dataPtr, data.length);
-        dataHeap.set(data);
+        // Named parameters; "::" is a cast in DuckDB/PostgreSQL, not a name.
+        if ((ch === ':' || ch === '@' || ch === '$') && next && isIdentStart(next) &&
+            !(ch === ':' && sql[i - 1] === ':')) {
+            let j = i + 1;
+            while (j < sql.length && isIdentChar(sql[j])) j++;
+            const name = sql.slice(i + 1, j);
+            if (positional) {
+                throw new Error(`Named parameter ${ch}${name} used with positional params array`);
+            }
+            if (!Object.prototype.hasOwnProperty.call(params, name)) {
+                throw new Error(`Missing value for named parameter ${ch}${name}`);
+            }
+            usedNames.add(name);
+            out += sqlLiteral(params[name], dialect);
+            i = j;
+            continue;
+        }
 
-        // Allocate memory for filename string
-        const fileNamePtr = this._allocateString(fileName);
+        out += ch;
+        i++;
+    }
 
-        // Call WASM function
-        const handleId = this._module._ff_openFile(
-            dataPtr,
-            data.length,
-            fileNamePtr,
-            format,
-            delimiter.charCodeAt(0),
-            hasHeaderRow ? 1 : 0
+    if (positional && maxIndex !== params.length) {
+        throw new Error(
+            `Expected ${maxIndex} positional parameter(s), got ${params.length}`
         );
+    }
+    if (!positional) {
+        const unused = Object.keys(params).filter(k => !usedNames.has(k));
+        if (unused.length > 0) {
+            throw new Error(`Unknown named parameter(s): ${unused.join(', ')}`);
+        }
+    }
+    return out;
+}
 
-        // Free allocated memory
-        this._module._free(dataPtr);
-        this._module._free(fileNamePtr);
+// Default number of rows fetched per batch by queryIterator (matches the
+// page size used by excel_loader.html).
+const DEFAULT_BATCH_SIZE = 2000;
 
-        if (handleId === 0) {
-            const error = this.getLastError();
-            throw new Error(`Failed to open file: ${error}`);
-        }
+let queryIteratorCount = 0;
 
-        const workbook = new Workbook(this, handleId, fileName);
-        this._handles.set(handleId, workbook);
+/**
+ * Name of a new temp table holding one JsWorkbookWrapper.queryIterator()
+ * result.
+ * @private
+ */
+function nextIteratorTable() {
+    return `__query_iter_${++queryIteratorCount}`;
+}
+
+/**
+ * Run a SELECT once into a temp table (DuckDB keeps the insertion order of
+ * a table, not the row order of an unordered query between runs).
+ * @private
+ */
+function buildMaterializeSql(sql, table) {
+    return `CREATE TEMP TABLE ${quoteIdentifier(table)} AS SELECT * FROM ${subquerySource(sql)}`;
+}
 
-        // Track workbook for LRU-style memory control (ADR 0017). We use
-        // data.length as an approximate size in bytes.
-        const approxSizeBytes = data.length ?? 0;
-        this._registerActiveWorkbook(handleId, workbook, approxSizeBytes);
-        this._enforceWorkbookLimits();
+/**
+ * A SELECT as a FROM source. Declared column types of the inner query
+ * reach the outer one, so batches carry the same metadata as query().
+ * @private
+ */
+function subquerySource(sql) {
+    const base = String(sql).trim().replace(/;+\s*$/, '');
+    return `(\n${base}\n)`;
+}
 
-        return workbook;
+/**
+ * Select one batch of rows from a table or subquery.
+ * @private
+ */
+function buildPageSql(source, offset, limit) {
+    return `SELECT * FROM ${source} LIMIT ${limit} OFFSET ${offset}`;
+}
+
+/**
+ * @private
+ */
+function checkBatchSize(batchSize) {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+        throw new Error(`queryIterator: batchSize must be a positive integer (got ${batchSize})`);
     }
+    return batchSize;
+}
 
-    /**
-     * Open a Parquet file - uses native WASM support (miniparquet)
-     * Falls back to JavaScript handlers if native support unavailable
-     * @private
-     */
-    async _openParquetFile(data, fileName, options = {}) {
-        // First try native WASM support (miniparquet built into the module)
-        try {
-            const delimiter = options.delimiter ?? ',';
-            const hasHeaderRow = options.hasHeaderRow ?? true;
+/**
+ * Normalise the `coerce` option of query()/QueryResult: `true` enables
+ * every conversion, an object enables the listed ones.
+ * @private
+ */
+function normalizeCoerceOptions(coerce) {
+    if (!coerce) {
+        return null;
+    }
+    const opts = coerce === true ? {} : coerce;
+    return {
+        dates: opts.dates ?? true,
+        bigints: opts.bigints ?? true,
+        booleans: opts.booleans ?? true
+    };
+}
 
-            // Allocate memory in WASM heap for the data
-            const dataPtr = this._module._malloc(data.length);
-            const dataHeap = new Uint8Array(this._module.HEAPU8.buffer, dataPtr, data.length);
-            dataHeap.set(data);
+/**
+ * Classify a declared column type using SQLite affinity rules.
+ * @private
+ */
+function declaredTypeKind(type) {
+    if (typeof type !== 'string' || !type) return null;
+    const t = type.toUpperCase();
+    if (t.includes('BOOL')) return 'boolean';
+    if (t.includes('DATE') || t.includes('TIME')) return 'date';
+    if (t.includes('INT')) return 'integer';
+    if (t.includes('CHAR') || t.includes('CLOB') || t.includes('TEXT')) return 'text';
+    if (t.includes('BLOB')) return 'blob';
+    if (t.includes('REAL') || t.includes('FLOA') || t.includes('DOUB')) return 'real';
+    return 'numeric';
+}
 
-            // Allocate memory for filename string
-            const fileNamePtr = this._allocateString(fileName);
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
 
-            // Call WASM function
-            const handleId = this._module._ff_openFile(
-                dataPtr,
-                data.length,
-                fileNamePtr,
-                FileFormat.Parquet,
-                delimiter.charCodeAt(0),
-                hasHeaderRow ? 1 : 0
-            );
+/**
+ * Excel serial date (1900 date system) to a UTC Date. Serials below 61
+ * are shifted by a day to account for Excel's fictitious 1900-02-29.
+ * @private
+ */
+function excelSerialToDate(serial) {
+    const days = serial < 61 ? serial - 25568 : serial - 25569;
+    return new Date(Math.round(days * 86400000));
+}
 
-            // Free allocated memory
-            this._module._free(dataPtr);
-            this._module._free(fileNamePtr);
+/**
+ * ISO 8601 date/date-time string to a Date; values without an explicit
+ * offset are read as UTC. Returns null for anything else.
+ * @private
+ */
+function isoStringToDate(value) {
+    const str = value.trim();
+    if (!ISO_DATE_PATTERN.test(str)) return null;
+    let normalized = str.replace(' ', 'T');
+    if (normalized.length > 10 && !/(Z|[+-]\d{2}:?\d{2})$/.test(normalized)) {
+        normalized += 'Z';
+    }
+    const ms = Date.parse(normalized);
+    return isNaN(ms) ? null : new Date(ms);
+}
 
-            if (handleId !== 0) {
-                const workbook = new Workbook(this, handleId, fileName);
-                this._handles.set(handleId, workbook);
-                return workbook;
+/**
+ * Build the per-column value converters for QueryResult coercion.
+ * @private
+ */
+function buildColumnCoercers(schema, rows, opts) {
+    return schema.map((col, c) => {
+        const kind = declaredTypeKind(col.type);
+        if (kind === 'boolean' && opts.booleans) {
+            return v => (v === 0 || v === 1 || v === 0n || v === 1n) ? Number(v) === 1 : v;
+        }
+        if (kind === 'date' && opts.dates) {
+            return v => {
+                if (typeof v === 'number' && Number.isFinite(v)) return excelSerialToDate(v);
+                if (typeof v === 'string') return isoStringToDate(v) ?? v;
+                return v;
+            };
+        }
+        if (kind === 'integer' && opts.bigints) {
+            return v => {
+                if (typeof v === 'number' && Number.isInteger(v) && !Number.isSafeInteger(v)) return BigInt(v);
+                if (typeof v === 'string' && /^[+-]?\d{16,}$/.test(v.trim())) {
+                    const n = BigInt(v.trim());
+                    return n > BigInt(Number.MAX_SAFE_INTEGER) || n < BigInt(Number.MIN_SAFE_INTEGER) ? n : v;
+                }
+                return v;
+            };
+        }
+        if ((kind === null || kind === 'text') && opts.dates) {
+            // Undeclared or text columns are converted only when every
+            // non-null value is an ISO date string.
+            let seen = false;
+            for (const row of rows) {
+                const v = row[c];
+                if (v === null || v === undefined) continue;
+                if (typeof v !== 'string' || !ISO_DATE_PATTERN.test(v.trim())) return null;
+                seen = true;
             }
-            // If handleId is 0, native support failed - fall through to JS handlers
-        } catch (e) {
-            // Native support not available, fall through to JS handlers
+            return seen ? v => (typeof v === 'string' ? isoStringToDate(v) ?? v : v) : null;
         }
+        return null;
+    });
+}
 
-        // Fall back to parquet-wasm
-        if (ParquetHandler && ParquetHandler.isAvailable()) {
-            const workbook = await ParquetHandler.openFile(data, fileName);
-            return this._wrapJsWorkbook(workbook, fileName);
-        }
+// Parsed in place of integer literals that do not fit in a double.
+const BIGINT_MARKER = '\u0000bigint:';
 
-        // Fall back to DuckDB-WASM
-        if (DuckDBHandler && DuckDBHandler.isAvailable()) {
-            const workbook = await DuckDBHandler.openParquetFile(data, fileName);
-            return this._wrapJsWorkbook(workbook, fileName);
+/**
+ * JSON.parse of a query result that keeps every digit of integer literals
+ * outside the safe range in columns declared as integers, returning them
+ * as BigInt. Elsewhere (other columns, meta) such literals are read as
+ * numbers, as JSON.parse would.
+ * @private
+ */
+function parseJsonWithBigInts(text) {
+    let out = '';
+    let last = 0;
+    let i = 0;
+    const n = text.length;
+    while (i < n) {
+        const ch = text[i];
+        if (ch === '"') {
+            i++;
+            while (i < n && text[i] !== '"') {
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            i++;
+        } else if (ch === '-' || (ch >= '0' && ch <= '9')) {
+            let end = i + 1;
+            while (end < n && /[0-9.eE+-]/.test(text[end])) end++;
+            const literal = text.slice(i, end);
+            if (/^-?\d{16,}$/.test(literal) && !Number.isSafeInteger(Number(literal))) {
+                out += text.slice(last, i) + '"\\u0000bigint:' + literal + '"';
+                last = end;
+            }
+            i = end;
+        } else {
+            i++;
         }
-
-        throw new Error(
-            'Parquet support requires parquet-wasm or @duckdb/duckdb-wasm. ' +
-            'Install with: npm install parquet-wasm apache-arrow'
-        );
     }
-
-    /**
-     * Open a DuckDB file - uses native WASM support (DuckDB amalgamation)
-     * Falls back to JavaScript handlers if native support unavailable
-     * @private
-     */
-    async _openDuckDBFile(data, fileName, options = {}) {
-        // First try native WASM support (DuckDB amalgamation built into the module)
-        try {
-            const delimiter = options.delimiter ?? ',';
-            const hasHeaderRow = options.hasHeaderRow ?? true;
-
-            // Allocate memory in WASM heap for the data
-            const dataPtr = this._module._malloc(data.length);
-            const dataHeap = new Uint8Array(this._module.HEAPU8.buffer, dataPtr, data.length);
-            dataHeap.set(data);
-
-            // Allocate memory for filename string
-            const fileNamePtr = this._allocateString(fileName);
-
-            // Call WASM function
-            const handleId = this._module._ff_openFile(
-                dataPtr,
-                data.length,
-                fileNamePtr,
-                FileFormat.DuckDb,
-                delimiter.charCodeAt(0),
-                hasHeaderRow ? 1 : 0
-            );
-
-            // Free allocated memory
-            this._module._free(dataPtr);
-            this._module._free(fileNamePtr);
-
-            if (handleId !== 0) {
-                const workbook = new Workbook(this, handleId, fileName);
-                this._handles.set(handleId, workbook);
-                return workbook;
+    out += text.slice(last);
+    const obj = JSON.parse(out);
+    const restore = (value, big) => {
+        if (typeof value === 'string' && value.startsWith(BIGINT_MARKER)) {
+            const literal = value.slice(BIGINT_MARKER.length);
+            return big ? BigInt(literal) : Number(literal);
+        }
+        if (value && typeof value === 'object') {
+            for (const key of Object.keys(value)) {
+                value[key] = restore(value[key], false);
             }
-            // If handleId is 0, native support failed - fall through to JS handlers
-        } catch (e) {
-            // Native support not available, fall through to JS handlers
         }
-
-        // Fall back to DuckDB-WASM JavaScript handler
-        if (DuckDBHandler && DuckDBHandler.isAvailable()) {
-            const workbook = await DuckDBHandler.openDuckDBFile(data, fileName);
-            return this._wrapJsWorkbook(workbook, fileName);
+        return value;
+    };
+    if (!obj || typeof obj !== 'object') {
+        return restore(obj, false);
+    }
+    const columns = Array.isArray(obj.columns) ? obj.columns : [];
+    const integer = columns.map(c => !!c && typeof c === 'object' && declaredTypeKind(c.type) === 'integer');
+    const rows = Array.isArray(obj.rows) ? obj.rows : [];
+    for (const row of rows) {
+        if (Array.isArray(row)) {
+            row.forEach((v, c) => { row[c] = restore(v, integer[c]); });
+        }
+    }
+    for (const key of Object.keys(obj)) {
+        if (key !== 'rows') {
+            obj[key] = restore(obj[key], false);
         }
-
-        throw new Error(
-            'DuckDB support requires @duckdb/duckdb-wasm. ' +
-            'Install with: npm install @duckdb/duckdb-wasm'
-        );
     }
+    return obj;
+}
 
-    /**
-     * Wrap a JavaScript workbook in a compatible interface
-     * @private
-     */
-    _wrapJsWorkbook(jsWorkbook, fileName) {
-        // Generate a unique handle ID (negative to distinguish from WASM handles)
-        const handleId = -(this._nextJsHandle || 1);
-        this._nextJsHandle = (this._nextJsHandle || 1) + 1;
+// URL of this script when loaded via <script> tag; used to locate the
+// worker entry point next to it.
+const CURRENT_SCRIPT_URL =
+    (typeof document !== 'undefined' && document.currentScript && document.currentScript.src) || null;
 
-        // Create a wrapper that provides the same interface as Workbook
+let SessionManagerImpl = null;
+let SessionLocksImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ SessionManager: SessionManagerImpl, SessionLocks: SessionLocksImpl } = require('./session_manager.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+let XlsxWriterImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ XlsxWriter: XlsxWriterImpl } = require('./xlsx_writer.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+let DbStorageFactoryImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ createDbStorage: DbStorageFactoryImpl } = require('./db_storage.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+let SessionZipImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ ZipArchive: SessionZipImpl } = require('./zip_archive.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+let ColumnarWriterImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ ColumnarWriter: ColumnarWriterImpl } = require('./columnar_writer.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+function getXlsxWriter() {
+    if (XlsxWriterImpl) return XlsxWriterImpl;
+    if (typeof XlsxWriter !== 'undefined') return XlsxWriter;
+    throw new Error('XLSX export requires xlsx_writer.js and zip_archive.js to be loaded');
+}
+
+function getDbStorageFactory() {
+    if (DbStorageFactoryImpl) return DbStorageFactoryImpl;
+    if (typeof createDbStorage !== 'undefined') return createDbStorage;
+    throw new Error('dbBackend requires db_storage.js to be loaded');
+}
+
+function getSessionZip() {
+    if (SessionZipImpl) return SessionZipImpl;
+    if (typeof ZipArchive !== 'undefined') return ZipArchive;
+    throw new Error('Session bundles require zip_archive.js to be loaded');
+}
+
+function getColumnarWriter() {
+    if (ColumnarWriterImpl) return ColumnarWriterImpl;
+    if (typeof ColumnarWriter !== 'undefined') return ColumnarWriter;
+    throw new Error('Arrow/Parquet export requires columnar_writer.js to be loaded');
+}
+
+/**
+ * ColumnarWriter options: timestamp strings are read as QueryResult
+ * coercion reads them (UTC unless they carry an offset).
+ * @private
+ */
+function columnarOptions(options = {}) {
+    return { ...options, parseTimestamp: isoStringToDate };
+}
+
+/**
+ * Columns (with declared types, when known) and rows of a QueryResult,
+ * DataFrame or array of row objects, for the export helpers.
+ * @private
+ */
+function tableData(table) {
+    if (table instanceof QueryResult) {
+        return {
+            columns: table._schema.map(col => ({ name: col.name, type: col.type })),
+            rows: table.rows
+        };
+    }
+    if (!(table instanceof DataFrame)) {
+        table = new DataFrame(table);
+    }
+    return { columns: table._columns.map(name => ({ name, type: null })), rows: table._data };
+}
+
+/**
+ * Shared implementation of QueryResult.toXlsx / DataFrame.toXlsx.
+ * @private
+ */
+function tablesToXlsx(self, options = {}) {
+    const toSheet = (name, table) => {
+        const { columns, rows } = tableData(table);
+        return { name, columns: columns.map(c => c.name), rows };
+    };
+
+    let sheets;
+    if (options.sheets) {
+        const entries = options.sheets instanceof Map
+            ? [...options.sheets.entries()]
+            : Object.entries(options.sheets);
+        sheets = entries.map(([name, table]) => toSheet(name, table));
+    } else {
+        sheets = [toSheet(options.sheetName || 'Sheet1', self)];
+    }
+    return getXlsxWriter().writeXlsx(sheets);
+}
+
+// Default memory budget for open workbooks (ADR 0017).
+const DEFAULT_MAX_WORKBOOKS = 4;
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024; // 256MB
+// Workbook sizes are measured on open, attach and detach; queries can grow
+// a database too, so all sizes are re-measured before a budget check once
+// the cached total passes this share of maxBytes.
+const SIZE_RECHECK_RATIO = 0.8;
+
+// Source bytes of hibernated workbooks and of session workbooks (for
+// restoreSession) go under the IDBFS mount when present.
+const SNAPSHOT_ROOT = '/db';
+const SNAPSHOT_DIR = '/db/hibernated';
+const SESSION_SOURCE_DIR = '/db/sessions';
+
+/**
+ * Directory holding a session's source files.
+ * @private
+ */
+function sessionSourceDir(sessionId) {
+    return `${SESSION_SOURCE_DIR}/${encodeURIComponent(sessionId)}`;
+}
+
+/**
+ * Session bookkeeping attached to a workbook opened with openFileAsync.
+ * A new workbook gets a unique id, so files with the same name opened in
+ * one session do not share a record, history or saved queries.
+ * @private
+ */
+function newWorkbookSession(sessionId, fileName, options, workbookId = null) {
+    return {
+        sessionId,
+        workbookId: workbookId ||
+            `${sessionId}:${fileName}:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        options: options || {},
+        files: new Set(), // source files written for this workbook
+        saving: Promise.resolve()
+    };
+}
+
+/**
+ * Create a directory and its parents in the Emscripten FS.
+ * @private
+ */
+function ensureFsDir(fs, path) {
+    let current = '';
+    for (const part of path.split('/').filter(Boolean)) {
+        current += '/' + part;
+        if (!fs.analyzePath(current).exists) {
+            fs.mkdir(current);
+        }
+    }
+}
+
+/**
+ * SQLite database path recorded for a session's workbooks.
+ * @private
+ */
+function sessionDbPath(sessionId) {
+    return `${SNAPSHOT_ROOT}/session_${sessionId}.db`;
+}
+
+// Persistence backends for /db (db_storage.js).
+const DB_BACKENDS = ['idbfs', 'opfs'];
+
+// Session bundle layout (exportSessionBundle / importSessionBundle).
+const SESSION_BUNDLE_VERSION = 1;
+const SESSION_BUNDLE_INDEX = 'bundle.json';
+const SESSION_BUNDLE_DB = 'session.db';
+
+/**
+ * Parse a JSON entry of a session bundle.
+ * @private
+ */
+function readBundleJson(entries, name) {
+    const bytes = entries.get(name);
+    if (!bytes) {
+        throw new Error(`importSessionBundle failed: corrupt session bundle (missing ${name})`);
+    }
+    try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error(`importSessionBundle failed: corrupt session bundle (${name}: ${e.message})`);
+    }
+}
+
+// Limits accepted by cleanupSessions() / the `retention` loader option.
+const RETENTION_KEYS = ['maxAgeMs', 'maxSessions', 'maxBytes'];
+
+/**
+ * Validate a session retention policy; omitted limits are not applied.
+ * @private
+ */
+function checkRetentionPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error(`retention policy must be an object, got ${policy}`);
+    }
+    for (const key of Object.keys(policy)) {
+        if (!RETENTION_KEYS.includes(key)) {
+            throw new Error(`Unknown retention option: ${key}`);
+        }
+    }
+    const checked = {};
+    if (policy.maxAgeMs !== undefined) {
+        checked.maxAgeMs = checkBudgetLimit('maxAgeMs', policy.maxAgeMs);
+    }
+    if (policy.maxSessions !== undefined) {
+        if (!Number.isInteger(policy.maxSessions) || policy.maxSessions < 0) {
+            throw new Error(`maxSessions must be a non-negative integer, got ${policy.maxSessions}`);
+        }
+        checked.maxSessions = policy.maxSessions;
+    }
+    if (policy.maxBytes !== undefined) {
+        checked.maxBytes = checkBudgetLimit('maxBytes', policy.maxBytes);
+    }
+    return checked;
+}
+
+/**
+ * Size of a file in the Emscripten FS, or 0 if it does not exist.
+ * @private
+ */
+function fsFileSize(fs, path) {
+    try {
+        return fs.stat(path).size;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Files directly under a directory of the Emscripten FS.
+ * @private
+ */
+function listFsFiles(fs, dir) {
+    if (!fs.analyzePath(dir).exists) {
+        return [];
+    }
+    return fs.readdir(dir)
+        .filter(name => name !== '.' && name !== '..')
+        .map(name => `${dir}/${name}`)
+        .filter(path => fs.isFile(fs.stat(path).mode));
+}
+
+/**
+ * Subdirectories directly under a directory of the Emscripten FS.
+ * @private
+ */
+function listFsDirs(fs, dir) {
+    if (!fs.analyzePath(dir).exists) {
+        return [];
+    }
+    return fs.readdir(dir)
+        .filter(name => name !== '.' && name !== '..')
+        .map(name => `${dir}/${name}`)
+        .filter(path => fs.isDir(fs.stat(path).mode));
+}
+
+/**
+ * @private
+ */
+function removeFsFiles(fs, files) {
+    for (const file of files) {
+        try {
+            fs.unlink(file);
+        } catch (e) {
+            // already gone
+        }
+    }
+}
+
+/**
+ * Remove a directory and the files directly in it.
+ * @private
+ */
+function removeFsDir(fs, dir) {
+    removeFsFiles(fs, listFsFiles(fs, dir));
+    try {
+        fs.rmdir(dir);
+    } catch (e) {
+        // missing or not empty
+    }
+}
+
+/**
+ * Validate a memory budget limit (a positive number or Infinity).
+ * @private
+ */
+function checkBudgetLimit(name, value) {
+    if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`${name} must be a positive number, got ${value}`);
+    }
+    return value;
+}
+
+// Source path prefix of datasets registered from JS data.
+const MEMORY_SOURCE_PREFIX = 'memory:';
+
+// Column types accepted by registerDataset and the declared type written
+// to the Parquet payload for each.
+const REGISTER_TYPES = {
+    number: 'DOUBLE',
+    integer: 'INTEGER',
+    string: 'TEXT',
+    date: 'TIMESTAMP',
+    boolean: 'BOOLEAN'
+};
+
+/**
+ * Columns and rows of the data passed to registerDataset, with values
+ * converted to the requested `types`.
+ * @private
+ */
+function registerTableData(data, types = {}) {
+    let table;
+    if (data instanceof QueryResult || data instanceof DataFrame || Array.isArray(data)) {
+        table = tableData(data);
+    } else if (data && Array.isArray(data.columns) && Array.isArray(data.rows)) {
+        table = {
+            columns: data.columns.map(c => (typeof c === 'string'
+                ? { name: c, type: null }
+                : { name: c.name, type: c.type ?? null })),
+            rows: data.rows
+        };
+    } else {
+        throw new Error('registerDataset expects a DataFrame, QueryResult, array of objects or { columns, rows }');
+    }
+    if (table.columns.length === 0) {
+        throw new Error('registerDataset: data has no columns');
+    }
+
+    const names = table.columns.map(c => c.name);
+    for (const [col, type] of Object.entries(types)) {
+        if (!names.includes(col)) throw new Error(`Column not found: ${col}`);
+        if (!Object.prototype.hasOwnProperty.call(REGISTER_TYPES, type)) {
+            throw new Error(`registerDataset: unknown type "${type}" for column "${col}"`);
+        }
+    }
+    if (Object.keys(types).length === 0) {
+        return table;
+    }
+    const converted = new DataFrame(table.rows, names).astype(types);
+    return {
+        columns: table.columns.map(c => (types[c.name] ? { name: c.name, type: REGISTER_TYPES[types[c.name]] } : c)),
+        rows: converted._data
+    };
+}
+
+/**
+ * ExcelLoader class - main interface for the WASM module
+ */
+class ExcelLoader {
+    /**
+     * @param {Object} wasmModule - Emscripten module instance
+     * @param {Object} options - Optional settings
+     * @param {number} options.maxWorkbooks - Open workbooks kept before LRU eviction (default 4)
+     * @param {number} options.maxBytes - Combined workbook size kept before LRU eviction (default 256 MB)
+     * @param {boolean} options.hibernate - Hibernate evicted workbooks instead of closing them (default true)
+     * @param {Function} options.onEvict - Called with { workbook, handleId, fileName, reason, sizeBytes, state }
+     * @param {string|Object} options.sessionBackend - SessionManager backend: 'indexeddb', 'memory', 'fs'
+     *   or an adapter (default: IndexedDB when available, otherwise memory)
+     * @param {string} options.sessionDir - Directory for the 'fs' session backend
+     * @param {number} options.queryHistoryLimit - Query history entries kept per workbook (default 200)
+     * @param {Object} options.retention - Default cleanupSessions() policy { maxAgeMs, maxSessions, maxBytes };
+     *   ExcelLoaderModule.create() applies it once at startup
+     * @param {string} options.dbBackend - Storage for /db: 'idbfs' or 'opfs' (OPFS needs a
+     *   dedicated worker, see createWorker; falls back to IDBFS when OPFS is unavailable or
+     *   fails to mount); ExcelLoaderModule.create() mounts it, see mountDb()
+     * @param {boolean} options.coordinateTabs - One tab at a time owns a session (Web Locks) and
+     *   session changes are broadcast to other tabs (default: when both APIs are available)
+     * @param {Function} options.onSessionConflict - Called with { sessionId, lock } when another tab
+     *   owns the session; returns (or resolves to) 'take-over' or 'read-only' (default 'read-only')
+     * @param {Function} options.onSessionLost - Called with { sessionId, lock } when another tab took
+     *   the session over; the session is read-only here from then on
+     * @param {Function} options.onSessionsChanged - Called with { type, sessionId, remote } after
+     *   session metadata changed in this or (with coordinateTabs) another tab
+     */
+    constructor(wasmModule, options = {}) {
+        this._module = wasmModule;
+        this._initialized = false;
+        this._handles = new Map(); // Track open file handles
+        // Browser builds get SessionManager from session_manager.js via a script tag.
+        const SessionManagerClass = SessionManagerImpl ||
+            (typeof SessionManager !== 'undefined' ? SessionManager : null);
+        const SessionLocksClass = SessionLocksImpl ||
+            (typeof SessionLocks !== 'undefined' ? SessionLocks : null);
+        const locksSupported = !!SessionLocksClass && SessionLocksClass.isSupported();
+        const coordinateTabs = !!SessionManagerClass &&
+            (options.coordinateTabs ?? (locksSupported && typeof BroadcastChannel !== 'undefined'));
+        if (coordinateTabs && !locksSupported) {
+            throw new Error('coordinateTabs requires the Web Locks API (navigator.locks)');
+        }
+        this._sessionManager = SessionManagerClass
+            ? new SessionManagerClass({
+                backend: options.sessionBackend,
+                dir: options.sessionDir,
+                historyLimit: options.queryHistoryLimit,
+                broadcast: coordinateTabs
+            })
+            : null;
+        this._locks = coordinateTabs ? new SessionLocksClass() : null;
+        this._sessionAccess = new Map(); // sessionId -> 'owner' | 'read-only' (with coordinateTabs)
+        this._tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        this.onSessionConflict = options.onSessionConflict || null;
+        this.onSessionLost = options.onSessionLost || null;
+        this.onSessionsChanged = options.onSessionsChanged || null;
+        if (this._locks) {
+            this._locks.onLost = name => this._sessionLockLost(name);
+            // Held while this loader lives, so cleanupSessions() in other
+            // tabs keeps its hibernation snapshots.
+            this._locks.acquire(this._tabLockName(this._tabId)).catch(() => {});
+        }
+        this._unwatchSessions = this._sessionManager
+            ? this._sessionManager.onChange(change => this._sessionsChanged(change))
+            : null;
+        this._defaultSessionId = 'default';
+        this._activeWorkbooks = []; // { handleId, workbook, approxSizeBytes, lastUsedAt, pinned }
+        this._maxWorkbooks = checkBudgetLimit('maxWorkbooks', options.maxWorkbooks ?? DEFAULT_MAX_WORKBOOKS);
+        this._maxBytes = checkBudgetLimit('maxBytes', options.maxBytes ?? DEFAULT_MAX_BYTES);
+        this._hibernateOnEvict = options.hibernate ?? true;
+        this._hibernatedWorkbooks = new Set();
+        this._nextSnapshotId = 1;
+        this._retention = options.retention ? checkRetentionPolicy(options.retention) : null;
+        if (options.dbBackend !== undefined && !DB_BACKENDS.includes(options.dbBackend)) {
+            throw new Error(`Unknown db backend: ${options.dbBackend}`);
+        }
+        this._dbBackend = options.dbBackend || null;
+        this._dbStorage = null;
+        this.dbReady = null; // set by mountDb()
+        this.onEvict = options.onEvict || null;
+    }
+
+    /**
+     * Initialize the loader. Must be called before any other operations.
+     */
+    init() {
+        if (!this._initialized) {
+            this._module._ff_init();
+            this._initialized = true;
+        }
+        return this;
+    }
+
+    /**
+     * Open a file from a Uint8Array buffer
+     * @param {Uint8Array} data - File contents as binary data
+     * @param {string} fileName - Name of the file (used for format detection)
+     * @param {Object} options - Optional settings
+     * @param {number|string} options.format - FileFormat enum or format string ("csv", "xlsx", ...)
+     * @param {string} options.delimiter - CSV/TSV delimiter character
+     * @param {boolean} options.hasHeaderRow - Whether first row is header
+     * @returns {Workbook|Promise<Workbook>} - Workbook object for querying
+     */
+    openFile(data, fileName, options = {}) {
+        if (!this._initialized) {
+            throw new Error('ExcelLoader not initialized. Call init() first.');
+        }
+
+        const format = mapFormatStringToEnum(options.format);
+
+        // Check if this is a heavy format that should be handled in JavaScript
+        const ext = fileName.toLowerCase().split('.').pop();
+        const isParquet = (format === FileFormat.Parquet) || ext === 'parquet' || ext === 'pq';
+        const isDuckDB = (format === FileFormat.DuckDb) || ext === 'duckdb';
+
+        // Handle Parquet files
+        if (isParquet) {
+            return this._openParquetFile(data, fileName);
+        }
+
+        // Handle DuckDB files
+        if (isDuckDB) {
+            return this._openDuckDBFile(data, fileName);
+        }
+
+        // Standard path: use WASM module
+        const delimiter = options.delimiter ?? ',';
+        const hasHeaderRow = options.hasHeaderRow ?? true;
+
+        const handleId = this._openHandle(data, fileName, format, delimiter, hasHeaderRow);
+        if (handleId === 0) {
+            const error = this.getLastError();
+            throw new Error(`Failed to open file: ${error}`);
+        }
+
+        // Track workbook for LRU-style memory control (ADR 0017).
+        const workbook = new Workbook(this, handleId, fileName);
+        workbook._recordSource(fileName, data, { format, delimiter, hasHeaderRow });
+        this._trackWorkbook(workbook, data.length);
+        return workbook;
+    }
+
+    /**
+     * Open a Parquet file - uses native WASM support (miniparquet)
+     * Falls back to JavaScript handlers if native support unavailable
+     * @private
+     */
+    async _openParquetFile(data, fileName, options = {}) {
+        // First try native WASM support (miniparquet built into the module)
+        try {
+            const delimiter = options.delimiter ?? ',';
+            const hasHeaderRow = options.hasHeaderRow ?? true;
+
+            const format = FileFormat.Parquet;
+            const handleId = this._openHandle(data, fileName, format, delimiter, hasHeaderRow);
+            if (handleId !== 0) {
+                const workbook = new Workbook(this, handleId, fileName);
+                workbook._recordSource(fileName, data, { format, delimiter, hasHeaderRow });
+                this._trackWorkbook(workbook, data.length);
+                return workbook;
+            }
+            // If handleId is 0, native support failed - fall through to JS handlers
+        } catch (e) {
+            // Native support not available, fall through to JS handlers
+        }
+
+        // Fall back to parquet-wasm
+        if (ParquetHandler && ParquetHandler.isAvailable()) {
+            const workbook = await ParquetHandler.openFile(data, fileName);
+            return this._wrapJsWorkbook(workbook, fileName, data.length);
+        }
+
+        // Fall back to DuckDB-WASM
+        if (DuckDBHandler && DuckDBHandler.isAvailable()) {
+            const workbook = await DuckDBHandler.openParquetFile(data, fileName);
+            return this._wrapJsWorkbook(workbook, fileName, data.length);
+        }
+
+        throw new Error(
+            'Parquet support requires parquet-wasm or @duckdb/duckdb-wasm. ' +
+            'Install with: npm install parquet-wasm apache-arrow'
+        );
+    }
+
+    /**
+     * Open a DuckDB file - uses native WASM support (DuckDB amalgamation)
+     * Falls back to JavaScript handlers if native support unavailable
+     * @private
+     */
+    async _openDuckDBFile(data, fileName, options = {}) {
+        // First try native WASM support (DuckDB amalgamation built into the module)
+        try {
+            const delimiter = options.delimiter ?? ',';
+            const hasHeaderRow = options.hasHeaderRow ?? true;
+
+            const format = FileFormat.DuckDb;
+            const handleId = this._openHandle(data, fileName, format, delimiter, hasHeaderRow);
+            if (handleId !== 0) {
+                const workbook = new Workbook(this, handleId, fileName);
+                workbook._recordSource(fileName, data, { format, delimiter, hasHeaderRow });
+                this._trackWorkbook(workbook, data.length);
+                return workbook;
+            }
+            // If handleId is 0, native support failed - fall through to JS handlers
+        } catch (e) {
+            // Native support not available, fall through to JS handlers
+        }
+
+        // Fall back to DuckDB-WASM JavaScript handler
+        if (DuckDBHandler && DuckDBHandler.isAvailable()) {
+            const workbook = await DuckDBHandler.openDuckDBFile(data, fileName);
+            return this._wrapJsWorkbook(workbook, fileName, data.length);
+        }
+
+        throw new Error(
+            'DuckDB support requires @duckdb/duckdb-wasm. ' +
+            'Install with: npm install @duckdb/duckdb-wasm'
+        );
+    }
+
+    /**
+     * Wrap a JavaScript workbook in a compatible interface
+     * @private
+     */
+    _wrapJsWorkbook(jsWorkbook, fileName, approxSizeBytes = 0) {
+        // Generate a unique handle ID (negative to distinguish from WASM handles)
+        const handleId = -(this._nextJsHandle || 1);
+        this._nextJsHandle = (this._nextJsHandle || 1) + 1;
+
+        // Create a wrapper that provides the same interface as Workbook
         const wrapper = new JsWorkbookWrapper(this, jsWorkbook, handleId, fileName);
-        this._handles.set(handleId, wrapper);
+        this._trackWorkbook(wrapper, approxSizeBytes);
         return wrapper;
     }
 
     /**
-     * Open a file from a File object (browser) or Buffer (Node.js)
-     * @param {File|Buffer} file - File to open
-     * @param {Object} options - Optional settings
-     * @returns {Promise<Workbook>} - Promise resolving to Workbook object
+     * Open a file from a File object (browser) or Buffer (Node.js)
+     * @param {File|Buffer} file - File to open
+     * @param {Object} options - Optional settings
+     * @returns {Promise<Workbook>} - Promise resolving to Workbook object
+     */
+    async openFileAsync(file, options = {}) {
+        let data;
+        let fileName;
+
+        if (typeof File !== 'undefined' && file instanceof File) {
+            // Browser File API
+            fileName = file.name;
+            const arrayBuffer = await file.arrayBuffer();
+            data = new Uint8Array(arrayBuffer);
+        } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(file)) {
+            // Node.js Buffer
+            fileName = options.fileName || 'unknown';
+            data = new Uint8Array(file);
+        } else if (file instanceof Uint8Array) {
+            fileName = options.fileName || 'unknown';
+            data = file;
+        } else {
+            throw new Error('Unsupported file type. Expected File, Buffer, or Uint8Array.');
+        }
+
+        await this.dbReady;
+        const workbook = await this.openFile(data, fileName, options);
+
+        // Add the workbook to the session (default one unless options.sessionId)
+        // when SessionManager is available, so restoreSession() can rebuild
+        // it after a reload.
+        if (this._sessionsAvailable()) {
+            const sessionId = options.sessionId || this._defaultSessionId;
+            await this._claimSession(sessionId);
+            if (workbook instanceof JsWorkbookWrapper) {
+                workbook._sources.set(fileName, {
+                    fileName,
+                    data,
+                    format: mapFormatStringToEnum(options.format),
+                    delimiter: options.delimiter ?? ',',
+                    hasHeaderRow: options.hasHeaderRow ?? true
+                });
+            }
+            workbook._session = newWorkbookSession(sessionId, fileName, options);
+            await this._persistWorkbook(workbook);
+        }
+
+        return workbook;
+    }
+
+    /**
+     * Reopen the workbooks of a saved session (after a page reload) from the
+     * source files persisted in /db, with their attached files and dataset
+     * renames. Workbooks whose base file is gone are skipped; every source
+     * that cannot be found is listed in `missing`. Call it once /db has been
+     * loaded from IndexedDB (FS.syncfs(true, ...)). With coordinateTabs, a
+     * session owned by another tab is restored read-only unless
+     * onSessionConflict takes it over (see sessionAccess()).
+     * @param {string} sessionId - Session to restore (default session if omitted)
+     * @returns {Promise<Object>} - { sessionId, access, workbooks, editorState, missing: [{ workbookId, path, reason }], errors }
+     */
+    async restoreSession(sessionId = this._defaultSessionId) {
+        if (!this._initialized) {
+            throw new Error('ExcelLoader not initialized. Call init() first.');
+        }
+        if (!this._sessionsAvailable()) {
+            throw new Error('restoreSession requires session_manager.js');
+        }
+        await this.dbReady;
+        const session = await this._sessionManager.loadSession(sessionId);
+        if (!session) {
+            throw new Error(`restoreSession failed: session "${sessionId}" not found`);
+        }
+
+        const result = {
+            sessionId,
+            access: await this._claimSession(sessionId),
+            workbooks: [],
+            editorState: session.editorState ?? null,
+            missing: [],
+            errors: []
+        };
+        const records = await this._sessionManager.listWorkbooks(sessionId);
+        for (const record of records) {
+            try {
+                const workbook = await this._restoreWorkbook(record, result);
+                if (workbook) {
+                    result.workbooks.push(workbook);
+                }
+            } catch (e) {
+                result.errors.push(`${record.workbookId}: ${e.message || e}`);
+            }
+        }
+        if (this._canWriteSession(sessionId)) {
+            await this._sessionManager.ensureSession(sessionId);
+        }
+        return result;
+    }
+
+    /**
+     * Saved sessions, most recently used first, with a summary of their
+     * workbooks (for a "resume" picker)
+     * @returns {Promise<Array>} - [{ sessionId, createdAt, lastUsedAt, hasEditorState, workbooks: [{ workbookId, fileName, sources, updatedAt, dbBackend }] }]
+     */
+    async listSessions() {
+        if (!this._sessionsAvailable()) {
+            return [];
+        }
+        const sessions = await this._sessionManager.listSessions();
+        const summaries = [];
+        for (const session of sessions) {
+            const records = await this._sessionManager.listWorkbooks(session.sessionId);
+            summaries.push({
+                sessionId: session.sessionId,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                hasEditorState: session.editorState !== undefined && session.editorState !== null,
+                workbooks: records.map(record => {
+                    const saved = record.datasetsMeta || {};
+                    return {
+                        workbookId: record.workbookId,
+                        fileName: saved.fileName,
+                        sources: (saved.sources || []).map(src => src.path),
+                        updatedAt: record.updatedAt,
+                        dbBackend: record.dbBackend ?? null
+                    };
+                })
+            });
+        }
+        return summaries.sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+    }
+
+    /**
+     * Save UI state (e.g. the SQL editor text) with a session; it is
+     * returned as `editorState` by restoreSession()
+     * @param {*} editorState - Structured-cloneable value
+     * @param {string} sessionId - Session (default session if omitted)
+     */
+    async saveEditorState(editorState, sessionId = this._defaultSessionId) {
+        if (!this._sessionsAvailable()) {
+            throw new Error('saveEditorState requires session_manager.js');
+        }
+        this._checkSessionWritable(sessionId, 'saveEditorState');
+        await this._sessionManager.saveEditorState(sessionId, editorState);
+    }
+
+    /**
+     * Access of this tab to a session with coordinateTabs: 'owner' (holds
+     * the session lock), 'read-only' (another tab owns it; nothing is
+     * saved from here) or null if the session was not opened here.
+     * Without coordinateTabs every session is 'owner'.
+     * @param {string} sessionId - Session (default session if omitted)
+     * @returns {string|null}
+     */
+    sessionAccess(sessionId = this._defaultSessionId) {
+        if (!this._locks) {
+            return 'owner';
+        }
+        return this._sessionAccess.get(sessionId) || null;
+    }
+
+    /**
+     * Take a session over from the tab that owns it; that tab gets
+     * onSessionLost and turns read-only. With IDBFS the whole of /db is
+     * owned by one tab, so this takes over every session.
+     * @param {string} sessionId - Session (default session if omitted)
+     * @returns {Promise<string>} - 'owner'
+     */
+    async takeOverSession(sessionId = this._defaultSessionId) {
+        if (!this._locks) {
+            return 'owner';
+        }
+        await this.dbReady;
+        const name = this._sessionLockName(sessionId);
+        if (!this._locks.holds(name)) {
+            await this._locks.acquire(name, { steal: true });
+            // Pick up what the previous owner saved.
+            await this._refreshDb();
+        }
+        this._setSessionAccess(name, 'owner');
+        this._sessionAccess.set(sessionId, 'owner');
+        return 'owner';
+    }
+
+    /**
+     * Give up ownership of a session so that another tab can take it
+     * without a prompt; the session turns read-only here.
+     * @param {string} sessionId - Session (default session if omitted)
+     */
+    async releaseSession(sessionId = this._defaultSessionId) {
+        if (!this._locks) {
+            return;
+        }
+        const name = this._sessionLockName(sessionId);
+        if (this._locks.holds(name)) {
+            // Save before the next owner reads /db.
+            await Promise.all(this._openSessionWorkbooks().map(workbook => workbook._session.saving));
+            await this.syncDb();
+            this._locks.release(name);
+            this._setSessionAccess(name, 'read-only');
+        }
+    }
+
+    /**
+     * Storage behind /db: 'opfs' or 'idbfs' (a page-mounted /db counts as
+     * IDBFS), or null when /db is not mounted
+     */
+    get dbBackend() {
+        if (this._dbStorage) {
+            return this._dbStorage.name;
+        }
+        return this._snapshotFs() ? 'idbfs' : null;
+    }
+
+    /**
+     * Mount /db with a persistence backend (db_storage.js). With 'opfs',
+     * files already stored through IDBFS are moved into OPFS first and the
+     * session records that pointed at IDBFS are switched to OPFS. Session
+     * calls (openFileAsync, restoreSession, ...) wait for `loader.dbReady`.
+     * @param {string} backend - 'idbfs' or 'opfs' (default: the `dbBackend` option, else 'idbfs')
+     * @returns {Promise<Object>} - { backend, fallbackReason, migratedFiles }
+     */
+    mountDb(backend = this._dbBackend || 'idbfs') {
+        const mounting = this._mountDb(backend);
+        // Waiters only need the mount to be over; errors go to the caller.
+        this.dbReady = mounting.catch(() => null);
+        return mounting;
+    }
+
+    /**
+     * @private
+     */
+    async _mountDb(backend) {
+        const fs = this._module.FS;
+        if (!fs) {
+            throw new Error('mountDb failed: the module does not export FS');
+        }
+        const storage = await getDbStorageFactory()(fs, backend);
+        this._dbStorage = storage;
+        if (storage.migratedFiles.length > 0 && this._sessionsAvailable()) {
+            for (const entry of await this._sessionManager.listDbPaths()) {
+                if (entry.dbBackend !== storage.name) {
+                    await this._sessionManager.setDbBackend(entry.dbPath, storage.name);
+                }
+            }
+        }
+        return {
+            backend: storage.name,
+            fallbackReason: storage.fallbackReason,
+            migratedFiles: storage.migratedFiles
+        };
+    }
+
+    /**
+     * Save /db to its backend now (for files written outside the loader,
+     * e.g. vec.db). The loader syncs after its own writes. With
+     * coordinateTabs nothing is saved to IDBFS unless this tab owns /db,
+     * and files of sessions that are read-only here stay out of OPFS until
+     * this tab owns them.
+     * @returns {Promise<void>}
+     */
+    syncDb() {
+        const fs = this._snapshotFs();
+        if (!fs) {
+            return Promise.resolve();
+        }
+        // An IDBFS sync rewrites the whole store: only the owner of /db may sync.
+        if (this._locks && this.dbBackend === 'idbfs' && !this._locks.holds(this._sessionLockName(null))) {
+            return Promise.resolve();
+        }
+        // OPFS is written file by file: files of sessions another tab owns wait.
+        return this._dbStorage ? this._dbStorage.flush(path => this._mayWriteDbPath(path)) : syncSnapshotFs(fs);
+    }
+
+    /**
+     * Whether a /db file may be written to shared storage: files of a
+     * session that is read-only in this tab may not.
+     * @private
+     */
+    _mayWriteDbPath(path) {
+        const name = path.slice(SNAPSHOT_ROOT.length + 1);
+        const db = /^session_(.+)\.db$/.exec(name);
+        if (db) {
+            return this._canWriteSession(db[1]);
+        }
+        if (path.startsWith(`${SESSION_SOURCE_DIR}/`)) {
+            const dir = path.slice(SESSION_SOURCE_DIR.length + 1).split('/')[0];
+            return this._canWriteSession(decodeURIComponent(dir));
+        }
+        return true;
+    }
+
+    /**
+     * Pack a saved session into one ZIP file: a project manifest per
+     * workbook (as consumed by openProjectFromManifest), the source files,
+     * saved queries, the editor state and the session's /db database if
+     * there is one. Open it with ExcelLoaderModule.importSessionBundle().
+     * @param {string} sessionId - Session (default session if omitted)
+     * @returns {Promise<Uint8Array>} - Bundle bytes
+     */
+    async exportSessionBundle(sessionId = this._defaultSessionId) {
+        if (!this._sessionsAvailable()) {
+            throw new Error('exportSessionBundle requires session_manager.js');
+        }
+        const zip = getSessionZip();
+        await this.dbReady;
+        const session = await this._sessionManager.loadSession(sessionId);
+        if (!session) {
+            throw new Error(`exportSessionBundle failed: session "${sessionId}" not found`);
+        }
+        const open = new Map();
+        for (const workbook of this._openSessionWorkbooks(sessionId)) {
+            await workbook._session.saving;
+            open.set(workbook._session.workbookId, workbook);
+        }
+        const fs = this._snapshotFs();
+        const entries = [];
+        const bundle = {
+            bundleVersion: SESSION_BUNDLE_VERSION,
+            sessionId,
+            exportedAt: new Date().toISOString(),
+            editorState: session.editorState ?? null,
+            database: null,
+            workbooks: []
+        };
+
+        const records = await this._sessionManager.listWorkbooks(sessionId);
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            const saved = record.datasetsMeta || {};
+            const sources = Array.isArray(saved.sources) ? saved.sources : [];
+            const dir = `workbooks/${i}`;
+            const files = {};
+            sources.forEach((src, j) => {
+                const bytes = this._savedSourceBytes(fs, src, open.get(record.workbookId));
+                if (!bytes) {
+                    throw new Error(`exportSessionBundle failed: bytes of "${src.path}" ` +
+                        `(workbook ${record.workbookId}) are not available`);
+                }
+                const name = `${dir}/sources/${j}_${String(src.path).replace(/[^\w.-]+/g, '_')}`;
+                entries.push({ name, data: bytes });
+                files[src.path] = name;
+            });
+            const manifest = {
+                schemaVersion: 1,
+                projectName: saved.fileName,
+                baseFile: saved.fileName,
+                sources: sources.map(src => ({
+                    path: src.path,
+                    format: formatEnumToString(src.format),
+                    delimiter: src.delimiter,
+                    hasHeaderRow: src.hasHeaderRow
+                })),
+                renames: saved.renames || []
+            };
+            entries.push({ name: `${dir}/project.json`, data: JSON.stringify(manifest, null, 2) });
+            const queries = await this._sessionManager.listSavedQueries(record.workbookId);
+            bundle.workbooks.push({
+                workbookId: record.workbookId,
+                manifest: `${dir}/project.json`,
+                files,
+                savedQueries: queries.map(q => ({ name: q.name, sql: q.sql }))
+            });
+        }
+
+        const dbPath = sessionDbPath(sessionId);
+        if (fs && fs.analyzePath(dbPath).exists) {
+            entries.push({ name: SESSION_BUNDLE_DB, data: fs.readFile(dbPath) });
+            bundle.database = SESSION_BUNDLE_DB;
+        }
+        entries.unshift({ name: SESSION_BUNDLE_INDEX, data: JSON.stringify(bundle, null, 2) });
+        return zip.createZip(entries);
+    }
+
+    /**
+     * Remove saved sessions that fall outside a retention policy, together
+     * with their /db files (session database and saved sources), plus
+     * orphaned /db session files that no session refers to any more and
+     * hibernation snapshots no workbook needs (see _orphanCandidates). The
+     * orphan sweep is skipped with the memory session backend, which only
+     * knows this tab's sessions. Sessions with workbooks open in this
+     * loader are never removed.
+     *
+     * Limits are applied in order, most recently used sessions first:
+     * sessions unused for longer than `maxAgeMs`, then all but the
+     * `maxSessions` newest, then the oldest ones until the remaining
+     * session files fit in `maxBytes`. With coordinateTabs, sessions owned
+     * by other tabs are kept too, and with IDBFS this tab must own /db.
+     *
+     * @param {Object} policy - { maxAgeMs, maxSessions, maxBytes }; defaults
+     *   to the `retention` loader option
+     * @returns {Promise<Object>} - { removedSessions: [{ sessionId, lastUsedAt, reason, bytes, files }],
+     *   orphanedFiles, freedBytes, keptSessions, keptBytes }
+     */
+    async cleanupSessions(policy = this._retention) {
+        if (!this._sessionsAvailable()) {
+            throw new Error('cleanupSessions requires session_manager.js');
+        }
+        const limits = checkRetentionPolicy(policy || {});
+        await this.dbReady;
+        const fs = this._snapshotFs();
+        const inUse = this._openSessions();
+        const lockedElsewhere = await this._sessionsLockedElsewhere();
+        const now = Date.now();
+
+        const sessions = [];
+        for (const rec of await this._sessionManager.listSessions()) {
+            const records = await this._sessionManager.listWorkbooks(rec.sessionId);
+            const files = fs ? this._sessionFiles(fs, rec.sessionId, records) : [];
+            sessions.push({
+                sessionId: rec.sessionId,
+                lastUsedAt: rec.lastUsedAt,
+                records,
+                files,
+                bytes: files.reduce((sum, file) => sum + fsFileSize(fs, file), 0),
+                reason: null
+            });
+        }
+        sessions.sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+
+        let kept = 0;
+        for (const entry of sessions) {
+            if (inUse.has(entry.sessionId) || lockedElsewhere.has(entry.sessionId)) {
+                kept++;
+            } else if (limits.maxAgeMs !== undefined && now - Date.parse(entry.lastUsedAt) > limits.maxAgeMs) {
+                entry.reason = 'maxAge';
+            } else if (limits.maxSessions !== undefined && kept >= limits.maxSessions) {
+                entry.reason = 'maxSessions';
+            } else {
+                kept++;
+            }
+        }
+        let keptBytes = sessions.filter(e => !e.reason).reduce((sum, e) => sum + e.bytes, 0);
+        if (limits.maxBytes !== undefined) {
+            for (let i = sessions.length - 1; i >= 0 && keptBytes > limits.maxBytes; i--) {
+                const entry = sessions[i];
+                if (!entry.reason && !inUse.has(entry.sessionId) && !lockedElsewhere.has(entry.sessionId)) {
+                    entry.reason = 'maxBytes';
+                    keptBytes -= entry.bytes;
+                }
+            }
+        }
+
+        const report = { removedSessions: [], orphanedFiles: [], freedBytes: 0, keptSessions: 0, keptBytes };
+        for (const entry of sessions) {
+            if (!entry.reason) {
+                report.keptSessions++;
+                continue;
+            }
+            await this._sessionManager.deleteSession(entry.sessionId);
+            if (fs) {
+                removeFsFiles(fs, entry.files);
+                removeFsDir(fs, sessionSourceDir(entry.sessionId));
+            }
+            report.freedBytes += entry.bytes;
+            report.removedSessions.push({
+                sessionId: entry.sessionId,
+                lastUsedAt: entry.lastUsedAt,
+                reason: entry.reason,
+                bytes: entry.bytes,
+                files: entry.files
+            });
+        }
+
+        // A memory session store lists only this tab's sessions, so files of
+        // other tabs' sessions would look orphaned.
+        if (fs && this._sessionManager.persistent) {
+            const owned = new Set();
+            for (const entry of sessions) {
+                if (!entry.reason) {
+                    entry.files.forEach(file => owned.add(file));
+                }
+            }
+            for (const session of inUse.values()) {
+                owned.add(sessionDbPath(session.sessionId));
+                session.files.forEach(file => owned.add(file));
+            }
+            for (const workbook of this._handles.values()) {
+                if (workbook instanceof Workbook) {
+                    workbook._sources.forEach(src => src.snapshotPath && owned.add(src.snapshotPath));
+                }
+            }
+            for (const workbook of this._hibernatedWorkbooks) {
+                workbook._sources.forEach(src => src.snapshotPath && owned.add(src.snapshotPath));
+            }
+            for (const file of await this._orphanCandidates(fs)) {
+                if (!owned.has(file)) {
+                    report.freedBytes += fsFileSize(fs, file);
+                    report.orphanedFiles.push(file);
+                }
+            }
+            removeFsFiles(fs, report.orphanedFiles);
+            for (const dir of listFsDirs(fs, SESSION_SOURCE_DIR)) {
+                if (fs.readdir(dir).length <= 2) {
+                    removeFsDir(fs, dir);
+                }
+            }
+            if (report.removedSessions.length > 0 || report.orphanedFiles.length > 0) {
+                await this.syncDb();
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Close a workbook and release resources
+     * @param {number} handleId - Handle ID of the workbook
+     */
+    closeFile(handleId) {
+        const workbook = this._handles.get(handleId);
+        if (workbook instanceof JsWorkbookWrapper) {
+            workbook.close();
+        } else if (workbook) {
+            this._module._ff_closeFile(handleId);
+            this._forgetHandle(handleId);
+        }
+    }
+
+    /**
+     * Memory budget and the tracked size of every open workbook.
+     * `retainedBytes` counts source copies kept in JS memory for reopening
+     * hibernated workbooks or saving them to a session (open workbooks, and
+     * hibernated ones when /db is not mounted); they are not part of
+     * `totalBytes`.
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Re-measure every open workbook instead
+     *   of reporting the sizes cached at open/attach/detach
+     * @returns {Object} - { maxWorkbooks, maxBytes, totalBytes, retainedBytes,
+     *   workbooks: [{ handleId, fileName, sizeBytes, retainedBytes, pinned, lastUsedAt }] }
+     */
+    getMemoryUsage(options = {}) {
+        if (options.refresh) {
+            this._refreshWorkbookSizes();
+        }
+        const retained = workbook => (workbook instanceof Workbook ? workbook._retainedBytes() : 0);
+        const workbooks = this._activeWorkbooks.map(e => ({
+            handleId: e.handleId,
+            fileName: e.workbook.fileName,
+            sizeBytes: e.approxSizeBytes,
+            retainedBytes: retained(e.workbook),
+            pinned: e.pinned,
+            lastUsedAt: e.lastUsedAt
+        }));
+        let retainedBytes = workbooks.reduce((sum, w) => sum + w.retainedBytes, 0);
+        for (const workbook of this._hibernatedWorkbooks) {
+            retainedBytes += retained(workbook);
+        }
+        return {
+            maxWorkbooks: this._maxWorkbooks,
+            maxBytes: this._maxBytes,
+            totalBytes: workbooks.reduce((sum, w) => sum + w.sizeBytes, 0),
+            retainedBytes,
+            workbooks
+        };
+    }
+
+    /**
+     * Get the last error message
+     * @returns {string} - Error message
+     */
+    getLastError() {
+        const ptr = this._module._ff_getLastError();
+        return this._module.UTF8ToString(ptr);
+    }
+
+    /**
+     * Get the last JSON result
+     * @returns {string} - JSON string
+     */
+    getLastJson() {
+        const ptr = this._module._ff_getLastJson();
+        return this._module.UTF8ToString(ptr);
+    }
+
+    _registerActiveWorkbook(handleId, workbook, approxSizeBytes) {
+        const now = Date.now();
+        this._activeWorkbooks.push({
+            handleId,
+            workbook,
+            approxSizeBytes: approxSizeBytes || 0,
+            lastUsedAt: now,
+            pinned: false,
+        });
+    }
+
+    /**
+     * Register a newly opened workbook of any kind and apply the budget;
+     * the new workbook itself is never the one evicted.
+     * @private
+     */
+    _trackWorkbook(workbook, fallbackBytes) {
+        this._handles.set(workbook.handleId, workbook);
+        const size = this._measureWorkbook(workbook);
+        this._registerActiveWorkbook(workbook.handleId, workbook, size ?? fallbackBytes);
+        this._enforceWorkbookLimits(workbook.handleId);
+    }
+
+    /**
+     * @private
+     */
+    _forgetHandle(handleId) {
+        this._handles.delete(handleId);
+        this._activeWorkbooks = this._activeWorkbooks.filter(
+            entry => entry.handleId !== handleId
+        );
+    }
+
+    _touchHandle(handleId) {
+        const now = Date.now();
+        const entry = this._activeWorkbooks.find(e => e.handleId === handleId);
+        if (entry) {
+            entry.lastUsedAt = now;
+        }
+    }
+
+    /**
+     * Update the LRU size of a workbook after a source was attached
+     * (deltaBytes > 0) or detached (< 0): re-measured when the engine can
+     * tell, else adjusted by deltaBytes.
+     * @private
+     */
+    _growActiveWorkbook(handleId, deltaBytes) {
+        const entry = this._activeWorkbooks.find(e => e.handleId === handleId);
+        if (entry) {
+            const measured = this._measureWorkbook(entry.workbook);
+            entry.approxSizeBytes = measured ?? Math.max(0, (entry.approxSizeBytes || 0) + (deltaBytes || 0));
+            entry.lastUsedAt = Date.now();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setPinned(handleId, pinned) {
+        const entry = this._activeWorkbooks.find(e => e.handleId === handleId);
+        if (entry) {
+            entry.pinned = pinned;
+        }
+        if (!pinned) {
+            this._enforceWorkbookLimits();
+        }
+    }
+
+    /**
+     * Current size of a workbook from the engine's memory stats (the SQLite
+     * footprint plus file buffers of every attached source), or null when
+     * the engine cannot tell. Does not count as a use of the workbook.
+     * @private
+     */
+    _measureWorkbook(workbook) {
+        try {
+            let stats;
+            if (workbook instanceof JsWorkbookWrapper) {
+                const js = workbook._jsWorkbook;
+                stats = typeof js.getMemoryStats === 'function' ? js.getMemoryStats() : null;
+            } else {
+                const ptr = this._module._ff_getWorkbookMemoryStats(workbook.handleId);
+                stats = JSON.parse(this._module.UTF8ToString(ptr) || '{}');
+            }
+            const bytes = stats && Number(stats.approxTotalBytes);
+            return Number.isFinite(bytes) && bytes >= 0 ? bytes : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-measure every open workbook (one engine stats call each).
+     * @private
+     */
+    _refreshWorkbookSizes() {
+        for (const entry of this._activeWorkbooks) {
+            const size = this._measureWorkbook(entry.workbook);
+            if (size !== null) {
+                entry.approxSizeBytes = size;
+            }
+        }
+    }
+
+    /**
+     * Evict least recently used workbooks until the count and byte limits
+     * hold. Pinned workbooks and `protectHandleId` (by default the most
+     * recently used workbook) are skipped, so the budget may stay exceeded
+     * if only those remain. Uses the cached sizes unless their total is
+     * near maxBytes (see SIZE_RECHECK_RATIO).
+     * @private
+     */
+    _enforceWorkbookLimits(protectHandleId = null) {
+        const cachedBytes = this._activeWorkbooks.reduce((sum, e) => sum + (e.approxSizeBytes || 0), 0);
+        if (cachedBytes > this._maxBytes * SIZE_RECHECK_RATIO) {
+            this._refreshWorkbookSizes();
+        }
+        if (protectHandleId === null && this._activeWorkbooks.length > 0) {
+            protectHandleId = this._activeWorkbooks.reduce(
+                (mru, e) => (e.lastUsedAt >= mru.lastUsedAt ? e : mru)
+            ).handleId;
+        }
+        const overBudget = () => {
+            if (this._activeWorkbooks.length > this._maxWorkbooks) return 'maxWorkbooks';
+            const bytes = this._activeWorkbooks.reduce((sum, e) => sum + (e.approxSizeBytes || 0), 0);
+            return bytes > this._maxBytes ? 'maxBytes' : null;
+        };
+
+        let reason;
+        while ((reason = overBudget()) !== null) {
+            let victim = null;
+            for (const entry of this._activeWorkbooks) {
+                if (entry.pinned || entry.handleId === protectHandleId) continue;
+                if (!victim || entry.lastUsedAt < victim.lastUsedAt) victim = entry;
+            }
+            if (!victim) break;
+            this._evictWorkbook(victim, reason);
+        }
+    }
+
+    /**
+     * Hibernate the workbook (native workbooks only) or close it when that
+     * is disabled or fails.
+     * @private
+     */
+    _evictWorkbook(entry, reason) {
+        this._activeWorkbooks = this._activeWorkbooks.filter(e => e !== entry);
+        const workbook = entry.workbook;
+        if (this._hibernateOnEvict && workbook instanceof Workbook) {
+            try {
+                workbook._hibernate();
+            } catch (e) {
+                if (console && console.warn) {
+                    console.warn(`Failed to hibernate ${workbook.fileName}; closing it`, e);
+                }
+            }
+        }
+        if (workbook.state !== 'hibernated') {
+            // Close workbook via existing API
+            try {
+                workbook.close();
+            } catch (e) {
+                // ignore errors closing; best-effort
+            }
+        }
+        if (typeof this.onEvict === 'function') {
+            try {
+                this.onEvict({
+                    workbook,
+                    handleId: entry.handleId,
+                    fileName: workbook.fileName,
+                    reason,
+                    sizeBytes: entry.approxSizeBytes,
+                    state: workbook.state
+                });
+            } catch (e) {
+                if (console && console.warn) {
+                    console.warn('onEvict handler failed', e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Open a buffer as a new engine handle
+     * @private
+     * @returns {number} - Handle ID, 0 on failure (see getLastError)
+     */
+    _openHandle(data, fileName, format, delimiter, hasHeaderRow) {
+        // Allocate memory in WASM heap for the data
+        const dataPtr = this._module._malloc(data.length);
+        const dataHeap = new Uint8Array(this._module.HEAPU8.buffer, dataPtr, data.length);
+        dataHeap.set(data);
+
+        // Allocate memory for filename string
+        const fileNamePtr = this._allocateString(fileName);
+
+        try {
+            return this._module._ff_openFile(
+                dataPtr,
+                data.length,
+                fileNamePtr,
+                format,
+                delimiter.charCodeAt(0),
+                hasHeaderRow ? 1 : 0
+            );
+        } finally {
+            this._module._free(dataPtr);
+            this._module._free(fileNamePtr);
+        }
+    }
+
+    /**
+     * Attach a buffer to an open engine handle
+     * @private
+     * @returns {number} - 0 on success (see getLastError otherwise)
+     */
+    _attachToHandle(handleId, data, fileName, format, delimiter, hasHeaderRow) {
+        const dataPtr = this._module._malloc(data.length);
+        new Uint8Array(this._module.HEAPU8.buffer, dataPtr, data.length).set(data);
+        const namePtr = this._allocateString(fileName);
+        try {
+            return this._module._ff_attachFile(
+                handleId,
+                dataPtr,
+                data.length,
+                namePtr,
+                format,
+                delimiter.charCodeAt(0),
+                hasHeaderRow ? 1 : 0
+            );
+        } finally {
+            this._module._free(dataPtr);
+            this._module._free(namePtr);
+        }
+    }
+
+    /**
+     * Emscripten FS when the persistent /db mount exists, else null
+     * @private
+     */
+    _snapshotFs() {
+        const fs = this._module.FS;
+        try {
+            return fs && fs.analyzePath(SNAPSHOT_ROOT).exists ? fs : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sessionsAvailable() {
+        return !!this._sessionManager;
+    }
+
+    /**
+     * Save a session workbook: new source files go to /db (each file is
+     * written once, files of detached sources are removed) and the source
+     * list, open options and renames go to the SessionManager. Best-effort;
+     * failures are logged, never thrown.
+     *
+     * Called on every open, attach, detach and rename. /db is synced only
+     * when a file was written or removed (open, attach, detach): with IDBFS
+     * that sync rewrites the whole store, so its cost grows with everything
+     * in /db, not with the change. Renames only update the metadata.
+     * @private
+     */
+    _persistWorkbook(workbook) {
+        const session = workbook._session;
+        if (!session || workbook.isClosed || !this._canWriteSession(session.sessionId)) {
+            return Promise.resolve();
+        }
+        let meta;
+        try {
+            // Files are written synchronously: the bytes may move to a
+            // hibernation snapshot once this call returns.
+            const fs = this._snapshotFs();
+            const sources = [];
+            const files = new Set();
+            let changed = false;
+            for (const src of workbook._sources.values()) {
+                const bytes = fs && !src.sessionFile &&
+                    (src.data || (src.snapshotPath && fs.readFile(src.snapshotPath)));
+                if (bytes) {
+                    const dir = sessionSourceDir(session.sessionId);
+                    ensureFsDir(fs, dir);
+                    const file = `${dir}/${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+                    fs.writeFile(file, bytes);
+                    src.sessionFile = file;
+                    changed = true;
+                    if (workbook instanceof Workbook) {
+                        // The session file now serves for reopening too.
+                        workbook._dropSourceCopy(src);
+                    }
+                }
+                if (src.sessionFile) {
+                    files.add(src.sessionFile);
+                }
+                sources.push({
+                    path: src.fileName,
+                    format: src.format,
+                    delimiter: src.delimiter,
+                    hasHeaderRow: src.hasHeaderRow,
+                    file: src.sessionFile || null
+                });
+            }
+            for (const file of session.files) {
+                if (!files.has(file)) {
+                    changed = true;
+                    try {
+                        fs.unlink(file);
+                    } catch (e) {
+                        // already gone
+                    }
+                }
+            }
+            session.files = files;
+            if (fs && changed) {
+                this.syncDb();
+            }
+            meta = {
+                fileName: workbook.fileName,
+                format: session.options.format ?? FileFormat.Auto,
+                sources,
+                renames: workbook instanceof Workbook ? workbook._currentRenames() : []
+            };
+        } catch (e) {
+            if (console && console.warn) {
+                console.warn('Failed to persist workbook sources', e);
+            }
+            return Promise.resolve();
+        }
+
+        session.saving = session.saving.then(() => this._sessionManager.saveWorkbookMeta(
+            session.workbookId,
+            session.sessionId,
+            sessionDbPath(session.sessionId),
+            session.options,
+            meta,
+            this.dbBackend
+        )).catch(e => {
+            // Metadata persistence is best-effort; ignore failures.
+            if (console && console.warn) {
+                console.warn('Failed to persist workbook metadata', e);
+            }
+        });
+        return session.saving;
+    }
+
+    /**
+     * Sessions of workbooks open (or hibernated) in this loader, by id.
+     * @private
+     */
+    _openSessions() {
+        const open = new Map();
+        for (const workbook of this._openSessionWorkbooks()) {
+            open.set(workbook._session.sessionId, workbook._session);
+        }
+        return open;
+    }
+
+    /**
+     * Session workbooks open (or hibernated) in this loader.
+     * @private
+     */
+    _openSessionWorkbooks(sessionId) {
+        return this._activeWorkbooks.map(entry => entry.workbook)
+            .concat(Array.from(this._hibernatedWorkbooks))
+            .filter(workbook => workbook._session && !workbook.isClosed &&
+                (sessionId === undefined || workbook._session.sessionId === sessionId));
+    }
+
+    /**
+     * Web Locks name guarding a session. An IDBFS sync writes the whole
+     * store, so with IDBFS one lock covers all of /db.
+     * @private
+     */
+    _sessionLockName(sessionId) {
+        return this._locks.constructor.lockName(this.dbBackend === 'idbfs' || sessionId === null ? '*' : sessionId);
+    }
+
+    /**
+     * Become the owner of a session before writing to it: take its lock
+     * when free, otherwise let onSessionConflict choose between taking it
+     * over and read-only access (a read-only choice is remembered).
+     * @returns {Promise<string>} - 'owner' or 'read-only'
+     * @private
+     */
+    async _claimSession(sessionId) {
+        if (!this._locks) {
+            return 'owner';
+        }
+        const name = this._sessionLockName(sessionId);
+        const held = this._locks.holds(name);
+        if (await this._locks.acquire(name)) {
+            if (!held) {
+                // The files may have changed while another tab owned them.
+                await this._refreshDb();
+            }
+            this._setSessionAccess(name, 'owner');
+            this._sessionAccess.set(sessionId, 'owner');
+            return 'owner';
+        }
+        if (this._sessionAccess.get(sessionId) === 'read-only') {
+            return 'read-only';
+        }
+        let choice = 'read-only';
+        if (typeof this.onSessionConflict === 'function') {
+            choice = await this.onSessionConflict({ sessionId, lock: name });
+        }
+        if (choice === 'take-over') {
+            return await this.takeOverSession(sessionId);
+        }
+        if (choice !== 'read-only') {
+            throw new Error(`onSessionConflict must return 'take-over' or 'read-only', got ${choice}`);
+        }
+        this._sessionAccess.set(sessionId, 'read-only');
+        return 'read-only';
+    }
+
+    /**
+     * @private
+     */
+    _canWriteSession(sessionId) {
+        return !this._locks || this._sessionAccess.get(sessionId) !== 'read-only';
+    }
+
+    /**
+     * @private
+     */
+    _checkSessionWritable(sessionId, opName) {
+        if (!this._canWriteSession(sessionId)) {
+            throw new Error(`${opName} failed: session "${sessionId}" is read-only in this tab (owned by another tab)`);
+        }
+    }
+
+    /**
+     * Set the access of every session guarded by a lock.
+     * @returns {string[]} - Affected session ids
+     * @private
+     */
+    _setSessionAccess(name, access) {
+        const affected = [];
+        for (const sessionId of this._sessionAccess.keys()) {
+            if (this._sessionLockName(sessionId) === name) {
+                this._sessionAccess.set(sessionId, access);
+                affected.push(sessionId);
+            }
+        }
+        return affected;
+    }
+
+    /**
+     * Another tab stole a session lock (take over).
+     * @private
+     */
+    _sessionLockLost(name) {
+        for (const sessionId of this._setSessionAccess(name, 'read-only')) {
+            if (typeof this.onSessionLost === 'function') {
+                try {
+                    this.onSessionLost({ sessionId, lock: name });
+                } catch (e) {
+                    if (console && console.warn) {
+                        console.warn('onSessionLost failed', e);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Session metadata changed: reload /db files other tabs wrote, then
+     * tell the page.
+     * @private
+     */
+    _sessionsChanged(change) {
+        // The owner of an IDBFS /db has nothing to reload: nobody else writes it.
+        const reload = change.remote &&
+            !(this.dbBackend === 'idbfs' && this._locks && this._locks.holds(this._sessionLockName(null)));
+        (reload ? this._refreshDb() : Promise.resolve()).then(() => {
+            if (typeof this.onSessionsChanged === 'function') {
+                this.onSessionsChanged(change);
+            }
+        }).catch(e => {
+            if (console && console.warn) {
+                console.warn('onSessionsChanged failed', e);
+            }
+        });
+    }
+
+    /**
+     * Reload /db files written by other tabs, keeping this tab's
+     * hibernation snapshots.
+     * @private
+     */
+    _refreshDb() {
+        if (!this._dbStorage || typeof this._dbStorage.refresh !== 'function') {
+            return Promise.resolve();
+        }
+        const prefix = `${SNAPSHOT_DIR}/${this._tabId}_`;
+        return this._dbStorage.refresh(path => path.startsWith(prefix));
+    }
+
+    /**
+     * Ids of saved sessions whose lock another tab holds, for
+     * cleanupSessions(). Throws when another tab owns an IDBFS /db.
+     * @private
+     */
+    async _sessionsLockedElsewhere() {
+        const locked = new Set();
+        if (!this._locks) {
+            return locked;
+        }
+        if (this.dbBackend === 'idbfs') {
+            const name = this._sessionLockName(null);
+            const held = this._locks.holds(name);
+            if (!(await this._locks.acquire(name))) {
+                throw new Error('cleanupSessions failed: /db is owned by another tab');
+            }
+            if (!held) {
+                await this._refreshDb();
+                this._setSessionAccess(name, 'owner');
+            }
+            return locked;
+        }
+        const held = await this._locks.heldElsewhere();
+        for (const rec of await this._sessionManager.listSessions()) {
+            if (held.has(this._sessionLockName(rec.sessionId))) {
+                locked.add(rec.sessionId);
+            }
+        }
+        return locked;
+    }
+
+    /**
+     * Bytes of a saved source: the /db copy, else the open workbook's buffer.
+     * @private
+     */
+    _savedSourceBytes(fs, src, workbook) {
+        if (fs && src.file && fs.analyzePath(src.file).exists) {
+            return fs.readFile(src.file);
+        }
+        const live = workbook && workbook._sources.get(src.path);
+        if (!live) {
+            return null;
+        }
+        if (live.data) {
+            return live.data;
+        }
+        const path = live.snapshotPath || live.sessionFile;
+        return fs && path ? fs.readFile(path) : null;
+    }
+
+    /**
+     * /db files that belong to a saved session: its database and the
+     * saved sources listed in its workbook records.
+     * @private
+     */
+    _sessionFiles(fs, sessionId, records) {
+        const files = new Set([sessionDbPath(sessionId)]);
+        for (const record of records) {
+            if (record.dbPath) {
+                files.add(record.dbPath);
+            }
+            const saved = record.datasetsMeta || {};
+            for (const src of saved.sources || []) {
+                if (src.file) {
+                    files.add(src.file);
+                }
+            }
+        }
+        return Array.from(files).filter(file => fs.analyzePath(file).exists);
+    }
+
+    /**
+     * Every /db file written for sessions (session databases and saved
+     * sources, whether or not a session still refers to them) and every
+     * hibernation snapshot except those of other live tabs. Without
+     * coordinateTabs it is unknown which tabs are alive, so only this
+     * tab's snapshots are included.
+     * @private
+     */
+    async _orphanCandidates(fs) {
+        const files = listFsFiles(fs, SNAPSHOT_ROOT)
+            .filter(file => /^session_.+\.db$/.test(file.slice(SNAPSHOT_ROOT.length + 1)));
+        for (const dir of listFsDirs(fs, SESSION_SOURCE_DIR)) {
+            files.push(...listFsFiles(fs, dir));
+        }
+        const liveTabs = this._locks ? await this._locks.heldElsewhere() : null;
+        for (const file of listFsFiles(fs, SNAPSHOT_DIR)) {
+            // Snapshot names are `${tabId}_src${n}`.
+            const name = file.slice(SNAPSHOT_DIR.length + 1);
+            const tabId = name.slice(0, name.indexOf('_'));
+            if (tabId === this._tabId || (liveTabs && !liveTabs.has(this._tabLockName(tabId)))) {
+                files.push(file);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Web Locks name held by a live tab (see the constructor).
+     * @private
+     */
+    _tabLockName(tabId) {
+        return this._locks.constructor.lockName(`tab:${tabId}`);
+    }
+
+    /**
+     * Add a finished query to the workbook's history. Only session
+     * workbooks keep a history; failures are logged, never thrown.
+     * @private
+     */
+    _recordQuery(workbook, sql, started, rowCount, error) {
+        const session = workbook._session;
+        if (!session || !this._canWriteSession(session.sessionId)) {
+            return;
+        }
+        this._sessionManager.addQueryHistory({
+            workbookId: session.workbookId,
+            sessionId: session.sessionId,
+            sql,
+            startedAt: new Date(started).toISOString(),
+            durationMs: Date.now() - started,
+            rowCount: error ? null : rowCount,
+            error: error ? String(error.message || error) : null
+        }).catch(e => {
+            if (console && console.warn) {
+                console.warn('Failed to record query history', e);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _querySession(workbook, opName) {
+        workbook._checkClosed();
+        if (!workbook._session) {
+            throw new Error(`${opName} requires a session workbook (opened with openFileAsync or restoreSession)`);
+        }
+        return workbook._session;
+    }
+
+    /**
+     * @private
+     */
+    async _saveQuery(workbook, name, sql) {
+        const session = this._querySession(workbook, 'saveQuery');
+        this._checkSessionWritable(session.sessionId, 'saveQuery');
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('saveQuery failed: name must be a non-empty string');
+        }
+        if (typeof sql !== 'string' || !sql.trim()) {
+            throw new Error('saveQuery failed: sql must be a non-empty string');
+        }
+        const rec = await this._sessionManager.saveQuery(session.workbookId, session.sessionId, name, sql);
+        return savedQueryInfo(rec);
+    }
+
+    /**
+     * @private
+     */
+    async _loadSavedQuery(workbook, name) {
+        const session = this._querySession(workbook, 'runSavedQuery');
+        const rec = await this._sessionManager.loadSavedQuery(session.workbookId, name);
+        if (!rec) {
+            throw new Error(`Saved query not found: ${name}`);
+        }
+        return savedQueryInfo(rec);
+    }
+
+    /**
+     * @private
+     */
+    async _listSavedQueries(workbook, options = {}) {
+        const session = this._querySession(workbook, 'listSavedQueries');
+        const recs = await this._sessionManager.listSavedQueries(session.workbookId, { search: options.search });
+        return recs.map(savedQueryInfo);
+    }
+
+    /**
+     * @private
+     */
+    async _deleteSavedQuery(workbook, name) {
+        const session = this._querySession(workbook, 'deleteSavedQuery');
+        this._checkSessionWritable(session.sessionId, 'deleteSavedQuery');
+        return await this._sessionManager.deleteSavedQuery(session.workbookId, name);
+    }
+
+    /**
+     * @private
+     */
+    async _getQueryHistory(workbook, options = {}) {
+        const session = this._querySession(workbook, 'getQueryHistory');
+        const recs = await this._sessionManager.listQueryHistory(session.workbookId, { limit: options.limit });
+        return recs.map(rec => ({
+            sql: rec.sql,
+            startedAt: rec.startedAt,
+            durationMs: rec.durationMs,
+            rowCount: rec.rowCount,
+            error: rec.error
+        }));
+    }
+
+    /**
+     * @private
+     */
+    async _clearQueryHistory(workbook) {
+        const session = this._querySession(workbook, 'clearQueryHistory');
+        this._checkSessionWritable(session.sessionId, 'clearQueryHistory');
+        await this._sessionManager.clearQueryHistory(session.workbookId);
+    }
+
+    /**
+     * Reopen one saved workbook for restoreSession(); missing sources and
+     * failed attaches/renames are added to `result`.
+     * @private
+     */
+    async _restoreWorkbook(record, result) {
+        const saved = record.datasetsMeta || {};
+        const fs = this._snapshotFs();
+        const sources = (Array.isArray(saved.sources) ? saved.sources : []).map(src => {
+            let data = null;
+            if (fs && src.file) {
+                try {
+                    data = fs.readFile(src.file);
+                } catch (e) {
+                    // reported as missing below
+                }
+            }
+            if (!data) {
+                result.missing.push({
+                    workbookId: record.workbookId,
+                    path: src.path,
+                    reason: !src.file ? 'source bytes were not saved'
+                        : !fs ? `${SNAPSHOT_ROOT} is not mounted`
+                            : record.dbBackend && record.dbBackend !== this.dbBackend
+                                ? `${src.file} not found (saved in ${record.dbBackend}, /db now uses ${this.dbBackend})`
+                                : `${src.file} not found`
+                });
+            }
+            return { ...src, data };
+        });
+        if (sources.length === 0) {
+            result.missing.push({
+                workbookId: record.workbookId,
+                path: saved.fileName,
+                reason: 'source bytes were not saved'
+            });
+            return null;
+        }
+
+        const [base, ...attached] = sources;
+        if (!base.data) {
+            return null;
+        }
+        const workbook = await this.openFile(base.data, base.path, {
+            format: base.format,
+            delimiter: base.delimiter,
+            hasHeaderRow: base.hasHeaderRow
+        });
+        if (workbook instanceof JsWorkbookWrapper) {
+            workbook._sources.set(base.path, { fileName: base.path, data: base.data, format: base.format });
+        }
+        for (const src of attached) {
+            if (!src.data) continue;
+            try {
+                await workbook.attachFile(src.data, {
+                    fileName: src.path,
+                    format: src.format,
+                    delimiter: src.delimiter,
+                    hasHeaderRow: src.hasHeaderRow
+                });
+            } catch (e) {
+                result.errors.push(`${record.workbookId}: ${e.message || e}`);
+            }
+        }
+        for (const r of saved.renames || []) {
+            try {
+                await workbook.renameDataset(r.from, r.to);
+            } catch (e) {
+                result.errors.push(
+                    `${record.workbookId}: rename "${r.from}" -> "${r.to}" failed: ${e.message || e}`
+                );
+            }
+        }
+
+        // Restored sources keep their files, so later saves do not rewrite them.
+        const session = newWorkbookSession(record.sessionId, workbook.fileName, record.options, record.workbookId);
+        for (const src of sources) {
+            const recorded = workbook._sources.get(src.path);
+            if (recorded && src.data) {
+                recorded.sessionFile = src.file;
+                if (workbook instanceof Workbook) {
+                    workbook._dropSourceCopy(recorded);
+                }
+                session.files.add(src.file);
+            }
+        }
+        workbook._session = session;
+        return workbook;
+    }
+
+    /**
+     * Allocate a UTF-8 string in WASM memory
+     * @private
+     */
+    _allocateString(str) {
+        const encoded = new TextEncoder().encode(str + '\0');
+        const ptr = this._module._malloc(encoded.length);
+        const heap = new Uint8Array(this._module.HEAPU8.buffer, ptr, encoded.length);
+        heap.set(encoded);
+        return ptr;
+    }
+
+    /**
+     * Clean up all resources
+     */
+    destroy() {
+        for (const [handleId, workbook] of this._handles) {
+            if (workbook instanceof Workbook) {
+                workbook._discardSourceCopies();
+            }
+            this.closeFile(handleId);
+        }
+        for (const workbook of this._hibernatedWorkbooks) {
+            workbook.close();
+        }
+        if (this._unwatchSessions) {
+            this._unwatchSessions();
+            this._unwatchSessions = null;
+            this._sessionManager.close();
+        }
+        if (this._locks) {
+            this._locks.releaseAll();
+        }
+        if (this._dbStorage && typeof this._dbStorage.close === 'function') {
+            // Lets other tabs open the OPFS files this tab held.
+            this._dbStorage.close();
+        }
+        this._initialized = false;
+    }
+}
+
+/**
+ * Workbook class - represents an opened file
+ */
+class Workbook {
+    constructor(loader, handleId, fileName) {
+        this._loader = loader;
+        this._handleId = handleId;
+        this._fileName = fileName;
+        this._state = 'active';
+        this._sources = new Map(); // path -> { fileName, data, format, delimiter, hasHeaderRow, snapshotPath, sessionFile }
+        this._renames = [];
+        this._session = null; // set by openFileAsync/restoreSession
+    }
+
+    /**
+     * Get the file name
+     */
+    get fileName() {
+        return this._fileName;
+    }
+
+    /**
+     * Get the handle ID
+     */
+    get handleId() {
+        return this._handleId;
+    }
+
+    /**
+     * Check if workbook is closed
+     */
+    get isClosed() {
+        return this._state === 'closed';
+    }
+
+    /**
+     * Lifecycle state: 'active', 'hibernated' (evicted; reopened on the next
+     * call) or 'closed'
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Whether the workbook is protected from LRU eviction
+     */
+    get isPinned() {
+        const entry = this._loader._activeWorkbooks.find(e => e.handleId === this._handleId);
+        return !!(entry && entry.pinned);
+    }
+
+    /**
+     * Protect the workbook from LRU eviction; it still counts toward the
+     * memory budget
+     * @returns {void}
+     */
+    pin() {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._setPinned(this._handleId, true);
+        });
+    }
+
+    /**
+     * Make the workbook evictable again (the budget is re-applied)
+     */
+    unpin() {
+        this._checkClosed();
+        this._loader._setPinned(this._handleId, false);
+    }
+
+    /**
+     * List all datasets (sheets/tables) in the workbook
+     * @returns {Object} - JSON object with datasets info
+     */
+    listDatasets() {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const ptr = this._loader._module._ff_listDatasets(this._handleId);
+            const json = this._loader._module.UTF8ToString(ptr);
+            const obj = JSON.parse(json || '{}');
+            if (!obj || Object.keys(obj).length === 0) {
+                const err = this._loader.getLastError();
+                if (err) {
+                    throw new Error(`listDatasets failed: ${err}`);
+                }
+            }
+            return obj;
+        });
+    }
+
+    /**
+     * Describe a specific dataset
+     * @param {string} name - Dataset name
+     * @returns {Object} - JSON object with dataset description
+     */
+    describeDataset(name) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const namePtr = this._loader._allocateString(name);
+            const ptr = this._loader._module._ff_describeDataset(this._handleId, namePtr);
+            this._loader._module._free(namePtr);
+            const json = this._loader._module.UTF8ToString(ptr);
+            const obj = JSON.parse(json || '{}');
+            if (!obj || Object.keys(obj).length === 0) {
+                const err = this._loader.getLastError();
+                if (err) {
+                    throw new Error(`describeDataset failed: ${err}`);
+                }
+            }
+            return obj;
+        });
+    }
+
+    /**
+     * Execute a SQL query on the workbook
+     * @param {string} sql - SQL query string
+     * @param {Array|Object} [params] - Values for ? / :name placeholders
+     * @param {Object} [options] - { coerce: true | { dates, bigints, booleans } }
+     * @returns {QueryResult} - Query result object
+     */
+    query(sql, params, options = {}) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            const boundSql = bindSqlParams(sql, params, 'sqlite');
+            return recordedQuery(this, boundSql, () => this._runQuery(boundSql, options));
+        });
+    }
+
+    /**
+     * Run a bound SQL statement without recording it in the query history
+     * @private
+     */
+    _runQuery(boundSql, options = {}) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const sqlPtr = this._loader._allocateString(boundSql);
+        const ptr = this._loader._module._ff_query(this._handleId, sqlPtr);
+        this._loader._module._free(sqlPtr);
+        const json = this._loader._module.UTF8ToString(ptr);
+        const coerce = normalizeCoerceOptions(options.coerce);
+        const obj = coerce && coerce.bigints
+            ? parseJsonWithBigInts(json || '{}')
+            : JSON.parse(json || '{}');
+        if (!obj || Object.keys(obj).length === 0) {
+            const err = this._loader.getLastError();
+            if (err) {
+                throw new Error(`query failed: ${err}`);
+            }
+        }
+        return new QueryResult(obj, { coerce });
+    }
+
+    /**
+     * Save (or overwrite) a named query for this workbook. Saved queries
+     * and the query history live in the session store, so they are
+     * available only for workbooks opened with openFileAsync() or
+     * restored with restoreSession().
+     * @param {string} name - Query name, unique per workbook
+     * @param {string} sql - SQL text; ? / :name placeholders are kept as is
+     * @returns {Promise<Object>} - { name, sql, createdAt, updatedAt }
+     */
+    async saveQuery(name, sql) {
+        return await this._loader._saveQuery(this, name, sql);
+    }
+
+    /**
+     * Saved queries of this workbook, sorted by name
+     * @param {Object} options - Optional settings
+     * @param {string} options.search - Case-insensitive filter on name and SQL
+     * @returns {Promise<Array<Object>>} - [{ name, sql, createdAt, updatedAt }]
+     */
+    async listSavedQueries(options = {}) {
+        return await this._loader._listSavedQueries(this, options);
+    }
+
+    /**
+     * Run a saved query; it is recorded in the history like query()
+     * @param {string} name - Saved query name
+     * @param {Array|Object} params - Values for ? / :name placeholders
+     * @param {Object} options - As for query()
+     * @returns {Promise<QueryResult>}
+     */
+    async runSavedQuery(name, params, options = {}) {
+        const saved = await this._loader._loadSavedQuery(this, name);
+        return await this.query(saved.sql, params, options);
+    }
+
+    /**
+     * Delete a saved query
+     * @param {string} name - Saved query name
+     * @returns {Promise<boolean>} - false if there was no such query
+     */
+    async deleteSavedQuery(name) {
+        return await this._loader._deleteSavedQuery(this, name);
+    }
+
+    /**
+     * Recent query runs of this workbook, newest first. query() and
+     * queryIterator() add one entry per call; at most `queryHistoryLimit`
+     * entries (loader option, default 200) are kept.
+     * @param {Object} options - Optional settings
+     * @param {number} options.limit - Maximum entries returned
+     * @returns {Promise<Array<Object>>} - [{ sql, startedAt, durationMs, rowCount, error }]
+     */
+    async getQueryHistory(options = {}) {
+        return await this._loader._getQueryHistory(this, options);
+    }
+
+    /**
+     * Remove all query history entries of this workbook
+     * @returns {Promise<void>}
+     */
+    async clearQueryHistory() {
+        await this._loader._clearQueryHistory(this);
+    }
+
+    /**
+     * Iterate over a query result in batches without materialising the whole
+     * result in JS memory. Each batch runs the query with LIMIT/OFFSET (add
+     * ORDER BY for a defined row order); the runtime view the engine
+     * creates for each batch is dropped once the next batch is requested
+     * or the loop ends (or exits early). If the workbook is hibernated and
+     * reopened between batches the iteration fails, because the rows
+     * already read cannot be matched in the reloaded data.
+     *
+     * @param {string} sql - SELECT statement
+     * @param {Object} options - Optional settings
+     * @param {number} options.batchSize - Rows per batch (default 2000)
+     * @param {Array|Object} options.params - Values for ? / :name placeholders
+     * @param {boolean|Object} options.coerce - Value coercion, as for query()
+     * @returns {AsyncGenerator<QueryResult>} - Non-empty row batches
+     */
+    async *queryIterator(sql, options = {}) {
+        const batchSize = checkBatchSize(options.batchSize ?? DEFAULT_BATCH_SIZE);
+        const baseSql = bindSqlParams(sql, options.params, 'sqlite');
+        const source = subquerySource(baseSql);
+        const started = Date.now();
+        let handleId = null;
+        let rowCount = 0;
+        let error = null;
+        let viewName = null;
+        try {
+            for (let offset = 0; ; offset += batchSize) {
+                const batch = await this._whenActive(() => {
+                    if (handleId !== null && handleId !== this._handleId) {
+                        throw new Error('queryIterator failed: the workbook was reopened after hibernation ' +
+                            `during the iteration (${rowCount} rows read); run the query again`);
+                    }
+                    handleId = this._handleId;
+                    return this._runQuery(buildPageSql(source, offset, batchSize), { coerce: options.coerce });
+                });
+                viewName = batch.viewName;
+                rowCount += batch.rowCount;
+                if (batch.rowCount > 0) {
+                    yield batch;
+                }
+                this._dropTempObject('VIEW', viewName);
+                viewName = null;
+                if (batch.rowCount < batchSize) {
+                    return;
+                }
+            }
+        } catch (e) {
+            error = e;
+            throw e;
+        } finally {
+            this._dropTempObject('VIEW', viewName);
+            // The whole iteration is one history entry.
+            this._loader._recordQuery(this, baseSql, started, rowCount, error);
+        }
+    }
+
+    /**
+     * Start a lazy frame over a dataset. Operations on it are compiled to a
+     * single SQL statement and run when collect() is called.
+     * @param {string} datasetName - Dataset (table) name
+     * @returns {LazyFrame}
+     */
+    frame(datasetName) {
+        this._checkClosed();
+        return new LazyFrame(this, quoteIdentifier(datasetName), 'sqlite');
+    }
+
+    /**
+     * Profile a dataset for data quality analysis
+     * @param {string} datasetName - Name of dataset to profile
+     * @returns {Object} - Profile results
+     */
+    profileDataset(datasetName) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const namePtr = this._loader._allocateString(datasetName);
+            const ptr = this._loader._module._ff_profileDataset(this._handleId, namePtr);
+            this._loader._module._free(namePtr);
+            const json = this._loader._module.UTF8ToString(ptr);
+            const obj = JSON.parse(json || '{}');
+            if (!obj || Object.keys(obj).length === 0) {
+                const err = this._loader.getLastError();
+                if (err) {
+                    throw new Error(`profileDataset failed: ${err}`);
+                }
+            }
+            return obj;
+        });
+    }
+
+    /**
+     * Evaluate data quality rules against a dataset
+     * @param {string} datasetName - Name of dataset
+     * @param {Array} rules - Array of quality rule objects
+     * @returns {Object} - Quality evaluation results
+     */
+    evaluateQualityRules(datasetName, rules) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const namePtr = this._loader._allocateString(datasetName);
+            const rulesJson = JSON.stringify(rules);
+            const rulesPtr = this._loader._allocateString(rulesJson);
+
+            const ptr = this._loader._module._ff_evaluateQualityRules(
+                this._handleId, namePtr, rulesPtr
+            );
+
+            this._loader._module._free(namePtr);
+            this._loader._module._free(rulesPtr);
+
+            const json = this._loader._module.UTF8ToString(ptr);
+            const obj = JSON.parse(json || '{}');
+            if (!obj || Object.keys(obj).length === 0) {
+                const err = this._loader.getLastError();
+                if (err) {
+                    throw new Error(`evaluateQualityRules failed: ${err}`);
+                }
+            }
+            return obj;
+        });
+    }
+
+    /**
+     * Attach another file to this workbook. The attached file's datasets
+     * become queryable alongside the existing ones (multi-file workbook).
+     * @param {File|Blob|Uint8Array|ArrayBuffer} fileOrBytes - File to attach
+     * @param {Object} options - Optional settings
+     * @param {string} options.fileName - Source name (defaults to File.name)
+     * @param {number|string} options.format - FileFormat enum or format string
+     * @param {string} options.delimiter - CSV/TSV delimiter character
+     * @param {boolean} options.hasHeaderRow - Whether first row is header
+     * @returns {Promise<Object>} - Updated dataset list ({ sheets: [...] })
+     */
+    async attachFile(fileOrBytes, options = {}) {
+        this._checkClosed();
+        const data = await readFileBytes(fileOrBytes);
+        const fileName = options.fileName || (fileOrBytes && fileOrBytes.name) || 'attached';
+        const format = mapFormatStringToEnum(options.format);
+        const delimiter = options.delimiter ?? ',';
+        const hasHeaderRow = options.hasHeaderRow ?? true;
+
+        // The workbook may have been closed or hibernated while the file was being read.
+        return this._whenActive(() => {
+            this._checkClosed();
+            const rc = this._loader._attachToHandle(
+                this._handleId, data, fileName, format, delimiter, hasHeaderRow
+            );
+            if (rc !== 0) {
+                const err = this._loader.getLastError();
+                throw new Error(`attachFile failed for "${fileName}": ${err || 'unknown error'}`);
+            }
+
+            this._recordSource(fileName, data, { format, delimiter, hasHeaderRow });
+            this._loader._persistWorkbook(this);
+            this._loader._growActiveWorkbook(this._handleId, data.length);
+            this._loader._enforceWorkbookLimits(this._handleId);
+            return this.listDatasets();
+        });
+    }
+
+    /**
+     * Register JS data as a dataset of this workbook so SQL can join it with
+     * file-backed datasets. The data is attached as an in-memory Parquet
+     * source (`memory:<name>` in listSources). Registering a name again
+     * replaces the previous in-memory dataset: the new data is attached
+     * under a free `memory:<name>#N` path first and swapped in only once it
+     * loaded, so a failed registration keeps the old dataset. File-backed
+     * datasets are never replaced.
+     * @param {string} name - Dataset name
+     * @param {DataFrame|QueryResult|Array<Object>|Object} data - Rows, or { columns, rows }
+     * @param {Object} options - Optional settings
+     * @param {Object} options.types - { column: 'number'|'integer'|'string'|'date'|'boolean' }
+     * @returns {Promise<Object>} - Updated dataset list ({ sheets: [...] })
+     */
+    async registerDataset(name, data, options = {}) {
+        this._checkClosed();
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('registerDataset requires a dataset name');
+        }
+        const { columns, rows } = registerTableData(data, options.types);
+        const bytes = getColumnarWriter().writeParquet(columns, rows, columnarOptions());
+
+        // Each call reopens the workbook if it was hibernated in between.
+        const existing = ((await this.listSources()).datasets || []).find(d => d.technicalName === name);
+        if (existing && !String(existing.sourceFilePath).startsWith(MEMORY_SOURCE_PREFIX)) {
+            throw new Error(`registerDataset failed: dataset "${name}" already exists and is not in-memory`);
+        }
+
+        // The old dataset (and a renamed in-memory dataset) keeps its source
+        // path, so pick a free one.
+        const usedPaths = new Set((await this.getSourcePaths()).paths || []);
+        let sourcePath = MEMORY_SOURCE_PREFIX + name;
+        for (let n = 2; usedPaths.has(sourcePath); n++) {
+            sourcePath = `${MEMORY_SOURCE_PREFIX}${name}#${n}`;
+        }
+
+        await this.attachFile(bytes, { fileName: sourcePath, format: FileFormat.Parquet });
+
+        const attached = ((await this.listSources()).datasets || []).filter(d => d.sourceFilePath === sourcePath);
+        if (attached.length === 0) {
+            await this.detachSource(sourcePath);
+            throw new Error(`registerDataset failed: no dataset was created for "${name}"`);
+        }
+        if (existing) {
+            await this.detachSource(existing.sourceFilePath);
+        }
+        if (attached[0].technicalName !== name) {
+            await this.renameDataset(attached[0].technicalName, name);
+        }
+        return await this.listDatasets();
+    }
+
+    /**
+     * Drop a dataset created by registerDataset
+     * @param {string} name - Dataset name
+     * @returns {void}
+     */
+    dropDataset(name) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            const dataset = (this.listSources().datasets || []).find(d => d.technicalName === name);
+            if (!dataset || !String(dataset.sourceFilePath).startsWith(MEMORY_SOURCE_PREFIX)) {
+                throw new Error(`dropDataset failed: "${name}" is not an in-memory dataset`);
+            }
+            this.detachSource(dataset.sourceFilePath);
+        });
+    }
+
+    /**
+     * Rename a dataset
+     * @param {string} oldName - Current dataset name
+     * @param {string} newName - New dataset name
+     * @returns {void}
+     */
+    renameDataset(oldName, newName) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const oldPtr = this._loader._allocateString(oldName);
+            const newPtr = this._loader._allocateString(newName);
+            const rc = this._loader._module._ff_renameDataset(this._handleId, oldPtr, newPtr);
+            this._loader._module._free(oldPtr);
+            this._loader._module._free(newPtr);
+            if (rc !== 0) {
+                const err = this._loader.getLastError();
+                throw new Error(`renameDataset failed: ${err || 'unknown error'}`);
+            }
+            this._loader._persistWorkbook(this);
+        });
+    }
+
+    /**
+     * Detach a source file and drop all datasets that came from it
+     * @param {string} sourcePath - Source file path/name as passed to open/attach
+     * @returns {void}
+     */
+    detachSource(sourcePath) {
+        return this._whenActive(() => {
+            this._checkClosed();
+            this._loader._touchHandle(this._handleId);
+            const pathPtr = this._loader._allocateString(sourcePath);
+            const rc = this._loader._module._ff_detachSource(this._handleId, pathPtr);
+            this._loader._module._free(pathPtr);
+            if (rc !== 0) {
+                const err = this._loader.getLastError();
+                throw new Error(`detachSource failed: ${err || 'unknown error'}`);
+            }
+            const src = this._sources.get(sourcePath);
+            if (src && this._dropSourceCopy(src)) {
+                this._loader.syncDb();
+            }
+            this._sources.delete(sourcePath);
+            this._loader._persistWorkbook(this);
+            this._loader._growActiveWorkbook(this._handleId, -((src && src.size) || 0));
+        });
+    }
+
+    /**
+     * List dataset sources
+     * @returns {Object} - { datasets: [{ technicalName, sourceFilePath, sourceObjectName }] }
+     */
+    listSources() {
+        return this._whenActive(() => this._callJson('listSources', '_ff_listDatasetSources'));
+    }
+
+    /**
+     * Get the paths of all files loaded into this workbook
+     * @returns {Object} - { paths: [...] }
+     */
+    getSourcePaths() {
+        return this._whenActive(() => this._callJson('getSourcePaths', '_ff_getWorkbookSourcePaths'));
+    }
+
+    /**
+     * Get approximate memory usage of the whole workbook
+     * @returns {Object} - { approxDbBytes, approxFileBufferBytes, approxTotalBytes, sources }
+     */
+    getMemoryStats() {
+        return this._whenActive(() => this._callJson('getMemoryStats', '_ff_getWorkbookMemoryStats'));
+    }
+
+    /**
+     * Get approximate memory usage per dataset
+     * @returns {Object} - { datasets: [{ technicalName, sourceFilePath, sourceObjectName, approxBytes }] }
+     */
+    listDatasetMemoryStats() {
+        return this._whenActive(() => this._callJson('listDatasetMemoryStats', '_ff_listDatasetMemoryStats'));
+    }
+
+    /**
+     * Export a project manifest (ADR 0019) describing this workbook
+     * @param {Object} options - Optional settings
+     * @param {string} options.projectName - Project name written to the manifest
+     * @returns {Object} - Manifest object accepted by openProjectFromManifest
+     */
+    exportManifest(options = {}) {
+        return this._whenActive(() => {
+            const manifest = this._engineManifest(options.projectName);
+            // In-memory datasets (registerDataset) have no file a manifest
+            // could point to: leave out their sources and renames.
+            const memoryNames = (this.listSources().datasets || [])
+                .filter(d => String(d.sourceFilePath).startsWith(MEMORY_SOURCE_PREFIX))
+                .map(d => d.technicalName);
+            if (Array.isArray(manifest.sources)) {
+                manifest.sources = manifest.sources.filter(
+                    src => !String(src && src.path).startsWith(MEMORY_SOURCE_PREFIX)
+                );
+            }
+            if (Array.isArray(manifest.renames)) {
+                const memoryRenames = new Set(liveRenames(manifest.renames, memoryNames));
+                manifest.renames = manifest.renames.filter(r => !memoryRenames.has(r));
+            }
+            return manifest;
+        });
+    }
+
+    /**
+     * The engine's project manifest, in-memory sources included
+     * @private
+     */
+    _engineManifest(projectName) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const namePtr = this._loader._allocateString(projectName || '');
+        const ptr = this._loader._module._ff_exportProjectManifest(this._handleId, namePtr);
+        this._loader._module._free(namePtr);
+        return this._parseJson('exportManifest', ptr);
+    }
+
+    /**
+     * Close the workbook and release resources (including the saved state
+     * of a hibernated workbook)
+     */
+    close() {
+        if (this._state === 'active') {
+            this._loader.closeFile(this._handleId);
+        }
+        if (this._state !== 'closed') {
+            this._discardSourceCopies();
+        }
+        this._state = 'closed';
+        this._sources.clear();
+    }
+
+    /**
+     * Remember a source's open options and where its bytes can be read back
+     * from to reopen the workbook after hibernation
+     * @private
+     */
+    _recordSource(fileName, data, options) {
+        const src = {
+            fileName,
+            size: data.length,
+            data: null,
+            format: options.format,
+            delimiter: options.delimiter,
+            hasHeaderRow: options.hasHeaderRow,
+            snapshotPath: null
+        };
+        this._sources.set(fileName, src);
+        this._keepSourceBytes(src, data);
+    }
+
+    /**
+     * Keep source bytes for _reopen() (if evicted workbooks hibernate) and
+     * for session files (if /db is mounted), in JS memory and reported as
+     * retainedBytes by getMemoryUsage(). _hibernate() moves them to /db.
+     * Sources saved for a session need no copy.
+     * @private
+     */
+    _keepSourceBytes(src, data) {
+        const loader = this._loader;
+        if (!src.sessionFile && (loader._hibernateOnEvict || loader._snapshotFs())) {
+            src.data = data;
+        }
+    }
+
+    /**
+     * Move a source's retained bytes to a file in /db/hibernated, if /db
+     * is mounted; on failure they stay in memory.
+     * @private
+     * @returns {boolean} - True if a /db file was written
+     */
+    _moveSourceToDb(src) {
+        const loader = this._loader;
+        const fs = loader._snapshotFs();
+        if (!fs || !src.data || src.sessionFile) {
+            return false;
+        }
+        try {
+            ensureFsDir(fs, SNAPSHOT_DIR);
+            const path = `${SNAPSHOT_DIR}/${loader._tabId}_src${loader._nextSnapshotId++}`;
+            fs.writeFile(path, src.data);
+            src.snapshotPath = path;
+            src.data = null;
+            return true;
+        } catch (e) {
+            if (console && console.warn) {
+                console.warn(`Cannot copy ${src.fileName} to ${SNAPSHOT_DIR}; keeping it in memory`, e);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Delete a source's /db copy and drop its retained bytes; best-effort.
+     * @private
+     * @returns {boolean} - True if a /db file was removed
+     */
+    _dropSourceCopy(src) {
+        src.data = null;
+        if (!src.snapshotPath) {
+            return false;
+        }
+        const path = src.snapshotPath;
+        src.snapshotPath = null;
+        try {
+            this._loader._module.FS.unlink(path);
+            return true;
+        } catch (e) {
+            return false; // already gone
+        }
+    }
+
+    /**
+     * Bytes of source copies held in JS memory
+     * @private
+     */
+    _retainedBytes() {
+        let bytes = 0;
+        for (const src of this._sources.values()) {
+            bytes += src.data ? src.data.length : 0;
+        }
+        return bytes;
+    }
+
+    /**
+     * Release the engine handle but keep what is needed to reopen the
+     * workbook: sources with their open options and the dataset renames.
+     * Sources are read back from their session files or /db copies; this
+     * is where retained bytes move to /db (if it is mounted).
+     * @private
+     */
+    _hibernate() {
+        if (this._sources.size === 0) {
+            throw new Error('hibernate failed: no sources recorded for this workbook');
+        }
+        for (const src of this._sources.values()) {
+            if (!src.data && !src.snapshotPath && !src.sessionFile) {
+                throw new Error(`hibernate failed: no copy of "${src.fileName}" was kept`);
+            }
+        }
+        const renames = this._currentRenames();
+        let moved = false;
+        for (const src of this._sources.values()) {
+            moved = this._moveSourceToDb(src) || moved;
+        }
+        if (moved) {
+            this._loader.syncDb();
+        }
+
+        this._renames = renames;
+        this._loader._module._ff_closeFile(this._handleId);
+        this._loader._forgetHandle(this._handleId);
+        this._loader._hibernatedWorkbooks.add(this);
+        this._state = 'hibernated';
+    }
+
+    /**
+     * Reopen a hibernated workbook under a new handle: open the first
+     * source, attach the rest and reapply renames. On failure the workbook
+     * stays hibernated.
+     * @private
+     */
+    _reopen() {
+        const loader = this._loader;
+        const module = loader._module;
+        const fs = module.FS;
+        const bytes = new Map(); // src -> bytes, only while reopening
+        for (const src of this._sources.values()) {
+            if (src.data) {
+                bytes.set(src, src.data);
+                continue;
+            }
+            const path = src.snapshotPath || src.sessionFile;
+            try {
+                bytes.set(src, fs.readFile(path));
+            } catch (e) {
+                throw new Error(`Failed to reopen workbook "${this._fileName}": cannot read ${path}`);
+            }
+        }
+
+        const [base, ...attached] = this._sources.values();
+        const handleId = loader._openHandle(
+            bytes.get(base), base.fileName, base.format, base.delimiter, base.hasHeaderRow
+        );
+        if (handleId === 0) {
+            throw new Error(`Failed to reopen workbook "${this._fileName}": ${loader.getLastError()}`);
+        }
+        try {
+            for (const src of attached) {
+                const rc = loader._attachToHandle(
+                    handleId, bytes.get(src), src.fileName, src.format, src.delimiter, src.hasHeaderRow
+                );
+                if (rc !== 0) {
+                    throw new Error(`attachFile failed for "${src.fileName}": ${loader.getLastError() || 'unknown error'}`);
+                }
+            }
+            for (const r of this._renames) {
+                const oldPtr = loader._allocateString(r.from);
+                const newPtr = loader._allocateString(r.to);
+                const rc = module._ff_renameDataset(handleId, oldPtr, newPtr);
+                module._free(oldPtr);
+                module._free(newPtr);
+                if (rc !== 0) {
+                    throw new Error(`renameDataset failed: ${loader.getLastError() || 'unknown error'}`);
+                }
+            }
+        } catch (e) {
+            module._ff_closeFile(handleId);
+            throw new Error(`Failed to reopen workbook "${this._fileName}": ${e.message}`);
+        }
+
+        loader._hibernatedWorkbooks.delete(this);
+        this._renames = [];
+        this._handleId = handleId;
+        this._state = 'active';
+        let size = 0;
+        for (const data of bytes.values()) {
+            size += data.length;
+        }
+        loader._trackWorkbook(this, size);
+    }
+
+    /**
+     * Renames needed to rebuild the current dataset names from the sources
+     * @private
+     */
+    _currentRenames() {
+        return liveRenames(
+            this._engineManifest().renames || [],
+            (this.listSources().datasets || []).map(d => d.technicalName)
+        );
+    }
+
+    /**
+     * Remove the /db copies and retained bytes of all sources; best-effort.
+     * @private
+     */
+    _discardSourceCopies() {
+        let removed = false;
+        for (const src of this._sources.values()) {
+            removed = this._dropSourceCopy(src) || removed;
+        }
+        if (removed) {
+            this._loader.syncDb();
+        }
+        this._loader._hibernatedWorkbooks.delete(this);
+    }
+
+    /**
+     * Run fn, reopening the workbook first if it is hibernated. Reopening is
+     * synchronous, so methods keep returning plain values.
+     * @private
+     */
+    _whenActive(fn) {
+        if (this._state === 'hibernated') {
+            this._reopen();
+        }
+        return fn();
+    }
+
+    /**
+     * Drop a runtime view created by ff_query or a queryIterator temp
+     * table; best-effort.
+     * @private
+     */
+    _dropTempObject(kind, name) {
+        if (!name || this._state !== 'active') {
+            return;
+        }
+        const quoted = quoteIdentifier(name);
+        const sqlPtr = this._loader._allocateString(`DROP ${kind} IF EXISTS ${quoted}`);
+        try {
+            this._loader._module._ff_query(this._handleId, sqlPtr);
+        } catch (e) {
+            // ignore; the view is released with the workbook anyway
+        } finally {
+            this._loader._module._free(sqlPtr);
+        }
+    }
+
+    /**
+     * Call a handle-only ff_* function returning a JSON string
+     * @private
+     */
+    _callJson(opName, fnName) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const ptr = this._loader._module[fnName](this._handleId);
+        return this._parseJson(opName, ptr);
+    }
+
+    /**
+     * @private
+     */
+    _parseJson(opName, ptr) {
+        const json = this._loader._module.UTF8ToString(ptr);
+        const obj = JSON.parse(json || '{}');
+        if (!obj || Object.keys(obj).length === 0) {
+            const err = this._loader.getLastError();
+            if (err) {
+                throw new Error(`${opName} failed: ${err}`);
+            }
+        }
+        return obj;
+    }
+
+    /**
+     * @private
+     */
+    _checkClosed() {
+        if (this._state === 'closed') {
+            throw new Error('Workbook is closed');
+        }
+    }
+}
+
+
+/**
+ * Renames still needed to reproduce the current dataset names, in order.
+ * Walking backwards from the live names drops renames of datasets that
+ * were detached later and keeps chained renames intact.
+ * @private
+ */
+function liveRenames(renames, liveNames) {
+    const needed = new Set(liveNames);
+    const kept = [];
+    for (let i = renames.length - 1; i >= 0; i--) {
+        const r = renames[i];
+        if (r && needed.has(r.to)) {
+            needed.delete(r.to);
+            needed.add(r.from);
+            kept.unshift(r);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Flush /db to IndexedDB; failures only cost persistence across reloads.
+ * @private
+ */
+function syncSnapshotFs(fs) {
+    if (typeof fs.syncfs !== 'function') {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        try {
+            fs.syncfs(false, err => {
+                if (err && console && console.warn) {
+                    console.warn('IDBFS sync (save) failed', err);
+                }
+                resolve();
+            });
+        } catch (e) {
+            // ignore; the files are still in memory
+            resolve();
+        }
+    });
+}
+
+/**
+ * JsWorkbookWrapper - Wrapper for JavaScript-based workbooks (Parquet, DuckDB)
+ * Provides the same interface as Workbook for consistency.
+ */
+class JsWorkbookWrapper {
+    constructor(loader, jsWorkbook, handleId, fileName) {
+        this._loader = loader;
+        this._jsWorkbook = jsWorkbook;
+        this._handleId = handleId;
+        this._fileName = fileName;
+        this._closed = false;
+        this._sources = new Map(); // the opened file, kept for session restore
+        this._session = null;
+    }
+
+    get fileName() {
+        return this._fileName;
+    }
+
+    get handleId() {
+        return this._handleId;
+    }
+
+    get isClosed() {
+        return this._closed;
+    }
+
+    /**
+     * Lifecycle state: 'active' or 'closed' (JS workbooks are closed on
+     * eviction rather than hibernated)
+     */
+    get state() {
+        return this._closed ? 'closed' : 'active';
+    }
+
+    /**
+     * Whether the workbook is protected from LRU eviction (see Workbook.pin)
+     */
+    get isPinned() {
+        const entry = this._loader._activeWorkbooks.find(e => e.handleId === this._handleId);
+        return !!(entry && entry.pinned);
+    }
+
+    pin() {
+        this._checkClosed();
+        this._loader._setPinned(this._handleId, true);
+    }
+
+    unpin() {
+        this._checkClosed();
+        this._loader._setPinned(this._handleId, false);
+    }
+
+    /**
+     * List all datasets
+     */
+    listDatasets() {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        return this._jsWorkbook.listDatasets();
+    }
+
+    /**
+     * Describe a dataset
+     */
+    describeDataset(name) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const result = this._jsWorkbook.describeDataset(name);
+        // Handle async result
+        if (result && typeof result.then === 'function') {
+            return result;
+        }
+        return result;
+    }
+
+    /**
+     * Execute a SQL query
+     * @param {string} sql - SQL query string
+     * @param {Array|Object} [params] - Values for ? / :name placeholders
+     * @param {Object} [options] - { coerce: true | { dates, bigints, booleans } }
+     */
+    query(sql, params, options = {}) {
+        this._checkClosed();
+        const boundSql = bindSqlParams(sql, params, 'duckdb');
+        return recordedQuery(this, boundSql, () => this._runQuery(boundSql, options));
+    }
+
+    /**
+     * @private
+     */
+    _runQuery(boundSql, options = {}) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const result = this._jsWorkbook.query(boundSql);
+        const coerce = options.coerce;
+        // Handle async result
+        if (result && typeof result.then === 'function') {
+            return result.then(data => new QueryResult(data, { coerce }));
+        }
+        return new QueryResult(result, { coerce });
+    }
+
+    /**
+     * Save (or overwrite) a named query; see Workbook.saveQuery()
+     */
+    async saveQuery(name, sql) {
+        return await this._loader._saveQuery(this, name, sql);
+    }
+
+    async listSavedQueries(options = {}) {
+        return await this._loader._listSavedQueries(this, options);
+    }
+
+    async runSavedQuery(name, params, options = {}) {
+        const saved = await this._loader._loadSavedQuery(this, name);
+        return await this.query(saved.sql, params, options);
+    }
+
+    async deleteSavedQuery(name) {
+        return await this._loader._deleteSavedQuery(this, name);
+    }
+
+    async getQueryHistory(options = {}) {
+        return await this._loader._getQueryHistory(this, options);
+    }
+
+    async clearQueryHistory() {
+        await this._loader._clearQueryHistory(this);
+    }
+
+    /**
+     * Iterate over a query result in batches (see Workbook.queryIterator).
+     * The query runs once into a temp table, which is read with
+     * LIMIT/OFFSET and dropped when the loop ends.
+     * @param {string} sql - SELECT statement
+     * @param {Object} options - { batchSize, params, coerce }
+     * @returns {AsyncGenerator<QueryResult>}
+     */
+    async *queryIterator(sql, options = {}) {
+        const batchSize = checkBatchSize(options.batchSize ?? DEFAULT_BATCH_SIZE);
+        const baseSql = bindSqlParams(sql, options.params, 'duckdb');
+        const started = Date.now();
+        const table = nextIteratorTable();
+        let created = false;
+        let rowCount = 0;
+        let error = null;
+        try {
+            await this._runQuery(buildMaterializeSql(baseSql, table));
+            created = true;
+            for (let offset = 0; ; offset += batchSize) {
+                const batch = await this._runQuery(buildPageSql(quoteIdentifier(table), offset, batchSize),
+                    { coerce: options.coerce });
+                rowCount += batch.rowCount;
+                if (batch.rowCount > 0) {
+                    yield batch;
+                }
+                if (batch.rowCount < batchSize) {
+                    return;
+                }
+            }
+        } catch (e) {
+            error = e;
+            throw e;
+        } finally {
+            if (created && !this.isClosed) {
+                try {
+                    await this._runQuery(`DROP TABLE IF EXISTS ${quoteIdentifier(table)}`);
+                } catch (e) {
+                    // ignore; the table is released with the workbook anyway
+                }
+            }
+            this._loader._recordQuery(this, baseSql, started, rowCount, error);
+        }
+    }
+
+    /**
+     * Start a lazy frame over a dataset (see Workbook.frame)
+     * @param {string} datasetName - Dataset (table) name
+     * @returns {LazyFrame}
+     */
+    frame(datasetName) {
+        this._checkClosed();
+        return new LazyFrame(this, quoteIdentifier(datasetName), 'duckdb');
+    }
+
+    /**
+     * Profile a dataset
+     */
+    profileDataset(datasetName) {
+        this._checkClosed();
+        this._loader._touchHandle(this._handleId);
+        const result = this._jsWorkbook.profileDataset(datasetName);
+        if (result && typeof result.then === 'function') {
+            return result;
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate quality rules (not supported for JS workbooks)
+     */
+    evaluateQualityRules(datasetName, rules) {
+        throw new Error('evaluateQualityRules not supported for this file format');
+    }
+
+    /**
+     * Attach a file (only if the JS handler supports it)
+     */
+    async attachFile(fileOrBytes, options = {}) {
+        this._checkClosed();
+        this._requireJsMethod('attachFile');
+        const data = await readFileBytes(fileOrBytes);
+        const fileName = options.fileName || (fileOrBytes && fileOrBytes.name) || 'attached';
+        await this._jsWorkbook.attachFile(data, fileName, options);
+        return this.listDatasets();
+    }
+
+    /**
+     * Register JS data as a dataset (only if the JS handler supports it);
+     * the handler receives { columns, rows } with values already converted
+     */
+    async registerDataset(name, data, options = {}) {
+        this._checkClosed();
+        this._requireJsMethod('registerDataset');
+        await this._jsWorkbook.registerDataset(name, registerTableData(data, options.types));
+        return this.listDatasets();
+    }
+
+    /**
+     * Drop a registered dataset (only if the JS handler supports it)
+     */
+    dropDataset(name) {
+        this._checkClosed();
+        this._requireJsMethod('dropDataset');
+        return this._jsWorkbook.dropDataset(name);
+    }
+
+    /**
+     * Rename a dataset (only if the JS handler supports it)
+     */
+    renameDataset(oldName, newName) {
+        this._checkClosed();
+        this._requireJsMethod('renameDataset');
+        return this._jsWorkbook.renameDataset(oldName, newName);
+    }
+
+    /**
+     * Detach a source (only if the JS handler supports it)
+     */
+    detachSource(sourcePath) {
+        this._checkClosed();
+        this._requireJsMethod('detachSource');
+        return this._jsWorkbook.detachSource(sourcePath);
+    }
+
+    /**
+     * List dataset sources. JS workbooks hold a single file, so every
+     * dataset maps back to it unless the handler reports otherwise.
+     */
+    listSources() {
+        this._checkClosed();
+        if (typeof this._jsWorkbook.listSources === 'function') {
+            return this._jsWorkbook.listSources();
+        }
+        return thenOrCall(this._jsWorkbook.listDatasets(), ds => ({
+            datasets: ((ds && ds.sheets) || []).map(s => ({
+                technicalName: s.name,
+                sourceFilePath: this._fileName,
+                sourceObjectName: s.name
+            }))
+        }));
+    }
+
+    /**
+     * Get the paths of all files loaded into this workbook
+     */
+    getSourcePaths() {
+        this._checkClosed();
+        if (typeof this._jsWorkbook.getSourcePaths === 'function') {
+            return this._jsWorkbook.getSourcePaths();
+        }
+        return { paths: [this._fileName] };
+    }
+
+    /**
+     * Get memory stats (only if the JS handler supports it)
+     */
+    getMemoryStats() {
+        this._checkClosed();
+        this._requireJsMethod('getMemoryStats');
+        return this._jsWorkbook.getMemoryStats();
+    }
+
+    /**
+     * Get per-dataset memory stats (only if the JS handler supports it)
+     */
+    listDatasetMemoryStats() {
+        this._checkClosed();
+        this._requireJsMethod('listDatasetMemoryStats');
+        return this._jsWorkbook.listDatasetMemoryStats();
+    }
+
+    /**
+     * Export a single-source project manifest for this workbook
+     */
+    exportManifest(options = {}) {
+        this._checkClosed();
+        const ext = this._fileName.toLowerCase().split('.').pop();
+        return {
+            schemaVersion: 1,
+            projectName: options.projectName || this._fileName.replace(/\.[^.]*$/, ''),
+            baseFile: this._fileName,
+            sources: [
+                { path: this._fileName, format: ext === 'duckdb' ? 'duckdb' : 'parquet' }
+            ],
+            renames: []
+        };
+    }
+
+    /**
+     * Close the workbook
+     */
+    close() {
+        if (!this._closed) {
+            const closeResult = this._jsWorkbook.close();
+            // Handle async close
+            if (closeResult && typeof closeResult.then === 'function') {
+                closeResult.catch(() => {}); // Ignore close errors
+            }
+            this._loader._forgetHandle(this._handleId);
+            this._closed = true;
+        }
+    }
+
+    _checkClosed() {
+        if (this._closed) {
+            throw new Error('Workbook is closed');
+        }
+    }
+
+    _requireJsMethod(name) {
+        if (typeof this._jsWorkbook[name] !== 'function') {
+            throw new Error(`${name} not supported for this file format`);
+        }
+    }
+}
+
+/**
+ * QueryResult class - represents SQL query results
+ */
+class QueryResult {
+    /**
+     * @param {Object} data - Core query JSON ({ columns, rows, meta })
+     * @param {Object} options - Optional settings
+     * @param {boolean|Object} options.coerce - Convert values using the
+     *   declared column types: true, or { dates, bigints, booleans }
+     */
+    constructor(data, options = {}) {
+        this._data = data || {};
+
+        // Normalise column representation: the core JSON uses an array of
+        // objects with a "name" property; accept either that or a string array.
+        const rawCols = this._data.columns || [];
+        this._columns = rawCols.map(c => {
+            if (typeof c === 'string') {
+                return c;
+            }
+            if (c && typeof c.name === 'string') {
+                return c.name;
+            }
+            return String(c ?? '');
+        });
+
+        // Keep the declared column metadata; extra properties reported by the
+        // engine are passed through unchanged.
+        this._schema = rawCols.map((c, i) => {
+            const meta = c && typeof c === 'object' ? c : {};
+            return {
+                ...meta,
+                name: this._columns[i],
+                type: typeof meta.type === 'string' && meta.type ? meta.type : null,
+                nullable: meta.nullable !== false
+            };
+        });
+
+        this._rawRows = this._data.rows || [];
+        this._coerce = normalizeCoerceOptions(options.coerce);
+        this._rows = this._rawRows;
+        if (this._coerce) {
+            const coercers = buildColumnCoercers(this._schema, this._rawRows, this._coerce);
+            if (coercers.some(Boolean)) {
+                this._rows = this._rawRows.map(row => row.map((v, i) =>
+                    v === null || v === undefined || !coercers[i] ? v : coercers[i](v)));
+            }
+        }
+
+        // Runtime view name is exposed via meta.runtimeViewName (ADR 0005).
+        if (this._data.meta && typeof this._data.meta.runtimeViewName === 'string') {
+            this._viewName = this._data.meta.runtimeViewName;
+        } else {
+            this._viewName = null;
+        }
+    }
+
+    /**
+     * Get column names
+     */
+    get columns() {
+        return this._columns;
+    }
+
+    /**
+     * Get column metadata: [{ name, type, nullable }, ...]. `type` is the
+     * declared type reported by the engine, or null when unknown.
+     */
+    get schema() {
+        return this._schema.map(col => ({ ...col }));
+    }
+
+    /**
+     * Get row data as array of arrays (coerced when coercion is enabled)
+     */
+    get rows() {
+        return this._rows;
+    }
+
+    /**
+     * Get row data exactly as returned by the engine
+     */
+    get rawRows() {
+        return this._rawRows;
+    }
+
+    /**
+     * Return a copy of this result with value coercion applied
+     * @param {boolean|Object} options - true, or { dates, bigints, booleans }
+     * @returns {QueryResult}
+     */
+    coerce(options = true) {
+        return new QueryResult(this._data, { coerce: options });
+    }
+
+    /**
+     * Get the runtime view name (for chained queries)
+     */
+    get viewName() {
+        return this._viewName;
+    }
+
+    /**
+     * Get row count
+     */
+    get rowCount() {
+        return this._rows.length;
+    }
+
+    /**
+     * Get column count
+     */
+    get columnCount() {
+        return this._columns.length;
+    }
+
+    /**
+     * Convert to array of objects
+     * @returns {Array<Object>} - Array of row objects
+     */
+    toObjects() {
+        return this._rows.map(row => {
+            const obj = {};
+            this._columns.forEach((col, i) => {
+                obj[col] = row[i];
+            });
+            return obj;
+        });
+    }
+
+    /**
+     * Get a single column as array
+     * @param {string|number} column - Column name or index
+     * @returns {Array} - Column values
+     */
+    getColumn(column) {
+        let idx;
+        if (typeof column === 'string') {
+            idx = this._columns.indexOf(column);
+            if (idx === -1) {
+                throw new Error(`Column not found: ${column}`);
+            }
+        } else {
+            idx = column;
+        }
+        return this._rows.map(row => row[idx]);
+    }
+
+    /**
+     * Convert to CSV string
+     * @returns {string} - CSV formatted string
+     */
+    toCsv() {
+        const escape = (val) => {
+            if (val === null || val === undefined) return '';
+            const str = val instanceof Date ? val.toISOString() : String(val);
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        };
+
+        const header = this._columns.map(escape).join(',');
+        const rows = this._rows.map(row => row.map(escape).join(','));
+        return [header, ...rows].join('\n');
+    }
+
+    /**
+     * Convert to JSON string
+     * @returns {string} - JSON formatted string
+     */
+    toJson() {
+        return JSON.stringify({
+            columns: this._columns,
+            rows: this._rows,
+            viewName: this._viewName
+        }, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+    }
+
+    /**
+     * Convert to an XLSX workbook. Numbers, booleans and Date values keep
+     * their cell types; the first row holds the column names.
+     * @param {Object} options - { sheetName, sheets: { name: DataFrame|QueryResult } }
+     *   When `sheets` is given it defines every sheet (in order) and this
+     *   result is only written if it is listed there.
+     * @returns {Uint8Array} - XLSX file bytes
+     */
+    toXlsx(options = {}) {
+        return tablesToXlsx(this, options);
+    }
+
+    /**
+     * Convert to Apache Arrow IPC. Column types follow the declared types in
+     * the query metadata when the values fit them, otherwise they are
+     * inferred (int64, float64, bool, timestamp, utf8, binary).
+     * @param {Object} options - { format: 'stream' (default) | 'file' }
+     * @returns {Uint8Array} - Arrow IPC bytes
+     */
+    toArrowIPC(options = {}) {
+        const { columns, rows } = tableData(this);
+        return getColumnarWriter().writeArrowIPC(columns, rows, columnarOptions(options));
+    }
+
+    /**
+     * Convert to an Apache Parquet file (single row group, uncompressed).
+     * Column types are chosen as in toArrowIPC.
+     * @returns {Uint8Array} - Parquet file bytes
+     */
+    toParquet(options = {}) {
+        const { columns, rows } = tableData(this);
+        return getColumnarWriter().writeParquet(columns, rows, columnarOptions(options));
+    }
+}
+
+/**
+ * Hash key for the values of `row` at `indices`, or null when any of them
+ * is null/undefined (unless `nullsEqual`, which makes nulls one key). Values of different types never collide (1 vs '1'),
+ * while numbers and safe BigInts with the same value do; Dates compare by
+ * timestamp.
+ * @private
+ */
+function rowKey(row, indices, nullsEqual = false) {
+    let key = '';
+    for (const i of indices) {
+        const v = row[i];
+        if (v === null || v === undefined) {
+            if (!nullsEqual) {
+                return null;
+            }
+            key += 'z';
+        } else if (typeof v === 'number') {
+            key += 'n' + v;
+        } else if (typeof v === 'bigint') {
+            key += Number.isSafeInteger(Number(v)) ? 'n' + Number(v) : 'b' + v;
+        } else if (typeof v === 'string') {
+            key += 's' + JSON.stringify(v);
+        } else if (typeof v === 'boolean') {
+            key += 'l' + v;
+        } else if (v instanceof Date) {
+            key += 'd' + v.getTime();
+        } else {
+            key += 'o' + JSON.stringify(v);
+        }
+        key += '\u0000';
+    }
+    return key;
+}
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'outer', 'semi', 'anti'];
+
+/**
+ * Sample (or population with ddof: 0) variance of numeric values.
+ * @private
+ */
+function variance(values, ddof) {
+    const n = values.length;
+    if (n - ddof <= 0) return null;
+    let mean = 0;
+    for (const v of values) mean += Number(v);
+    mean /= n;
+    let sq = 0;
+    for (const v of values) sq += (Number(v) - mean) ** 2;
+    return sq / (n - ddof);
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ * (same as PERCENTILE_CONT / pandas quantile).
+ * @private
+ */
+function percentile(values, q) {
+    if (values.length === 0) return null;
+    const sorted = values.map(Number).sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * a + b for sums over columns that may hold BigInts (query coerce
+ * `bigints`): exact for integers, BigInt only while outside the safe range.
+ * @private
+ */
+function addValues(a, b) {
+    if (typeof a !== 'bigint' && typeof b !== 'bigint') {
+        return a + b;
+    }
+    if (!Number.isInteger(Number(a)) || !Number.isInteger(Number(b))) {
+        return Number(a) + Number(b);
+    }
+    const total = BigInt(a) + BigInt(b);
+    return Number.isSafeInteger(Number(total)) ? Number(total) : total;
+}
+
+/**
+ * Aggregations available to groupBy and pivot. Each receives the non-null
+ * values of a group and the aggregation spec (for parameters such as q).
+ * Min/max loop instead of spreading into Math.min so large groups do not
+ * exceed the call stack.
+ * @private
+ */
+const AGGREGATIONS = {
+    count: values => values.length,
+    sum: values => values.reduce(addValues, 0),
+    avg: values => (values.length ? Number(values.reduce(addValues, 0)) / values.length : null),
+    mean: values => AGGREGATIONS.avg(values),
+    min: values => values.reduce((m, v) => (m === null || v < m ? v : m), null),
+    max: values => values.reduce((m, v) => (m === null || v > m ? v : m), null),
+    median: values => percentile(values, 0.5),
+    var: (values, spec) => variance(values, spec.ddof ?? 1),
+    std: (values, spec) => {
+        const v = variance(values, spec.ddof ?? 1);
+        return v === null ? null : Math.sqrt(v);
+    },
+    nunique: values => new Set(values.map(v => rowKey([v], [0]))).size,
+    first: values => (values.length ? values[0] : null),
+    last: values => (values.length ? values[values.length - 1] : null),
+    percentile: (values, spec) => {
+        if (typeof spec.q !== 'number' || !(spec.q >= 0 && spec.q <= 1)) {
+            throw new Error('percentile aggregation requires "q" between 0 and 1');
+        }
+        return percentile(values, spec.q);
+    },
+    string_agg: (values, spec) => values
+        .map(v => (v instanceof Date ? v.toISOString() : String(v)))
+        .join(spec.separator ?? ',')
+};
+
+/**
+ * Expand groupBy aggregation specs (shorthand object or spec list) into
+ * { column, agg, name, spec } entries, validating names and parameters.
+ * @private
+ */
+function normalizeAggSpecs(aggs) {
+    const specs = Array.isArray(aggs)
+        ? aggs
+        : Object.entries(aggs || {}).flatMap(([column, funcs]) =>
+            (Array.isArray(funcs) ? funcs : [funcs]).map(agg => ({ column, agg })));
+
+    return specs.map(spec => {
+        if (!spec || spec.agg === undefined) {
+            throw new Error('groupBy: every aggregation spec needs an "agg"');
+        }
+        const isFn = typeof spec.agg === 'function';
+        const aggName = isFn ? (spec.agg.name || 'custom') : spec.agg;
+        if (!isFn) {
+            aggregateValues(spec.agg, [], spec); // validate name and parameters
+        }
+        if (spec.column === undefined && spec.agg !== 'count') {
+            throw new Error(`groupBy: aggregation "${aggName}" requires a column`);
+        }
+        let name = spec.as;
+        if (name === undefined) {
+            const suffix = spec.agg === 'percentile' ? `p${+(spec.q * 100).toFixed(6)}` : aggName;
+            name = spec.column === undefined ? suffix : `${spec.column}_${suffix}`;
+        }
+        return { column: spec.column, agg: spec.agg, name, spec };
+    });
+}
+
+/**
+ * Apply an aggregation (name or reducer function) to the non-null values
+ * of one group.
+ * @private
+ */
+function aggregateValues(func, values, spec = {}) {
+    if (typeof func === 'function') {
+        return func(values);
+    }
+    if (!Object.prototype.hasOwnProperty.call(AGGREGATIONS, func)) {
+        throw new Error(`Unknown aggregation: ${func}`);
+    }
+    return AGGREGATIONS[func](values, spec);
+}
+
+/**
+ * Header label for a pivoted value.
+ * @private
+ */
+function pivotLabel(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Decimal number text as CSV sources hold it ("30", "-1.5e3").
+const NUMERIC_TEXT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Numeric value of a describe() input: numbers, BigInts and decimal
+ * number text, so text columns of numbers (CSV) count as numeric like in
+ * profileDataset. undefined for anything else.
+ * @private
+ */
+function describeNumber(value) {
+    if (typeof value === 'number' || typeof value === 'bigint') return Number(value);
+    if (typeof value === 'string' && NUMERIC_TEXT_PATTERN.test(value.trim())) return Number(value);
+    return undefined;
+}
+
+/**
+ * Missing value test shared by describe/dropna/fillna: null, undefined or NaN.
+ * @private
+ */
+function isMissing(value) {
+    return value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * Value converters for DataFrame.astype. Missing values stay null; values
+ * that cannot be converted throw.
+ * @private
+ */
+const CASTERS = {
+    number: v => {
+        if (typeof v === 'number') return v;
+        if (typeof v === 'bigint' || typeof v === 'boolean') return Number(v);
+        if (v instanceof Date) return v.getTime();
+        if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return Number(v);
+        return undefined;
+    },
+    integer: v => {
+        if (typeof v === 'bigint') return v;
+        const n = CASTERS.number(v);
+        return Number.isInteger(n) ? n : undefined;
+    },
+    string: v => (v instanceof Date ? v.toISOString() : String(v)),
+    date: v => {
+        if (v instanceof Date) return v;
+        if (typeof v === 'number' && Number.isFinite(v)) return excelSerialToDate(v);
+        if (typeof v === 'string') {
+            const iso = isoStringToDate(v);
+            if (iso) return iso;
+            const ms = Date.parse(v);
+            return isNaN(ms) ? undefined : new Date(ms);
+        }
+        return undefined;
+    },
+    boolean: v => {
+        if (typeof v === 'boolean') return v;
+        if (typeof v === 'number' || typeof v === 'bigint') return Number(v) !== 0;
+        if (typeof v === 'string') {
+            const s = v.trim().toLowerCase();
+            if (s === 'true' || s === '1' || s === 'yes') return true;
+            if (s === 'false' || s === '0' || s === 'no') return false;
+        }
+        return undefined;
+    }
+};
+
+/**
+ * Order two values the way SQLite does: NULL first, then numbers (and
+ * Dates, by timestamp), then text, then anything else.
+ * @private
+ */
+function compareSqlValues(a, b) {
+    const rank = v => (isMissing(v) ? 0
+        : typeof v === 'number' || typeof v === 'bigint' || typeof v === 'boolean' || v instanceof Date ? 1
+        : typeof v === 'string' ? 2 : 3);
+    const ra = rank(a);
+    const rb = rank(b);
+    if (ra !== rb || ra === 0) return ra - rb;
+    if (ra === 1) {
+        const na = a instanceof Date ? a.getTime() : Number(a);
+        const nb = b instanceof Date ? b.getTime() : Number(b);
+        return na < nb ? -1 : na > nb ? 1 : 0;
+    }
+    const sa = ra === 2 ? a : JSON.stringify(a);
+    const sb = ra === 2 ? b : JSON.stringify(b);
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+/**
+ * Row indices of a frame grouped by `partitionBy` (in order of first
+ * appearance) and sorted within each partition by `orderBy` the way an SQL
+ * window is (stable; without orderBy the frame order is kept).
+ * @private
+ */
+function windowPartitions(frame, options = {}) {
+    const asList = v => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+    const indexOf = col => {
+        const idx = frame._columns.indexOf(col);
+        if (idx === -1) throw new Error(`Column not found: ${col}`);
+        return idx;
+    };
+    const partIdx = asList(options.partitionBy).map(indexOf);
+    const orderIdx = asList(options.orderBy).map(indexOf);
+    const direction = options.ascending === false ? -1 : 1;
+
+    const partitions = new Map();
+    frame._data.forEach((row, r) => {
+        const key = rowKey(row, partIdx, true);
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push(r);
+    });
+    const result = [...partitions.values()];
+    if (orderIdx.length > 0) {
+        for (const rows of result) {
+            rows.sort((x, y) => {
+                for (const i of orderIdx) {
+                    const cmp = compareSqlValues(frame._data[x][i], frame._data[y][i]);
+                    if (cmp !== 0) return cmp * direction;
+                }
+                return x - y;
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Result of a window aggregate over a frame with no non-null values, as
+ * SQL returns it (0 for counts, null otherwise); undefined when the frame
+ * has values.
+ * @private
+ */
+function emptyWindowValue(agg, values) {
+    if (values.length > 0) return undefined;
+    return agg === 'count' || agg === 'nunique' ? 0 : null;
+}
+
+/**
+ * DataFrame class - pandas-like interface for query results
+ */
+class DataFrame {
+    constructor(data, columns = null) {
+        if (data instanceof QueryResult) {
+            this._columns = [...data.columns];
+            this._data = data.rows.map(row => [...row]);
+        } else if (Array.isArray(data)) {
+            if (columns) {
+                this._columns = columns;
+                this._data = data;
+            } else if (data.length > 0 && typeof data[0] === 'object' && !Array.isArray(data[0])) {
+                // Array of objects
+                this._columns = Object.keys(data[0]);
+                this._data = data.map(obj => this._columns.map(col => obj[col]));
+            } else {
+                this._columns = [];
+                this._data = data;
+            }
+        } else {
+            this._columns = [];
+            this._data = [];
+        }
+    }
+
+    /**
+     * Get column names
      */
-    async openFileAsync(file, options = {}) {
-        let data;
-        let fileName;
+    get columns() {
+        return [...this._columns];
+    }
 
-        if (typeof File !== 'undefined' && file instanceof File) {
-            // Browser File API
-            fileName = file.name;
-            const arrayBuffer = await file.arrayBuffer();
-            data = new Uint8Array(arrayBuffer);
-        } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(file)) {
-            // Node.js Buffer
-            fileName = options.fileName || 'unknown';
-            data = new Uint8Array(file);
-        } else if (file instanceof Uint8Array) {
-            fileName = options.fileName || 'unknown';
-            data = file;
+    /**
+     * Get number of rows
+     */
+    get length() {
+        return this._data.length;
+    }
+
+    /**
+     * Get shape [rows, columns]
+     */
+    get shape() {
+        return [this._data.length, this._columns.length];
+    }
+
+    /**
+     * Get first n rows
+     * @param {number} n - Number of rows
+     * @returns {DataFrame}
+     */
+    head(n = 5) {
+        return new DataFrame(this._data.slice(0, n), this._columns);
+    }
+
+    /**
+     * Get last n rows
+     * @param {number} n - Number of rows
+     * @returns {DataFrame}
+     */
+    tail(n = 5) {
+        return new DataFrame(this._data.slice(-n), this._columns);
+    }
+
+    /**
+     * Select specific columns
+     * @param {Array<string>} columns - Column names
+     * @returns {DataFrame}
+     */
+    select(columns) {
+        const indices = columns.map(col => {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        });
+        const data = this._data.map(row => indices.map(i => row[i]));
+        return new DataFrame(data, columns);
+    }
+
+    /**
+     * Filter rows based on predicate
+     * @param {Function} predicate - Function that receives row object, returns boolean
+     * @returns {DataFrame}
+     */
+    filter(predicate) {
+        const filtered = [];
+        for (const row of this._data) {
+            const obj = {};
+            this._columns.forEach((col, i) => obj[col] = row[i]);
+            if (predicate(obj)) {
+                filtered.push(row);
+            }
+        }
+        return new DataFrame(filtered, this._columns);
+    }
+
+    /**
+     * Sort by column
+     * @param {string} column - Column name
+     * @param {boolean} ascending - Sort order
+     * @returns {DataFrame}
+     */
+    sortBy(column, ascending = true) {
+        const idx = this._columns.indexOf(column);
+        if (idx === -1) throw new Error(`Column not found: ${column}`);
+
+        const sorted = [...this._data].sort((a, b) => {
+            const va = a[idx], vb = b[idx];
+            if (va === vb) return 0;
+            if (va === null) return 1;
+            if (vb === null) return -1;
+            const cmp = va < vb ? -1 : 1;
+            return ascending ? cmp : -cmp;
+        });
+        return new DataFrame(sorted, this._columns);
+    }
+
+    /**
+     * Group by one or more columns and aggregate.
+     *
+     * `aggs` is either the shorthand object { column: 'sum' } (or an array of
+     * names per column) producing `<column>_<agg>` columns, or a list of
+     * specs { column, agg, as, ...params }:
+     *   - agg: 'count'|'sum'|'avg'|'mean'|'min'|'max'|'median'|'var'|'std'|
+     *     'nunique'|'first'|'last'|'percentile'|'string_agg', or a reducer
+     *     function receiving the group's non-null values
+     *   - as: output column name
+     *   - params: q (0..1) for percentile, separator for string_agg,
+     *     ddof (default 1) for var/std
+     * A 'count' spec without a column counts the rows of the group.
+     * Groups appear in order of first occurrence; null keys form a group.
+     *
+     * @param {string|Array<string>} keys - Column(s) to group by
+     * @param {Object|Array<Object>} aggs - Aggregation specs
+     * @returns {DataFrame}
+     */
+    groupBy(keys, aggs = {}) {
+        const keyCols = Array.isArray(keys) ? keys : [keys];
+        if (keyCols.length === 0) {
+            throw new Error('groupBy requires at least one key column');
+        }
+        const indexOf = col => {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        };
+        const keyIdx = keyCols.map(indexOf);
+
+        const aggSpecs = normalizeAggSpecs(aggs).map(a => ({
+            ...a,
+            idx: a.column === undefined ? -1 : indexOf(a.column)
+        }));
+
+        const groups = new Map(); // key -> { keyValues, rows }
+        for (const row of this._data) {
+            const key = rowKey(row, keyIdx, true);
+            let group = groups.get(key);
+            if (!group) {
+                group = { keyValues: keyIdx.map(i => row[i]), rows: [] };
+                groups.set(key, group);
+            }
+            group.rows.push(row);
+        }
+
+        const result = [];
+        for (const { keyValues, rows } of groups.values()) {
+            const newRow = [...keyValues];
+            for (const { idx, spec } of aggSpecs) {
+                if (idx === -1) {
+                    newRow.push(rows.length);
+                    continue;
+                }
+                const values = [];
+                for (const r of rows) {
+                    const v = r[idx];
+                    if (v !== null && v !== undefined) values.push(v);
+                }
+                newRow.push(aggregateValues(spec.agg, values, spec));
+            }
+            result.push(newRow);
+        }
+
+        return new DataFrame(result, [...keyCols, ...aggSpecs.map(a => a.name)]);
+    }
+
+    /**
+     * Join with another frame using a hash join.
+     *
+     * Rows whose key contains a null never match (SQL semantics): they are
+     * kept with nulls on the other side by left/right/outer joins, returned
+     * by 'anti' and dropped by 'inner' and 'semi'. Output order follows the
+     * left frame (the right frame for 'right'); an outer join appends
+     * unmatched right rows at the end in their original order.
+     *
+     * @param {DataFrame|QueryResult|Array<Object>} other - Right-hand frame
+     * @param {Object} options - Join settings
+     * @param {string|Array<string>} options.on - Key column(s) present in both frames
+     * @param {string|Array<string>} options.leftOn - Key column(s) of this frame
+     * @param {string|Array<string>} options.rightOn - Key column(s) of `other`
+     * @param {string} options.how - 'inner' (default), 'left', 'right', 'outer', 'semi' or 'anti'
+     * @param {Array<string>} options.suffixes - Suffixes for overlapping column names (default ['_x', '_y'])
+     * @returns {DataFrame}
+     */
+    join(other, options = {}) {
+        const right = other instanceof DataFrame ? other : new DataFrame(other);
+        const how = options.how || 'inner';
+        if (!JOIN_TYPES.includes(how)) {
+            throw new Error(`Unknown join type: ${how}`);
+        }
+
+        const asList = v => (Array.isArray(v) ? v : [v]);
+        let leftOn;
+        let rightOn;
+        if (options.on !== undefined) {
+            leftOn = rightOn = asList(options.on);
+        } else if (options.leftOn !== undefined && options.rightOn !== undefined) {
+            leftOn = asList(options.leftOn);
+            rightOn = asList(options.rightOn);
         } else {
-            throw new Error('Unsupported file type. Expected File, Buffer, or Uint8Array.');
+            throw new Error('join requires "on" or both "leftOn" and "rightOn"');
+        }
+        if (leftOn.length === 0 || leftOn.length !== rightOn.length) {
+            throw new Error(`join key mismatch: ${leftOn.length} left vs ${rightOn.length} right column(s)`);
+        }
+
+        const indexOf = (frame, col) => {
+            const idx = frame._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        };
+        const leftKeys = leftOn.map(col => indexOf(this, col));
+        const rightKeys = rightOn.map(col => indexOf(right, col));
+
+        if (how === 'semi' || how === 'anti') {
+            const keys = new Set();
+            for (const row of right._data) {
+                const key = rowKey(row, rightKeys);
+                if (key !== null) keys.add(key);
+            }
+            const keep = this._data.filter(row => {
+                const key = rowKey(row, leftKeys);
+                const matched = key !== null && keys.has(key);
+                return how === 'semi' ? matched : !matched;
+            });
+            return new DataFrame(keep.map(row => [...row]), [...this._columns]);
+        }
+
+        // Build the hash table on the side that is not driving the output order.
+        const buildIndex = (frame, keyIdx) => {
+            const index = new Map();
+            frame._data.forEach((row, i) => {
+                const key = rowKey(row, keyIdx);
+                if (key === null) return;
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(i);
+            });
+            return index;
+        };
+
+        const pairs = [];
+        if (how === 'right') {
+            const leftIndex = buildIndex(this, leftKeys);
+            right._data.forEach((row, r) => {
+                const key = rowKey(row, rightKeys);
+                const matches = key === null ? undefined : leftIndex.get(key);
+                if (matches) {
+                    for (const l of matches) pairs.push([l, r]);
+                } else {
+                    pairs.push([null, r]);
+                }
+            });
+        } else {
+            const rightIndex = buildIndex(right, rightKeys);
+            const matchedRight = how === 'outer' ? new Uint8Array(right._data.length) : null;
+            this._data.forEach((row, l) => {
+                const key = rowKey(row, leftKeys);
+                const matches = key === null ? undefined : rightIndex.get(key);
+                if (matches) {
+                    for (const r of matches) {
+                        pairs.push([l, r]);
+                        if (matchedRight) matchedRight[r] = 1;
+                    }
+                } else if (how !== 'inner') {
+                    pairs.push([l, null]);
+                }
+            });
+            if (matchedRight) {
+                matchedRight.forEach((matched, r) => {
+                    if (!matched) pairs.push([null, r]);
+                });
+            }
+        }
+
+        // Key columns with the same name on both sides are merged into the
+        // left column; right-only rows fill it from the right key.
+        const mergedKeys = new Map(); // left index -> right index
+        leftKeys.forEach((l, k) => {
+            if (leftOn[k] === rightOn[k]) mergedKeys.set(l, rightKeys[k]);
+        });
+        const droppedRight = new Set(mergedKeys.values());
+        const rightKeep = right._columns.map((_, j) => j).filter(j => !droppedRight.has(j));
+
+        const [leftSuffix, rightSuffix] = options.suffixes || ['_x', '_y'];
+        const rightNames = new Set(rightKeep.map(j => right._columns[j]));
+        const leftNames = new Set(this._columns);
+        const columns = [
+            ...this._columns.map(c => (rightNames.has(c) ? c + leftSuffix : c)),
+            ...rightKeep.map(j => {
+                const c = right._columns[j];
+                return leftNames.has(c) ? c + rightSuffix : c;
+            })
+        ];
+
+        const leftWidth = this._columns.length;
+        const data = pairs.map(([l, r]) => {
+            const lrow = l === null ? null : this._data[l];
+            const rrow = r === null ? null : right._data[r];
+            const out = new Array(leftWidth + rightKeep.length);
+            for (let i = 0; i < leftWidth; i++) {
+                if (lrow) {
+                    out[i] = lrow[i];
+                } else {
+                    out[i] = mergedKeys.has(i) ? rrow[mergedKeys.get(i)] : null;
+                }
+            }
+            rightKeep.forEach((j, k) => {
+                out[leftWidth + k] = rrow ? rrow[j] : null;
+            });
+            return out;
+        });
+        return new DataFrame(data, columns);
+    }
+
+    /**
+     * Pivot long data to wide: one row per distinct `index` value, one column
+     * per distinct value of `columns` (in order of first appearance).
+     * Rows whose `columns` value is null are skipped.
+     *
+     * Without `agg` every (index, column) cell must hold at most one value;
+     * with `agg` the cell values are combined using a groupBy aggregation.
+     * With several `values` columns the new columns are named
+     * `<value>_<column value>`; names that collide with an index column or
+     * with each other throw. Only cells without any source row get
+     * `fillValue`; a null value or aggregate stays null.
+     *
+     * @param {Object} options - Pivot settings
+     * @param {string|Array<string>} options.index - Row key column(s)
+     * @param {string} options.columns - Column whose values become columns
+     * @param {string|Array<string>} options.values - Value column(s)
+     * @param {string|Function} options.agg - groupBy aggregation name or reducer
+     * @param {number} options.q - 0..1 for agg 'percentile'
+     * @param {string} options.separator - For agg 'string_agg'
+     * @param {number} options.ddof - For agg 'var'/'std' (default 1)
+     * @param {*} options.fillValue - Value for empty cells (default null)
+     * @returns {DataFrame}
+     */
+    pivot(options = {}) {
+        const { index, columns, values, agg = null, fillValue = null } = options;
+        if (index === undefined || columns === undefined || values === undefined) {
+            throw new Error('pivot requires "index", "columns" and "values"');
+        }
+        const indexCols = Array.isArray(index) ? index : [index];
+        const valueCols = Array.isArray(values) ? values : [values];
+        const indexOf = col => {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        };
+        const indexIdx = indexCols.map(indexOf);
+        const columnIdx = indexOf(columns);
+        const valueIdx = valueCols.map(indexOf);
+        // Aggregation parameters (q, separator, ddof) as in a groupBy spec.
+        const aggSpec = { q: options.q, separator: options.separator, ddof: options.ddof };
+        if (agg !== null && typeof agg !== 'function') {
+            aggregateValues(agg, [], aggSpec); // validate the name and parameters up front
+        }
+
+        const rowOrder = new Map();    // index key -> index values
+        const columnOrder = new Map(); // column key -> label
+        const cells = new Map();       // index key + column key -> rows
+        for (const row of this._data) {
+            const pivotValue = row[columnIdx];
+            if (pivotValue === null || pivotValue === undefined) continue;
+            const rk = rowKey(row, indexIdx, true);
+            const ck = rowKey(row, [columnIdx]);
+            if (!rowOrder.has(rk)) rowOrder.set(rk, indexIdx.map(i => row[i]));
+            if (!columnOrder.has(ck)) columnOrder.set(ck, pivotLabel(pivotValue));
+            const cellKey = rk + '|' + ck;
+            if (!cells.has(cellKey)) {
+                cells.set(cellKey, []);
+            } else if (agg === null) {
+                throw new Error(
+                    `pivot: duplicate entries for column "${pivotLabel(pivotValue)}"; pass "agg" to aggregate them`
+                );
+            }
+            cells.get(cellKey).push(row);
+        }
+
+        const newColumns = [...indexCols];
+        for (const vIdx of valueIdx) {
+            for (const label of columnOrder.values()) {
+                newColumns.push(valueIdx.length > 1 ? `${this._columns[vIdx]}_${label}` : label);
+            }
+        }
+        const taken = new Set(indexCols);
+        for (const name of newColumns.slice(indexCols.length)) {
+            if (taken.has(name)) {
+                throw new Error(
+                    `pivot: column "${name}" collides with ` +
+                    (indexCols.includes(name) ? 'an index column' : 'another pivoted column')
+                );
+            }
+            taken.add(name);
         }
 
-        const workbook = this.openFile(data, fileName, options);
-
-        // Save minimal workbook metadata for the default session when
-        // SessionManager is available (browser path).
-        if (this._sessionManager && typeof indexedDB !== 'undefined') {
-            try {
-                const sessionId = options.sessionId || this._defaultSessionId;
-                const workbookId = `${sessionId}:${fileName}`;
-                const dbPath = `/db/session_${sessionId}.db`;
-                const meta = {
-                    fileName,
-                    format: options.format ?? FileFormat.Auto,
-                };
-                await this._sessionManager.saveWorkbookMeta(
-                    workbookId,
-                    sessionId,
-                    dbPath,
-                    options,
-                    meta
-                );
-            } catch (e) {
-                // Metadata persistence is best-effort; ignore failures.
-                if (console && console.warn) {
-                    console.warn('Failed to persist workbook metadata', e);
+        const data = [];
+        for (const [rk, keyValues] of rowOrder) {
+            const out = [...keyValues];
+            for (const vIdx of valueIdx) {
+                for (const ck of columnOrder.keys()) {
+                    const rows = cells.get(rk + '|' + ck);
+                    let cell;
+                    if (!rows) {
+                        cell = fillValue;
+                    } else if (agg === null) {
+                        cell = rows[0][vIdx];
+                    } else {
+                        cell = aggregateValues(agg, rows.map(r => r[vIdx]).filter(v => v !== null), aggSpec);
+                    }
+                    out.push(cell === undefined ? null : cell);
                 }
             }
+            data.push(out);
         }
-
-        return workbook;
+        return new DataFrame(data, newColumns);
     }
 
     /**
-     * Close a workbook and release resources
-     * @param {number} handleId - Handle ID of the workbook
+     * Unpivot wide data to long: every `valueVars` column becomes rows of
+     * (idVars..., varName, valueName), one block per value column.
+     * @param {Object} options - Melt settings
+     * @param {string|Array<string>} options.idVars - Columns kept as identifiers
+     * @param {string|Array<string>} options.valueVars - Columns to unpivot (default: all others)
+     * @param {string} options.varName - Name of the variable column (default 'variable')
+     * @param {string} options.valueName - Name of the value column (default 'value')
+     * @returns {DataFrame}
      */
-    closeFile(handleId) {
-        if (this._handles.has(handleId)) {
-            this._module._ff_closeFile(handleId);
-            this._handles.delete(handleId);
-            this._activeWorkbooks = this._activeWorkbooks.filter(
-                entry => entry.handleId !== handleId
-            );
-        }
+    melt(options = {}) {
+        const asList = v => (v === undefined ? [] : Array.isArray(v) ? v : [v]);
+        const idVars = asList(options.idVars);
+        const valueVars = options.valueVars === undefined
+            ? this._columns.filter(c => !idVars.includes(c))
+            : asList(options.valueVars);
+        const varName = options.varName || 'variable';
+        const valueName = options.valueName || 'value';
+        const indexOf = col => {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        };
+        const idIdx = idVars.map(indexOf);
+        const valueIdx = valueVars.map(indexOf);
+
+        const data = [];
+        valueIdx.forEach((vIdx, k) => {
+            for (const row of this._data) {
+                data.push([...idIdx.map(i => row[i]), valueVars[k], row[vIdx]]);
+            }
+        });
+        return new DataFrame(data, [...idVars, varName, valueName]);
     }
 
     /**
-     * Get the last error message
-     * @returns {string} - Error message
+     * Frequency table of two columns: one row per `rowCol` value, one column
+     * per `colCol` value, cells hold row counts (0 when absent).
+     * @param {string} rowCol - Column for the rows
+     * @param {string} colCol - Column for the columns
+     * @returns {DataFrame}
      */
-    getLastError() {
-        const ptr = this._module._ff_getLastError();
-        return this._module.UTF8ToString(ptr);
+    crosstab(rowCol, colCol) {
+        return this.pivot({ index: rowCol, columns: colCol, values: colCol, agg: 'count', fillValue: 0 });
     }
 
     /**
-     * Get the last JSON result
-     * @returns {string} - JSON string
+     * Summary statistics, one row per column (like profileDataset):
+     *   - count: non-missing values
+     *   - numeric columns (numbers, BigInts or decimal number text, as
+     *     CSV sources hold them): mean, std (sample, ddof 1), min, 25%,
+     *     50%, 75%, max
+     *   - other columns: unique, top (most frequent, first seen on ties), freq;
+     *     date columns also get min and max
+     * Statistics that do not apply to a column are null.
+     * @returns {DataFrame}
      */
-    getLastJson() {
-        const ptr = this._module._ff_getLastJson();
-        return this._module.UTF8ToString(ptr);
-    }
-
-    _registerActiveWorkbook(handleId, workbook, approxSizeBytes) {
-        const now = Date.now();
-        this._activeWorkbooks.push({
-            handleId,
-            workbook,
-            approxSizeBytes: approxSizeBytes || 0,
-            lastUsedAt: now,
+    describe() {
+        const columns = ['column', 'count', 'mean', 'std', 'min', '25%', '50%', '75%', 'max', 'unique', 'top', 'freq'];
+        const data = this._columns.map((col, i) => {
+            const values = [];
+            for (const row of this._data) {
+                if (!isMissing(row[i])) values.push(row[i]);
+            }
+            const out = { column: col, count: values.length };
+            const nums = values.map(describeNumber);
+            if (values.length > 0 && nums.every(n => n !== undefined)) {
+                out.mean = AGGREGATIONS.avg(nums);
+                out.std = AGGREGATIONS.std(nums, {});
+                out.min = AGGREGATIONS.min(nums);
+                out['25%'] = percentile(nums, 0.25);
+                out['50%'] = percentile(nums, 0.5);
+                out['75%'] = percentile(nums, 0.75);
+                out.max = AGGREGATIONS.max(nums);
+            } else if (values.length > 0) {
+                const counts = this.valueCounts(col)._data;
+                out.unique = counts.length;
+                [out.top, out.freq] = counts[0];
+                if (values.every(v => v instanceof Date)) {
+                    out.min = AGGREGATIONS.min(values);
+                    out.max = AGGREGATIONS.max(values);
+                }
+            }
+            return columns.map(c => out[c] ?? null);
         });
+        return new DataFrame(data, columns);
     }
 
-    _touchHandle(handleId) {
-        const now = Date.now();
-        const entry = this._activeWorkbooks.find(e => e.handleId === handleId);
-        if (entry) {
-            entry.lastUsedAt = now;
-        }
-    }
-
-    _enforceWorkbookLimits() {
-        const MAX_ACTIVE_WORKBOOKS = 4;
-        const MAX_ACTIVE_BYTES = 256 * 1024 * 1024; // 256MB
-
-        const totalBytes = this._activeWorkbooks.reduce(
-            (sum, e) => sum + (e.approxSizeBytes || 0),
-            0
-        );
+    /**
+     * Count occurrences of each value of a column, most frequent first
+     * (ties keep the order of first appearance).
+     * @param {string} column - Column name
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.dropna - Skip missing values (default true)
+     * @param {boolean} options.normalize - Return shares instead of counts
+     * @returns {DataFrame} - Columns [column, 'count'] (or 'proportion')
+     */
+    valueCounts(column, options = {}) {
+        const { dropna = true, normalize = false } = options;
+        const idx = this._columns.indexOf(column);
+        if (idx === -1) throw new Error(`Column not found: ${column}`);
 
-        if (
-            this._activeWorkbooks.length <= MAX_ACTIVE_WORKBOOKS &&
-            totalBytes <= MAX_ACTIVE_BYTES
-        ) {
-            return;
+        const counts = new Map(); // key -> [value, count]
+        let total = 0;
+        for (const row of this._data) {
+            const v = isMissing(row[idx]) ? null : row[idx];
+            if (v === null && dropna) continue;
+            const key = rowKey([v], [0], true);
+            const entry = counts.get(key);
+            if (entry) entry[1]++;
+            else counts.set(key, [v, 1]);
+            total++;
         }
-
-        // Sort by lastUsedAt ascending (oldest first)
-        this._activeWorkbooks.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
-
-        let bytes = totalBytes;
-        while (
-            (this._activeWorkbooks.length > MAX_ACTIVE_WORKBOOKS ||
-                bytes > MAX_ACTIVE_BYTES) &&
-            this._activeWorkbooks.length > 0
-        ) {
-            const victim = this._activeWorkbooks.shift();
-            if (!victim) break;
-            // Close workbook via existing API
-            try {
-                victim.workbook.close();
-            } catch (e) {
-                // ignore errors closing; best-effort
-            }
-            bytes -= victim.approxSizeBytes || 0;
+        const data = [...counts.values()].sort((a, b) => b[1] - a[1]);
+        if (normalize) {
+            data.forEach(entry => { entry[1] /= total; });
         }
+        return new DataFrame(data, [column, normalize ? 'proportion' : 'count']);
     }
 
     /**
-     * Allocate a UTF-8 string in WASM memory
-     * @private
+     * Drop rows with missing values (null, undefined or NaN)
+     * @param {Object} options - Optional settings
+     * @param {string|Array<string>} options.subset - Columns to check (default: all)
+     * @param {string} options.how - 'any' (default) or 'all' of the checked values missing
+     * @returns {DataFrame}
      */
-    _allocateString(str) {
-        const encoded = new TextEncoder().encode(str + '\0');
-        const ptr = this._module._malloc(encoded.length);
-        const heap = new Uint8Array(this._module.HEAPU8.buffer, ptr, encoded.length);
-        heap.set(encoded);
-        return ptr;
+    dropna(options = {}) {
+        const { subset, how = 'any' } = options;
+        if (how !== 'any' && how !== 'all') {
+            throw new Error(`dropna: "how" must be 'any' or 'all', got ${how}`);
+        }
+        const cols = subset === undefined ? this._columns : Array.isArray(subset) ? subset : [subset];
+        const indices = cols.map(col => {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            return idx;
+        });
+        const keep = this._data.filter(row => (how === 'any'
+            ? !indices.some(i => isMissing(row[i]))
+            : !indices.every(i => isMissing(row[i]))));
+        return new DataFrame(keep.map(row => [...row]), [...this._columns]);
     }
 
     /**
-     * Clean up all resources
+     * Replace missing values (null, undefined or NaN)
+     * @param {*} value - Replacement for every column, or { column: value }
+     * @returns {DataFrame}
      */
-    destroy() {
-        for (const handleId of this._handles.keys()) {
-            this.closeFile(handleId);
+    fillna(value) {
+        let fills;
+        if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+            fills = this._columns.map(() => undefined);
+            for (const [col, fill] of Object.entries(value)) {
+                const idx = this._columns.indexOf(col);
+                if (idx === -1) throw new Error(`Column not found: ${col}`);
+                fills[idx] = fill;
+            }
+        } else {
+            fills = this._columns.map(() => value);
         }
-        this._initialized = false;
-    }
-}
-
-/**
- * Workbook class - represents an opened file
- */
-class Workbook {
-    constructor(loader, handleId, fileName) {
-        this._loader = loader;
-        this._handleId = handleId;
-        this._fileName = fileName;
-        this._closed = false;
+        const data = this._data.map(row => row.map((v, i) =>
+            (fills[i] !== undefined && isMissing(v) ? fills[i] : v)));
+        return new DataFrame(data, [...this._columns]);
     }
 
     /**
-     * Get the file name
+     * Convert column types. Numbers become dates as Excel serials, strings
+     * as ISO (or Date.parse-able) dates; booleans accept true/false, 1/0
+     * and yes/no. Missing values (and blank strings, except for 'string')
+     * become null.
+     * @param {Object} types - { column: 'number'|'integer'|'string'|'date'|'boolean' }
+     * @returns {DataFrame}
      */
-    get fileName() {
-        return this._fileName;
+    astype(types) {
+        const casts = this._columns.map(() => null);
+        for (const [col, type] of Object.entries(types || {})) {
+            const idx = this._columns.indexOf(col);
+            if (idx === -1) throw new Error(`Column not found: ${col}`);
+            if (!Object.prototype.hasOwnProperty.call(CASTERS, type)) {
+                throw new Error(`astype: unknown type "${type}" for column "${col}"`);
+            }
+            casts[idx] = { col, type, cast: CASTERS[type] };
+        }
+        const data = this._data.map(row => row.map((v, i) => {
+            if (!casts[i]) return v;
+            if (isMissing(v)) return null;
+            if (casts[i].type !== 'string' && typeof v === 'string' && v.trim() === '') return null;
+            const converted = casts[i].cast(v);
+            if (converted === undefined) {
+                throw new Error(`astype: cannot convert ${JSON.stringify(pivotLabel(v))} in column "${casts[i].col}" to ${casts[i].type}`);
+            }
+            return converted;
+        }));
+        return new DataFrame(data, [...this._columns]);
     }
 
     /**
-     * Get the handle ID
+     * Add a column computed from each row, or replace it if it exists
+     * @param {string} name - Column name
+     * @param {Function} fn - Receives the row object and row index, returns the value
+     * @returns {DataFrame}
      */
-    get handleId() {
-        return this._handleId;
+    withColumn(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('withColumn expects a function (row, index) => value');
+        }
+        const values = this._data.map((row, r) => {
+            const obj = {};
+            this._columns.forEach((col, i) => obj[col] = row[i]);
+            return fn(obj, r);
+        });
+        return this._setColumn(name, values);
     }
 
     /**
-     * Check if workbook is closed
+     * Moving aggregate over the current row and the `window - 1` rows before
+     * it, like `agg(col) OVER (PARTITION BY .. ORDER BY ..
+     * ROWS BETWEEN window-1 PRECEDING AND CURRENT ROW)`. Frames at the start
+     * of a partition are shorter; nulls are skipped and a frame without
+     * values gives null (0 for count/nunique).
+     * @param {string} column - Column to aggregate
+     * @param {number} window - Frame size in rows
+     * @param {string|Function} agg - groupBy aggregation (default 'avg')
+     * @param {Object} options - { partitionBy, orderBy, ascending, as }
+     * @returns {DataFrame} - With `<column>_rolling_<agg>` (or `as`) added
      */
-    get isClosed() {
-        return this._closed;
+    rolling(column, window, agg = 'avg', options = {}) {
+        if (!Number.isInteger(window) || window < 1) {
+            throw new Error(`rolling: window must be a positive integer, got ${window}`);
+        }
+        if (typeof agg !== 'function') {
+            aggregateValues(agg, [], options); // validate the aggregation name up front
+        }
+        const idx = this._columnIndex(column);
+        const out = new Array(this._data.length).fill(null);
+        for (const rows of windowPartitions(this, options)) {
+            rows.forEach((r, pos) => {
+                const values = [];
+                for (let k = Math.max(0, pos - window + 1); k <= pos; k++) {
+                    const v = this._data[rows[k]][idx];
+                    if (!isMissing(v)) values.push(v);
+                }
+                out[r] = emptyWindowValue(agg, values) ?? aggregateValues(agg, values, options);
+            });
+        }
+        const aggName = typeof agg === 'function' ? (agg.name || 'custom') : agg;
+        return this._setColumn(options.as || `${column}_rolling_${aggName}`, out);
     }
 
     /**
-     * List all datasets (sheets/tables) in the workbook
-     * @returns {Object} - JSON object with datasets info
+     * Running total, like `SUM(col) OVER (PARTITION BY .. ORDER BY ..
+     * ROWS UNBOUNDED PRECEDING)`: nulls are skipped, rows before the first
+     * value get null.
+     * @param {string} column - Column to sum
+     * @param {Object} options - { partitionBy, orderBy, ascending, as }
+     * @returns {DataFrame} - With `<column>_cumsum` (or `as`) added
      */
-    listDatasets() {
-        this._checkClosed();
-        this._loader._touchHandle(this._handleId);
-        const ptr = this._loader._module._ff_listDatasets(this._handleId);
-        const json = this._loader._module.UTF8ToString(ptr);
-        const obj = JSON.parse(json || '{}');
-        if (!obj || Object.keys(obj).length === 0) {
-            const err = this._loader.getLastError();
-            if (err) {
-                throw new Error(`listDatasets failed: ${err}`);
+    cumsum(column, options = {}) {
+        const idx = this._columnIndex(column);
+        const out = new Array(this._data.length).fill(null);
+        for (const rows of windowPartitions(this, options)) {
+            let total = null;
+            for (const r of rows) {
+                const v = this._data[r][idx];
+                if (!isMissing(v)) total = total === null ? v : addValues(total, v);
+                out[r] = total;
             }
         }
-        return obj;
+        return this._setColumn(options.as || `${column}_cumsum`, out);
     }
 
     /**
-     * Describe a specific dataset
-     * @param {string} name - Dataset name
-     * @returns {Object} - JSON object with dataset description
+     * Position of each row within its partition starting at 0, like
+     * `ROW_NUMBER() OVER (PARTITION BY .. ORDER BY ..) - 1`.
+     * @param {Object} options - { partitionBy, orderBy, ascending, as }
+     * @returns {DataFrame} - With `cumcount` (or `as`) added
      */
-    describeDataset(name) {
-        this._checkClosed();
-        this._loader._touchHandle(this._handleId);
-        const namePtr = this._loader._allocateString(name);
-        const ptr = this._loader._module._ff_describeDataset(this._handleId, namePtr);
-        this._loader._module._free(namePtr);
-        const json = this._loader._module.UTF8ToString(ptr);
-        const obj = JSON.parse(json || '{}');
-        if (!obj || Object.keys(obj).length === 0) {
-            const err = this._loader.getLastError();
-            if (err) {
-                throw new Error(`describeDataset failed: ${err}`);
-            }
+    cumcount(options = {}) {
+        const out = new Array(this._data.length).fill(null);
+        for (const rows of windowPartitions(this, options)) {
+            rows.forEach((r, pos) => { out[r] = pos; });
         }
-        return obj;
+        return this._setColumn(options.as || 'cumcount', out);
     }
 
     /**
-     * Execute a SQL query on the workbook
-     * @param {string} sql - SQL query string
-     * @returns {QueryResult} - Query result object
+     * Value from `n` rows earlier (n > 0, `LAG(col, n, fillValue)`) or
+     * later (n < 0, `LEAD(col, -n, fillValue)`) within the partition.
+     * @param {string} column - Column to shift
+     * @param {number} n - Row offset (default 1)
+     * @param {Object} options - { partitionBy, orderBy, ascending, fillValue, as }
+     * @returns {DataFrame} - With `<column>_shift` (or `as`) added
      */
-    query(sql) {
-        this._checkClosed();
-        this._loader._touchHandle(this._handleId);
-        const sqlPtr = this._loader._allocateString(sql);
-        const ptr = this._loader._module._ff_query(this._handleId, sqlPtr);
-        this._loader._module._free(sqlPtr);
-        const json = this._loader._module.UTF8ToString(ptr);
-        const obj = JSON.parse(json || '{}');
-        if (!obj || Object.keys(obj).length === 0) {
-            const err = this._loader.getLastError();
-            if (err) {
-                throw new Error(`query failed: ${err}`);
-            }
+    shift(column, n = 1, options = {}) {
+        if (!Number.isInteger(n)) {
+            throw new Error(`shift: n must be an integer, got ${n}`);
+        }
+        const idx = this._columnIndex(column);
+        const fillValue = options.fillValue ?? null;
+        const out = new Array(this._data.length).fill(null);
+        for (const rows of windowPartitions(this, options)) {
+            rows.forEach((r, pos) => {
+                const src = pos - n;
+                out[r] = src >= 0 && src < rows.length ? this._data[rows[src]][idx] : fillValue;
+            });
         }
-        return new QueryResult(obj);
+        return this._setColumn(options.as || `${column}_shift`, out);
     }
 
     /**
-     * Profile a dataset for data quality analysis
-     * @param {string} datasetName - Name of dataset to profile
-     * @returns {Object} - Profile results
+     * Rank rows by a column within each partition (nulls rank lowest, as in
+     * SQLite). Methods: 'min' (`RANK()`, default), 'dense' (`DENSE_RANK()`),
+     * 'first' (`ROW_NUMBER()`), 'max' and 'average' for ties.
+     * @param {string} column - Column to rank by
+     * @param {Object} options - { method, ascending, partitionBy, as }
+     * @returns {DataFrame} - With `<column>_rank` (or `as`) added
      */
-    profileDataset(datasetName) {
-        this._checkClosed();
-        this._loader._touchHandle(this._handleId);
-        const namePtr = this._loader._allocateString(datasetName);
-        const ptr = this._loader._module._ff_profileDataset(this._handleId, namePtr);
-        this._loader._module._free(namePtr);
-        const json = this._loader._module.UTF8ToString(ptr);
-        const obj = JSON.parse(json || '{}');
-        if (!obj || Object.keys(obj).length === 0) {
-            const err = this._loader.getLastError();
-            if (err) {
-                throw new Error(`profileDataset failed: ${err}`);
+    rank(column, options = {}) {
+        const method = options.method || 'min';
+        if (!['min', 'max', 'average', 'dense', 'first'].includes(method)) {
+            throw new Error(`rank: unknown method "${method}"`);
+        }
+        const idx = this._columnIndex(column);
+        const ascending = options.ascending !== false;
+        const out = new Array(this._data.length).fill(null);
+        const partitions = windowPartitions(this, { ...options, orderBy: column, ascending });
+        for (const rows of partitions) {
+            let dense = 0;
+            for (let start = 0; start < rows.length;) {
+                // Rows [start, end) are peers with equal values.
+                let end = start + 1;
+                while (end < rows.length &&
+                    compareSqlValues(this._data[rows[start]][idx], this._data[rows[end]][idx]) === 0) {
+                    end++;
+                }
+                dense++;
+                for (let k = start; k < end; k++) {
+                    out[rows[k]] = method === 'min' ? start + 1
+                        : method === 'max' ? end
+                        : method === 'average' ? (start + 1 + end) / 2
+                        : method === 'dense' ? dense
+                        : k + 1;
+                }
+                start = end;
             }
         }
-        return obj;
+        return this._setColumn(options.as || `${column}_rank`, out);
     }
 
     /**
-     * Evaluate data quality rules against a dataset
-     * @param {string} datasetName - Name of dataset
-     * @param {Array} rules - Array of quality rule objects
-     * @returns {Object} - Quality evaluation results
+     * Relative change against the value `n` rows earlier, like
+     * `(col - LAG(col, n)) * 1.0 / LAG(col, n)`: null when either value is
+     * missing or the earlier value is 0.
+     * @param {string} column - Numeric column
+     * @param {number} n - Row offset (default 1)
+     * @param {Object} options - { partitionBy, orderBy, ascending, as }
+     * @returns {DataFrame} - With `<column>_pct_change` (or `as`) added
      */
-    evaluateQualityRules(datasetName, rules) {
-        this._checkClosed();
-        this._loader._touchHandle(this._handleId);
-        const namePtr = this._loader._allocateString(datasetName);
-        const rulesJson = JSON.stringify(rules);
-        const rulesPtr = this._loader._allocateString(rulesJson);
-
-        const ptr = this._loader._module._ff_evaluateQualityRules(
-            this._handleId, namePtr, rulesPtr
-        );
-
-        this._loader._module._free(namePtr);
-        this._loader._module._free(rulesPtr);
-
-        const json = this._loader._module.UTF8ToString(ptr);
-        const obj = JSON.parse(json || '{}');
-        if (!obj || Object.keys(obj).length === 0) {
-            const err = this._loader.getLastError();
-            if (err) {
-                throw new Error(`evaluateQualityRules failed: ${err}`);
-            }
+    pctChange(column, n = 1, options = {}) {
+        if (!Number.isInteger(n)) {
+            throw new Error(`pctChange: n must be an integer, got ${n}`);
         }
-        return obj;
+        const idx = this._columnIndex(column);
+        const out = new Array(this._data.length).fill(null);
+        for (const rows of windowPartitions(this, options)) {
+            rows.forEach((r, pos) => {
+                const src = pos - n;
+                if (src < 0 || src >= rows.length) return;
+                const cur = this._data[r][idx];
+                const prev = this._data[rows[src]][idx];
+                if (isMissing(cur) || isMissing(prev) || Number(prev) === 0) return;
+                out[r] = (Number(cur) - Number(prev)) / Number(prev);
+            });
+        }
+        return this._setColumn(options.as || `${column}_pct_change`, out);
     }
 
     /**
-     * Close the workbook and release resources
+     * @private
      */
-    close() {
-        if (!this._closed) {
-            this._loader.closeFile(this._handleId);
-            this._closed = true;
-        }
+    _columnIndex(column) {
+        const idx = this._columns.indexOf(column);
+        if (idx === -1) throw new Error(`Column not found: ${column}`);
+        return idx;
     }
 
     /**
+     * Copy with `values` as column `name` (appended, or replacing an
+     * existing column of that name).
      * @private
      */
-    _checkClosed() {
-        if (this._closed) {
-            throw new Error('Workbook is closed');
-        }
-    }
-}
-
-/**
- * JsWorkbookWrapper - Wrapper for JavaScript-based workbooks (Parquet, DuckDB)
- * Provides the same interface as Workbook for consistency.
- */
-class JsWorkbookWrapper {
-    constructor(loader, jsWorkbook, handleId, fileName) {
-        this._loader = loader;
-        this._jsWorkbook = jsWorkbook;
-        this._handleId = handleId;
-        this._fileName = fileName;
-        this._closed = false;
-    }
-
-    get fileName() {
-        return this._fileName;
-    }
-
-    get handleId() {
-        return this._handleId;
-    }
-
-    get isClosed() {
-        return this._closed;
+    _setColumn(name, values) {
+        const existing = this._columns.indexOf(name);
+        const columns = existing === -1 ? [...this._columns, name] : [...this._columns];
+        const data = this._data.map((row, r) => {
+            const out = [...row];
+            if (existing === -1) out.push(values[r]);
+            else out[existing] = values[r];
+            return out;
+        });
+        return new DataFrame(data, columns);
     }
 
     /**
-     * List all datasets
+     * Convert to array of objects
+     * @returns {Array<Object>}
      */
-    listDatasets() {
-        this._checkClosed();
-        return this._jsWorkbook.listDatasets();
+    toObjects() {
+        return this._data.map(row => {
+            const obj = {};
+            this._columns.forEach((col, i) => obj[col] = row[i]);
+            return obj;
+        });
     }
 
     /**
-     * Describe a dataset
+     * Convert to array of arrays (including header)
+     * @returns {Array<Array>}
      */
-    describeDataset(name) {
-        this._checkClosed();
-        const result = this._jsWorkbook.describeDataset(name);
-        // Handle async result
-        if (result && typeof result.then === 'function') {
-            return result;
-        }
-        return result;
+    toArray() {
+        return [this._columns, ...this._data];
     }
 
     /**
-     * Execute a SQL query
+     * Convert to an XLSX workbook (see QueryResult.toXlsx for options)
+     * @param {Object} options - { sheetName, sheets }
+     * @returns {Uint8Array}
      */
-    query(sql) {
-        this._checkClosed();
-        const result = this._jsWorkbook.query(sql);
-        // Handle async result
-        if (result && typeof result.then === 'function') {
-            return result.then(data => new QueryResult(data));
-        }
-        return new QueryResult(result);
+    toXlsx(options = {}) {
+        return tablesToXlsx(this, options);
     }
 
     /**
-     * Profile a dataset
+     * Convert to Apache Arrow IPC; column types are inferred from the values
+     * @param {Object} options - { format: 'stream' | 'file' }
+     * @returns {Uint8Array}
      */
-    profileDataset(datasetName) {
-        this._checkClosed();
-        const result = this._jsWorkbook.profileDataset(datasetName);
-        if (result && typeof result.then === 'function') {
-            return result;
-        }
-        return result;
+    toArrowIPC(options = {}) {
+        const { columns, rows } = tableData(this);
+        return getColumnarWriter().writeArrowIPC(columns, rows, columnarOptions(options));
     }
 
     /**
-     * Evaluate quality rules (not supported for JS workbooks)
+     * Convert to an Apache Parquet file; column types are inferred from the values
+     * @returns {Uint8Array}
      */
-    evaluateQualityRules(datasetName, rules) {
-        throw new Error('evaluateQualityRules not supported for this file format');
+    toParquet(options = {}) {
+        const { columns, rows } = tableData(this);
+        return getColumnarWriter().writeParquet(columns, rows, columnarOptions(options));
     }
 
     /**
-     * Close the workbook
+     * Pretty print the DataFrame
+     * @returns {string}
      */
-    close() {
-        if (!this._closed) {
-            const closeResult = this._jsWorkbook.close();
-            // Handle async close
-            if (closeResult && typeof closeResult.then === 'function') {
-                closeResult.catch(() => {}); // Ignore close errors
-            }
-            this._loader._handles.delete(this._handleId);
-            this._closed = true;
-        }
-    }
+    toString() {
+        const cell = v => (v instanceof Date ? v.toISOString() : String(v ?? ''));
+        const widths = this._columns.map((col, i) =>
+            this._data.reduce((w, row) => Math.max(w, cell(row[i]).length), String(col).length));
 
-    _checkClosed() {
-        if (this._closed) {
-            throw new Error('Workbook is closed');
-        }
+        const sep = '+' + widths.map(w => '-'.repeat(w + 2)).join('+') + '+';
+        const formatRow = row => '| ' + row.map((v, i) => cell(v).padEnd(widths[i])).join(' | ') + ' |';
+
+        const lines = [
+            sep,
+            formatRow(this._columns),
+            sep,
+            ...this._data.map(row => formatRow(row)),
+            sep
+        ];
+        return lines.join('\n');
     }
 }
 
+const FILTER_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'in', 'not in', 'is null', 'is not null'];
+
 /**
- * QueryResult class - represents SQL query results
+ * SQL templates for groupBy aggregations that both engines compute the
+ * same way as AGGREGATIONS; anything else is evaluated in memory.
+ * @private
  */
-class QueryResult {
-    constructor(data) {
-        this._data = data || {};
+const SQL_AGGREGATIONS = {
+    count: col => (col === null ? 'COUNT(*)' : `COUNT(${col})`),
+    sum: col => `COALESCE(SUM(${col}), 0)`,
+    avg: col => `AVG(${col})`,
+    mean: col => `AVG(${col})`,
+    min: col => `MIN(${col})`,
+    max: col => `MAX(${col})`,
+    nunique: col => `COUNT(DISTINCT ${col})`,
+    string_agg: (col, spec, dialect) => {
+        const sep = sqlLiteral(spec.separator ?? ',', dialect);
+        return dialect === 'duckdb'
+            ? `COALESCE(string_agg(CAST(${col} AS VARCHAR), ${sep}), '')`
+            : `COALESCE(group_concat(CAST(${col} AS TEXT), ${sep}), '')`;
+    }
+};
 
-        // Normalise column representation: the core JSON uses an array of
-        // objects with a "name" property; accept either that or a string array.
-        const rawCols = this._data.columns || [];
-        this._columns = rawCols.map(c => {
-            if (typeof c === 'string') {
-                return c;
-            }
-            if (c && typeof c.name === 'string') {
-                return c.name;
-            }
-            return String(c ?? '');
+/**
+ * Turn a LazyFrame filter argument into { sql, test }: `sql(dialect)` renders
+ * the condition (null when it cannot be translated) and `test(row)` evaluates
+ * it on a row object (null for raw SQL strings).
+ * @private
+ */
+function compilePredicate(predicate) {
+    if (typeof predicate === 'function') {
+        return { sql: null, test: predicate };
+    }
+    if (typeof predicate === 'string') {
+        return { sql: () => predicate, test: null };
+    }
+
+    let conditions;
+    if (Array.isArray(predicate)) {
+        conditions = Array.isArray(predicate[0]) ? predicate : [predicate];
+    } else if (predicate && typeof predicate === 'object') {
+        conditions = Object.entries(predicate).map(([col, value]) => {
+            if (Array.isArray(value)) return [col, 'in', value];
+            return value === null ? [col, 'is null'] : [col, '=', value];
         });
+    } else {
+        throw new Error('filter expects a function, an SQL string, an object or [column, op, value]');
+    }
 
-        this._rows = this._data.rows || [];
+    conditions = conditions.map(([col, rawOp, value]) => {
+        const op = String(rawOp).toLowerCase();
+        if (!FILTER_OPERATORS.includes(op)) {
+            throw new Error(`Unknown filter operator: ${rawOp}`);
+        }
+        if ((op === 'in' || op === 'not in') && !Array.isArray(value)) {
+            throw new Error(`filter operator "${op}" requires an array`);
+        }
+        if ((op === '=' || op === '!=' || op === '<>') && value === null) {
+            return [col, op === '=' ? 'is null' : 'is not null'];
+        }
+        return [col, op, value];
+    });
+
+    const comparable = v => (v instanceof Date ? v.getTime() : typeof v === 'bigint' ? Number(v) : v);
+    const matches = (actual, op, value) => {
+        if (op === 'is null') return actual === null || actual === undefined;
+        if (op === 'is not null') return actual !== null && actual !== undefined;
+        // Like SQL, a comparison with NULL is never true.
+        if (actual === null || actual === undefined) return false;
+        const a = comparable(actual);
+        switch (op) {
+        case '=': return a === comparable(value);
+        case '!=':
+        case '<>': return a !== comparable(value);
+        case '<': return a < comparable(value);
+        case '<=': return a <= comparable(value);
+        case '>': return a > comparable(value);
+        case '>=': return a >= comparable(value);
+        case 'in': return value.some(v => v !== null && comparable(v) === a);
+        default: return !value.some(v => v !== null && comparable(v) === a);
+        }
+    };
+
+    return {
+        sql: dialect => conditions.map(([col, op, value]) => {
+            const id = quoteIdentifier(col);
+            if (op === 'is null') return `${id} IS NULL`;
+            if (op === 'is not null') return `${id} IS NOT NULL`;
+            if (op === 'in' || op === 'not in') {
+                const list = value.filter(v => v !== null);
+                if (list.length === 0) return op === 'in' ? '1 = 0' : `${id} IS NOT NULL`;
+                return `${id} ${op.toUpperCase()} (${list.map(v => sqlLiteral(v, dialect)).join(', ')})`;
+            }
+            return `${id} ${op} ${sqlLiteral(value, dialect)}`;
+        }).join(' AND '),
+        test: row => conditions.every(([col, op, value]) => matches(row[col], op, value))
+    };
+}
 
-        // Runtime view name is exposed via meta.runtimeViewName (ADR 0005).
-        if (this._data.meta && typeof this._data.meta.runtimeViewName === 'string') {
-            this._viewName = this._data.meta.runtimeViewName;
-        } else {
-            this._viewName = null;
+/**
+ * LazyFrame - records DataFrame operations against a dataset and compiles
+ * them into one SQL statement that runs in the engine on collect().
+ *
+ * Operations are pushed down in order until the first one that has no SQL
+ * form (a JS predicate, an aggregation without an SQL equivalent); that
+ * operation and everything after it runs in memory on the query result.
+ * Frames are immutable: every operation returns a new LazyFrame.
+ */
+class LazyFrame {
+    constructor(workbook, source, dialect = 'sqlite', ops = []) {
+        this._workbook = workbook;
+        this._source = source;
+        this._dialect = dialect;
+        this._ops = ops;
+    }
+
+    /**
+     * Keep only the given columns
+     * @param {Array<string>} columns - Column names
+     * @returns {LazyFrame}
+     */
+    select(columns) {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            throw new Error('select requires a non-empty array of column names');
         }
+        return this._with({ type: 'select', columns: [...columns] });
     }
 
     /**
-     * Get column names
+     * Filter rows. The predicate is one of:
+     *   - { column: value } – equality (null → IS NULL, array → IN)
+     *   - [column, op, value] or a list of them (AND); op is one of
+     *     =, !=, <>, <, <=, >, >=, in, not in, is null, is not null
+     *   - an SQL condition string (SQL only)
+     *   - a function receiving the row object (evaluated in memory)
+     * @param {Object|Array|string|Function} predicate - Row condition
+     * @returns {LazyFrame}
      */
-    get columns() {
-        return this._columns;
+    filter(predicate) {
+        return this._with({ type: 'filter', predicate: compilePredicate(predicate), source: predicate });
     }
 
     /**
-     * Get row data as array of arrays
+     * Sort by column; nulls go last as in DataFrame.sortBy
+     * @param {string} column - Column name
+     * @param {boolean} ascending - Sort order
+     * @returns {LazyFrame}
      */
-    get rows() {
-        return this._rows;
+    sortBy(column, ascending = true) {
+        return this._with({ type: 'sortBy', column, ascending });
     }
 
     /**
-     * Get the runtime view name (for chained queries)
+     * Keep the first n rows
+     * @param {number} n - Number of rows
+     * @returns {LazyFrame}
      */
-    get viewName() {
-        return this._viewName;
+    head(n = 5) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`head expects a non-negative integer, got ${n}`);
+        }
+        return this._with({ type: 'head', n });
     }
 
     /**
-     * Get row count
+     * Alias of head(n)
+     * @param {number} n - Number of rows
+     * @returns {LazyFrame}
      */
-    get rowCount() {
-        return this._rows.length;
+    limit(n) {
+        return this.head(n);
     }
 
     /**
-     * Get column count
+     * Group and aggregate (same arguments as DataFrame.groupBy). Groups come
+     * back in engine order; follow with sortBy() for a stable order.
+     * @param {string|Array<string>} keys - Column(s) to group by
+     * @param {Object|Array<Object>} aggs - Aggregation specs
+     * @returns {LazyFrame}
      */
-    get columnCount() {
-        return this._columns.length;
+    groupBy(keys, aggs = {}) {
+        const keyCols = Array.isArray(keys) ? [...keys] : [keys];
+        if (keyCols.length === 0) {
+            throw new Error('groupBy requires at least one key column');
+        }
+        return this._with({ type: 'groupBy', keys: keyCols, aggs, specs: normalizeAggSpecs(aggs) });
     }
 
     /**
-     * Convert to array of objects
-     * @returns {Array<Object>} - Array of row objects
+     * SQL statement that collect() sends to the engine
+     * @returns {string}
      */
-    toObjects() {
-        return this._rows.map(row => {
-            const obj = {};
-            this._columns.forEach((col, i) => {
-                obj[col] = row[i];
-            });
-            return obj;
-        });
+    toSql() {
+        return this._plan().sql;
     }
 
     /**
-     * Get a single column as array
-     * @param {string|number} column - Column name or index
-     * @returns {Array} - Column values
+     * Show how the frame will be evaluated
+     * @returns {{ sql: string, inMemory: Array<string> }} - Pushed-down SQL and
+     *   the names of the operations applied in memory afterwards
      */
-    getColumn(column) {
-        let idx;
-        if (typeof column === 'string') {
-            idx = this._columns.indexOf(column);
-            if (idx === -1) {
-                throw new Error(`Column not found: ${column}`);
+    explain() {
+        const { sql, rest } = this._plan();
+        return { sql, inMemory: rest.map(op => op.type) };
+    }
+
+    /**
+     * Run the query and apply any in-memory operations
+     * @param {Object} options - { coerce } as for Workbook.query
+     * @returns {Promise<DataFrame>}
+     */
+    async collect(options = {}) {
+        const { sql, rest } = this._plan();
+        const result = await this._workbook.query(sql, undefined, { coerce: options.coerce });
+        let df = new DataFrame(result);
+        for (const op of rest) {
+            switch (op.type) {
+            case 'select': df = df.select(op.columns); break;
+            case 'filter': df = df.filter(op.predicate.test); break;
+            case 'sortBy': df = df.sortBy(op.column, op.ascending); break;
+            case 'head': df = df.head(op.n); break;
+            case 'groupBy': df = df.groupBy(op.keys, op.aggs); break;
             }
-        } else {
-            idx = column;
         }
-        return this._rows.map(row => row[idx]);
+        return df;
     }
 
     /**
-     * Convert to CSV string
-     * @returns {string} - CSV formatted string
+     * @private
      */
-    toCsv() {
-        const escape = (val) => {
-            if (val === null || val === undefined) return '';
-            const str = String(val);
-            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-                return '"' + str.replace(/"/g, '""') + '"';
+    _with(op) {
+        return new LazyFrame(this._workbook, this._source, this._dialect, [...this._ops, op]);
+    }
+
+    /**
+     * Compile the longest translatable prefix of the operations into SQL.
+     * A stage is one SELECT; an operation that cannot be merged into the
+     * current stage (e.g. a filter after a limit) wraps it as a subquery.
+     * @private
+     */
+    _plan() {
+        const dialect = this._dialect;
+        let stage = { from: this._source, where: [], columns: null, group: null, orderBy: [], limit: null };
+        let depth = 0;
+
+        const wrap = keepOrder => {
+            const outputs = stage.group
+                ? [...stage.group.keys, ...stage.group.specs.map(a => a.name)]
+                : stage.columns;
+            const orderBy = keepOrder
+                ? stage.orderBy.filter(o => !outputs || outputs.includes(o.column))
+                : [];
+            stage = {
+                from: `(${renderStage(stage)}) AS ${quoteIdentifier('t' + depth++)}`,
+                where: [], columns: null, group: null, orderBy, limit: null
+            };
+        };
+        const renderStage = s => {
+            let select;
+            if (s.group) {
+                select = [
+                    ...s.group.keys.map(quoteIdentifier),
+                    ...s.group.specs.map(a => `${a.sql} AS ${quoteIdentifier(a.name)}`)
+                ].join(', ');
+            } else {
+                select = s.columns ? s.columns.map(quoteIdentifier).join(', ') : '*';
             }
-            return str;
+            let sql = `SELECT ${select} FROM ${s.from}`;
+            if (s.where.length > 0) sql += ` WHERE ${s.where.map(w => `(${w})`).join(' AND ')}`;
+            if (s.group) sql += ` GROUP BY ${s.group.keys.map(quoteIdentifier).join(', ')}`;
+            if (s.orderBy.length > 0) {
+                sql += ' ORDER BY ' + s.orderBy.map(o => {
+                    const id = quoteIdentifier(o.column);
+                    return `${id} IS NULL, ${id} ${o.ascending ? 'ASC' : 'DESC'}`;
+                }).join(', ');
+            }
+            if (s.limit !== null) sql += ` LIMIT ${s.limit}`;
+            return sql;
         };
 
-        const header = this._columns.map(escape).join(',');
-        const rows = this._rows.map(row => row.map(escape).join(','));
-        return [header, ...rows].join('\n');
+        let i = 0;
+        for (; i < this._ops.length; i++) {
+            const op = this._ops[i];
+            if (op.type === 'filter') {
+                if (!op.predicate.sql) break;
+                if (stage.group || stage.limit !== null) wrap(true);
+                stage.where.push(op.predicate.sql(dialect));
+            } else if (op.type === 'select') {
+                if (stage.group) wrap(true);
+                stage.columns = op.columns;
+            } else if (op.type === 'sortBy') {
+                if (stage.limit !== null) wrap(false);
+                // Sorts are stable, so a later sort key takes precedence.
+                stage.orderBy = [{ column: op.column, ascending: op.ascending },
+                    ...stage.orderBy.filter(o => o.column !== op.column)];
+            } else if (op.type === 'head') {
+                stage.limit = stage.limit === null ? op.n : Math.min(stage.limit, op.n);
+            } else if (op.type === 'groupBy') {
+                const specs = [];
+                for (const a of op.specs) {
+                    const render = typeof a.agg === 'string' ? SQL_AGGREGATIONS[a.agg] : undefined;
+                    if (!render) break;
+                    const col = a.column === undefined ? null : quoteIdentifier(a.column);
+                    specs.push({ name: a.name, sql: render(col, a.spec, dialect) });
+                }
+                if (specs.length < op.specs.length) break;
+                if (stage.group || stage.limit !== null || stage.columns) wrap(false);
+                stage.group = { keys: op.keys, specs };
+                stage.orderBy = [];
+            }
+        }
+
+        const rest = this._ops.slice(i);
+        const sqlOnly = rest.find(op => op.type === 'filter' && !op.predicate.test);
+        if (sqlOnly) {
+            throw new Error(`filter: SQL condition ${JSON.stringify(sqlOnly.source)} cannot follow an in-memory operation`);
+        }
+        return { sql: renderStage(stage), rest };
     }
+}
 
-    /**
-     * Convert to JSON string
-     * @returns {string} - JSON formatted string
-     */
-    toJson() {
-        return JSON.stringify({
-            columns: this._columns,
-            rows: this._rows,
-            viewName: this._viewName
-        }, null, 2);
+/**
+ * Rebuild an Error thrown inside the worker, keeping its type, message and
+ * stack trace.
+ * @private
+ */
+function reviveWorkerError(info) {
+    const name = (info && info.name) || 'Error';
+    const Ctor = typeof globalThis[name] === 'function' &&
+        (globalThis[name] === Error || globalThis[name].prototype instanceof Error)
+        ? globalThis[name]
+        : Error;
+    const err = new Ctor((info && info.message) || 'Worker error');
+    if (err.name !== name) {
+        err.name = name;
+    }
+    if (info && info.stack) {
+        err.stack = info.stack;
     }
+    if (info && info.code !== undefined) {
+        err.code = info.code;
+    }
+    return err;
 }
 
 /**
- * DataFrame class - pandas-like interface for query results
+ * Collect ArrayBuffers from top-level arguments so they are transferred to
+ * the worker instead of copied. Views over part of a buffer (e.g. pooled
+ * Node.js Buffers) are copied first so unrelated memory is never detached.
+ * @private
  */
-class DataFrame {
-    constructor(data, columns = null) {
-        if (data instanceof QueryResult) {
-            this._columns = [...data.columns];
-            this._data = data.rows.map(row => [...row]);
-        } else if (Array.isArray(data)) {
-            if (columns) {
-                this._columns = columns;
-                this._data = data;
-            } else if (data.length > 0 && typeof data[0] === 'object' && !Array.isArray(data[0])) {
-                // Array of objects
-                this._columns = Object.keys(data[0]);
-                this._data = data.map(obj => this._columns.map(col => obj[col]));
-            } else {
-                this._columns = [];
-                this._data = data;
+function prepareTransferArgs(args) {
+    const transfer = [];
+    const out = args.map(arg => {
+        if (arg instanceof ArrayBuffer) {
+            transfer.push(arg);
+            return arg;
+        }
+        if (arg instanceof Uint8Array) {
+            let bytes = arg;
+            if (bytes.byteOffset !== 0 || bytes.byteLength !== bytes.buffer.byteLength ||
+                !(bytes.buffer instanceof ArrayBuffer)) {
+                bytes = new Uint8Array(arg);
             }
+            transfer.push(bytes.buffer);
+            return bytes;
+        }
+        return arg;
+    });
+    return { args: out, transfer };
+}
+
+// Worker event -> WorkerLoaderProxy handler property.
+const WORKER_EVENT_HANDLERS = {
+    evict: 'onEvict',
+    sessionConflict: 'onSessionConflict',
+    sessionLost: 'onSessionLost',
+    sessionsChanged: 'onSessionsChanged'
+};
+
+/**
+ * WorkerLoaderProxy - promise-based stand-in for ExcelLoader whose engine
+ * runs in a Web Worker or Node.js worker_threads Worker. Created by
+ * ExcelLoaderModule.createWorker(). Every method returns a Promise.
+ * `dbReady` resolves to the /db mount result (see mountDb) or null.
+ */
+class WorkerLoaderProxy {
+    constructor(worker, isNodeWorker) {
+        this._worker = worker;
+        this._isNodeWorker = isNodeWorker;
+        this._pending = new Map(); // id -> { resolve, reject }
+        this._nextId = 1;
+        this._terminated = false;
+        this.dbReady = Promise.resolve(null);
+
+        const onMessage = msg => this._onMessage(msg);
+        const onFatal = err => this._rejectAll(err);
+        if (isNodeWorker) {
+            worker.on('message', onMessage);
+            worker.on('error', onFatal);
+            worker.on('exit', code => onFatal(new Error(`Worker exited with code ${code}`)));
         } else {
-            this._columns = [];
-            this._data = [];
+            worker.onmessage = event => onMessage(event.data);
+            worker.onerror = event => {
+                if (event && typeof event.preventDefault === 'function') event.preventDefault();
+                onFatal(new Error((event && event.message) || 'Worker error'));
+            };
         }
     }
 
     /**
-     * Get column names
+     * Open a file from bytes. The underlying ArrayBuffer is transferred to
+     * the worker, so `data` is detached (unusable) after the call.
+     * @returns {Promise<WorkerWorkbookProxy>}
      */
-    get columns() {
-        return [...this._columns];
+    openFile(data, fileName, options = {}) {
+        return this._call('loader', 'openFile', [data, fileName, options]);
     }
 
     /**
-     * Get number of rows
+     * @returns {Promise<WorkerWorkbookProxy>}
      */
-    get length() {
-        return this._data.length;
+    openFileAsync(file, options = {}) {
+        return this._call('loader', 'openFileAsync', [file, options]);
     }
 
     /**
-     * Get shape [rows, columns]
+     * Open a project manifest (see ExcelLoaderModule.openProjectFromManifest)
+     * @returns {Promise<WorkerWorkbookProxy>}
      */
-    get shape() {
-        return [this._data.length, this._columns.length];
+    openProjectFromManifest(manifest, fileMap) {
+        return this._call('module', 'openProjectFromManifest', [manifest, fileMap]);
+    }
+
+    /**
+     * Import a session bundle (see ExcelLoaderModule.importSessionBundle)
+     * @returns {Promise<Object>} - { sessionId, workbooks, editorState }
+     */
+    importSessionBundle(bytes, options = {}) {
+        return this._call('module', 'importSessionBundle', [bytes, options]);
+    }
+
+    closeFile(handleId) {
+        return this._call('loader', 'closeFile', [handleId]);
+    }
+
+    getLastError() {
+        return this._call('loader', 'getLastError', []);
+    }
+
+    getLastJson() {
+        return this._call('loader', 'getLastJson', []);
+    }
+
+    /**
+     * @returns {Promise<Object>} - See ExcelLoader.getMemoryUsage
+     */
+    getMemoryUsage(options = {}) {
+        return this._call('loader', 'getMemoryUsage', [options]);
+    }
+
+    destroy() {
+        return this._call('loader', 'destroy', []);
     }
 
     /**
-     * Get first n rows
-     * @param {number} n - Number of rows
-     * @returns {DataFrame}
+     * Destroy the loader and stop the worker.
      */
-    head(n = 5) {
-        return new DataFrame(this._data.slice(0, n), this._columns);
+    async terminate() {
+        if (this._terminated) {
+            return;
+        }
+        try {
+            await this.destroy();
+        } catch (e) {
+            // worker may already be gone
+        }
+        this._terminated = true;
+        await this._worker.terminate();
+        this._rejectAll(new Error('Worker terminated'));
     }
 
     /**
-     * Get last n rows
-     * @param {number} n - Number of rows
-     * @returns {DataFrame}
+     * @private
      */
-    tail(n = 5) {
-        return new DataFrame(this._data.slice(-n), this._columns);
+    async _call(target, method, args) {
+        const prepared = prepareTransferArgs(args);
+        const result = await this._send(
+            { type: 'call', target, method, args: prepared.args },
+            prepared.transfer
+        );
+        return this._revive(result);
     }
 
     /**
-     * Select specific columns
-     * @param {Array<string>} columns - Column names
-     * @returns {DataFrame}
+     * @private
      */
-    select(columns) {
-        const indices = columns.map(col => {
-            const idx = this._columns.indexOf(col);
-            if (idx === -1) throw new Error(`Column not found: ${col}`);
-            return idx;
+    _send(msg, transfer = []) {
+        if (this._terminated) {
+            return Promise.reject(new Error('Worker terminated'));
+        }
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            this._worker.postMessage({ ...msg, id }, transfer);
         });
-        const data = this._data.map(row => indices.map(i => row[i]));
-        return new DataFrame(data, columns);
     }
 
     /**
-     * Filter rows based on predicate
-     * @param {Function} predicate - Function that receives row object, returns boolean
-     * @returns {DataFrame}
+     * @private
      */
-    filter(predicate) {
-        const filtered = [];
-        for (const row of this._data) {
-            const obj = {};
-            this._columns.forEach((col, i) => obj[col] = row[i]);
-            if (predicate(obj)) {
-                filtered.push(row);
-            }
+    _onMessage(msg) {
+        if (msg && msg.type === 'event') {
+            this._onEvent(msg);
+            return;
+        }
+        if (!msg || !this._pending.has(msg.id)) {
+            return;
+        }
+        const { resolve, reject } = this._pending.get(msg.id);
+        this._pending.delete(msg.id);
+        if (msg.ok) {
+            resolve(msg.result);
+        } else {
+            reject(reviveWorkerError(msg.error));
         }
-        return new DataFrame(filtered, this._columns);
     }
 
     /**
-     * Sort by column
-     * @param {string} column - Column name
-     * @param {boolean} ascending - Sort order
-     * @returns {DataFrame}
+     * Call the handler of a worker event; events with a replyId (session
+     * conflicts) send the handler's result back.
+     * @private
      */
-    sortBy(column, ascending = true) {
-        const idx = this._columns.indexOf(column);
-        if (idx === -1) throw new Error(`Column not found: ${column}`);
-
-        const sorted = [...this._data].sort((a, b) => {
-            const va = a[idx], vb = b[idx];
-            if (va === vb) return 0;
-            if (va === null) return 1;
-            if (vb === null) return -1;
-            const cmp = va < vb ? -1 : 1;
-            return ascending ? cmp : -cmp;
-        });
-        return new DataFrame(sorted, this._columns);
+    _onEvent(msg) {
+        const handler = this[WORKER_EVENT_HANDLERS[msg.event]];
+        if (msg.replyId === undefined) {
+            if (typeof handler === 'function') {
+                handler(msg.info);
+            }
+            return;
+        }
+        Promise.resolve()
+            .then(() => handler(msg.info))
+            .then(
+                result => ({ ok: true, result }),
+                err => ({ ok: false, error: (err && err.message) || String(err) })
+            )
+            .then(reply => this._send({ type: 'eventReply', replyId: msg.replyId, ...reply }))
+            .catch(() => {
+                // worker gone
+            });
     }
 
     /**
-     * Group by column and aggregate
-     * @param {string} column - Column to group by
-     * @param {Object} aggs - Aggregation specs { column: 'sum'|'count'|'avg'|'min'|'max' }
-     * @returns {DataFrame}
+     * @private
      */
-    groupBy(column, aggs) {
-        const idx = this._columns.indexOf(column);
-        if (idx === -1) throw new Error(`Column not found: ${column}`);
-
-        const groups = new Map();
-        for (const row of this._data) {
-            const key = row[idx];
-            if (!groups.has(key)) {
-                groups.set(key, []);
-            }
-            groups.get(key).push(row);
+    _rejectAll(err) {
+        for (const { reject } of this._pending.values()) {
+            reject(err);
         }
+        this._pending.clear();
+    }
 
-        const newColumns = [column];
-        const aggSpecs = [];
-        for (const [aggCol, aggFunc] of Object.entries(aggs)) {
-            const aggIdx = this._columns.indexOf(aggCol);
-            if (aggIdx === -1) throw new Error(`Column not found: ${aggCol}`);
-            newColumns.push(`${aggCol}_${aggFunc}`);
-            aggSpecs.push({ idx: aggIdx, func: aggFunc });
+    /**
+     * Turn worker-side references back into objects.
+     * @private
+     */
+    _revive(result) {
+        if (result && typeof result === 'object') {
+            if (result.__workbook) {
+                return new WorkerWorkbookProxy(this, result.__workbook);
+            }
+            if (result.__queryResult) {
+                return new QueryResult(result.__queryResult, { coerce: result.coerce });
+            }
+            if (result.__iterator) {
+                return this._iterate(result.__iterator);
+            }
+            if (Array.isArray(result)) {
+                return result.map(item => this._revive(item));
+            }
+            if (Object.getPrototypeOf(result) === Object.prototype) {
+                const out = {};
+                for (const [key, item] of Object.entries(result)) {
+                    out[key] = this._revive(item);
+                }
+                return out;
+            }
         }
+        return result;
+    }
 
-        const result = [];
-        for (const [key, rows] of groups) {
-            const newRow = [key];
-            for (const { idx: aggIdx, func } of aggSpecs) {
-                const values = rows.map(r => r[aggIdx]).filter(v => v !== null);
-                let aggValue;
-                switch (func) {
-                    case 'count': aggValue = values.length; break;
-                    case 'sum': aggValue = values.reduce((a, b) => a + b, 0); break;
-                    case 'avg': aggValue = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null; break;
-                    case 'min': aggValue = values.length ? Math.min(...values) : null; break;
-                    case 'max': aggValue = values.length ? Math.max(...values) : null; break;
-                    default: throw new Error(`Unknown aggregation: ${func}`);
+    /**
+     * @private
+     */
+    async *_iterate(iteratorId) {
+        let finished = false;
+        try {
+            for (;;) {
+                const step = await this._send({ type: 'iterNext', iteratorId });
+                if (step.done) {
+                    finished = true;
+                    return;
                 }
-                newRow.push(aggValue);
+                yield this._revive(step.value);
+            }
+        } finally {
+            if (!finished && !this._terminated) {
+                await this._send({ type: 'iterReturn', iteratorId });
             }
-            result.push(newRow);
         }
+    }
+}
+
+/**
+ * WorkerWorkbookProxy - promise-based stand-in for Workbook/JsWorkbookWrapper
+ * living in a worker. Method names match Workbook; results are Promises.
+ */
+class WorkerWorkbookProxy {
+    constructor(loaderProxy, info) {
+        this._loaderProxy = loaderProxy;
+        this._id = info.id;
+        this._handleId = info.handleId;
+        this._fileName = info.fileName;
+        this._closed = false;
+    }
+
+    get fileName() {
+        return this._fileName;
+    }
+
+    get handleId() {
+        return this._handleId;
+    }
 
-        return new DataFrame(result, newColumns);
+    get isClosed() {
+        return this._closed;
     }
 
     /**
-     * Convert to array of objects
-     * @returns {Array<Object>}
+     * Iterate over a query result in batches (see Workbook.queryIterator)
      */
-    toObjects() {
-        return this._data.map(row => {
-            const obj = {};
-            this._columns.forEach((col, i) => obj[col] = row[i]);
-            return obj;
-        });
+    async *queryIterator(sql, options = {}) {
+        const it = await this._invoke('queryIterator', [sql, options]);
+        yield* it;
     }
 
     /**
-     * Convert to array of arrays (including header)
-     * @returns {Array<Array>}
+     * Register JS data as a dataset (see Workbook.registerDataset). Frames
+     * and query results are sent to the worker as plain { columns, rows }.
      */
-    toArray() {
-        return [this._columns, ...this._data];
+    registerDataset(name, data, options = {}) {
+        const table = data instanceof QueryResult || data instanceof DataFrame ? tableData(data) : data;
+        return this._invoke('registerDataset', [name, table, options]);
     }
 
     /**
-     * Pretty print the DataFrame
-     * @returns {string}
+     * Close the workbook inside the worker
      */
-    toString() {
-        const widths = this._columns.map((col, i) => {
-            const values = [col, ...this._data.map(row => String(row[i] ?? ''))];
-            return Math.max(...values.map(v => v.length));
-        });
-
-        const sep = '+' + widths.map(w => '-'.repeat(w + 2)).join('+') + '+';
-        const formatRow = row => '| ' + row.map((v, i) => String(v ?? '').padEnd(widths[i])).join(' | ') + ' |';
+    async close() {
+        if (!this._closed) {
+            this._closed = true;
+            await this._loaderProxy._call(this._id, 'close', []);
+        }
+    }
 
-        const lines = [
-            sep,
-            formatRow(this._columns),
-            sep,
-            ...this._data.map(row => formatRow(row)),
-            sep
-        ];
-        return lines.join('\n');
+    /**
+     * @private
+     */
+    _invoke(method, args) {
+        if (this._closed) {
+            return Promise.reject(new Error('Workbook is closed'));
+        }
+        return this._loaderProxy._call(this._id, method, args);
     }
 }
 
+// Session and /db methods of ExcelLoader (see there); workbooks in the
+// results come back as WorkerWorkbookProxy.
+for (const method of [
+    'restoreSession', 'listSessions', 'saveEditorState', 'sessionAccess', 'takeOverSession',
+    'releaseSession', 'mountDb', 'syncDb', 'exportSessionBundle', 'cleanupSessions'
+]) {
+    WorkerLoaderProxy.prototype[method] = function (...args) {
+        return this._call('loader', method, args);
+    };
+}
+
+for (const method of [
+    'listDatasets', 'describeDataset', 'query', 'profileDataset',
+    'evaluateQualityRules', 'attachFile', 'renameDataset', 'detachSource',
+    'listSources', 'getSourcePaths', 'getMemoryStats', 'listDatasetMemoryStats',
+    'exportManifest', 'dropDataset', 'pin', 'unpin', 'saveQuery', 'listSavedQueries',
+    'runSavedQuery', 'deleteSavedQuery', 'getQueryHistory', 'clearQueryHistory'
+]) {
+    WorkerWorkbookProxy.prototype[method] = function (...args) {
+        return this._invoke(method, args);
+    };
+}
+
 // Module exports for different environments
 const ExcelLoaderModule = {
     FileFormat,
@@ -1068,6 +6013,9 @@ const ExcelLoaderModule = {
     JsWorkbookWrapper,
     QueryResult,
     DataFrame,
+    LazyFrame,
+    WorkerLoaderProxy,
+    WorkerWorkbookProxy,
 
     // Heavy format handlers (may be null if not available)
     ParquetHandler,
@@ -1095,16 +6043,196 @@ const ExcelLoaderModule = {
         return true;
     },
 
+    /**
+     * Wait until the Emscripten runtime of a module is initialised.
+     * Rejects if the object is not an engine module, if the runtime aborts
+     * (e.g. the .wasm file cannot be fetched) or after `timeoutMs`.
+     * @param {Object} wasmModule - Emscripten module instance
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=30000] - 0 waits forever
+     * @returns {Promise<Object>} - Resolves with the same module
+     */
+    ready(wasmModule, options = {}) {
+        if (!wasmModule || (typeof wasmModule !== 'object' && typeof wasmModule !== 'function')) {
+            return Promise.reject(new Error('ready failed: not an Emscripten module'));
+        }
+        if (wasmModule.calledRun) {
+            return typeof wasmModule._ff_init === 'function'
+                ? Promise.resolve(wasmModule)
+                : Promise.reject(new Error('ready failed: module does not export _ff_init'));
+        }
+        const timeoutMs = options.timeoutMs === undefined ? 30000 : options.timeoutMs;
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const settle = (fn, value) => {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+                fn(value);
+            };
+            if (wasmModule.ready && typeof wasmModule.ready.then === 'function') {
+                wasmModule.ready.then(
+                    () => settle(resolve, wasmModule),
+                    err => settle(reject, new Error(`ready failed: ${err}`))
+                );
+            } else {
+                const prevInit = wasmModule.onRuntimeInitialized;
+                wasmModule.onRuntimeInitialized = () => {
+                    if (typeof prevInit === 'function') prevInit();
+                    settle(resolve, wasmModule);
+                };
+                const prevAbort = wasmModule.onAbort;
+                wasmModule.onAbort = what => {
+                    if (typeof prevAbort === 'function') prevAbort(what);
+                    settle(reject, new Error(`ready failed: runtime aborted: ${what}`));
+                };
+            }
+            if (timeoutMs > 0) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    reject(new Error(`ready failed: runtime not initialised after ${timeoutMs} ms`));
+                }, timeoutMs);
+            }
+        });
+    },
+
+    /**
+     * Node.js only: evaluate the Emscripten glue (excel_loader_wasm.js) and
+     * return its Module object. The default build is not MODULARIZE, so a
+     * plain require() only works when the glue happens to assign
+     * module.exports; here the script runs with a pre-declared `Module`
+     * (seeded with `moduleOverrides`, e.g. locateFile) and that object is
+     * returned. A MODULARIZE build (factory export) is called instead.
+     * Pass the result to ready() before use.
+     *
+     * @param {string} [gluePath] - Path of excel_loader_wasm.js
+     *   (defaults to the copy next to this script)
+     * @param {Object} [moduleOverrides] - Initial Module properties
+     * @returns {Object|Promise<Object>} Emscripten module instance
+     */
+    loadWasmModule(gluePath, moduleOverrides = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const vm = require('vm');
+        const { createRequire } = require('module');
+        const filename = path.resolve(gluePath || path.join(__dirname, 'excel_loader_wasm.js'));
+        let source;
+        try {
+            source = fs.readFileSync(filename, 'utf8');
+        } catch (e) {
+            throw new Error(`loadWasmModule failed: ${e.message}`);
+        }
+        const wrapper = vm.runInThisContext(
+            '(function (Module, require, module, exports, __filename, __dirname) {' +
+            source + '\nreturn Module;\n})',
+            { filename }
+        );
+        const mod = { exports: {} };
+        const Module = wrapper(
+            Object.assign({}, moduleOverrides), createRequire(filename),
+            mod, mod.exports, filename, path.dirname(filename)
+        );
+        if (typeof mod.exports === 'function') {
+            return mod.exports(Object.assign({}, moduleOverrides));
+        }
+        return Module;
+    },
+
     /**
      * Create and initialize an ExcelLoader instance
      * @param {Object} wasmModule - Emscripten module instance
-     * @returns {ExcelLoader}
+     * @param {Object} [options] - { maxWorkbooks, maxBytes, hibernate, onEvict, retention, dbBackend, ... } (see ExcelLoader)
+     * @returns {ExcelLoader} - With `dbBackend`, `loader.dbReady` resolves with the mountDb()
+     *   result (null if mounting failed); with `retention`, `loader.startupCleanup` resolves
+     *   with the cleanupSessions() report (null if the cleanup failed)
      */
-    create(wasmModule) {
-        const loader = new ExcelLoader(wasmModule);
+    create(wasmModule, options = {}) {
+        const loader = new ExcelLoader(wasmModule, options);
+        if (loader._dbBackend) {
+            loader.mountDb().catch(e => {
+                if (console && console.warn) {
+                    console.warn('Mounting /db failed', e);
+                }
+            });
+        }
+        if (loader._retention && loader._sessionsAvailable()) {
+            loader.startupCleanup = loader.cleanupSessions().catch(e => {
+                if (console && console.warn) {
+                    console.warn('Session cleanup failed', e);
+                }
+                return null;
+            });
+        }
         return loader.init();
     },
 
+    /**
+     * Start the engine in a dedicated worker (Web Worker in browsers,
+     * worker_threads in Node.js) and return a promise-based loader proxy.
+     * Call `terminate()` on the proxy to stop the worker.
+     *
+     * @param {string} [wasmUrl] - URL/path of excel_loader_wasm.js
+     *   (defaults to the copy next to this script)
+     * @param {Object} [options]
+     * @param {string} [options.workerUrl] - URL/path of excel_loader_worker.js
+     * @param {string} [options.loaderUrl] - URL/path of excel_loader.js
+     * @param {Object} [options.loaderOptions] - Options passed to create();
+     *   onEvict is called on the main thread with { handleId, fileName, reason, sizeBytes, state };
+     *   onSessionConflict, onSessionLost and onSessionsChanged are called on the
+     *   main thread too (onSessionConflict's answer is sent back to the worker)
+     * @param {number} [options.readyTimeoutMs] - Engine start-up timeout, see ready()
+     * @returns {Promise<WorkerLoaderProxy>} - Rejects if the engine fails to start
+     */
+    async createWorker(wasmUrl, options = {}) {
+        const isNode = typeof window === 'undefined' && typeof process !== 'undefined' &&
+            !!(process.versions && process.versions.node);
+        let worker;
+        let resolvedWasmUrl;
+        let loaderUrl;
+        if (isNode) {
+            const path = require('path');
+            const { Worker } = require('worker_threads');
+            worker = new Worker(options.workerUrl || path.join(__dirname, 'excel_loader_worker.js'));
+            resolvedWasmUrl = path.resolve(wasmUrl || path.join(__dirname, 'excel_loader_wasm.js'));
+            loaderUrl = options.loaderUrl || __filename;
+        } else {
+            const base = CURRENT_SCRIPT_URL || self.location.href;
+            worker = new Worker(options.workerUrl || new URL('excel_loader_worker.js', base).href);
+            resolvedWasmUrl = new URL(wasmUrl || 'excel_loader_wasm.js', base).href;
+            loaderUrl = options.loaderUrl || new URL('excel_loader.js', base).href;
+        }
+
+        // Functions cannot cross the worker boundary: evictions and session
+        // callbacks are reported back as events and delivered to the
+        // proxy's handlers instead.
+        const { onEvict, onSessionConflict, onSessionLost, onSessionsChanged, ...loaderOptions } =
+            options.loaderOptions || {};
+        const proxy = new WorkerLoaderProxy(worker, isNode);
+        proxy.onEvict = onEvict || null;
+        proxy.onSessionConflict = onSessionConflict || null;
+        proxy.onSessionLost = onSessionLost || null;
+        proxy.onSessionsChanged = onSessionsChanged || null;
+        const callbacks = ['onSessionConflict', 'onSessionLost', 'onSessionsChanged']
+            .filter(name => typeof proxy[name] === 'function');
+        try {
+            const started = await proxy._send({
+                type: 'init',
+                wasmUrl: resolvedWasmUrl,
+                loaderUrl,
+                loaderOptions,
+                callbacks,
+                readyTimeoutMs: options.readyTimeoutMs
+            });
+            proxy.dbReady = Promise.resolve(started.db);
+        } catch (e) {
+            proxy._terminated = true;
+            await worker.terminate();
+            throw e;
+        }
+        return proxy;
+    },
+
     /**
      * Open a workbook from a project manifest and a map of path -> File/Blob.
      * This helper expects a manifest object matching ADR 0019 and a fileMap
@@ -1114,9 +6242,11 @@ const ExcelLoaderModule = {
      * @param {ExcelLoader} loader
      * @param {Object} manifest
      * @param {Map|string[]|FileList|Object} fileMap
+     * @param {Object} [options]
+     * @param {string} [options.sessionId] - Session the workbook joins (see openFileAsync)
      * @returns {Promise<Workbook>}
      */
-    async openProjectFromManifest(loader, manifest, fileMap) {
+    async openProjectFromManifest(loader, manifest, fileMap, options = {}) {
         if (!loader || typeof loader.openFileAsync !== 'function') {
             throw new Error('openProjectFromManifest: invalid loader');
         }
@@ -1166,75 +6296,28 @@ const ExcelLoaderModule = {
             return map;
         };
 
-        const mapFormatStringToEnum = (fmt) => {
-            if (!fmt) return FileFormat.Auto;
-            const lower = String(fmt).toLowerCase();
-            if (lower === 'csv') return FileFormat.Csv;
-            if (lower === 'tsv') return FileFormat.Tsv;
-            if (lower === 'xlsx') return FileFormat.Xlsx;
-            if (lower === 'xlsm') return FileFormat.Xlsm;
-            if (lower === 'xltx') return FileFormat.Xltx;
-            if (lower === 'xls') return FileFormat.Xls;
-            if (lower === 'xlsb') return FileFormat.Xlsb;
-            if (lower === 'ods') return FileFormat.Ods;
-            if (lower === 'sqlite' || lower === 'db') return FileFormat.Sqlite;
-            if (lower === 'dbf') return FileFormat.Dbf;
-            if (lower === 'mdb') return FileFormat.Mdb;
-            if (lower === 'accdb') return FileFormat.Accdb;
-            if (lower === 'parquet' || lower === 'pq') return FileFormat.Parquet;
-            if (lower === 'duckdb') return FileFormat.DuckDb;
-            if (lower === 'jsonl' || lower === 'ndjson') return FileFormat.Jsonl;
-            if (lower === 'json') return FileFormat.Json;
-            if (lower === 'xml') return FileFormat.Xml;
-            if (lower === 'html' || lower === 'htm') return FileFormat.Html;
-            if (lower === 'txt' || lower === 'log') return FileFormat.Txt;
-            return FileFormat.Auto;
-        };
-
         const attachSource = async (workbook, src, file) => {
+            const name = src.path || (file && file.name) || 'attached';
             let data;
-            if (typeof File !== 'undefined' && file instanceof File) {
-                const buf = await file.arrayBuffer();
-                data = new Uint8Array(buf);
-            } else if (typeof Blob !== 'undefined' && file instanceof Blob) {
-                const buf = await file.arrayBuffer();
-                data = new Uint8Array(buf);
-            } else if (file instanceof Uint8Array) {
-                data = file;
-            } else {
+            try {
+                data = await readFileBytes(file);
+            } catch (e) {
                 throw new Error('openProjectFromManifest: unsupported file type for ' + src.path);
             }
 
-            const module = loader._module;
-            const dataPtr = module._malloc(data.length);
-            const heap = new Uint8Array(module.HEAPU8.buffer, dataPtr, data.length);
-            heap.set(data);
-
-            const name = src.path || (file && file.name) || 'attached';
-            const namePtr = loader._allocateString(name);
-
-            const fmtEnum = mapFormatStringToEnum(src.format);
-            const delimChar = (src.delimiter && String(src.delimiter)[0]) || ',';
-            const hasHeaderRow = src.hasHeaderRow !== false ? 1 : 0;
-
-            const rc = module._ff_attachFile(
-                workbook.handleId,
-                dataPtr,
-                data.length,
-                namePtr,
-                fmtEnum,
-                delimChar.charCodeAt(0),
-                hasHeaderRow
-            );
-
-            module._free(dataPtr);
-            module._free(namePtr);
-
-            if (rc !== 0) {
-                const err = loader.getLastError();
+            try {
+                await workbook.attachFile(data, {
+                    fileName: name,
+                    format: mapFormatStringToEnum(src.format),
+                    delimiter: (src.delimiter && String(src.delimiter)[0]) || ',',
+                    hasHeaderRow: src.hasHeaderRow !== false
+                });
+            } catch (e) {
+                const message = String(e.message || e);
+                const prefix = `attachFile failed for "${name}": `;
                 throw new Error(
                     `openProjectFromManifest: attach failed for "${name}": ` +
-                    (err || 'unknown error')
+                    (message.startsWith(prefix) ? message.slice(prefix.length) : message)
                 );
             }
         };
@@ -1279,7 +6362,8 @@ const ExcelLoaderModule = {
             fileName: baseSrc.path || baseFileObj.name,
             format: baseFormatEnum,
             delimiter: baseDelimiter,
-            hasHeaderRow: baseHasHeader
+            hasHeaderRow: baseHasHeader,
+            sessionId: options.sessionId
         });
 
         try {
@@ -1307,23 +6391,16 @@ const ExcelLoaderModule = {
             const renames = Array.isArray(manifestObj.renames)
                 ? manifestObj.renames
                 : [];
-            if (renames.length > 0) {
-                const module = loader._module;
-                for (const r of renames) {
-                    if (!r || !r.from || !r.to)
-                        continue;
-                    const oldPtr = loader._allocateString(r.from);
-                    const newPtr = loader._allocateString(r.to);
-                    const rc = module._ff_renameDataset(workbook.handleId, oldPtr, newPtr);
-                    module._free(oldPtr);
-                    module._free(newPtr);
-                    if (rc !== 0) {
-                        const err = loader.getLastError();
-                        errors.push(
-                            `openProjectFromManifest: rename failed ` +
-                            `for "${r.from}" -> "${r.to}": ${err || 'unknown error'}`
-                        );
-                    }
+            for (const r of renames) {
+                if (!r || !r.from || !r.to)
+                    continue;
+                try {
+                    await workbook.renameDataset(r.from, r.to);
+                } catch (e) {
+                    errors.push(
+                        `openProjectFromManifest: rename failed ` +
+                        `for "${r.from}" -> "${r.to}": ${e.message || e}`
+                    );
                 }
             }
         } catch (e) {
@@ -1346,6 +6423,93 @@ const ExcelLoaderModule = {
         }
 
         return workbook;
+    },
+
+    /**
+     * Recreate a session from a bundle written by
+     * loader.exportSessionBundle(): reopens its workbooks (with attached
+     * sources and renames), saved queries, editor state and /db database.
+     *
+     * @param {ExcelLoader} loader
+     * @param {Uint8Array|ArrayBuffer|Blob} bytes - Bundle file
+     * @param {Object} [options]
+     * @param {string} [options.sessionId] - Import under this id instead of the exported one
+     * @returns {Promise<Object>} - { sessionId, workbooks, editorState }
+     */
+    async importSessionBundle(loader, bytes, options = {}) {
+        if (!loader || typeof loader.openFileAsync !== 'function') {
+            throw new Error('importSessionBundle: invalid loader');
+        }
+        if (!loader._sessionsAvailable()) {
+            throw new Error('importSessionBundle requires session_manager.js');
+        }
+        let entries;
+        try {
+            entries = getSessionZip().readZip(await readFileBytes(bytes));
+        } catch (e) {
+            throw new Error(`importSessionBundle failed: not a valid session bundle (${e.message || e})`);
+        }
+        const bundle = readBundleJson(entries, SESSION_BUNDLE_INDEX);
+        if (!bundle || !Number.isInteger(bundle.bundleVersion) || !Array.isArray(bundle.workbooks)) {
+            throw new Error('importSessionBundle failed: corrupt session bundle (bad bundle.json)');
+        }
+        if (bundle.bundleVersion > SESSION_BUNDLE_VERSION) {
+            throw new Error(`importSessionBundle failed: bundle version ${bundle.bundleVersion} is newer ` +
+                `than the supported version ${SESSION_BUNDLE_VERSION}; update excel_loader.js`);
+        }
+        const sessionId = options.sessionId || bundle.sessionId;
+        if (await loader._sessionManager.loadSession(sessionId)) {
+            throw new Error(`importSessionBundle failed: session "${sessionId}" already exists ` +
+                '(pass options.sessionId to import under another id)');
+        }
+        if (await loader._claimSession(sessionId) !== 'owner') {
+            throw new Error(`importSessionBundle failed: session "${sessionId}" is read-only in this tab ` +
+                '(owned by another tab)');
+        }
+
+        const result = { sessionId, workbooks: [], editorState: bundle.editorState ?? null };
+        const fs = loader._snapshotFs();
+        try {
+            for (const item of bundle.workbooks) {
+                const manifest = readBundleJson(entries, item.manifest);
+                const fileMap = {};
+                for (const [path, name] of Object.entries(item.files || {})) {
+                    if (!entries.has(name)) {
+                        throw new Error(`importSessionBundle failed: corrupt session bundle (missing ${name})`);
+                    }
+                    fileMap[path] = entries.get(name);
+                }
+                const workbook = await ExcelLoaderModule.openProjectFromManifest(loader, manifest, fileMap, { sessionId });
+                result.workbooks.push(workbook);
+                for (const query of item.savedQueries || []) {
+                    await workbook.saveQuery(query.name, query.sql);
+                }
+            }
+            if (bundle.database && fs) {
+                if (!entries.has(bundle.database)) {
+                    throw new Error(`importSessionBundle failed: corrupt session bundle (missing ${bundle.database})`);
+                }
+                fs.writeFile(sessionDbPath(sessionId), entries.get(bundle.database));
+            }
+            if (result.editorState !== null) {
+                await loader.saveEditorState(result.editorState, sessionId);
+            }
+            await loader._sessionManager.ensureSession(sessionId);
+        } catch (e) {
+            // Leave no half-imported session behind.
+            for (const workbook of result.workbooks) {
+                await workbook._session.saving;
+                workbook.close();
+            }
+            await loader._sessionManager.deleteSession(sessionId);
+            if (fs) {
+                removeFsDir(fs, sessionSourceDir(sessionId));
+                removeFsFiles(fs, [sessionDbPath(sessionId)]);
+            }
+            throw e;
+        }
+        await loader.syncDb();
+        return result;
     }
 };
 
@@ -1359,4 +6523,7 @@ if (typeof module !== 'undefined' && module.exports) {
 } else if (typeof window !== 'undefined') {
     // Browser global
     window.ExcelLoaderModule = ExcelLoaderModule;
+} else if (typeof self !== 'undefined') {
+    // Web Worker (importScripts)
+    self.ExcelLoaderModule = ExcelLoaderModule;
 }
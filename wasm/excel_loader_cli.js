@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * excel-loader-js - Node.js command-line front end for ExcelLoaderModule.
+ *
+ * Uses the same WASM engine as the browser build (excel_loader_wasm.js), so
+ * pipelines get identical parsing and SQL behaviour. Mirrors the native
+ * excel_loader_cli flags where they overlap.
+ *
+ * Usage:
+ *   node excel_loader_cli.js [options] <file> [more files to attach...]
+ *
+ * Run with --help for the full option list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const ExcelLoaderModule = require('./excel_loader.js');
+const { DataFrame } = ExcelLoaderModule;
+
+const USAGE = `Usage: excel-loader-js [options] <file> [attach-file...]
+
+Input:
+  --file <path>                 Primary file (alternative to the first positional)
+  --attach <path>               Attach another file (repeatable)
+  --project-config <json>       Open a project manifest; sources are resolved
+                                relative to the manifest directory
+  --format <fmt>                Format of the primary/attached files (csv, xlsx, ...)
+  --delimiter <char>            CSV/TSV delimiter (default ",")
+  --no-header                   First row is data, not a header
+  --detach-file <path>          Detach a source after opening (repeatable)
+  --rename <old>=<new>          Rename a dataset after opening (repeatable)
+  --wasm <path>                 Path to excel_loader_wasm.js (default: next to this script)
+
+Actions:
+  --list-datasets               List datasets
+  --profile <dataset>           Profile a dataset (repeatable)
+  --sql <query>                 Run a SQL query (repeatable)
+  --repl                        Start an interactive SQL prompt
+                                (default when no action is given and stdin is a TTY)
+  --export-project-config <p>   Write the workbook's project manifest to <p> ("-" = stdout)
+
+Output:
+  --output <table|csv|json>     Result format (default: table)
+  -h, --help                    Show this help
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const opts = {
+        files: [],
+        attach: [],
+        detach: [],
+        renames: [],
+        profiles: [],
+        sql: [],
+        projectConfig: null,
+        format: null,
+        delimiter: ',',
+        hasHeaderRow: true,
+        wasm: null,
+        listDatasets: false,
+        repl: false,
+        exportProjectConfig: null,
+        output: 'table',
+        help: false
+    };
+
+    const takeValue = (i, flag) => {
+        if (i + 1 >= argv.length) {
+            throw new UsageError(`${flag} requires a value`);
+        }
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-h':
+            case '--help': opts.help = true; break;
+            case '--file': opts.files.unshift(takeValue(i++, arg)); break;
+            case '--attach':
+            case '--attach-file': opts.attach.push(takeValue(i++, arg)); break;
+            case '--detach-file': opts.detach.push(takeValue(i++, arg)); break;
+            case '--rename': {
+                const value = takeValue(i++, arg);
+                const eq = value.indexOf('=');
+                if (eq <= 0 || eq === value.length - 1) {
+                    throw new UsageError(`--rename expects <old>=<new>, got "${value}"`);
+                }
+                opts.renames.push({ from: value.slice(0, eq), to: value.slice(eq + 1) });
+                break;
+            }
+            case '--project-config': opts.projectConfig = takeValue(i++, arg); break;
+            case '--format': opts.format = takeValue(i++, arg); break;
+            case '--delimiter': opts.delimiter = takeValue(i++, arg); break;
+            case '--no-header': opts.hasHeaderRow = false; break;
+            case '--wasm': opts.wasm = takeValue(i++, arg); break;
+            case '--list-datasets': opts.listDatasets = true; break;
+            case '--profile': opts.profiles.push(takeValue(i++, arg)); break;
+            case '--sql': opts.sql.push(takeValue(i++, arg)); break;
+            case '--repl': opts.repl = true; break;
+            case '--export-project-config': opts.exportProjectConfig = takeValue(i++, arg); break;
+            case '--output': {
+                const fmt = takeValue(i++, arg).toLowerCase();
+                if (!['table', 'csv', 'json'].includes(fmt)) {
+                    throw new UsageError(`--output must be table, csv or json (got "${fmt}")`);
+                }
+                opts.output = fmt;
+                break;
+            }
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Unknown option: ${arg}`);
+                }
+                opts.files.push(arg);
+        }
+    }
+
+    // Extra positional files are attached to the primary one.
+    opts.attach = [...opts.files.slice(1), ...opts.attach];
+    opts.files = opts.files.slice(0, 1);
+    return opts;
+}
+
+async function loadEngine(wasmPath) {
+    const resolved = path.resolve(wasmPath || path.join(__dirname, 'excel_loader_wasm.js'));
+    const wasmModule = await ExcelLoaderModule.loadWasmModule(resolved);
+    await ExcelLoaderModule.ready(wasmModule);
+    return ExcelLoaderModule.create(wasmModule);
+}
+
+function openOptions(opts, filePath) {
+    return {
+        fileName: path.basename(filePath),
+        format: opts.format || 'auto',
+        delimiter: opts.delimiter,
+        hasHeaderRow: opts.hasHeaderRow
+    };
+}
+
+async function openWorkbook(loader, opts) {
+    if (opts.projectConfig) {
+        const manifestPath = path.resolve(opts.projectConfig);
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (e) {
+            throw new Error(`project-config: cannot read manifest "${manifestPath}": ${e.message}`);
+        }
+        const baseDir = path.dirname(manifestPath);
+        const fileMap = new Map();
+        for (const src of Array.isArray(manifest.sources) ? manifest.sources : []) {
+            if (!src || !src.path) continue;
+            const abs = path.resolve(baseDir, src.path);
+            if (fs.existsSync(abs)) {
+                fileMap.set(String(src.path).replace(/\\/g, '/').replace(/^\.?\/+/, ''),
+                    new Uint8Array(fs.readFileSync(abs)));
+            }
+        }
+        try {
+            return await ExcelLoaderModule.openProjectFromManifest(loader, manifest, fileMap);
+        } catch (e) {
+            throw new Error(`project-config: ${e.message}`);
+        }
+    }
+
+    if (opts.files.length === 0) {
+        throw new UsageError('No input file given (use <file>, --file or --project-config)');
+    }
+    const primary = opts.files[0];
+    const options = openOptions(opts, primary);
+    const data = new Uint8Array(fs.readFileSync(primary));
+    return await loader.openFile(data, options.fileName, options);
+}
+
+function printResult(result, output) {
+    if (output === 'csv') {
+        process.stdout.write(result.toCsv() + '\n');
+    } else if (output === 'json') {
+        process.stdout.write(result.toJson() + '\n');
+    } else {
+        const df = new DataFrame(result);
+        process.stdout.write(df.toString() + '\n');
+        process.stdout.write(`(${df.length} row${df.length === 1 ? '' : 's'})\n`);
+    }
+}
+
+function printObjects(objects, output) {
+    if (output === 'json') {
+        process.stdout.write(JSON.stringify(objects, null, 2) + '\n');
+        return;
+    }
+    const flat = objects.map(obj => {
+        const row = {};
+        for (const [k, v] of Object.entries(obj)) {
+            row[k] = v !== null && typeof v === 'object' ? JSON.stringify(v) : v;
+        }
+        return row;
+    });
+    const df = new DataFrame(flat);
+    if (output === 'csv') {
+        const escape = v => {
+            const str = v === null || v === undefined ? '' : String(v);
+            return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+        };
+        const lines = [df.columns.map(escape).join(',')];
+        for (const obj of df.toObjects()) {
+            lines.push(df.columns.map(c => escape(obj[c])).join(','));
+        }
+        process.stdout.write(lines.join('\n') + '\n');
+    } else {
+        process.stdout.write(df.toString() + '\n');
+    }
+}
+
+async function listDatasets(workbook, output) {
+    const result = await workbook.listDatasets();
+    printObjects(result.sheets || [], output);
+}
+
+async function profileDataset(workbook, name, output) {
+    const profile = await workbook.profileDataset(name);
+    if (output === 'json') {
+        process.stdout.write(JSON.stringify(profile, null, 2) + '\n');
+    } else {
+        printObjects(Array.isArray(profile.columns) ? profile.columns : [], output);
+    }
+}
+
+async function runSql(workbook, sql, output) {
+    printResult(await workbook.query(sql), output);
+}
+
+function runRepl(workbook, initialOutput) {
+    let output = initialOutput;
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: 'sql> '
+    });
+    let buffer = '';
+
+    const help = () => {
+        process.stdout.write([
+            'Enter SQL terminated by ";". Commands:',
+            '  .datasets            list datasets',
+            '  .profile <dataset>   profile a dataset',
+            '  .output <fmt>        table, csv or json',
+            '  .help                show this help',
+            '  .quit                exit',
+            ''
+        ].join('\n'));
+    };
+
+    return new Promise(resolve => {
+        rl.on('line', async line => {
+            rl.pause();
+            const trimmed = line.trim();
+            try {
+                if (!buffer && trimmed.startsWith('.')) {
+                    const [cmd, ...rest] = trimmed.split(/\s+/);
+                    const arg = rest.join(' ');
+                    if (cmd === '.quit' || cmd === '.exit') {
+                        rl.close();
+                        return;
+                    } else if (cmd === '.datasets') {
+                        await listDatasets(workbook, output);
+                    } else if (cmd === '.profile' && arg) {
+                        await profileDataset(workbook, arg, output);
+                    } else if (cmd === '.output' && ['table', 'csv', 'json'].includes(arg)) {
+                        output = arg;
+                    } else {
+                        help();
+                    }
+                } else if (trimmed) {
+                    buffer += (buffer ? '\n' : '') + line;
+                    if (trimmed.endsWith(';')) {
+                        const sql = buffer;
+                        buffer = '';
+                        await runSql(workbook, sql, output);
+                    }
+                }
+            } catch (e) {
+                process.stderr.write(`Error: ${e.message}\n`);
+            }
+            rl.setPrompt(buffer ? '...> ' : 'sql> ');
+            rl.resume();
+            rl.prompt();
+        });
+        rl.on('close', () => {
+            process.stdout.write('\n');
+            resolve();
+        });
+        help();
+        rl.prompt();
+    });
+}
+
+async function main(argv) {
+    const opts = parseArgs(argv);
+    if (opts.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const loader = await loadEngine(opts.wasm);
+    let workbook = null;
+    try {
+        workbook = await openWorkbook(loader, opts);
+
+        for (const file of opts.attach) {
+            await workbook.attachFile(new Uint8Array(fs.readFileSync(file)), openOptions(opts, file));
+        }
+        for (const source of opts.detach) {
+            await workbook.detachSource(source);
+        }
+        for (const r of opts.renames) {
+            await workbook.renameDataset(r.from, r.to);
+        }
+
+        if (opts.listDatasets) {
+            await listDatasets(workbook, opts.output);
+        }
+        for (const name of opts.profiles) {
+            await profileDataset(workbook, name, opts.output);
+        }
+        for (const sql of opts.sql) {
+            await runSql(workbook, sql, opts.output);
+        }
+        if (opts.exportProjectConfig) {
+            const manifest = await workbook.exportManifest();
+            const json = JSON.stringify(manifest, null, 2) + '\n';
+            if (opts.exportProjectConfig === '-') {
+                process.stdout.write(json);
+            } else {
+                fs.writeFileSync(opts.exportProjectConfig, json);
+            }
+        }
+
+        const hasAction = opts.listDatasets || opts.profiles.length > 0 ||
+            opts.sql.length > 0 || !!opts.exportProjectConfig;
+        if (opts.repl || (!hasAction && process.stdin.isTTY)) {
+            await runRepl(workbook, opts.output);
+        } else if (!hasAction) {
+            // Non-interactive stdin: read SQL statements from it.
+            let input = '';
+            try {
+                input = fs.readFileSync(0, 'utf8').trim();
+            } catch (e) {
+                // no readable stdin
+            }
+            if (input) {
+                await runSql(workbook, input, opts.output);
+            }
+        }
+    } finally {
+        if (workbook) {
+            workbook.close();
+        }
+        loader.destroy();
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => process.exit(code),
+        err => {
+            process.stderr.write(`excel-loader-js: ${err.message}\n`);
+            if (err instanceof UsageError) {
+                process.stderr.write('Run with --help for usage.\n');
+                process.exit(2);
+            }
+            process.exit(1);
+        }
+    );
+}
+
+module.exports = { main, parseArgs };
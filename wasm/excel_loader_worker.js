@@ -0,0 +1,249 @@
+/**
+ * Excel Loader worker entry point.
+ *
+ * Runs the excel_loader WASM engine inside a dedicated Web Worker (browser)
+ * or a worker_threads Worker (Node.js) so that opening large files and
+ * running heavy queries does not block the calling thread. The main thread
+ * talks to this script through ExcelLoaderModule.createWorker(), which
+ * returns promise-based proxies for the loader and its workbooks.
+ *
+ * Protocol (all messages carry a numeric `id` echoed in the reply):
+ *   { type: 'init', wasmUrl, loaderUrl, loaderOptions, callbacks, readyTimeoutMs }
+ *   { type: 'call', target: 'loader'|'module'|<workbookId>, method, args }
+ *   { type: 'iterNext'|'iterReturn', iteratorId }
+ *   { type: 'release', workbookId }
+ *   { type: 'eventReply', replyId, ok, result, error }
+ * Replies are { id, ok: true, result } or { id, ok: false, error }.
+ * Unsolicited events carry no id: { type: 'event', event, info }, with
+ * event 'evict', 'sessionLost' or 'sessionsChanged'. 'sessionConflict'
+ * events also carry a replyId; the main thread answers with eventReply.
+ * Session callbacks are relayed only when listed in `callbacks`.
+ */
+
+const IS_NODE_WORKER = typeof self === 'undefined' && typeof require !== 'undefined';
+
+let port = null;
+if (IS_NODE_WORKER) {
+    const { parentPort } = require('worker_threads');
+    port = {
+        post: (msg, transfer) => parentPort.postMessage(msg, transfer),
+        listen: handler => parentPort.on('message', handler)
+    };
+} else {
+    port = {
+        post: (msg, transfer) => self.postMessage(msg, transfer),
+        listen: handler => { self.onmessage = event => handler(event.data); }
+    };
+}
+
+let ExcelLoaderModule = null;
+let loader = null;
+let nextObjectId = 1;
+const workbooks = new Map(); // workbookId -> Workbook | JsWorkbookWrapper
+const iterators = new Map(); // iteratorId -> AsyncIterator
+const replies = new Map(); // replyId -> { resolve, reject } of events the main thread answers
+
+async function init(msg) {
+    let wasmModule;
+    if (IS_NODE_WORKER) {
+        ExcelLoaderModule = require(msg.loaderUrl);
+        wasmModule = await ExcelLoaderModule.loadWasmModule(msg.wasmUrl);
+    } else {
+        // The Emscripten glue picks up a pre-declared global Module object.
+        self.Module = {
+            locateFile: path => new URL(path, msg.wasmUrl).href
+        };
+        importScripts(msg.wasmUrl, msg.loaderUrl);
+        ExcelLoaderModule = self.ExcelLoaderModule;
+        wasmModule = self.Module;
+    }
+    await ExcelLoaderModule.ready(wasmModule, { timeoutMs: msg.readyTimeoutMs });
+    loader = ExcelLoaderModule.create(wasmModule, msg.loaderOptions || {});
+    loader.onEvict = ({ handleId, fileName, reason, sizeBytes, state }) => {
+        port.post({ type: 'event', event: 'evict', info: { handleId, fileName, reason, sizeBytes, state } });
+    };
+    const callbacks = msg.callbacks || [];
+    if (callbacks.includes('onSessionConflict')) {
+        loader.onSessionConflict = info => ask('sessionConflict', info);
+    }
+    if (callbacks.includes('onSessionLost')) {
+        loader.onSessionLost = info => port.post({ type: 'event', event: 'sessionLost', info });
+    }
+    if (callbacks.includes('onSessionsChanged')) {
+        loader.onSessionsChanged = info => port.post({ type: 'event', event: 'sessionsChanged', info });
+    }
+    return { ready: true, db: loader.dbReady ? await loader.dbReady : null };
+}
+
+/**
+ * Send an event the main thread answers (eventReply).
+ * @returns {Promise<*>} - The main thread handler's result
+ */
+function ask(event, info) {
+    const replyId = nextObjectId++;
+    return new Promise((resolve, reject) => {
+        replies.set(replyId, { resolve, reject });
+        port.post({ type: 'event', event, info, replyId });
+    });
+}
+
+function eventReply(msg) {
+    const reply = replies.get(msg.replyId);
+    replies.delete(msg.replyId);
+    if (reply) {
+        if (msg.ok) {
+            reply.resolve(msg.result);
+        } else {
+            reply.reject(new Error(msg.error));
+        }
+    }
+    return true;
+}
+
+function serializeError(e) {
+    if (e && typeof e === 'object') {
+        return {
+            name: e.name || 'Error',
+            message: e.message || String(e),
+            stack: e.stack || null,
+            code: e.code
+        };
+    }
+    return { name: 'Error', message: String(e), stack: null };
+}
+
+/**
+ * Convert a result into something that survives structured cloning,
+ * replacing live objects with references the main thread can proxy.
+ */
+function serializeResult(value) {
+    const { Workbook, JsWorkbookWrapper, QueryResult } = ExcelLoaderModule;
+    if (value instanceof Workbook || value instanceof JsWorkbookWrapper) {
+        let workbookId = null;
+        for (const [id, wb] of workbooks) {
+            if (wb === value) {
+                workbookId = id;
+                break;
+            }
+        }
+        if (workbookId === null) {
+            workbookId = nextObjectId++;
+            workbooks.set(workbookId, value);
+        }
+        return {
+            __workbook: {
+                id: workbookId,
+                handleId: value.handleId,
+                fileName: value.fileName
+            }
+        };
+    }
+    if (value instanceof QueryResult) {
+        return { __queryResult: value._data, coerce: value._coerce };
+    }
+    if (value && typeof value[Symbol.asyncIterator] === 'function') {
+        const iteratorId = nextObjectId++;
+        iterators.set(iteratorId, value[Symbol.asyncIterator]());
+        return { __iterator: iteratorId };
+    }
+    // Plain containers, e.g. the workbooks of restoreSession().
+    if (Array.isArray(value)) {
+        return value.map(serializeResult);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const out = {};
+        for (const [key, item] of Object.entries(value)) {
+            out[key] = serializeResult(item);
+        }
+        return out;
+    }
+    return value;
+}
+
+function resolveTarget(target) {
+    if (target === 'loader') {
+        return loader;
+    }
+    const wb = workbooks.get(target);
+    if (!wb) {
+        throw new Error(`Unknown workbook id ${target} (closed or released)`);
+    }
+    return wb;
+}
+
+async function call(msg) {
+    if (!loader) {
+        throw new Error('Worker not initialised');
+    }
+    const args = msg.args || [];
+    if (msg.target === 'module') {
+        // Static helpers take the loader as first argument.
+        const fn = ExcelLoaderModule[msg.method];
+        if (typeof fn !== 'function') {
+            throw new Error(`ExcelLoaderModule.${msg.method} is not a function`);
+        }
+        return await fn.call(ExcelLoaderModule, loader, ...args);
+    }
+    const target = resolveTarget(msg.target);
+    const fn = target[msg.method];
+    if (typeof fn !== 'function' || msg.method.startsWith('_')) {
+        throw new Error(`${msg.method} is not a public method`);
+    }
+    const result = await fn.apply(target, args);
+    if (msg.method === 'close' && msg.target !== 'loader') {
+        workbooks.delete(msg.target);
+    }
+    if (msg.target === 'loader' && (msg.method === 'destroy' || msg.method === 'closeFile')) {
+        for (const [id, wb] of workbooks) {
+            if (wb.isClosed) workbooks.delete(id);
+        }
+    }
+    return result;
+}
+
+async function iterNext(msg) {
+    const it = iterators.get(msg.iteratorId);
+    if (!it) {
+        return { done: true, value: undefined };
+    }
+    const step = await it.next();
+    if (step.done) {
+        iterators.delete(msg.iteratorId);
+    }
+    return { done: !!step.done, value: step.value };
+}
+
+async function iterReturn(msg) {
+    const it = iterators.get(msg.iteratorId);
+    iterators.delete(msg.iteratorId);
+    if (it && typeof it.return === 'function') {
+        await it.return();
+    }
+    return { done: true, value: undefined };
+}
+
+port.listen(async msg => {
+    if (!msg || typeof msg.id !== 'number') {
+        return;
+    }
+    try {
+        let result;
+        switch (msg.type) {
+            case 'init': result = await init(msg); break;
+            case 'call': result = await call(msg); break;
+            case 'iterNext': result = await iterNext(msg); break;
+            case 'iterReturn': result = await iterReturn(msg); break;
+            case 'release': workbooks.delete(msg.workbookId); result = true; break;
+            case 'eventReply': result = eventReply(msg); break;
+            default: throw new Error(`Unknown message type: ${msg.type}`);
+        }
+        if (msg.type === 'iterNext' || msg.type === 'iterReturn') {
+            result = { done: result.done, value: serializeResult(result.value) };
+        } else {
+            result = serializeResult(result);
+        }
+        port.post({ id: msg.id, ok: true, result });
+    } catch (e) {
+        port.post({ id: msg.id, ok: false, error: serializeError(e) });
+    }
+});
@@ -1,137 +1,742 @@
 /**
- * SessionManager - IndexedDB-backed metadata store for WASM sessions.
+ * SessionManager - metadata store for WASM sessions.
  *
  * This implements the metadata layer described in ADR 0017. It stores
  * lightweight information about sessions and workbooks (which SQLite DB
  * file path they correspond to), but does NOT store large blobs – those
  * are handled via IDBFS at /db.
+ *
+ * The `queries` store holds per-workbook query history (capped at
+ * `historyLimit` runs per workbook) and named saved queries.
+ *
+ * Records live in a storage backend: IndexedDB (browser default), memory
+ * (default where IndexedDB is missing) or JSON files in a directory
+ * (Node.js). A backend is any object with
+ *   get(store, key), getAll(store), put(store, record), delete(store, key)
+ * returning promises; getAll returns records ordered by key. An optional
+ *   getRange(store, lower, upper)
+ * returns the records with lower <= key < upper, ordered by key; without it
+ * getAll is filtered.
+ *
+ * With `broadcast`, metadata changes are posted on a BroadcastChannel so
+ * other tabs can refresh their session lists (see onChange). SessionLocks
+ * wraps the Web Locks API so that one tab at a time owns a session.
  */
 
 const DB_NAME = 'excel_loader_sessions';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_SESSIONS = 'sessions';
 const STORE_WORKBOOKS = 'workbooks';
+const STORE_QUERIES = 'queries';
+const DEFAULT_HISTORY_LIMIT = 200;
+const CHANGE_CHANNEL = 'excel_loader_sessions';
+const LOCK_PREFIX = 'excel_loader_session:';
 
-function openDb() {
-    return new Promise((resolve, reject) => {
-        const req = indexedDB.open(DB_NAME, DB_VERSION);
-        req.onupgradeneeded = event => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
-                db.createObjectStore(STORE_SESSIONS, { keyPath: 'sessionId' });
-            }
-            if (!db.objectStoreNames.contains(STORE_WORKBOOKS)) {
-                db.createObjectStore(STORE_WORKBOOKS, { keyPath: 'workbookId' });
-            }
-        };
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-    });
+// Object stores and their key fields, shared by every backend.
+const STORE_KEYS = {
+    [STORE_SESSIONS]: 'sessionId',
+    [STORE_WORKBOOKS]: 'workbookId',
+    [STORE_QUERIES]: 'queryId',
+};
+
+// IndexedDB schema changes, applied in order from the stored version + 1.
+const MIGRATIONS = {
+    1: db => {
+        db.createObjectStore(STORE_SESSIONS, { keyPath: STORE_KEYS[STORE_SESSIONS] });
+        db.createObjectStore(STORE_WORKBOOKS, { keyPath: STORE_KEYS[STORE_WORKBOOKS] });
+    },
+    2: db => {
+        db.createObjectStore(STORE_QUERIES, { keyPath: STORE_KEYS[STORE_QUERIES] });
+    },
+};
+
+function compareKeys(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
 }
 
-function tx(db, storeName, mode = 'readonly') {
-    return db.transaction(storeName, mode).objectStore(storeName);
+function inKeyRange(key, lower, upper) {
+    return compareKeys(key, lower) >= 0 && compareKeys(key, upper) < 0;
 }
 
-class SessionManager {
+// Query records of one workbook share a key prefix: `h:<workbookId>:` for
+// history runs (then startedAt, so runs sort oldest first) and
+// `s:<workbookId>:` for saved queries.
+function queryKeyPrefix(kind, workbookId) {
+    return `${kind === 'history' ? 'h' : 's'}:${workbookId}:`;
+}
+
+function cloneRecord(record) {
+    if (typeof structuredClone === 'function') {
+        return structuredClone(record);
+    }
+    return JSON.parse(JSON.stringify(record));
+}
+
+function checkStore(store) {
+    if (!STORE_KEYS[store]) {
+        throw new Error(`Unknown session store: ${store}`);
+    }
+}
+
+function keyOf(store, record) {
+    checkStore(store);
+    return record[STORE_KEYS[store]];
+}
+
+/**
+ * IndexedDB backend (database `excel_loader_sessions`).
+ */
+class IndexedDbStorage {
     constructor() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this environment');
+        }
         this._dbPromise = null;
     }
 
     _db() {
         if (!this._dbPromise) {
-            this._dbPromise = openDb();
+            this._dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = event => {
+                    const db = event.target.result;
+                    for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) {
+                        MIGRATIONS[v](db);
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
         }
         return this._dbPromise;
     }
 
-    async ensureSession(sessionId) {
+    async _request(store, mode, makeRequest) {
         const db = await this._db();
-        const store = tx(db, STORE_SESSIONS, 'readwrite');
-        const existing = await new Promise(resolve => {
-            const req = store.get(sessionId);
-            req.onsuccess = () => resolve(req.result || null);
-            req.onerror = () => resolve(null);
+        const objectStore = db.transaction(store, mode).objectStore(store);
+        return await new Promise((resolve, reject) => {
+            const req = makeRequest(objectStore);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async get(store, key) {
+        const result = await this._request(store, 'readonly', s => s.get(key));
+        return result || null;
+    }
+
+    async getAll(store) {
+        return (await this._request(store, 'readonly', s => s.getAll())) || [];
+    }
+
+    async getRange(store, lower, upper) {
+        const range = IDBKeyRange.bound(lower, upper, false, true);
+        return (await this._request(store, 'readonly', s => s.getAll(range))) || [];
+    }
+
+    async put(store, record) {
+        await this._request(store, 'readwrite', s => s.put(record));
+    }
+
+    async delete(store, key) {
+        await this._request(store, 'readwrite', s => s.delete(key));
+    }
+}
+
+/**
+ * In-memory backend; records are lost with the page/process.
+ */
+class MemoryStorage {
+    constructor() {
+        this._stores = new Map();
+    }
+
+    _store(store) {
+        checkStore(store);
+        if (!this._stores.has(store)) {
+            this._stores.set(store, new Map());
+        }
+        return this._stores.get(store);
+    }
+
+    async get(store, key) {
+        const record = this._store(store).get(key);
+        return record ? cloneRecord(record) : null;
+    }
+
+    async getAll(store) {
+        return [...this._store(store).entries()]
+            .sort((a, b) => compareKeys(a[0], b[0]))
+            .map(([, record]) => cloneRecord(record));
+    }
+
+    async getRange(store, lower, upper) {
+        return [...this._store(store).entries()]
+            .filter(([key]) => inKeyRange(key, lower, upper))
+            .sort((a, b) => compareKeys(a[0], b[0]))
+            .map(([, record]) => cloneRecord(record));
+    }
+
+    async put(store, record) {
+        this._store(store).set(keyOf(store, record), cloneRecord(record));
+    }
+
+    async delete(store, key) {
+        this._store(store).delete(key);
+    }
+}
+
+/**
+ * Node.js backend: one JSON file per store (`<dir>/<store>.json`), written
+ * atomically through a temporary file. The directory is created on demand.
+ */
+class NodeFsStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory for the JSON files
+     */
+    constructor(options = {}) {
+        if (typeof require === 'undefined') {
+            throw new Error('NodeFsStorage requires Node.js');
+        }
+        if (!options.dir) {
+            throw new Error('NodeFsStorage requires a dir option');
+        }
+        this._fs = require('fs').promises;
+        this._path = require('path');
+        this._dir = options.dir;
+        this._stores = new Map(); // store -> Promise<Map>
+        this._writes = new Map(); // store -> Promise of the last write
+    }
+
+    _file(store) {
+        return this._path.join(this._dir, `${store}.json`);
+    }
+
+    _load(store) {
+        checkStore(store);
+        if (!this._stores.has(store)) {
+            const loading = this._read(store);
+            this._stores.set(store, loading);
+            // Do not keep a failed read (e.g. corrupt JSON): the next call retries.
+            loading.catch(() => {
+                if (this._stores.get(store) === loading) {
+                    this._stores.delete(store);
+                }
+            });
+        }
+        return this._stores.get(store);
+    }
+
+    async _read(store) {
+        const file = this._file(store);
+        try {
+            return new Map(Object.entries(JSON.parse(await this._fs.readFile(file, 'utf8'))));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return new Map();
+            }
+            throw new Error(`Failed to read ${file}: ${err.message}`);
+        }
+    }
+
+    _save(store, records) {
+        const text = JSON.stringify(Object.fromEntries(records), null, 2);
+        const previous = this._writes.get(store) || Promise.resolve();
+        const write = previous.catch(() => {}).then(async () => {
+            await this._fs.mkdir(this._dir, { recursive: true });
+            const tmp = `${this._file(store)}.tmp`;
+            await this._fs.writeFile(tmp, text);
+            await this._fs.rename(tmp, this._file(store));
         });
+        this._writes.set(store, write);
+        return write;
+    }
+
+    async get(store, key) {
+        const record = (await this._load(store)).get(String(key));
+        return record ? cloneRecord(record) : null;
+    }
+
+    async getAll(store) {
+        return [...(await this._load(store)).entries()]
+            .sort((a, b) => compareKeys(a[0], b[0]))
+            .map(([, record]) => cloneRecord(record));
+    }
+
+    async getRange(store, lower, upper) {
+        return [...(await this._load(store)).entries()]
+            .filter(([key]) => inKeyRange(key, lower, upper))
+            .sort((a, b) => compareKeys(a[0], b[0]))
+            .map(([, record]) => cloneRecord(record));
+    }
+
+    async put(store, record) {
+        const records = await this._load(store);
+        records.set(String(keyOf(store, record)), JSON.parse(JSON.stringify(record)));
+        await this._save(store, records);
+    }
+
+    async delete(store, key) {
+        const records = await this._load(store);
+        if (records.delete(String(key))) {
+            await this._save(store, records);
+        }
+    }
+}
+
+/**
+ * Pick the storage backend for SessionManager options.
+ * @param {Object} options - { backend: 'indexeddb'|'memory'|'fs'|adapter, dir }
+ */
+function createSessionStorage(options = {}) {
+    const backend = options.backend;
+    if (backend && typeof backend === 'object') {
+        for (const method of ['get', 'getAll', 'put', 'delete']) {
+            if (typeof backend[method] !== 'function') {
+                throw new Error(`Session backend is missing ${method}()`);
+            }
+        }
+        return backend;
+    }
+    switch (backend) {
+        case undefined:
+        case null:
+            return typeof indexedDB !== 'undefined' ? new IndexedDbStorage() : new MemoryStorage();
+        case 'indexeddb':
+            return new IndexedDbStorage();
+        case 'memory':
+            return new MemoryStorage();
+        case 'fs':
+            return new NodeFsStorage({ dir: options.dir });
+        default:
+            throw new Error(`Unknown session backend: ${backend}`);
+    }
+}
+
+/**
+ * Order of history runs: oldest first.
+ */
+function compareRuns(a, b) {
+    return compareKeys(a.startedAt, b.startedAt) || compareKeys(a.queryId, b.queryId);
+}
+
+/**
+ * Case-insensitive match of a saved query's name or SQL.
+ */
+function matchesSearch(rec, search) {
+    if (!search) {
+        return true;
+    }
+    const needle = String(search).toLowerCase();
+    return rec.name.toLowerCase().includes(needle) || rec.sql.toLowerCase().includes(needle);
+}
+
+/**
+ * Session ownership across tabs with the Web Locks API. A held lock is kept
+ * until release() or until another tab steals it (take over), in which case
+ * onLost(name) is called.
+ */
+class SessionLocks {
+    constructor() {
+        if (!SessionLocks.isSupported()) {
+            throw new Error('SessionLocks requires navigator.locks');
+        }
+        this._held = new Map(); // name -> release()
+        this.onLost = null;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.locks &&
+            typeof navigator.locks.request === 'function';
+    }
+
+    static lockName(key) {
+        return LOCK_PREFIX + key;
+    }
+
+    holds(name) {
+        return this._held.has(name);
+    }
+
+    /**
+     * Take a lock if no other tab holds it, or unconditionally with `steal`.
+     * @returns {Promise<boolean>} - true if this tab now holds the lock
+     */
+    acquire(name, options = {}) {
+        if (this._held.has(name)) {
+            return Promise.resolve(true);
+        }
+        return new Promise((resolve, reject) => {
+            let granted = false;
+            const mode = options.steal ? { steal: true } : { ifAvailable: true };
+            navigator.locks.request(name, mode, lock => {
+                if (!lock) {
+                    resolve(false);
+                    return undefined;
+                }
+                granted = true;
+                return new Promise(release => {
+                    this._held.set(name, release);
+                    resolve(true);
+                });
+            }).catch(err => {
+                if (!granted) {
+                    reject(err);
+                } else if (this._held.has(name)) {
+                    // Another tab stole the lock.
+                    this._held.delete(name);
+                    if (typeof this.onLost === 'function') {
+                        this.onLost(name);
+                    }
+                }
+            });
+        });
+    }
+
+    release(name) {
+        const release = this._held.get(name);
+        if (release) {
+            this._held.delete(name);
+            release();
+        }
+    }
+
+    releaseAll() {
+        for (const name of Array.from(this._held.keys())) {
+            this.release(name);
+        }
+    }
+
+    /**
+     * Names of locks held by other tabs.
+     * @returns {Promise<Set<string>>}
+     */
+    async heldElsewhere() {
+        const state = await navigator.locks.query();
+        return new Set((state.held || [])
+            .map(lock => lock.name)
+            .filter(name => name.startsWith(LOCK_PREFIX) && !this._held.has(name)));
+    }
+}
+
+class SessionManager {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string|Object} options.backend - 'indexeddb', 'memory', 'fs' or an adapter
+     *   (default: IndexedDB when available, otherwise memory)
+     * @param {string} options.dir - Directory for the 'fs' backend
+     * @param {number} options.historyLimit - Query history entries kept per workbook (default 200)
+     * @param {boolean} options.broadcast - Post metadata changes to other tabs
+     *   (BroadcastChannel, default false)
+     */
+    constructor(options = {}) {
+        this._storage = createSessionStorage(options);
+        this._historyLimit = options.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+        if (!Number.isInteger(this._historyLimit) || this._historyLimit < 0) {
+            throw new Error(`historyLimit must be a non-negative integer, got ${this._historyLimit}`);
+        }
+        this._listeners = new Set();
+        this._historyQueues = new Map(); // workbookId -> last pending history change
+        this._channel = null;
+        if (options.broadcast && typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(CHANGE_CHANNEL);
+            this._channel.onmessage = event => this._notify({ ...event.data, remote: true });
+        }
+    }
+
+    /**
+     * Whether sessions outlive the page (false for the memory backend, which
+     * also sees only this tab's sessions)
+     */
+    get persistent() {
+        return !(this._storage instanceof MemoryStorage);
+    }
+
+    /**
+     * Listen for metadata changes made here (`remote: false`) or, with
+     * `broadcast`, in other tabs (`remote: true`).
+     * @param {Function} listener - Called with { type, sessionId, remote }
+     * @returns {Function} - Removes the listener
+     */
+    onChange(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Stop broadcasting and drop listeners.
+     */
+    close() {
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        }
+        this._listeners.clear();
+    }
+
+    _changed(type, sessionId) {
+        if (this._channel) {
+            this._channel.postMessage({ type, sessionId });
+        }
+        this._notify({ type, sessionId, remote: false });
+    }
+
+    _notify(change) {
+        for (const listener of this._listeners) {
+            try {
+                listener(change);
+            } catch (e) {
+                if (console && console.warn) {
+                    console.warn('Session change listener failed', e);
+                }
+            }
+        }
+    }
+
+    async ensureSession(sessionId) {
+        const existing = await this._storage.get(STORE_SESSIONS, sessionId);
         const now = new Date().toISOString();
         if (!existing) {
             const rec = { sessionId, createdAt: now, lastUsedAt: now };
-            await new Promise((resolve, reject) => {
-                const req = store.put(rec);
-                req.onsuccess = () => resolve();
-                req.onerror = () => reject(req.error);
-            });
+            await this._storage.put(STORE_SESSIONS, rec);
+            this._changed('session', sessionId);
             return rec;
         } else {
             existing.lastUsedAt = now;
-            await new Promise((resolve, reject) => {
-                const req = store.put(existing);
-                req.onsuccess = () => resolve();
-                req.onerror = () => reject(req.error);
-            });
+            await this._storage.put(STORE_SESSIONS, existing);
             return existing;
         }
     }
 
-    async saveWorkbookMeta(workbookId, sessionId, dbPath, options, datasetsMeta) {
-        const db = await this._db();
-        const store = tx(db, STORE_WORKBOOKS, 'readwrite');
+    /**
+     * @param {string} dbBackend - Storage that holds dbPath and the saved sources ('idbfs', 'opfs')
+     */
+    async saveWorkbookMeta(workbookId, sessionId, dbPath, options, datasetsMeta, dbBackend = null) {
         const rec = {
             workbookId,
             sessionId,
             dbPath,
+            dbBackend,
             options: options || {},
             datasetsMeta: datasetsMeta || {},
             updatedAt: new Date().toISOString(),
         };
-        await new Promise((resolve, reject) => {
-            const req = store.put(rec);
-            req.onsuccess = () => resolve();
-            req.onerror = () => reject(req.error);
-        });
+        await this._storage.put(STORE_WORKBOOKS, rec);
         await this.ensureSession(sessionId);
+        this._changed('workbook', sessionId);
     }
 
     async loadWorkbookMeta(workbookId) {
-        const db = await this._db();
-        const store = tx(db, STORE_WORKBOOKS, 'readonly');
-        return await new Promise((resolve, reject) => {
-            const req = store.get(workbookId);
-            req.onsuccess = () => resolve(req.result || null);
-            req.onerror = () => reject(req.error);
-        });
+        return await this._storage.get(STORE_WORKBOOKS, workbookId);
     }
 
-    async deleteSession(sessionId) {
-        const db = await this._db();
-        const sessStore = tx(db, STORE_SESSIONS, 'readwrite');
-        await new Promise((resolve, reject) => {
-            const req = sessStore.delete(sessionId);
-            req.onsuccess = () => resolve();
-            req.onerror = () => reject(req.error);
+    async loadSession(sessionId) {
+        return await this._storage.get(STORE_SESSIONS, sessionId);
+    }
+
+    async listSessions() {
+        return await this._storage.getAll(STORE_SESSIONS);
+    }
+
+    async listWorkbooks(sessionId) {
+        const all = await this._storage.getAll(STORE_WORKBOOKS);
+        return all.filter(rec => rec.sessionId === sessionId);
+    }
+
+    /**
+     * Database paths of all workbooks with the backend that owns them.
+     * @returns {Promise<Array>} - [{ dbPath, dbBackend, sessionIds }]
+     */
+    async listDbPaths() {
+        const byPath = new Map();
+        for (const rec of await this._storage.getAll(STORE_WORKBOOKS)) {
+            const entry = byPath.get(rec.dbPath) ||
+                { dbPath: rec.dbPath, dbBackend: rec.dbBackend ?? null, sessionIds: [] };
+            if (!entry.sessionIds.includes(rec.sessionId)) {
+                entry.sessionIds.push(rec.sessionId);
+            }
+            byPath.set(rec.dbPath, entry);
+        }
+        return Array.from(byPath.values());
+    }
+
+    /**
+     * Record that dbPath now lives in another backend (after a migration).
+     * @returns {Promise<number>} - Workbook records updated
+     */
+    async setDbBackend(dbPath, dbBackend) {
+        let updated = 0;
+        for (const rec of await this._storage.getAll(STORE_WORKBOOKS)) {
+            if (rec.dbPath === dbPath && rec.dbBackend !== dbBackend) {
+                rec.dbBackend = dbBackend;
+                await this._storage.put(STORE_WORKBOOKS, rec);
+                this._changed('workbook', rec.sessionId);
+                updated++;
+            }
+        }
+        return updated;
+    }
+
+    async saveEditorState(sessionId, editorState) {
+        const rec = await this.ensureSession(sessionId);
+        rec.editorState = editorState;
+        await this._storage.put(STORE_SESSIONS, rec);
+        this._changed('editorState', sessionId);
+        return rec;
+    }
+
+    /**
+     * Query records of one kind ('history' or 'saved') of a workbook, in
+     * key order. Reads only the workbook's key range when the backend has
+     * getRange.
+     */
+    async _workbookQueries(kind, workbookId) {
+        const prefix = queryKeyPrefix(kind, workbookId);
+        // Keys sort below prefix + U+FFFF unless they contain that code unit.
+        const upper = `${prefix}\uffff`;
+        const records = typeof this._storage.getRange === 'function'
+            ? await this._storage.getRange(STORE_QUERIES, prefix, upper)
+            : (await this._storage.getAll(STORE_QUERIES)).filter(rec => inKeyRange(rec.queryId, prefix, upper));
+        // A workbook id containing ':' can share another one's prefix.
+        return records.filter(rec => rec.kind === kind && rec.workbookId === workbookId);
+    }
+
+    /**
+     * Run the history changes of a workbook one at a time, in call order:
+     * un-awaited addQueryHistory() calls would otherwise read the same runs
+     * and each keep its own record past the history limit.
+     * @returns {Promise} - Settles with fn()
+     */
+    _queueHistory(workbookId, fn) {
+        const previous = this._historyQueues.get(workbookId) || Promise.resolve();
+        const run = previous.then(fn);
+        const settled = run.catch(() => {});
+        this._historyQueues.set(workbookId, settled);
+        settled.then(() => {
+            if (this._historyQueues.get(workbookId) === settled) {
+                this._historyQueues.delete(workbookId);
+            }
         });
+        return run;
+    }
 
-        const wbStore = tx(db, STORE_WORKBOOKS, 'readwrite');
-        await new Promise((resolve, reject) => {
-            const req = wbStore.openCursor();
-            req.onsuccess = event => {
-                const cursor = event.target.result;
-                if (!cursor) {
-                    resolve();
-                    return;
-                }
-                const val = cursor.value;
-                if (val.sessionId === sessionId) {
-                    cursor.delete();
-                }
-                cursor.continue();
+    /**
+     * Settles when the history changes queued so far (of every workbook)
+     * are written or have failed.
+     * @returns {Promise<void>}
+     */
+    async historySettled() {
+        await Promise.all(this._historyQueues.values());
+    }
+
+    /**
+     * Record one query run and drop the oldest runs of the workbook beyond
+     * the history limit, in one read of the workbook's history. Runs of one
+     * workbook are written in call order, one at a time.
+     * @param {Object} entry - { workbookId, sessionId, sql, startedAt, durationMs, rowCount, error }
+     */
+    addQueryHistory(entry) {
+        return this._queueHistory(entry.workbookId, async () => {
+            const rec = {
+                ...entry,
+                queryId: `${queryKeyPrefix('history', entry.workbookId)}${entry.startedAt}:${Math.random().toString(36).slice(2, 10)}`,
+                kind: 'history',
             };
-            req.onerror = () => reject(req.error);
+            const runs = await this._workbookQueries('history', entry.workbookId);
+            runs.push(rec);
+            runs.sort(compareRuns);
+            const drop = runs.splice(0, Math.max(0, runs.length - this._historyLimit));
+            if (!drop.includes(rec)) {
+                await this._storage.put(STORE_QUERIES, rec);
+            }
+            for (const old of drop) {
+                if (old !== rec) {
+                    await this._storage.delete(STORE_QUERIES, old.queryId);
+                }
+            }
+            return rec;
+        });
+    }
+
+    /**
+     * Query runs of a workbook, newest first, including runs still being
+     * written.
+     */
+    async listQueryHistory(workbookId, options = {}) {
+        await this._historyQueues.get(workbookId);
+        const runs = (await this._workbookQueries('history', workbookId)).sort(compareRuns).reverse();
+        return options.limit !== undefined ? runs.slice(0, options.limit) : runs;
+    }
+
+    clearQueryHistory(workbookId) {
+        return this._queueHistory(workbookId, async () => {
+            for (const rec of await this._workbookQueries('history', workbookId)) {
+                await this._storage.delete(STORE_QUERIES, rec.queryId);
+            }
         });
     }
+
+    /**
+     * Save (or overwrite) a named query for a workbook.
+     */
+    async saveQuery(workbookId, sessionId, name, sql) {
+        const queryId = `${queryKeyPrefix('saved', workbookId)}${name}`;
+        const existing = await this._storage.get(STORE_QUERIES, queryId);
+        const now = new Date().toISOString();
+        const rec = {
+            queryId,
+            kind: 'saved',
+            workbookId,
+            sessionId,
+            name,
+            sql,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+        };
+        await this._storage.put(STORE_QUERIES, rec);
+        this._changed('savedQuery', sessionId);
+        return rec;
+    }
+
+    async loadSavedQuery(workbookId, name) {
+        return await this._storage.get(STORE_QUERIES, `${queryKeyPrefix('saved', workbookId)}${name}`);
+    }
+
+    /**
+     * Saved queries of a workbook by name; `search` filters on name and SQL.
+     */
+    async listSavedQueries(workbookId, options = {}) {
+        return (await this._workbookQueries('saved', workbookId))
+            .filter(rec => matchesSearch(rec, options.search))
+            .sort((a, b) => compareKeys(a.name, b.name));
+    }
+
+    async deleteSavedQuery(workbookId, name) {
+        const queryId = `${queryKeyPrefix('saved', workbookId)}${name}`;
+        const existing = await this._storage.get(STORE_QUERIES, queryId);
+        if (existing) {
+            await this._storage.delete(STORE_QUERIES, queryId);
+            this._changed('savedQuery', existing.sessionId);
+        }
+        return !!existing;
+    }
+
+    async deleteSession(sessionId) {
+        await this._storage.delete(STORE_SESSIONS, sessionId);
+        for (const rec of await this.listWorkbooks(sessionId)) {
+            await this._storage.delete(STORE_WORKBOOKS, rec.workbookId);
+        }
+        for (const rec of await this._storage.getAll(STORE_QUERIES)) {
+            if (rec.sessionId === sessionId) {
+                await this._storage.delete(STORE_QUERIES, rec.queryId);
+            }
+        }
+        this._changed('deleted', sessionId);
+    }
 }
 
 if (typeof module !== 'undefined') {
-    module.exports = { SessionManager };
+    module.exports = { SessionManager, SessionLocks, IndexedDbStorage, MemoryStorage, NodeFsStorage };
 }
-
@@ -0,0 +1,91 @@
+// cleanupSessions(): orphaned /db files and hibernation snapshots.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { needsSqlite, createLoader, openCsv, loadEmscriptenFs, stubGlobals } = require('./helpers.js');
+const { createFakeLocks } = require('./fake_locks.js');
+
+const CSV = 'id\n1\n';
+
+function sessionDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function dbFs() {
+    const FS = await loadEmscriptenFs();
+    FS.mkdir('/db');
+    FS.mkdir('/db/hibernated');
+    return FS;
+}
+
+const exists = (FS, file) => FS.analyzePath(file).exists;
+
+test('snapshots no workbook of this tab references are orphaned', needsSqlite, async t => {
+    const FS = await dbFs();
+    const loader = createLoader({ maxWorkbooks: 1, sessionBackend: 'fs', sessionDir: sessionDir(t) }, { FS });
+    t.after(() => loader.destroy());
+    const a = openCsv(loader, 'a.csv', CSV);
+    openCsv(loader, 'b.csv', CSV);
+    assert.strictEqual(a.state, 'hibernated');
+    const live = FS.readdir('/db/hibernated').filter(n => n[0] !== '.').map(n => `/db/hibernated/${n}`);
+    assert.strictEqual(live.length, 1);
+
+    const stale = `/db/hibernated/${loader._tabId}_src99`;
+    const otherTab = '/db/hibernated/othertab_src1';
+    FS.writeFile(stale, 'x');
+    FS.writeFile(otherTab, 'y');
+
+    const report = await loader.cleanupSessions({});
+    assert.deepStrictEqual(report.orphanedFiles, [stale]);
+    assert.ok(live.every(file => exists(FS, file)));
+    // Without coordinateTabs nothing tells whether the other tab is alive.
+    assert.ok(exists(FS, otherTab));
+    assert.deepStrictEqual((await a.query('SELECT id FROM "a.csv"')).rows, [[1]]);
+});
+
+test('with coordinateTabs, snapshots of closed tabs are orphaned too', needsSqlite, async t => {
+    stubGlobals(t, { navigator: { locks: createFakeLocks() } });
+    const FS = await dbFs();
+    const options = { maxWorkbooks: 1, sessionBackend: 'fs', sessionDir: sessionDir(t), coordinateTabs: true };
+    const tab1 = createLoader(options, { FS });
+    const tab2 = createLoader(options, { FS });
+    const closedTab = createLoader(options, { FS });
+    t.after(() => [tab1, tab2, closedTab].forEach(loader => loader.destroy()));
+    // Snapshots are written when a workbook hibernates.
+    for (const loader of [tab2, closedTab]) {
+        openCsv(loader, 'hibernated.csv', CSV);
+        openCsv(loader, 'open.csv', CSV);
+    }
+    const snapshotOf = loader => FS.readdir('/db/hibernated').find(n => n.startsWith(`${loader._tabId}_`));
+    const tab2File = `/db/hibernated/${snapshotOf(tab2)}`;
+    const closedFile = `/db/hibernated/${snapshotOf(closedTab)}`;
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    await settle();
+    // A tab that crashed: its lock is gone but its snapshot is left behind.
+    closedTab._locks.releaseAll();
+    await settle();
+
+    const report = await tab1.cleanupSessions({});
+    assert.deepStrictEqual(report.orphanedFiles, [closedFile]);
+    assert.ok(exists(FS, tab2File));
+});
+
+test('a memory session store skips the orphan sweep', needsSqlite, async t => {
+    const FS = await dbFs();
+    FS.writeFile('/db/session_other.db', 'x');
+
+    const memory = createLoader({ sessionBackend: 'memory' }, { FS });
+    t.after(() => memory.destroy());
+    assert.deepStrictEqual((await memory.cleanupSessions({})).orphanedFiles, []);
+    assert.ok(exists(FS, '/db/session_other.db'));
+
+    const persistent = createLoader({ sessionBackend: 'fs', sessionDir: sessionDir(t) }, { FS });
+    t.after(() => persistent.destroy());
+    assert.deepStrictEqual((await persistent.cleanupSessions({})).orphanedFiles, ['/db/session_other.db']);
+});
@@ -0,0 +1,52 @@
+// Runs excel_loader_cli.js end to end against the fake engine glue.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { needsSqlite } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'excel_loader_cli.js');
+const GLUE = path.join(__dirname, 'fake_engine_glue.js');
+
+function runCli(args, input) {
+    return spawnSync(process.execPath, ['--no-warnings', CLI, '--wasm', GLUE, ...args], {
+        input: input || '',
+        encoding: 'utf8',
+        timeout: 30000
+    });
+}
+
+test('CLI runs a query through the engine', needsSqlite, t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const csv = path.join(dir, 'items.csv');
+    fs.writeFileSync(csv, 'name,qty\nb,2\na,1\nc,-3\n');
+
+    const res = runCli([csv, '--sql', 'SELECT name, qty FROM "items.csv" ORDER BY name', '--output', 'csv']);
+    assert.strictEqual(res.status, 0, res.stderr);
+    assert.strictEqual(res.stdout, 'name,qty\na,1\nb,2\nc,-3\n');
+
+    const piped = runCli([csv, '--output', 'json'], 'SELECT SUM(qty) AS total FROM "items.csv"');
+    assert.strictEqual(piped.status, 0, piped.stderr);
+    const parsed = JSON.parse(piped.stdout);
+    assert.deepStrictEqual(parsed.columns, ['total']);
+    assert.deepStrictEqual(parsed.rows, [[0]]);
+});
+
+test('CLI reports an engine that never initialises', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-cli-'));
+    const glue = path.join(dir, 'broken_glue.js');
+    fs.writeFileSync(glue, "var Module = typeof Module != 'undefined' ? Module : {};\n" +
+        "setTimeout(() => Module.onAbort('missing .wasm'), 5);\n");
+    try {
+        const res = spawnSync(process.execPath, [CLI, '--wasm', glue, 'x.csv'], { encoding: 'utf8', timeout: 30000 });
+        assert.strictEqual(res.status, 1);
+        assert.match(res.stderr, /ready failed: runtime aborted: missing \.wasm/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
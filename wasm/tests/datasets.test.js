@@ -0,0 +1,65 @@
+// registerDataset/dropDataset: in-memory JS data attached as datasets.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColumnarWriter } = require('../columnar_writer.js');
+const { needsSqlite, createLoader, openCsv } = require('./helpers.js');
+
+/**
+ * The fake engine reads CSV only: attach each Parquet payload that
+ * registerDataset writes as the same table in CSV.
+ */
+function acceptParquet(t, loader) {
+    const pending = [];
+    const writeParquet = ColumnarWriter.writeParquet;
+    ColumnarWriter.writeParquet = (columns, rows) => {
+        pending.push([columns.map(c => c.name), ...rows].map(row => row.join(',')).join('\n') + '\n');
+        return writeParquet(columns, rows);
+    };
+    t.after(() => {
+        ColumnarWriter.writeParquet = writeParquet;
+    });
+
+    const engine = loader._module;
+    const attachFile = engine._ff_attachFile;
+    engine._ff_attachFile = (id, ptr, len, namePtr, format, delimiter, hasHeaderRow) => {
+        if (format !== 13) { // FileFormat.Parquet
+            return attachFile(id, ptr, len, namePtr, format, delimiter, hasHeaderRow);
+        }
+        const csv = new TextEncoder().encode(pending.shift());
+        const csvPtr = engine._malloc(csv.length);
+        engine.HEAPU8.set(csv, csvPtr);
+        try {
+            return attachFile(id, csvPtr, csv.length, namePtr, 1, 44, 1);
+        } finally {
+            engine._free(csvPtr);
+        }
+    };
+}
+
+test('registerDataset adds, replaces and dropDataset removes an in-memory dataset', needsSqlite, async t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    acceptParquet(t, loader);
+    const wb = openCsv(loader, 'people.csv', 'name,age\nAlice,30\nBob,40\n');
+
+    const listed = await wb.registerDataset('scores', [{ name: 'Alice', score: 9 }]);
+    assert.ok(listed.sheets.some(s => s.name === 'scores'));
+    assert.deepStrictEqual(wb.query('SELECT p.age, s.score FROM "people.csv" p JOIN scores s USING (name)').rows, [[30, 9]]);
+    assert.deepStrictEqual(wb.getSourcePaths().paths, ['people.csv', 'memory:scores']);
+
+    // The replacement is attached under a free path before the old one goes.
+    await wb.registerDataset('scores', [{ name: 'Alice', score: 5 }, { name: 'Bob', score: 7 }]);
+    assert.deepStrictEqual(wb.query('SELECT name, score FROM scores ORDER BY name').rows, [['Alice', 5], ['Bob', 7]]);
+    assert.deepStrictEqual(wb.getSourcePaths().paths, ['people.csv', 'memory:scores#2']);
+
+    await assert.rejects(wb.registerDataset('people.csv', [{ x: 1 }]),
+        /registerDataset failed: dataset "people\.csv" already exists and is not in-memory/);
+    assert.throws(() => wb.dropDataset('people.csv'), /dropDataset failed: "people\.csv" is not an in-memory dataset/);
+
+    wb.dropDataset('scores');
+    assert.ok(!wb.listDatasets().sheets.some(s => s.name === 'scores'));
+    assert.deepStrictEqual(wb.getSourcePaths().paths, ['people.csv']);
+    assert.throws(() => wb.dropDataset('scores'), /dropDataset failed: "scores" is not an in-memory dataset/);
+});
@@ -0,0 +1,195 @@
+// OPFS backend of /db (db_storage.js) on the real Emscripten FS.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpfsDbStorage, createDbStorage } = require('../db_storage.js');
+const { createFakeOpfs } = require('./fake_opfs.js');
+const { loadEmscriptenFs } = require('./helpers.js');
+
+const text = (fs, path) => fs.readFile(path, { encoding: 'utf8' });
+
+async function mountOpfs(opfs) {
+    const fs = await loadEmscriptenFs();
+    // No IDBFS data to migrate.
+    delete fs.filesystems.IDBFS;
+    const storage = new OpfsDbStorage(fs, opfs.root);
+    await storage.mount();
+    return { fs, storage };
+}
+
+test('files are read and written in place, not loaded at mount', async () => {
+    const opfs = createFakeOpfs();
+    await opfs.put('/sessions/s1/orders.csv', 'id\n1\n2\n');
+    await opfs.put('/vec.db', 'x'.repeat(4096));
+    const { fs, storage } = await mountOpfs(opfs);
+
+    assert.strictEqual(opfs.stats.bytesRead, 0);
+    assert.strictEqual(fs.stat('/db/vec.db').size, 4096);
+    assert.strictEqual(text(fs, '/db/sessions/s1/orders.csv'), 'id\n1\n2\n');
+
+    const stream = fs.open('/db/vec.db', 'r+');
+    fs.write(stream, new TextEncoder().encode('AB'), 0, 2, 10);
+    fs.close(stream);
+    assert.strictEqual(opfs.stats.bytesWritten, 2);
+    assert.strictEqual((await opfs.get('/vec.db')).slice(8, 14), 'xxABxx');
+
+    const flushes = opfs.stats.flushes;
+    await storage.flush();
+    assert.strictEqual(opfs.stats.flushes, flushes + 1);
+    assert.strictEqual(opfs.stats.bytesWritten, 2);
+    storage.close();
+});
+
+test('new files reach OPFS on flush and leave memory', async () => {
+    const opfs = createFakeOpfs();
+    const { fs, storage } = await mountOpfs(opfs);
+
+    fs.mkdir('/db/sessions');
+    fs.mkdir('/db/sessions/s1');
+    fs.writeFile('/db/sessions/s1/a.csv', 'a\n1\n');
+    assert.strictEqual(await opfs.get('/sessions/s1/a.csv'), null);
+
+    await storage.flush();
+    assert.strictEqual(await opfs.get('/sessions/s1/a.csv'), 'a\n1\n');
+    assert.strictEqual(fs.lookupPath('/db/sessions/s1/a.csv').node.contents, null);
+    assert.strictEqual(text(fs, '/db/sessions/s1/a.csv'), 'a\n1\n');
+
+    fs.writeFile('/db/sessions/s1/a.csv', 'a\n2\n');
+    assert.strictEqual(await opfs.get('/sessions/s1/a.csv'), 'a\n2\n');
+    storage.close();
+});
+
+test('unlink and rename are applied to OPFS on flush', async () => {
+    const opfs = createFakeOpfs();
+    await opfs.put('/old.db', 'payload');
+    await opfs.put('/gone.db', 'bye');
+    const { fs, storage } = await mountOpfs(opfs);
+
+    fs.unlink('/db/gone.db');
+    fs.rename('/db/old.db', '/db/new.db');
+    assert.strictEqual(text(fs, '/db/new.db'), 'payload');
+    await storage.flush();
+
+    assert.strictEqual(await opfs.get('/gone.db'), null);
+    assert.strictEqual(await opfs.get('/old.db'), null);
+    assert.strictEqual(await opfs.get('/new.db'), 'payload');
+    assert.deepStrictEqual(fs.readdir('/db').sort(), ['.', '..', 'new.db']);
+    storage.close();
+});
+
+test('files another tab holds exclusively are busy until refresh', async () => {
+    const opfs = createFakeOpfs({ unsafeMode: false });
+    await opfs.put('/session_s1.db', 'theirs');
+    const otherTab = await opfs.lock('/session_s1.db');
+    const { fs, storage } = await mountOpfs(opfs);
+
+    assert.deepStrictEqual(storage.busyFiles, ['/db/session_s1.db']);
+    assert.throws(() => fs.readFile('/db/session_s1.db'), err => err.errno === 10);
+
+    otherTab.close();
+    await opfs.put('/session_s2.db', 'new in other tab');
+    await storage.refresh();
+    assert.deepStrictEqual(storage.busyFiles, []);
+    assert.strictEqual(text(fs, '/db/session_s1.db'), 'theirs');
+    assert.strictEqual(text(fs, '/db/session_s2.db'), 'new in other tab');
+    storage.close();
+});
+
+test('createDbStorage falls back to IDBFS when the OPFS mount fails', async t => {
+    const fs = await loadEmscriptenFs();
+    // IDBFS without IndexedDB: a MEMFS mount whose sync does nothing.
+    fs.filesystems.IDBFS = Object.assign({}, fs.filesystems.MEMFS, {
+        syncfs: (mount, populate, callback) => callback(null)
+    });
+    const opfs = createFakeOpfs();
+    opfs.root.entries = async function * () {
+        throw new Error('entries() refused');
+    };
+    const saved = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    const hadHandle = 'FileSystemFileHandle' in globalThis;
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: { storage: { getDirectory: async () => ({ getDirectoryHandle: async () => opfs.root }) } }
+    });
+    globalThis.FileSystemFileHandle = class { createSyncAccessHandle() {} };
+    t.after(() => {
+        if (saved) {
+            Object.defineProperty(globalThis, 'navigator', saved);
+        } else {
+            delete globalThis.navigator;
+        }
+        if (!hadHandle) {
+            delete globalThis.FileSystemFileHandle;
+        }
+    });
+
+    const storage = await createDbStorage(fs, 'opfs');
+    assert.strictEqual(storage.name, 'idbfs');
+    assert.match(storage.fallbackReason, /^OPFS mount failed: entries\(\) refused/);
+    fs.writeFile('/db/after.txt', 'ok');
+    assert.strictEqual(text(fs, '/db/after.txt'), 'ok');
+});
+
+// IDBFS without IndexedDB: a MEMFS mount saved to and loaded from `store`
+// (path -> text).
+function fakeIdbfs(fs, store) {
+    const files = dir => fs.readdir(dir)
+        .filter(name => name !== '.' && name !== '..')
+        .flatMap(name => {
+            const path = `${dir}/${name}`;
+            return fs.isDir(fs.stat(path).mode) ? files(path) : [path];
+        });
+    return Object.assign({}, fs.filesystems.MEMFS, {
+        syncfs: (mount, populate, callback) => {
+            if (populate) {
+                for (const [path, data] of store) {
+                    fs.writeFile(path, data);
+                }
+            } else {
+                store.clear();
+                for (const path of files(mount.mountpoint)) {
+                    store.set(path, text(fs, path));
+                }
+            }
+            callback(null);
+        }
+    });
+}
+
+test('IDBFS data is copied into OPFS only after the OPFS mount succeeds', async () => {
+    const store = new Map([['/db/session_s1.db', 'idb'], ['/db/vec.db', 'idb vec']]);
+    const opfs = createFakeOpfs();
+    await opfs.put('/vec.db', 'opfs vec');
+    const entries = opfs.root.entries;
+    opfs.root.entries = async function * () {
+        throw new Error('entries() refused');
+    };
+
+    let fs = await loadEmscriptenFs();
+    fs.filesystems.IDBFS = fakeIdbfs(fs, store);
+    await assert.rejects(new OpfsDbStorage(fs, opfs.root).mount(), /entries\(\) refused/);
+    assert.strictEqual(await opfs.get('/session_s1.db'), null);
+    assert.strictEqual(store.get('/db/session_s1.db'), 'idb');
+
+    opfs.root.entries = entries;
+    fs = await loadEmscriptenFs();
+    fs.filesystems.IDBFS = fakeIdbfs(fs, store);
+    const storage = new OpfsDbStorage(fs, opfs.root);
+    await storage.mount();
+    assert.deepStrictEqual(storage.migratedFiles, ['/db/session_s1.db']);
+    assert.strictEqual(await opfs.get('/session_s1.db'), 'idb');
+    assert.strictEqual(text(fs, '/db/vec.db'), 'opfs vec');
+    assert.deepStrictEqual(fs.readdir('/db').sort(), ['.', '..', 'session_s1.db', 'vec.db']);
+    assert.strictEqual(store.get('/db/session_s1.db'), 'idb');
+    storage.close();
+
+    store.set('/db/late.db', 'after migration');
+    fs = await loadEmscriptenFs();
+    fs.filesystems.IDBFS = fakeIdbfs(fs, store);
+    const again = new OpfsDbStorage(fs, opfs.root);
+    await again.mount();
+    assert.deepStrictEqual(again.migratedFiles, []);
+    assert.strictEqual(fs.analyzePath('/db/late.db').exists, false);
+    again.close();
+});
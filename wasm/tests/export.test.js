@@ -0,0 +1,38 @@
+// QueryResult Arrow/Parquet export (columnar_writer.js).
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { needsSqlite, createLoader, openCsv } = require('./helpers.js');
+
+/** Whether `bytes` holds `value` as a little-endian int64. */
+function hasInt64(bytes, value) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let i = 0; i + 8 <= bytes.length; i++) {
+        if (view.getBigInt64(i, true) === value) return true;
+    }
+    return false;
+}
+
+test('timestamp strings without an offset are exported as UTC', needsSqlite, t => {
+    const tz = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    t.after(() => {
+        if (tz === undefined) delete process.env.TZ;
+        else process.env.TZ = tz;
+    });
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', 'id\n1\n');
+    wb.query('CREATE TABLE events (at DATETIME)');
+    wb.query("INSERT INTO events VALUES ('2024-03-01 12:00:00'), ('2024-03-01T12:00:00+02:00')");
+
+    const res = wb.query('SELECT at FROM events');
+    const utc = BigInt(Date.UTC(2024, 2, 1, 12));
+    const offset = BigInt(Date.UTC(2024, 2, 1, 10));
+    for (const bytes of [res.toArrowIPC(), res.toParquet()]) {
+        assert.ok(hasInt64(bytes, utc));
+        assert.ok(hasInt64(bytes, offset));
+    }
+    assert.strictEqual(res.coerce().rows[0][0].getTime(), Number(utc));
+});
@@ -0,0 +1,347 @@
+/**
+ * Fake excel_loader engine for the Node tests: the ff_* C ABI of
+ * excel_loader_wasm.js implemented over node:sqlite (Node.js 22+), with a
+ * JS heap standing in for the WASM memory. Only CSV input is understood
+ * (one dataset per file, named after the file); other explicit formats
+ * and files ending in ".bad" fail to open. The vec_* exports keep vector
+ * tables as plain SQLite tables (no vec0 module, so no vec_search).
+ */
+
+const { DatabaseSync } = require('node:sqlite');
+
+const HEAP_SIZE = 64 * 1024 * 1024;
+
+// FileFormat values read as CSV: Auto, Csv, Tsv.
+const CSV_FORMATS = [0, 1, 2];
+
+/**
+ * Query JSON as the engine writes it: 64-bit integers as plain digits,
+ * even outside the range a double holds exactly.
+ */
+function toEngineJson(result) {
+    return JSON.stringify(result, (key, value) =>
+        typeof value === 'bigint'
+            ? (Number.isSafeInteger(Number(value)) ? Number(value) : `\u0000int:${value}`)
+            : value
+    ).replace(/"\\u0000int:(-?\d+)"/g, '$1');
+}
+
+function createFakeEngine() {
+    const heap = new Uint8Array(HEAP_SIZE);
+    const free = new Map(); // size -> [ptr]
+    const sizes = new Map(); // ptr -> size
+    let top = 8;
+    let lastError = '';
+    let lastJson = '';
+    const handles = new Map();
+    let nextHandle = 1;
+
+    const M = { HEAPU8: heap, handles };
+    M._malloc = n => {
+        const size = Math.max(8, (n + 7) & ~7);
+        const reuse = free.get(size);
+        if (reuse && reuse.length) {
+            return reuse.pop();
+        }
+        if (top + size > HEAP_SIZE) {
+            throw new Error('fake engine: out of memory');
+        }
+        const ptr = top;
+        top += size;
+        sizes.set(ptr, size);
+        return ptr;
+    };
+    M._free = ptr => {
+        const size = sizes.get(ptr);
+        if (size) {
+            if (!free.has(size)) free.set(size, []);
+            free.get(size).push(ptr);
+        }
+    };
+    M.UTF8ToString = ptr => {
+        if (!ptr) return '';
+        let end = ptr;
+        while (heap[end]) end++;
+        return new TextDecoder().decode(heap.subarray(ptr, end));
+    };
+    const str = ptr => M.UTF8ToString(ptr);
+    // Returned strings live in a scratch area, like the engine's static buffers.
+    let outPtr = 0;
+    let outSize = 0;
+    const out = s => {
+        const bytes = new TextEncoder().encode(s + '\0');
+        if (bytes.length > outSize) {
+            outSize = bytes.length * 2;
+            outPtr = M._malloc(outSize);
+        }
+        heap.set(bytes, outPtr);
+        return outPtr;
+    };
+    const fail = message => {
+        lastError = message;
+        return 0;
+    };
+    const tableName = path => path.replace(/^.*[\\/]/, '');
+    const tables = h => h.db.prepare(
+        "SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE '\\_\\_%' ESCAPE '\\'"
+    ).all().map(r => r.name);
+    const columns = (h, name) => h.db.prepare(`PRAGMA table_info("${name}")`).all();
+
+    function loadCsv(h, bytes, path, format, delimiter, hasHeaderRow) {
+        if (!CSV_FORMATS.includes(format)) {
+            throw new Error(`${path}: unsupported format ${format}`);
+        }
+        const lines = new TextDecoder().decode(bytes).split(/\r?\n/).filter(line => line.length > 0);
+        if (lines.length === 0) {
+            throw new Error(`${path}: empty file`);
+        }
+        const sep = String.fromCharCode(delimiter || 44);
+        const first = lines[0].split(sep);
+        const names = hasHeaderRow ? first : first.map((_, i) => `column${i + 1}`);
+        const name = tableName(path);
+        if (tables(h).includes(name)) {
+            throw new Error(`dataset "${name}" already exists`);
+        }
+        h.db.exec(`CREATE TABLE "${name}" (${names.map(c => `"${c}"`).join(', ')})`);
+        const insert = h.db.prepare(`INSERT INTO "${name}" VALUES (${names.map(() => '?').join(', ')})`);
+        for (const line of hasHeaderRow ? lines.slice(1) : lines) {
+            insert.run(...line.split(sep).map(v => (v === '' ? null : (isNaN(Number(v)) ? v : Number(v)))));
+        }
+        h.sources.push({ path, tables: [name], size: bytes.length });
+    }
+
+    M._ff_init = () => {};
+    M._ff_getLastError = () => out(lastError);
+    M._ff_getLastJson = () => out(lastJson);
+
+    M._ff_openFile = (ptr, len, namePtr, format, delimiter, hasHeaderRow) => {
+        const path = str(namePtr);
+        lastError = '';
+        if (path.endsWith('.bad')) {
+            return fail(`cannot parse ${path}`);
+        }
+        const h = { db: new DatabaseSync(':memory:'), sources: [], renames: [], views: 0 };
+        try {
+            loadCsv(h, heap.slice(ptr, ptr + len), path, format, delimiter, hasHeaderRow !== 0);
+        } catch (e) {
+            h.db.close();
+            return fail(e.message);
+        }
+        const id = nextHandle++;
+        handles.set(id, h);
+        return id;
+    };
+    M._ff_closeFile = id => {
+        const h = handles.get(id);
+        if (h) {
+            h.db.close();
+            handles.delete(id);
+        }
+    };
+    M._ff_attachFile = (id, ptr, len, namePtr, format, delimiter, hasHeaderRow) => {
+        const h = handles.get(id);
+        lastError = '';
+        try {
+            loadCsv(h, heap.slice(ptr, ptr + len), str(namePtr), format, delimiter, hasHeaderRow !== 0);
+            return 0;
+        } catch (e) {
+            lastError = e.message;
+            return 1;
+        }
+    };
+    M._ff_detachSource = (id, pathPtr) => {
+        const h = handles.get(id);
+        const path = str(pathPtr);
+        const src = h.sources.find(s => s.path === path);
+        if (!src) {
+            lastError = `no such source: ${path}`;
+            return 1;
+        }
+        for (const t of src.tables) {
+            h.db.exec(`DROP TABLE "${t}"`);
+        }
+        h.sources = h.sources.filter(s => s !== src);
+        return 0;
+    };
+    M._ff_renameDataset = (id, oldPtr, newPtr) => {
+        const h = handles.get(id);
+        const from = str(oldPtr);
+        const to = str(newPtr);
+        try {
+            // Legacy mode leaves the runtime views alone: one that reads a
+            // detached dataset would otherwise fail every rename.
+            h.db.exec('PRAGMA legacy_alter_table = ON');
+            h.db.exec(`ALTER TABLE "${from}" RENAME TO "${to}"`);
+        } catch (e) {
+            lastError = e.message;
+            return 1;
+        }
+        for (const src of h.sources) {
+            src.tables = src.tables.map(t => (t === from ? to : t));
+        }
+        h.renames.push({ from, to });
+        return 0;
+    };
+    M._ff_listDatasets = id => {
+        const h = handles.get(id);
+        lastError = '';
+        return out(JSON.stringify({
+            sheets: tables(h).map(name => ({
+                name,
+                rowCount: h.db.prepare(`SELECT COUNT(*) AS n FROM "${name}"`).get().n,
+                columnCount: columns(h, name).length
+            }))
+        }));
+    };
+    M._ff_describeDataset = (id, namePtr) => {
+        const h = handles.get(id);
+        const name = str(namePtr);
+        return out(JSON.stringify({
+            sheets: [{ name, columns: columns(h, name).map(c => ({ name: c.name, type: c.type || 'TEXT' })) }]
+        }));
+    };
+    M._ff_query = (id, sqlPtr) => {
+        const h = handles.get(id);
+        const sql = str(sqlPtr);
+        lastError = '';
+        try {
+            const stmt = h.db.prepare(sql);
+            stmt.setReadBigInts(true);
+            const cols = stmt.columns();
+            if (cols.length === 0) {
+                stmt.run();
+                lastJson = JSON.stringify({ columns: [], rows: [] });
+                return out(lastJson);
+            }
+            const result = {
+                columns: cols.map(c => ({ name: c.name, type: c.type || null })),
+                rows: stmt.all().map(row => cols.map(c => row[c.name]))
+            };
+            if (/^\s*(select|with)\b/i.test(sql)) {
+                const view = `__rv_${++h.views}`;
+                h.db.exec(`CREATE TEMP VIEW "${view}" AS ${sql}`);
+                result.meta = { runtimeViewName: view };
+            }
+            lastJson = toEngineJson(result);
+            return out(lastJson);
+        } catch (e) {
+            lastError = e.message;
+            return out('');
+        }
+    };
+    M._ff_profileDataset = (id, namePtr) => {
+        const h = handles.get(id);
+        const name = str(namePtr);
+        return out(JSON.stringify({
+            columns: columns(h, name).map(c => {
+                const q = h.db.prepare(
+                    `SELECT COUNT(*) AS total, COUNT("${c.name}") AS nn, COUNT(DISTINCT "${c.name}") AS d, ` +
+                    `MIN("${c.name}") AS mn, MAX("${c.name}") AS mx FROM "${name}"`
+                ).get();
+                return {
+                    name: c.name,
+                    rowCount: q.total,
+                    nullCount: q.total - q.nn,
+                    distinctCount: q.d,
+                    min: q.mn,
+                    max: q.mx
+                };
+            })
+        }));
+    };
+    M._ff_evaluateQualityRules = () => out('{"rules":[]}');
+    M._ff_listDatasetSources = id => out(JSON.stringify({
+        datasets: handles.get(id).sources.flatMap(src => src.tables.map(t => ({
+            technicalName: t,
+            sourceFilePath: src.path,
+            sourceObjectName: t
+        })))
+    }));
+    M._ff_getWorkbookSourcePaths = id => out(JSON.stringify({
+        paths: handles.get(id).sources.map(src => src.path)
+    }));
+    M._ff_getWorkbookMemoryStats = id => {
+        const h = handles.get(id);
+        const bytes = h.sources.reduce((sum, src) => sum + src.size, 0);
+        return out(JSON.stringify({
+            approxDbBytes: bytes * 2,
+            approxFileBufferBytes: bytes,
+            approxTotalBytes: bytes * 3,
+            sources: h.sources.map(src => ({ path: src.path, approxBytes: src.size }))
+        }));
+    };
+    M._ff_listDatasetMemoryStats = id => out(JSON.stringify({
+        datasets: handles.get(id).sources.map(src => ({
+            technicalName: src.tables[0],
+            sourceFilePath: src.path,
+            approxBytes: src.size
+        }))
+    }));
+    M._ff_exportProjectManifest = (id, namePtr) => {
+        const h = handles.get(id);
+        const base = h.sources[0].path;
+        return out(JSON.stringify({
+            schemaVersion: 1,
+            projectName: str(namePtr) || base,
+            baseFile: base,
+            sources: h.sources.map(src => ({ path: src.path, format: 'csv', delimiter: ',', hasHeaderRow: true })),
+            renames: h.renames
+        }));
+    };
+
+    // vec_* exports over one SQLite database standing in for /db/vec.db.
+    const vecDb = new DatabaseSync(':memory:');
+    const vecTables = new Map(); // name -> { dims, storage }
+    let vecError = '';
+    const vecFail = message => {
+        vecError = message;
+        return 0;
+    };
+    M.vecDb = vecDb;
+    M._vec_init = () => 0;
+    M._vec_getLastError = () => out(vecError);
+    M._vec_create_table = (namePtr, dims, storagePtr) => {
+        const name = str(namePtr);
+        vecDb.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id INTEGER PRIMARY KEY, embedding BLOB NOT NULL, meta TEXT)`);
+        vecTables.set(name, { dims, storage: str(storagePtr) });
+        return 0;
+    };
+    M._vec_insert_batch = (namePtr, elementType, count, idsPtr, dataPtr, offsetsPtr, metasPtr, atomic) => {
+        const name = str(namePtr);
+        const table = vecTables.get(name);
+        if (!table) {
+            return vecFail(`no such vector table: ${name}`);
+        }
+        const elementSize = { float: 4, int8: 1 }[table.storage];
+        if (elementType !== { float: 1, int8: 2 }[table.storage]) {
+            return vecFail(`table "${name}" stores ${table.storage} vectors`);
+        }
+        const ids = new BigInt64Array(heap.buffer, idsPtr, count);
+        const offsets = new Int32Array(heap.buffer, offsetsPtr, count + 1);
+        const metas = metasPtr ? JSON.parse(str(metasPtr)) : null;
+        const upsert = vecDb.prepare(`INSERT OR REPLACE INTO "${name}" (id, embedding, meta) VALUES (?, ?, ?)`);
+        const failed = [];
+        let inserted = 0;
+        vecDb.exec('BEGIN');
+        for (let i = 0; i < count; i++) {
+            const bytes = heap.slice(dataPtr + offsets[i], dataPtr + offsets[i + 1]);
+            if (bytes.length !== table.dims * elementSize) {
+                failed.push({ index: i, error: `expected ${table.dims} dimensions, got ${bytes.length / elementSize}` });
+                if (atomic) break;
+                continue;
+            }
+            upsert.run(ids[i], bytes, metas ? metas[i] : null);
+            inserted++;
+        }
+        if (atomic && failed.length) {
+            vecDb.exec('ROLLBACK');
+            inserted = 0;
+        } else {
+            vecDb.exec('COMMIT');
+        }
+        return out(JSON.stringify({ inserted, failed }));
+    };
+    return M;
+}
+
+module.exports = { createFakeEngine };
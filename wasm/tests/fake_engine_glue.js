@@ -0,0 +1,14 @@
+// Stand-in for excel_loader_wasm.js: a classic (non-MODULARIZE) Emscripten
+// script. It fills a pre-declared global Module, initializes asynchronously
+// and, like a browser-targeted build, does not set module.exports.
+var Module = typeof Module != 'undefined' ? Module : {};
+(function () {
+    const { createFakeEngine } = require('./fake_engine.js');
+    Object.assign(Module, createFakeEngine());
+    setTimeout(() => {
+        Module.calledRun = true;
+        if (typeof Module.onRuntimeInitialized === 'function') {
+            Module.onRuntimeInitialized();
+        }
+    }, 5);
+})();
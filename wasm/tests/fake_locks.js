@@ -0,0 +1,88 @@
+/**
+ * In-process stand-ins for the cross-tab APIs, shared by every "tab" of a
+ * test: navigator.locks (exclusive locks with the ifAvailable and steal
+ * options, and query(); a stolen lock's request rejects with AbortError, as
+ * in browsers) and BroadcastChannel.
+ */
+
+function abortError() {
+    const err = new Error('Lock broken by another request with the steal option.');
+    err.name = 'AbortError';
+    return err;
+}
+
+function createFakeLocks() {
+    const held = new Map(); // name -> { reject }
+    return {
+        request(name, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+            const current = held.get(name);
+            if (current && !options.steal) {
+                if (!options.ifAvailable) {
+                    return Promise.reject(new Error('fake locks: waiting for a lock is not supported'));
+                }
+                return Promise.resolve().then(() => callback(null));
+            }
+            return new Promise((resolve, reject) => {
+                if (current) {
+                    held.delete(name);
+                    current.reject(abortError());
+                }
+                const entry = { reject };
+                held.set(name, entry);
+                const done = () => {
+                    if (held.get(name) === entry) {
+                        held.delete(name);
+                    }
+                };
+                Promise.resolve().then(() => callback({ name, mode: 'exclusive' })).then(value => {
+                    done();
+                    resolve(value);
+                }, err => {
+                    done();
+                    reject(err);
+                });
+            });
+        },
+        async query() {
+            return { held: Array.from(held.keys(), name => ({ name, mode: 'exclusive' })), pending: [] };
+        }
+    };
+}
+
+/**
+ * @returns {Function} - BroadcastChannel class whose channels deliver to
+ *   each other (never to the sender) on a later microtask
+ */
+function createFakeBroadcastChannel() {
+    const channels = new Set();
+    return class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            this.onmessage = null;
+            channels.add(this);
+        }
+
+        postMessage(data) {
+            const copy = structuredClone(data);
+            for (const channel of channels) {
+                if (channel !== this && channel.name === this.name) {
+                    queueMicrotask(() => {
+                        if (channels.has(channel) && typeof channel.onmessage === 'function') {
+                            channel.onmessage({ data: copy });
+                        }
+                    });
+                }
+            }
+        }
+
+        close() {
+            channels.delete(this);
+        }
+    };
+}
+
+module.exports = { createFakeLocks, createFakeBroadcastChannel };
@@ -0,0 +1,193 @@
+/**
+ * In-memory stand-in for the Origin Private File System as seen from a
+ * dedicated worker: directory/file handles, sync access handles with the
+ * exclusive ('readwrite') and shared ('readwrite-unsafe') lock modes, and
+ * counters of the bytes read and written through them.
+ */
+
+function domError(name, message) {
+    const err = new Error(message);
+    err.name = name;
+    return err;
+}
+
+class FakeSyncAccessHandle {
+    constructor(file, stats) {
+        this._file = file;
+        this._stats = stats;
+        this._closed = false;
+    }
+
+    _check() {
+        if (this._closed) {
+            throw domError('InvalidStateError', 'access handle is closed');
+        }
+    }
+
+    read(view, { at = 0 } = {}) {
+        this._check();
+        const bytes = this._file.data.subarray(at, at + view.byteLength);
+        new Uint8Array(view.buffer, view.byteOffset, view.byteLength).set(bytes);
+        this._stats.bytesRead += bytes.length;
+        return bytes.length;
+    }
+
+    write(view, { at = 0 } = {}) {
+        this._check();
+        const src = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+        if (at + src.length > this._file.data.length) {
+            const grown = new Uint8Array(at + src.length);
+            grown.set(this._file.data);
+            this._file.data = grown;
+        }
+        this._file.data.set(src, at);
+        this._stats.bytesWritten += src.length;
+        return src.length;
+    }
+
+    getSize() {
+        this._check();
+        return this._file.data.length;
+    }
+
+    truncate(size) {
+        this._check();
+        const data = new Uint8Array(size);
+        data.set(this._file.data.subarray(0, size));
+        this._file.data = data;
+    }
+
+    flush() {
+        this._check();
+        this._stats.flushes++;
+    }
+
+    close() {
+        if (!this._closed) {
+            this._closed = true;
+            this._file.locks.delete(this);
+        }
+    }
+}
+
+class FakeFileHandle {
+    constructor(name, file, stats) {
+        this.kind = 'file';
+        this.name = name;
+        this._file = file;
+        this._stats = stats;
+    }
+
+    async createSyncAccessHandle({ mode = 'readwrite' } = {}) {
+        const shared = mode === 'readwrite-unsafe' && this._stats.unsafeMode;
+        for (const lock of this._file.locks) {
+            if (!shared || !lock._shared) {
+                throw domError('NoModificationAllowedError', `${this.name} is locked`);
+            }
+        }
+        const access = new FakeSyncAccessHandle(this._file, this._stats);
+        access._shared = shared;
+        this._file.locks.add(access);
+        return access;
+    }
+}
+
+class FakeDirectoryHandle {
+    constructor(name, stats) {
+        this.kind = 'directory';
+        this.name = name;
+        this._entries = new Map(); // name -> FakeDirectoryHandle | { data, locks }
+        this._stats = stats;
+    }
+
+    async * entries() {
+        for (const [name, entry] of Array.from(this._entries)) {
+            yield [name, entry instanceof FakeDirectoryHandle ? entry : new FakeFileHandle(name, entry, this._stats)];
+        }
+    }
+
+    async getDirectoryHandle(name, { create = false } = {}) {
+        let entry = this._entries.get(name);
+        if (!entry && create) {
+            entry = new FakeDirectoryHandle(name, this._stats);
+            this._entries.set(name, entry);
+        }
+        if (!(entry instanceof FakeDirectoryHandle)) {
+            throw domError(entry ? 'TypeMismatchError' : 'NotFoundError', name);
+        }
+        return entry;
+    }
+
+    async getFileHandle(name, { create = false } = {}) {
+        let entry = this._entries.get(name);
+        if (!entry && create) {
+            entry = { data: new Uint8Array(0), locks: new Set() };
+            this._entries.set(name, entry);
+        }
+        if (!entry || entry instanceof FakeDirectoryHandle) {
+            throw domError(entry ? 'TypeMismatchError' : 'NotFoundError', name);
+        }
+        return new FakeFileHandle(name, entry, this._stats);
+    }
+
+    async removeEntry(name) {
+        const entry = this._entries.get(name);
+        if (!entry) {
+            throw domError('NotFoundError', name);
+        }
+        if (entry instanceof FakeDirectoryHandle ? entry._entries.size > 0 : entry.locks.size > 0) {
+            throw domError(entry.locks ? 'NoModificationAllowedError' : 'InvalidModificationError', name);
+        }
+        this._entries.delete(name);
+    }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.unsafeMode=true] - Honour 'readwrite-unsafe'
+ *   (false behaves like browsers where every handle is exclusive)
+ * @returns {{ root: FakeDirectoryHandle, stats: Object, put: Function, get: Function }}
+ */
+function createFakeOpfs(options = {}) {
+    const stats = {
+        bytesRead: 0,
+        bytesWritten: 0,
+        flushes: 0,
+        unsafeMode: options.unsafeMode !== false
+    };
+    const root = new FakeDirectoryHandle('', stats);
+    const walk = async (path, create) => {
+        const parts = path.split('/').filter(Boolean);
+        const name = parts.pop();
+        let dir = root;
+        for (const part of parts) {
+            dir = await dir.getDirectoryHandle(part, { create });
+        }
+        return { dir, name };
+    };
+    return {
+        root,
+        stats,
+        /** Write a file directly (as another tab would). */
+        async put(path, text) {
+            const { dir, name } = await walk(path, true);
+            (await dir.getFileHandle(name, { create: true }))._file.data = new TextEncoder().encode(text);
+        },
+        /** Text of a file, or null if missing. */
+        async get(path) {
+            try {
+                const { dir, name } = await walk(path, false);
+                return new TextDecoder().decode((await dir.getFileHandle(name))._file.data);
+            } catch (e) {
+                return null;
+            }
+        },
+        /** Open an exclusive sync access handle on a file (another tab). */
+        async lock(path) {
+            const { dir, name } = await walk(path, false);
+            return (await dir.getFileHandle(name)).createSyncAccessHandle();
+        }
+    };
+}
+
+module.exports = { createFakeOpfs };
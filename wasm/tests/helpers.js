@@ -0,0 +1,85 @@
+// Shared setup for the Node tests (see fake_engine.js).
+
+const path = require('path');
+const ExcelLoaderModule = require('../excel_loader.js');
+
+const hasSqlite = (() => {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch (e) {
+        return false;
+    }
+})();
+
+/** Skip reason for node:test when the fake engine cannot run. */
+const needsSqlite = { skip: !hasSqlite && 'node:sqlite unavailable (Node.js 22+)' };
+
+/**
+ * Create an ExcelLoader on a fresh fake engine.
+ * @param {Object} [options] - ExcelLoader options
+ * @param {Object} [engineProps] - Extra module properties, e.g. { FS } from loadEmscriptenFs()
+ * @returns {ExcelLoader}
+ */
+function createLoader(options = {}, engineProps = {}) {
+    const { createFakeEngine } = require('./fake_engine.js');
+    const engine = Object.assign(createFakeEngine(), { calledRun: true }, engineProps);
+    return ExcelLoaderModule.create(engine, options);
+}
+
+/**
+ * Open CSV text as a workbook.
+ * @returns {Workbook}
+ */
+function openCsv(loader, fileName, text, options = {}) {
+    return loader.openFile(new TextEncoder().encode(text), fileName, options);
+}
+
+/**
+ * The real Emscripten FS of excel_loader_wasm.js, started with a stub
+ * WebAssembly instance (the .wasm binary is not needed for FS work).
+ * @returns {Promise<Object>} FS
+ */
+async function loadEmscriptenFs() {
+    const memory = new WebAssembly.Memory({ initial: 256 });
+    const table = new WebAssembly.Table({ initial: 1, element: 'anyfunc' });
+    const exports = new Proxy({}, {
+        get: (target, key) => {
+            if (key === 'memory') return memory;
+            if (key === '__indirect_function_table') return table;
+            return typeof key === 'string' ? () => 0 : undefined;
+        },
+        has: () => true
+    });
+    const wasmModule = ExcelLoaderModule.loadWasmModule(path.join(__dirname, '..', 'excel_loader_wasm.js'), {
+        instantiateWasm: (imports, receive) => {
+            setTimeout(() => receive({ exports }, null), 0);
+            return {};
+        },
+        print() {},
+        printErr() {}
+    });
+    await ExcelLoaderModule.ready(wasmModule, { timeoutMs: 5000 });
+    return wasmModule.FS;
+}
+
+/**
+ * Replace globals (e.g. navigator, BroadcastChannel) until the test ends.
+ * @param {TestContext} t
+ * @param {Object} values - name -> value
+ */
+function stubGlobals(t, values) {
+    for (const [name, value] of Object.entries(values)) {
+        const saved = Object.getOwnPropertyDescriptor(globalThis, name);
+        Object.defineProperty(globalThis, name, { configurable: true, writable: true, value });
+        t.after(() => {
+            if (saved) {
+                Object.defineProperty(globalThis, name, saved);
+            } else {
+                delete globalThis[name];
+            }
+        });
+    }
+}
+
+module.exports = { ExcelLoaderModule, hasSqlite, needsSqlite, createLoader, openCsv, loadEmscriptenFs, stubGlobals };
@@ -0,0 +1,121 @@
+// LRU eviction and hibernation: workbook sizes and where source bytes are kept.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { needsSqlite, createLoader, openCsv, loadEmscriptenFs } = require('./helpers.js');
+
+const CSV = 'id,v\n1,a\n2,b\n';
+
+test('without /db, source bytes are retained only for hibernation and reported', needsSqlite, async t => {
+    const loader = createLoader({ maxWorkbooks: 1 });
+    t.after(() => loader.destroy());
+    const a = openCsv(loader, 'a.csv', CSV);
+    assert.strictEqual(loader.getMemoryUsage().retainedBytes, CSV.length);
+
+    openCsv(loader, 'b.csv', CSV);
+    assert.strictEqual(a.state, 'hibernated');
+    const usage = loader.getMemoryUsage();
+    assert.strictEqual(usage.retainedBytes, 2 * CSV.length);
+    assert.deepStrictEqual(usage.workbooks.map(w => w.retainedBytes), [CSV.length]);
+
+    assert.deepStrictEqual((await a.query('SELECT COUNT(*) AS n FROM "a.csv"')).rows, [[2]]);
+    assert.strictEqual(a.state, 'active');
+
+    const closing = createLoader({ maxWorkbooks: 1, hibernate: false });
+    t.after(() => closing.destroy());
+    openCsv(closing, 'c.csv', CSV);
+    assert.strictEqual(closing.getMemoryUsage().retainedBytes, 0);
+});
+
+test('with /db, sources are copied there only when the workbook hibernates', needsSqlite, async t => {
+    const fs = await loadEmscriptenFs();
+    fs.mkdir('/db');
+    const loader = createLoader({ maxWorkbooks: 1 }, { FS: fs });
+    t.after(() => loader.destroy());
+    const a = openCsv(loader, 'a.csv', CSV);
+    const snapshots = () => (fs.analyzePath('/db/hibernated').exists
+        ? fs.readdir('/db/hibernated').filter(n => n !== '.' && n !== '..')
+        : []);
+
+    assert.strictEqual(loader.getMemoryUsage().retainedBytes, CSV.length);
+    assert.deepStrictEqual(snapshots(), []);
+
+    const b = openCsv(loader, 'b.csv', CSV);
+    assert.strictEqual(a.state, 'hibernated');
+    assert.strictEqual(snapshots().length, 1);
+    assert.strictEqual(loader.getMemoryUsage().retainedBytes, CSV.length);
+    assert.deepStrictEqual((await a.query('SELECT v FROM "a.csv" ORDER BY id')).rows, [['a'], ['b']]);
+    assert.strictEqual(b.state, 'hibernated');
+    assert.strictEqual(snapshots().length, 2);
+
+    await a.attachFile(new TextEncoder().encode('k\n1\n'), { fileName: 'extra.csv' });
+    assert.strictEqual(snapshots().length, 2);
+    await a.detachSource('extra.csv');
+
+    a.close();
+    b.close();
+    assert.deepStrictEqual(snapshots(), []);
+});
+
+test('methods stay synchronous when the workbook is hibernated', needsSqlite, async t => {
+    const loader = createLoader({ maxWorkbooks: 1 });
+    t.after(() => loader.destroy());
+    const a = openCsv(loader, 'a.csv', CSV);
+    assert.ok(Array.isArray(a.listDatasets().sheets));
+
+    openCsv(loader, 'b.csv', CSV);
+    assert.strictEqual(a.state, 'hibernated');
+    assert.strictEqual(a.renameDataset('a.csv', 'renamed'), undefined);
+    assert.strictEqual(a.state, 'active');
+    assert.deepStrictEqual(a.listDatasets().sheets.map(s => s.name), ['renamed']);
+
+    openCsv(loader, 'c.csv', CSV);
+    assert.strictEqual(a.state, 'hibernated');
+    assert.deepStrictEqual(a.query('SELECT COUNT(*) FROM renamed').rows, [[2]]);
+});
+
+test('detaching a source shrinks the workbook size used for eviction', needsSqlite, async t => {
+    const extra = new TextEncoder().encode('k\n1\n2\n3\n');
+    for (const measured of [true, false]) {
+        // Without memory stats the size is adjusted by the source's bytes.
+        const loader = createLoader({}, measured ? {} : { _ff_getWorkbookMemoryStats: () => { throw new Error('no stats'); } });
+        t.after(() => loader.destroy());
+        const a = openCsv(loader, 'a.csv', CSV);
+        const size = () => loader._activeWorkbooks.find(e => e.workbook === a).approxSizeBytes;
+        const before = size();
+
+        await a.attachFile(extra, { fileName: 'extra.csv' });
+        assert.ok(size() >= before + extra.length);
+        await a.detachSource('extra.csv');
+        assert.strictEqual(size(), before, measured ? 'measured' : 'adjusted');
+    }
+});
+
+test('workbook sizes are cached and re-measured only near maxBytes', needsSqlite, t => {
+    const counted = options => {
+        const loader = createLoader(options);
+        t.after(() => loader.destroy());
+        const stats = loader._module._ff_getWorkbookMemoryStats;
+        loader.calls = 0;
+        loader._module._ff_getWorkbookMemoryStats = id => (loader.calls++, stats(id));
+        return loader;
+    };
+
+    const roomy = counted({ maxBytes: 1e6 });
+    ['a.csv', 'b.csv', 'c.csv'].forEach(name => openCsv(roomy, name, CSV));
+    assert.strictEqual(roomy.calls, 3);
+    assert.strictEqual(roomy.getMemoryUsage().totalBytes, 9 * CSV.length);
+    assert.strictEqual(roomy.calls, 3);
+    roomy.getMemoryUsage({ refresh: true });
+    assert.strictEqual(roomy.calls, 6);
+
+    // The fake engine reports 3 bytes per source byte: two workbooks pass
+    // 80% of maxBytes, so the check re-measures both.
+    const tight = counted({ maxBytes: Math.ceil(3 * CSV.length * 2 / 0.9) });
+    openCsv(tight, 'a.csv', CSV);
+    assert.strictEqual(tight.calls, 1);
+    openCsv(tight, 'b.csv', CSV);
+    assert.strictEqual(tight.calls, 4);
+    assert.strictEqual(tight.getMemoryUsage().workbooks.length, 2);
+});
@@ -0,0 +1,120 @@
+// Workbook.query parameter binding.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExcelLoaderModule, needsSqlite, createLoader, openCsv } = require('./helpers.js');
+
+test('negative numbers and bigints bind after a minus sign', needsSqlite, t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', 'name,qty\na,1\nb,2\n');
+
+    assert.deepStrictEqual(wb.query('SELECT 5-? AS x', [-1]).rows, [[6]]);
+    assert.deepStrictEqual(wb.query('SELECT 5-:n AS x', { n: -2n }).rows, [[7]]);
+    assert.deepStrictEqual(wb.query('SELECT name FROM "items.csv" WHERE qty-? > 2', [-0.5]).rows, [['b']]);
+});
+
+test('strings containing NUL are rejected instead of truncating the SQL', needsSqlite, t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', 'name,qty\na,1\n');
+
+    assert.throws(() => wb.query('SELECT * FROM "items.csv" WHERE name = ?', ['a\0 OR 1=1']), /containing NUL/);
+    assert.deepStrictEqual(wb.query('SELECT length(?) AS n', [new Uint8Array([97, 0, 98])]).rows, [[3]]);
+});
+
+test('DuckDB lists and indexes take parameters; dollar-quoted strings do not', needsSqlite, t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const seen = [];
+    const duckdb = { query: sql => (seen.push(sql), { columns: [], rows: [] }), close() {} };
+    const wb = loader._wrapJsWorkbook(duckdb, 'x.duckdb');
+    const sqlite = openCsv(loader, 'items.csv', 'name,qty\na,1\n');
+
+    wb.query('SELECT [1, ?] AS l, arr[?] AS e FROM t', [2, 3]);
+    wb.query('SELECT $$a ? :b$$, $fn$ $x $fn$, :v AS v', { v: 'ok' });
+    assert.deepStrictEqual(seen, [
+        'SELECT [1, 2] AS l, arr[3] AS e FROM t',
+        "SELECT $$a ? :b$$, $fn$ $x $fn$, 'ok' AS v",
+    ]);
+    // In SQLite [name] is a quoted identifier.
+    assert.deepStrictEqual(sqlite.query('SELECT [qty?] FROM (SELECT qty AS [qty?] FROM "items.csv")', []).rows, [[1]]);
+});
+
+test('coerce.bigints keeps unsafe integers exact in integer columns only, and DataFrame sums them', needsSqlite, t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', 'name,qty\na,1\n');
+    wb.query('CREATE TABLE big (grp TEXT, id INTEGER, amount REAL, note)');
+    wb.query('INSERT INTO big VALUES (\'x\', 9007199254740993, 9007199254740993, 9007199254740993), (\'x\', 1, 2, 3)');
+
+    const res = wb.query('SELECT grp, id, amount, note FROM big ORDER BY rowid', [], { coerce: { bigints: true } });
+    assert.deepStrictEqual(res.rows, [['x', 9007199254740993n, 9007199254740992, 9007199254740992], ['x', 1, 2, 3]]);
+
+    const df = new ExcelLoaderModule.DataFrame(res);
+    assert.deepStrictEqual(df.cumsum('id').toObjects().map(r => r.id_cumsum), [9007199254740993n, 9007199254740994n]);
+    assert.deepStrictEqual(df.cumsum('amount').toObjects().map(r => r.amount_cumsum), [9007199254740992, 9007199254740994]);
+    const totals = df.groupBy('grp', [{ column: 'id', agg: 'sum', as: 's' }, { column: 'id', agg: 'mean', as: 'm' }]);
+    assert.deepStrictEqual(totals.toObjects(), [{ grp: 'x', s: 9007199254740994n, m: 4503599627370497 }]);
+});
+
+const ITEMS = 'name,qty\n' + Array.from({ length: 7 }, (_, i) => `n${i},${i}`).join('\n') + '\n';
+const tempTables = async wb => (await wb.query("SELECT name FROM sqlite_temp_master WHERE type = 'table'")).rows;
+
+test('queryIterator pages the query in order and leaves no temp objects', needsSqlite, async t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', ITEMS);
+
+    const batches = [];
+    for await (const batch of wb.queryIterator('SELECT qty FROM "items.csv" ORDER BY qty DESC', { batchSize: 3 })) {
+        assert.deepStrictEqual(await tempTables(wb), []);
+        batches.push(batch.rows.map(r => r[0]));
+    }
+    assert.deepStrictEqual(batches, [[6, 5, 4], [3, 2, 1], [0]]);
+
+    let view = null;
+    for await (const batch of wb.queryIterator('SELECT * FROM "items.csv"', { batchSize: 2 })) {
+        assert.strictEqual(batch.rowCount, 2);
+        view = batch.viewName;
+        break;
+    }
+    const views = await wb.query("SELECT name FROM sqlite_temp_master WHERE type = 'view'");
+    assert.ok(view && !views.rows.some(r => r[0] === view));
+});
+
+test('queryIterator batches keep the declared column types of query()', needsSqlite, async t => {
+    const loader = createLoader();
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', ITEMS);
+    await wb.query('CREATE TABLE events (day DATE, ok BOOLEAN, n INTEGER, rowid TEXT)');
+    await wb.query("INSERT INTO events VALUES ('2024-03-01', 1, 1, 'a'), ('2024-03-02', 0, 2, 'b'), ('2024-03-03', 1, 3, 'c')");
+
+    const sql = 'SELECT * FROM events ORDER BY n';
+    const whole = await wb.query(sql, [], { coerce: true });
+    const rows = [];
+    for await (const batch of wb.queryIterator(sql, { batchSize: 2, coerce: true })) {
+        assert.deepStrictEqual(batch.schema, whole.schema);
+        rows.push(...batch.rows);
+    }
+    assert.deepStrictEqual(rows, whole.rows);
+    assert.ok(rows[0][0] instanceof Date);
+    assert.deepStrictEqual(rows.map(r => [r[1], r[3]]), [[true, 'a'], [false, 'b'], [true, 'c']]);
+});
+
+test('queryIterator fails when the workbook is reopened between batches', needsSqlite, async t => {
+    const loader = createLoader({ maxWorkbooks: 1 });
+    t.after(() => loader.destroy());
+    const wb = openCsv(loader, 'items.csv', ITEMS);
+
+    const qty = [];
+    await assert.rejects(async () => {
+        for await (const batch of wb.queryIterator('SELECT qty FROM "items.csv" ORDER BY qty', { batchSize: 4 })) {
+            qty.push(...batch.rows.map(r => r[0]));
+            openCsv(loader, 'other.csv', 'a\n1\n');
+            assert.strictEqual(wb.state, 'hibernated');
+        }
+    }, /queryIterator failed: the workbook was reopened after hibernation during the iteration \(4 rows read\)/);
+    assert.deepStrictEqual(qty, [0, 1, 2, 3]);
+});
@@ -0,0 +1,191 @@
+// Sessions: save, reload (a new loader on the same stores) and restore.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZipArchive } = require('../zip_archive.js');
+const { ExcelLoaderModule, needsSqlite, createLoader, loadEmscriptenFs } = require('./helpers.js');
+
+const bytes = text => new TextEncoder().encode(text);
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Wait for the query history the loaders write in the background, which
+ * would otherwise fail once the test removes its session directory.
+ */
+function historyWritten(loaders) {
+    return Promise.all(loaders.map(loader => loader._sessionManager.historySettled()));
+}
+
+test('a saved session is restored after a reload, with missing sources reported', needsSqlite, async t => {
+    const dir = tempDir(t);
+    const FS = await loadEmscriptenFs();
+    FS.mkdir('/db');
+    // A reload: a new loader on the same /db and session store.
+    const loaders = [];
+    const reload = () => {
+        const loader = createLoader({ sessionBackend: 'fs', sessionDir: dir }, { FS });
+        t.after(() => loader.destroy());
+        loaders.push(loader);
+        return loader;
+    };
+
+    const first = reload();
+    const wb = await first.openFileAsync(bytes('id,v\n1,a\n2,b\n'), { fileName: 'main.csv', sessionId: 'p' });
+    let syncs = 0;
+    const syncDb = first.syncDb.bind(first);
+    first.syncDb = () => (syncs++, syncDb());
+    await wb.attachFile(bytes('k\n7\n'), { fileName: 'extra.csv' });
+    assert.strictEqual(syncs, 1);
+    // Renames only change the metadata: no /db sync.
+    await wb.renameDataset('main.csv', 'orders');
+    assert.strictEqual(syncs, 1);
+    await first.saveEditorState({ sql: 'SELECT * FROM orders' }, 'p');
+    await wb._session.saving;
+    wb.close();
+
+    const second = reload();
+    const sessions = await second.listSessions();
+    assert.deepStrictEqual(sessions.map(s => s.sessionId), ['p']);
+    assert.deepStrictEqual(sessions[0].workbooks[0].sources, ['main.csv', 'extra.csv']);
+    assert.strictEqual(sessions[0].hasEditorState, true);
+
+    const restored = await second.restoreSession('p');
+    assert.deepStrictEqual(restored.missing, []);
+    assert.deepStrictEqual(restored.errors, []);
+    assert.deepStrictEqual(restored.editorState, { sql: 'SELECT * FROM orders' });
+    const [again] = restored.workbooks;
+    assert.deepStrictEqual(again.query('SELECT v FROM orders ORDER BY id').rows, [['a'], ['b']]);
+    assert.deepStrictEqual(again.query('SELECT k FROM "extra.csv"').rows, [[7]]);
+    again.close();
+
+    // The attached file's bytes are lost: the rest of the workbook still opens.
+    const extra = (await second._sessionManager.listWorkbooks('p'))[0].datasetsMeta.sources[1];
+    FS.unlink(extra.file);
+    const third = reload();
+    const partial = await third.restoreSession('p');
+    assert.strictEqual(partial.workbooks.length, 1);
+    assert.deepStrictEqual(partial.missing.map(m => m.path), ['extra.csv']);
+    assert.deepStrictEqual(partial.workbooks[0].query('SELECT COUNT(*) FROM orders').rows, [[2]]);
+    await historyWritten(loaders);
+});
+
+test('files with the same name open as separate workbooks of a session', needsSqlite, async t => {
+    const FS = await loadEmscriptenFs();
+    FS.mkdir('/db');
+    const loader = createLoader({ sessionBackend: 'memory' }, { FS });
+    t.after(() => loader.destroy());
+
+    const first = await loader.openFileAsync(bytes('v\nfirst\n'), { fileName: 'data.csv', sessionId: 's' });
+    const second = await loader.openFileAsync(bytes('v\nsecond\n'), { fileName: 'data.csv', sessionId: 's' });
+    assert.notStrictEqual(first._session.workbookId, second._session.workbookId);
+    await first.saveQuery('q', 'SELECT 1');
+    assert.deepStrictEqual(await second.listSavedQueries(), []);
+    await Promise.all([first._session.saving, second._session.saving]);
+    first.close();
+    second.close();
+
+    const { workbooks } = await loader.restoreSession('s');
+    assert.deepStrictEqual(workbooks.map(wb => wb.query('SELECT v FROM "data.csv"').rows[0][0]).sort(), ['first', 'second']);
+    await loader._sessionManager.historySettled();
+});
+
+test('an exported session bundle imports into another loader', needsSqlite, async t => {
+    const FS = await loadEmscriptenFs();
+    FS.mkdir('/db');
+    const loaders = [];
+    const loader = sessionDir => {
+        const created = createLoader({ sessionBackend: 'fs', sessionDir }, { FS });
+        t.after(() => created.destroy());
+        loaders.push(created);
+        return created;
+    };
+
+    const source = loader(tempDir(t));
+    const wb = await source.openFileAsync(bytes('id,v\n1,a\n2,b\n'), { fileName: 'main.csv', sessionId: 'p' });
+    await wb.attachFile(bytes('k\n7\n'), { fileName: 'extra.csv' });
+    await wb.renameDataset('main.csv', 'orders');
+    await wb.saveQuery('first', 'SELECT v FROM orders WHERE id = 1');
+    await source.saveEditorState({ sql: 'SELECT 1' }, 'p');
+    FS.writeFile('/db/session_p.db', 'session database');
+    await wb._session.saving;
+    const bundle = await source.exportSessionBundle('p');
+
+    const target = loader(tempDir(t));
+    const imported = await ExcelLoaderModule.importSessionBundle(target, bundle, { sessionId: 'q' });
+    assert.strictEqual(imported.sessionId, 'q');
+    assert.deepStrictEqual(imported.editorState, { sql: 'SELECT 1' });
+    const [copy] = imported.workbooks;
+    assert.deepStrictEqual(copy.query('SELECT v FROM orders ORDER BY id').rows, [['a'], ['b']]);
+    assert.deepStrictEqual(copy.query('SELECT k FROM "extra.csv"').rows, [[7]]);
+    assert.deepStrictEqual((await copy.listSavedQueries()).map(q => [q.name, q.sql]),
+        [['first', 'SELECT v FROM orders WHERE id = 1']]);
+    assert.strictEqual(FS.readFile('/db/session_q.db', { encoding: 'utf8' }), 'session database');
+    assert.deepStrictEqual((await target.listSessions()).map(s => s.sessionId), ['q']);
+
+    await assert.rejects(ExcelLoaderModule.importSessionBundle(target, bundle, { sessionId: 'q' }),
+        /session "q" already exists/);
+    await historyWritten(loaders);
+});
+
+test('bundles from a newer version or with compressed entries are rejected', needsSqlite, async t => {
+    const loader = createLoader({ sessionBackend: 'memory' });
+    t.after(() => loader.destroy());
+
+    const newer = ZipArchive.createZip([
+        { name: 'bundle.json', data: JSON.stringify({ bundleVersion: 2, sessionId: 'n', workbooks: [] }) }
+    ]);
+    await assert.rejects(ExcelLoaderModule.importSessionBundle(loader, newer),
+        /bundle version 2 is newer than the supported version 1/);
+
+    // An archiver that recompressed the bundle: method 8 (deflate) in the
+    // central directory.
+    const deflated = ZipArchive.createZip([{ name: 'bundle.json', data: '{}' }]);
+    const view = new DataView(deflated.buffer);
+    view.setUint16(deflated.length - 22 - (46 + 'bundle.json'.length) + 10, 8, true);
+    await assert.rejects(ExcelLoaderModule.importSessionBundle(loader, deflated),
+        /not a valid session bundle \(ZipArchive: unsupported compression method 8 for bundle\.json; only stored/);
+    assert.deepStrictEqual(await loader.listSessions(), []);
+});
+
+test('in-memory datasets are saved with the session but left out of manifests', needsSqlite, async t => {
+    const FS = await loadEmscriptenFs();
+    FS.mkdir('/db');
+    const dir = tempDir(t);
+    const loaders = [];
+    const reload = () => {
+        const loader = createLoader({ sessionBackend: 'fs', sessionDir: dir }, { FS });
+        t.after(() => loader.destroy());
+        loaders.push(loader);
+        return loader;
+    };
+
+    const wb = await reload().openFileAsync(bytes('name,age\nAlice,30\n'), { fileName: 'people.csv', sessionId: 'm' });
+    // What registerDataset leaves behind; the fake engine reads CSV only.
+    await wb.attachFile(bytes('name,score\nAlice,9\n'), { fileName: 'memory:scores' });
+    await wb.renameDataset('memory:scores', 'scores');
+    await wb.renameDataset('people.csv', 'people');
+
+    const manifest = await wb.exportManifest();
+    assert.deepStrictEqual(manifest.sources.map(s => s.path), ['people.csv']);
+    assert.deepStrictEqual(manifest.renames, [{ from: 'people.csv', to: 'people' }]);
+
+    // A replacement that fails to load keeps the old data.
+    await assert.rejects(wb.registerDataset('scores', [{ name: 'Bob', score: 7 }]), /attachFile failed for "memory:scores#2"/);
+    assert.deepStrictEqual(wb.query('SELECT score FROM scores').rows, [[9]]);
+    assert.deepStrictEqual(wb.getSourcePaths().paths, ['people.csv', 'memory:scores']);
+    await wb._session.saving;
+
+    const { workbooks: [restored], missing } = await reload().restoreSession('m');
+    assert.deepStrictEqual(missing, []);
+    assert.deepStrictEqual(restored.query('SELECT p.name, s.score FROM people p JOIN scores s USING (name)').rows, [['Alice', 9]]);
+    await historyWritten(loaders);
+});
@@ -0,0 +1,171 @@
+// Session metadata backends (session_manager.js): every backend that runs in
+// Node.js must pass the same contract. IndexedDbStorage needs a browser.
+// Usage: node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager, MemoryStorage, NodeFsStorage } = require('../session_manager.js');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const BACKENDS = {
+    memory: () => new MemoryStorage(),
+    fs: t => new NodeFsStorage({ dir: tempDir(t) })
+};
+
+for (const [name, createStorage] of Object.entries(BACKENDS)) {
+    test(`${name}: get, put and delete records by key`, async t => {
+        const storage = createStorage(t);
+        assert.strictEqual(await storage.get('sessions', 'a'), null);
+        await storage.put('sessions', { sessionId: 'a', n: 1 });
+        await storage.put('sessions', { sessionId: 'a', n: 2 });
+        assert.deepStrictEqual(await storage.get('sessions', 'a'), { sessionId: 'a', n: 2 });
+        await storage.delete('sessions', 'a');
+        await storage.delete('sessions', 'missing');
+        assert.strictEqual(await storage.get('sessions', 'a'), null);
+    });
+
+    test(`${name}: getAll returns copies ordered by key, per store`, async t => {
+        const storage = createStorage(t);
+        for (const id of ['b', 'c', 'a']) {
+            await storage.put('workbooks', { workbookId: id, meta: { tags: [id] } });
+        }
+        await storage.put('sessions', { sessionId: 'x' });
+        const all = await storage.getAll('workbooks');
+        assert.deepStrictEqual(all.map(r => r.workbookId), ['a', 'b', 'c']);
+        all[0].meta.tags.push('changed');
+        assert.deepStrictEqual((await storage.get('workbooks', 'a')).meta.tags, ['a']);
+        assert.deepStrictEqual(await storage.getAll('queries'), []);
+    });
+
+    test(`${name}: getRange returns the keys in [lower, upper), ordered`, async t => {
+        const storage = createStorage(t);
+        for (const id of ['h:w1:2', 'h:w10:1', 'h:w1:1', 'h:w2:1', 's:w1:q']) {
+            await storage.put('queries', { queryId: id });
+        }
+        const keys = async (lower, upper) => (await storage.getRange('queries', lower, upper)).map(r => r.queryId);
+        assert.deepStrictEqual(await keys('h:w1:', 'h:w1:\uffff'), ['h:w1:1', 'h:w1:2']);
+        assert.deepStrictEqual(await keys('h:w1:1', 'h:w1:2'), ['h:w1:1']);
+        assert.deepStrictEqual(await keys('x', 'y'), []);
+    });
+
+    test(`${name}: unknown stores are rejected`, async t => {
+        const storage = createStorage(t);
+        await assert.rejects(storage.get('nope', 'a'), /Unknown session store: nope/);
+        await assert.rejects(storage.put('nope', { id: 1 }), /Unknown session store: nope/);
+    });
+
+    test(`${name}: SessionManager sessions, workbooks and editor state`, async t => {
+        const manager = new SessionManager({ backend: createStorage(t) });
+        await manager.saveWorkbookMeta('w1', 's1', '/db/session_s1.db', { format: 1 }, { fileName: 'a.csv' }, 'opfs');
+        await manager.saveWorkbookMeta('w2', 's2', '/db/session_s2.db', {}, {});
+        await manager.saveEditorState('s1', { sql: 'SELECT 1' });
+
+        assert.deepStrictEqual((await manager.listSessions()).map(s => s.sessionId), ['s1', 's2']);
+        assert.deepStrictEqual((await manager.loadSession('s1')).editorState, { sql: 'SELECT 1' });
+        assert.deepStrictEqual((await manager.listWorkbooks('s1')).map(w => w.datasetsMeta.fileName), ['a.csv']);
+        assert.deepStrictEqual(await manager.listDbPaths(), [
+            { dbPath: '/db/session_s1.db', dbBackend: 'opfs', sessionIds: ['s1'] },
+            { dbPath: '/db/session_s2.db', dbBackend: null, sessionIds: ['s2'] }
+        ]);
+
+        await manager.deleteSession('s1');
+        assert.deepStrictEqual((await manager.listSessions()).map(s => s.sessionId), ['s2']);
+        assert.strictEqual(await manager.loadWorkbookMeta('w1'), null);
+    });
+
+    test(`${name}: query history is kept per workbook, newest first, up to the limit`, async t => {
+        const manager = new SessionManager({ backend: createStorage(t), historyLimit: 3 });
+        for (let i = 1; i <= 5; i++) {
+            await manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: `SELECT ${i}`, startedAt: `2026-01-01T00:00:0${i}.000Z` });
+        }
+        // Shares the 'h:w1:' key prefix but is another workbook.
+        await manager.addQueryHistory({ workbookId: 'w1:x', sessionId: 's1', sql: 'SELECT 0', startedAt: '2026-01-01T00:00:00.000Z' });
+
+        assert.deepStrictEqual((await manager.listQueryHistory('w1')).map(r => r.sql), ['SELECT 5', 'SELECT 4', 'SELECT 3']);
+        assert.deepStrictEqual((await manager.listQueryHistory('w1', { limit: 1 })).map(r => r.sql), ['SELECT 5']);
+        assert.deepStrictEqual((await manager.listQueryHistory('w1:x')).map(r => r.sql), ['SELECT 0']);
+
+        // A run older than the kept ones is dropped at once.
+        await manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: 'SELECT old', startedAt: '2025-01-01T00:00:00.000Z' });
+        assert.deepStrictEqual((await manager.listQueryHistory('w1')).map(r => r.sql), ['SELECT 5', 'SELECT 4', 'SELECT 3']);
+
+        await manager.clearQueryHistory('w1');
+        assert.deepStrictEqual(await manager.listQueryHistory('w1'), []);
+        assert.strictEqual((await manager.listQueryHistory('w1:x')).length, 1);
+    });
+
+    test(`${name}: saved queries are overwritten by name, searched and deleted`, async t => {
+        const manager = new SessionManager({ backend: createStorage(t) });
+        const first = await manager.saveQuery('w1', 's1', 'totals', 'SELECT 1');
+        await manager.saveQuery('w1', 's1', 'by month', 'SELECT month FROM sales');
+        await manager.saveQuery('w2', 's2', 'totals', 'SELECT 2');
+        await manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: 'SELECT 3', startedAt: '2026-01-01T00:00:00.000Z' });
+        const updated = await manager.saveQuery('w1', 's1', 'totals', 'SELECT 11');
+
+        assert.strictEqual(updated.createdAt, first.createdAt);
+        assert.strictEqual((await manager.loadSavedQuery('w1', 'totals')).sql, 'SELECT 11');
+        assert.deepStrictEqual((await manager.listSavedQueries('w1')).map(r => r.name).sort(), ['by month', 'totals']);
+        assert.deepStrictEqual((await manager.listSavedQueries('w1', { search: 'SALES' })).map(r => r.name), ['by month']);
+
+        await manager.deleteSavedQuery('w1', 'totals');
+        assert.strictEqual(await manager.loadSavedQuery('w1', 'totals'), null);
+        assert.strictEqual((await manager.loadSavedQuery('w2', 'totals')).sql, 'SELECT 2');
+    });
+}
+
+test('backends without getRange are read through getAll', async () => {
+    const memory = new MemoryStorage();
+    const backend = {
+        get: (store, key) => memory.get(store, key),
+        getAll: store => memory.getAll(store),
+        put: (store, rec) => memory.put(store, rec),
+        delete: (store, key) => memory.delete(store, key)
+    };
+    const manager = new SessionManager({ backend, historyLimit: 2 });
+    for (let i = 1; i <= 3; i++) {
+        await manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: `SELECT ${i}`, startedAt: `2026-01-01T00:00:0${i}.000Z` });
+    }
+    await manager.saveQuery('w1', 's1', 'q', 'SELECT 1');
+    assert.deepStrictEqual((await manager.listQueryHistory('w1')).map(r => r.sql), ['SELECT 3', 'SELECT 2']);
+    assert.deepStrictEqual((await manager.listSavedQueries('w1')).map(r => r.name), ['q']);
+    assert.strictEqual((await memory.getAll('queries')).length, 3);
+});
+
+test('concurrent history writes of a workbook keep the history limit', async () => {
+    const memory = new MemoryStorage();
+    const manager = new SessionManager({ backend: memory, historyLimit: 2 });
+    const writes = [];
+    for (let i = 1; i <= 5; i++) {
+        writes.push(manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: `SELECT ${i}`, startedAt: `2026-01-01T00:00:0${i}.000Z` }));
+    }
+    writes.push(manager.clearQueryHistory('w1'));
+    writes.push(manager.addQueryHistory({ workbookId: 'w1', sessionId: 's1', sql: 'SELECT 6', startedAt: '2026-01-01T00:00:06.000Z' }));
+    // Read before the writes settle: the list waits for them.
+    assert.deepStrictEqual((await manager.listQueryHistory('w1')).map(r => r.sql), ['SELECT 6']);
+    await Promise.all(writes);
+    assert.strictEqual((await memory.getAll('queries')).length, 1);
+});
+
+test('fs: records survive a new storage instance on the same directory', async t => {
+    const dir = tempDir(t);
+    await new NodeFsStorage({ dir }).put('sessions', { sessionId: 'kept' });
+    assert.deepStrictEqual(await new NodeFsStorage({ dir }).get('sessions', 'kept'), { sessionId: 'kept' });
+});
+
+test('fs: a corrupt store file fails each read until it is repaired', async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'sessions.json'), '{ not json');
+    const storage = new NodeFsStorage({ dir });
+    await assert.rejects(storage.get('sessions', 'a'), /Failed to read .*sessions\.json/);
+
+    fs.writeFileSync(path.join(dir, 'sessions.json'), JSON.stringify({ a: { sessionId: 'a' } }));
+    assert.deepStrictEqual(await storage.get('sessions', 'a'), { sessionId: 'a' });
+});
@@ -0,0 +1,122 @@
+// Session ownership across tabs (coordinateTabs) with stand-ins for
+// navigator.locks and BroadcastChannel; every loader is one "tab".
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { needsSqlite, createLoader, loadEmscriptenFs, stubGlobals } = require('./helpers.js');
+const { createFakeLocks, createFakeBroadcastChannel } = require('./fake_locks.js');
+const { createFakeOpfs } = require('./fake_opfs.js');
+
+const CSV = new TextEncoder().encode('id\n1\n');
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function stubTabs(t, extra = {}) {
+    stubGlobals(t, {
+        navigator: Object.assign({ locks: createFakeLocks() }, extra.navigator),
+        BroadcastChannel: createFakeBroadcastChannel(),
+        ...extra.globals
+    });
+}
+
+function openTab(t, options = {}, engineProps = {}) {
+    const loader = createLoader(Object.assign({ sessionBackend: 'memory', coordinateTabs: true }, options), engineProps);
+    t.after(() => loader.destroy());
+    return loader;
+}
+
+test('the first tab owns a session, the next one is read-only or takes it over', needsSqlite, async t => {
+    stubTabs(t);
+    const lost = [];
+    const tab1 = openTab(t, { onSessionLost: info => lost.push(info) });
+    const conflicts = [];
+    let answer = 'read-only';
+    const tab2 = openTab(t, { onSessionConflict: info => (conflicts.push(info.sessionId), answer) });
+
+    await tab1.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    assert.strictEqual(tab1.sessionAccess('s'), 'owner');
+
+    await tab2.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    assert.deepStrictEqual(conflicts, ['s']);
+    assert.strictEqual(tab2.sessionAccess('s'), 'read-only');
+    await assert.rejects(tab2.saveEditorState({ sql: 'SELECT 1' }, 's'), /is read-only in this tab/);
+
+    // Already read-only here: no second prompt.
+    answer = 'take-over';
+    await tab2.openFileAsync(CSV, { fileName: 'b.csv', sessionId: 's' });
+    assert.deepStrictEqual(conflicts, ['s']);
+
+    assert.strictEqual(await tab2.takeOverSession('s'), 'owner');
+    await settle();
+    assert.strictEqual(tab2.sessionAccess('s'), 'owner');
+    assert.strictEqual(tab1.sessionAccess('s'), 'read-only');
+    assert.deepStrictEqual(lost.map(info => info.sessionId), ['s']);
+    await tab2.saveEditorState({ sql: 'SELECT 2' }, 's');
+});
+
+test('onSessionConflict can take the session over', needsSqlite, async t => {
+    stubTabs(t);
+    const lost = [];
+    const tab1 = openTab(t, { onSessionLost: info => lost.push(info.sessionId) });
+    const tab2 = openTab(t, { onSessionConflict: () => 'take-over' });
+
+    await tab1.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    await tab2.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    await settle();
+    assert.strictEqual(tab2.sessionAccess('s'), 'owner');
+    assert.strictEqual(tab1.sessionAccess('s'), 'read-only');
+    assert.deepStrictEqual(lost, ['s']);
+
+    const tab3 = openTab(t, { onSessionConflict: () => 'ignore' });
+    await assert.rejects(tab3.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' }),
+        /onSessionConflict must return 'take-over' or 'read-only', got ignore/);
+});
+
+test('session changes are broadcast to the other tabs', needsSqlite, async t => {
+    stubTabs(t);
+    const seen = [];
+    openTab(t, { onSessionsChanged: change => seen.push(change) });
+    const tab2 = openTab(t);
+
+    await tab2.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    await tab2.saveEditorState({ sql: 'SELECT 1' }, 's');
+    await settle();
+    assert.ok(seen.length > 0);
+    assert.ok(seen.every(change => change.remote === true && change.sessionId === 's'));
+    assert.ok(seen.some(change => change.type === 'editorState'));
+});
+
+test('syncDb keeps files of sessions owned elsewhere out of OPFS', needsSqlite, async t => {
+    const opfs = createFakeOpfs();
+    stubTabs(t, {
+        navigator: { storage: { getDirectory: async () => ({ getDirectoryHandle: async () => opfs.root }) } },
+        globals: { FileSystemFileHandle: class { createSyncAccessHandle() {} } }
+    });
+    const openOpfsTab = async () => {
+        const FS = await loadEmscriptenFs();
+        delete FS.filesystems.IDBFS;
+        const tab = openTab(t, { dbBackend: 'opfs' }, { FS });
+        assert.strictEqual((await tab.dbReady).backend, 'opfs');
+        return { tab, FS };
+    };
+    const { tab: tab1 } = await openOpfsTab();
+    const { tab: tab2, FS } = await openOpfsTab();
+
+    await tab1.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    await tab2.openFileAsync(CSV, { fileName: 'a.csv', sessionId: 's' });
+    assert.strictEqual(tab2.sessionAccess('s'), 'read-only');
+
+    FS.mkdirTree('/db/sessions/s');
+    FS.writeFile('/db/sessions/s/local.csv', 'x');
+    FS.writeFile('/db/session_s.db', 'local');
+    FS.writeFile('/db/vec_tab2.db', 'free');
+    await tab2.syncDb();
+    assert.strictEqual(await opfs.get('/sessions/s/local.csv'), null);
+    assert.strictEqual(await opfs.get('/session_s.db'), null);
+    assert.strictEqual(await opfs.get('/vec_tab2.db'), 'free');
+
+    await tab2.takeOverSession('s');
+    await tab2.syncDb();
+    assert.strictEqual(await opfs.get('/sessions/s/local.csv'), 'x');
+    assert.strictEqual(await opfs.get('/session_s.db'), 'local');
+});
@@ -0,0 +1,75 @@
+// VecService.insertMany(): one vec_insert_batch call per batch.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { VecService } = require('../vec_service.js');
+const { needsSqlite } = require('./helpers.js');
+
+function createVec() {
+    const { createFakeEngine } = require('./fake_engine.js');
+    const engine = createFakeEngine();
+    return { engine, vec: new VecService(engine).init() };
+}
+
+const stored = (engine, table) => engine.vecDb.prepare(`SELECT id, embedding, meta FROM "${table}" ORDER BY id`).all();
+
+test('embeddings reach the batch export as bytes with their ids and meta', needsSqlite, () => {
+    const { engine, vec } = createVec();
+    vec.createTable('docs', 2, 'float');
+    vec.createTable('codes', 3, 'int8');
+
+    const result = vec.insertMany('docs', [
+        { id: 1, embedding: new Float32Array([0.5, -1]), meta: { title: 'a' } },
+        { id: 2, embedding: [1.25, 2] },
+    ]);
+    assert.deepStrictEqual(result, { inserted: 2, failed: [] });
+    const rows = stored(engine, 'docs');
+    assert.deepStrictEqual(rows.map(r => [r.id, Array.from(new Float32Array(r.embedding.buffer)), r.meta]),
+        [[1, [0.5, -1], '{"title":"a"}'], [2, [1.25, 2], null]]);
+
+    assert.strictEqual(vec.insertMany('codes', [{ id: 7, embedding: [-128, 0, 127] }]).inserted, 1);
+    assert.deepStrictEqual(Array.from(new Int8Array(stored(engine, 'codes')[0].embedding.buffer)), [-128, 0, 127]);
+});
+
+test('bad rows are reported and the rest of the batch is inserted', needsSqlite, () => {
+    const { engine, vec } = createVec();
+    vec.createTable('docs', 2, 'float');
+
+    const result = vec.insertMany('docs', [
+        { id: 1, embedding: [1, 2] },
+        { id: 1.5, embedding: [1, 2] },
+        { id: 3, embedding: [1, 2, 3] },
+        { id: 4, embedding: [NaN, 1] },
+        { id: 5, embedding: [5, 6] },
+    ]);
+    assert.strictEqual(result.inserted, 2);
+    assert.deepStrictEqual(result.failed.map(f => [f.index, f.id]), [[1, 1.5], [2, 3], [3, 4]]);
+    assert.deepStrictEqual(stored(engine, 'docs').map(r => r.id), [1, 5]);
+});
+
+test('atomic batches roll back on the first failed row', needsSqlite, () => {
+    const { engine, vec } = createVec();
+    vec.createTable('docs', 2, 'float');
+    // A table made elsewhere: its dimensions are only checked by the export.
+    const other = new VecService(engine).init();
+
+    assert.throws(() => other.insertMany('docs', [
+        { id: 1, embedding: [1, 2] },
+        { id: 2, embedding: [1, 2, 3] },
+    ], { atomic: true }), /^Error: insertMany failed: row 1 \(id 2\): expected 2 dimensions, got 3; nothing was inserted$/);
+    assert.deepStrictEqual(stored(engine, 'docs'), []);
+});
+
+test('batch-level errors and a build without the export throw', needsSqlite, () => {
+    const { engine, vec } = createVec();
+    vec.createTable('codes', 2, 'int8');
+    assert.throws(() => new VecService(engine).init().insertMany('codes', [{ id: 1, embedding: [1, 2] }]),
+        /^Error: vec_insert_batch failed: table "codes" stores int8 vectors$/);
+    assert.throws(() => vec.insertMany('missing', [{ id: 1, embedding: [1, 2] }]),
+        /^Error: vec_insert_batch failed: no such vector table: missing$/);
+
+    delete engine._vec_insert_batch;
+    assert.throws(() => vec.insertMany('codes', [{ id: 1, embedding: [1, 2] }]),
+        /^Error: insertMany failed: this WASM build has no vec_insert_batch export$/);
+});
@@ -0,0 +1,128 @@
+// createWorker() in Node.js (worker_threads) against the fake engine glue.
+// Usage (Node.js 22+): node --test wasm/tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExcelLoaderModule, needsSqlite } = require('./helpers.js');
+
+const GLUE = path.join(__dirname, 'fake_engine_glue.js');
+
+function writeGlue(t, body) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-loader-worker-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'glue.js');
+    fs.writeFileSync(file, "var Module = typeof Module != 'undefined' ? Module : {};\n" + body);
+    return file;
+}
+
+test('createWorker starts the engine and runs a query', needsSqlite, async () => {
+    const loader = await ExcelLoaderModule.createWorker(GLUE);
+    try {
+        const wb = await loader.openFile(new TextEncoder().encode('name,qty\na,1\nb,2\n'), 'items.csv');
+        const res = await wb.query('SELECT SUM(qty) AS total FROM "items.csv"');
+        assert.deepStrictEqual(res.rows, [[3]]);
+        await wb.close();
+    } finally {
+        await loader.terminate();
+    }
+});
+
+test('createWorker rejects when the runtime aborts', async t => {
+    const glue = writeGlue(t, "setTimeout(() => Module.onAbort('missing .wasm'), 5);\n");
+    await assert.rejects(ExcelLoaderModule.createWorker(glue), /ready failed: runtime aborted: missing \.wasm/);
+});
+
+test('createWorker rejects after readyTimeoutMs', async t => {
+    const glue = writeGlue(t, '');
+    await assert.rejects(
+        ExcelLoaderModule.createWorker(glue, { readyTimeoutMs: 50 }),
+        /ready failed: runtime not initialised after 50 ms/
+    );
+});
+
+test('ready() rejects objects that are not engine modules', async () => {
+    await assert.rejects(ExcelLoaderModule.ready({ calledRun: true }), /does not export _ff_init/);
+    await assert.rejects(ExcelLoaderModule.ready(null), /not an Emscripten module/);
+});
+
+test('session methods and callbacks work through the worker proxy', needsSqlite, async t => {
+    // The engine with a real /db FS, and navigator.locks / BroadcastChannel
+    // stand-ins where "another tab" owns /db (one lock for all sessions on IDBFS).
+    const glue = writeGlue(t, `(function () {
+    const { createFakeEngine } = require(${JSON.stringify(path.join(__dirname, 'fake_engine.js'))});
+    const { loadEmscriptenFs } = require(${JSON.stringify(path.join(__dirname, 'helpers.js'))});
+    const { createFakeLocks, createFakeBroadcastChannel } = require(${JSON.stringify(path.join(__dirname, 'fake_locks.js'))});
+    Object.defineProperty(globalThis, 'navigator', { configurable: true, value: { locks: createFakeLocks() } });
+    globalThis.BroadcastChannel = createFakeBroadcastChannel();
+    navigator.locks.request('excel_loader_session:*', () => new Promise(() => {})).catch(() => {});
+    Object.assign(Module, createFakeEngine());
+    loadEmscriptenFs().then(FS => {
+        FS.mkdir('/db');
+        Module.FS = FS;
+        Module.calledRun = true;
+        Module.onRuntimeInitialized();
+    });
+})();
+`);
+    const conflicts = [];
+    const changes = [];
+    const loader = await ExcelLoaderModule.createWorker(glue, {
+        loaderOptions: {
+            sessionBackend: 'memory',
+            coordinateTabs: true,
+            onSessionConflict: async info => (conflicts.push(info.sessionId), 'take-over'),
+            onSessionsChanged: change => changes.push(change.sessionId)
+        }
+    });
+    try {
+        assert.strictEqual(await loader.dbReady, null);
+        const wb = await loader.openFileAsync(new TextEncoder().encode('id\n1\n2\n'), { fileName: 'a.csv', sessionId: 's' });
+        assert.deepStrictEqual(conflicts, ['s']);
+        assert.strictEqual(await loader.sessionAccess('s'), 'owner');
+        await loader.saveEditorState({ sql: 'SELECT 1' }, 's');
+        await wb.close();
+
+        const sessions = await loader.listSessions();
+        assert.deepStrictEqual(sessions.map(s => s.sessionId), ['s']);
+        const restored = await loader.restoreSession('s');
+        assert.deepStrictEqual(restored.editorState, { sql: 'SELECT 1' });
+        assert.ok(restored.workbooks[0] instanceof ExcelLoaderModule.WorkerWorkbookProxy);
+        assert.deepStrictEqual((await restored.workbooks[0].query('SELECT COUNT(*) FROM "a.csv"')).rows, [[2]]);
+        assert.ok(changes.includes('s'));
+        assert.ok((await loader.exportSessionBundle('s')) instanceof Uint8Array);
+    } finally {
+        await loader.terminate();
+    }
+});
+
+test('a failing onSessionConflict handler rejects the call in the worker', needsSqlite, async t => {
+    const glue = writeGlue(t, `(function () {
+    const { createFakeEngine } = require(${JSON.stringify(path.join(__dirname, 'fake_engine.js'))});
+    const { createFakeLocks, createFakeBroadcastChannel } = require(${JSON.stringify(path.join(__dirname, 'fake_locks.js'))});
+    Object.defineProperty(globalThis, 'navigator', { configurable: true, value: { locks: createFakeLocks() } });
+    globalThis.BroadcastChannel = createFakeBroadcastChannel();
+    navigator.locks.request('excel_loader_session:s', () => new Promise(() => {})).catch(() => {});
+    Object.assign(Module, createFakeEngine(), { calledRun: true });
+})();
+`);
+    const loader = await ExcelLoaderModule.createWorker(glue, {
+        loaderOptions: {
+            sessionBackend: 'memory',
+            coordinateTabs: true,
+            onSessionConflict: () => {
+                throw new Error('no answer');
+            }
+        }
+    });
+    try {
+        await assert.rejects(
+            loader.openFileAsync(new TextEncoder().encode('id\n1\n'), { fileName: 'a.csv', sessionId: 's' }),
+            /no answer/
+        );
+    } finally {
+        await loader.terminate();
+    }
+});
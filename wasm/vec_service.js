@@ -3,13 +3,25 @@
  * described in ADR 0016. This assumes the underlying sqlite3 build has
  * the sqlite-vec `vec0` module available so that CREATE VIRTUAL TABLE
  * ... USING vec0(...) works.
+ *
+ * insertMany() passes a whole batch to the vec_insert_batch export: ids,
+ * embeddings as raw float32/int8 bytes and meta JSON, upserted by one
+ * prepared statement in one transaction on the vec connection.
  */
 
+// vec_insert_batch element types.
+const ELEMENT_TYPES = { float: 1, int8: 2 };
+
+function metaToJson(meta) {
+    return meta == null ? null : (typeof meta === 'string' ? meta : JSON.stringify(meta));
+}
+
 class VecService {
     constructor(wasmModule) {
         this._module = wasmModule;
         this._initialized = false;
         this._available = null; // null = unknown, false = not available, true = ready
+        this._tables = new Map(); // tableName -> { dims, storage } of tables created here
     }
 
     init() {
@@ -68,6 +80,7 @@ class VecService {
             const err = this.getLastError();
             throw new Error(`vec_create_table failed: ${err}`);
         }
+        this._tables.set(tableName, { dims, storage });
     }
 
     /**
@@ -86,8 +99,7 @@ class VecService {
         const embeddingJson =
             Array.isArray(embedding) ? JSON.stringify(embedding) : String(embedding);
         const embeddingPtr = this._allocateString(embeddingJson);
-        const metaJson =
-            meta == null ? null : (typeof meta === 'string' ? meta : JSON.stringify(meta));
+        const metaJson = metaToJson(meta);
         const metaPtr = metaJson ? this._allocateString(metaJson) : 0;
 
         const rc = this._module._vec_insert(
@@ -107,6 +119,69 @@ class VecService {
         }
     }
 
+    /**
+     * Insert or upsert many vectors in one transaction. Embeddings go to
+     * WASM as raw bytes (float32 for 'float' tables, int8 for 'int8'
+     * tables; number arrays are converted), not as JSON. Rows with a bad id
+     * or embedding, with a dimension other than the table's, or rejected by
+     * SQLite are reported in `failed` and the rest of the batch is still
+     * inserted.
+     * @param {string} tableName
+     * @param {{id:number, embedding:Float32Array|Int8Array|number[], meta?:object|string|null}[]} rows
+     * @param {object} [options]
+     * @param {boolean} [options.atomic=false] - Roll back the whole batch and throw on the first failed row
+     * @param {'float'|'int8'} [options.storage] - Element type of a table not created
+     *   by this VecService (default: 'int8' when the first embedding is an Int8Array)
+     * @returns {{inserted:number, failed:{index:number, id:*, error:string}[]}}
+     */
+    insertMany(tableName, rows, options = {}) {
+        this.init();
+        if (!this._available) {
+            throw new Error('VecService is not available in this WASM build');
+        }
+        if (typeof this._module._vec_insert_batch !== 'function') {
+            throw new Error('insertMany failed: this WASM build has no vec_insert_batch export');
+        }
+        if (!Array.isArray(rows)) {
+            throw new Error('insertMany failed: rows must be an array');
+        }
+        const known = this._tables.get(tableName);
+        const first = rows.length ? rows[0] : null;
+        const storage = known ? known.storage
+            : options.storage || (first && first.embedding instanceof Int8Array ? 'int8' : 'float');
+        if (!ELEMENT_TYPES[storage]) {
+            throw new Error(`insertMany failed: table "${tableName}" uses ${storage} storage; use insert()`);
+        }
+
+        const result = { inserted: 0, failed: [] };
+        const batch = [];
+        const fail = (index, error) => {
+            const row = rows[index];
+            const id = row && row.id !== undefined ? row.id : null;
+            if (options.atomic) {
+                throw new Error(`insertMany failed: row ${index} (id ${id}): ${error}; nothing was inserted`);
+            }
+            result.failed.push({ index, id, error });
+        };
+        for (let i = 0; i < rows.length; i++) {
+            try {
+                const vector = this._toVector(tableName, { storage, dims: known ? known.dims : null }, rows[i]);
+                batch.push({ index: i, row: rows[i], vector });
+            } catch (e) {
+                fail(i, e && e.message ? e.message : String(e));
+            }
+        }
+        if (batch.length) {
+            const status = this._insertBatch(tableName, storage, batch, !!options.atomic);
+            result.inserted = status.inserted;
+            for (const failure of status.failed) {
+                fail(batch[failure.index].index, failure.error);
+            }
+        }
+        result.failed.sort((a, b) => a.index - b.index);
+        return result;
+    }
+
     /**
      * Search nearest neighbours.
      * @param {string} tableName
@@ -161,6 +236,96 @@ class VecService {
         return this._module.UTF8ToString(ptr);
     }
 
+    /**
+     * Validate a row and convert its embedding to the table's element type.
+     */
+    _toVector(tableName, table, row) {
+        if (!row || typeof row !== 'object') {
+            throw new Error('row must be an object { id, embedding, meta }');
+        }
+        if (!Number.isSafeInteger(row.id) && typeof row.id !== 'bigint') {
+            throw new Error(`id must be an integer, got ${row.id}`);
+        }
+        const embedding = row.embedding;
+        let vector;
+        if (table.storage === 'int8') {
+            if (embedding instanceof Int8Array) {
+                vector = embedding;
+            } else if (Array.isArray(embedding)) {
+                if (!embedding.every(v => Number.isInteger(v) && v >= -128 && v <= 127)) {
+                    throw new Error('int8 embedding values must be integers from -128 to 127');
+                }
+                vector = Int8Array.from(embedding);
+            } else {
+                throw new Error('embedding of an int8 table must be an Int8Array or a number array');
+            }
+        } else {
+            if (embedding instanceof Float32Array) {
+                vector = embedding;
+            } else if (embedding instanceof Int8Array || Array.isArray(embedding)) {
+                vector = Float32Array.from(embedding);
+            } else {
+                throw new Error('embedding must be a Float32Array, Int8Array or number array');
+            }
+            if (!vector.every(Number.isFinite)) {
+                throw new Error('embedding values must be finite numbers');
+            }
+        }
+        if (table.dims !== null && vector.length !== table.dims) {
+            throw new Error(`embedding has ${vector.length} dimensions, table "${tableName}" has ${table.dims}`);
+        }
+        return vector;
+    }
+
+    /**
+     * Call vec_insert_batch with the validated rows: ids as int64, the
+     * embedding bytes back to back with count + 1 byte offsets, and meta
+     * as a JSON array of strings (or null). Returns its JSON status, where
+     * `failed[].index` points into `batch`; a NULL return is a batch-level
+     * error (no such table, wrong element type, transaction failure).
+     * @returns {{inserted:number, failed:{index:number, error:string}[]}}
+     */
+    _insertBatch(tableName, storage, batch, atomic) {
+        const m = this._module;
+        const byteLength = batch.reduce((sum, item) => sum + item.vector.byteLength, 0);
+        const metas = batch.some(item => item.row.meta != null)
+            ? JSON.stringify(batch.map(item => metaToJson(item.row.meta)))
+            : null;
+        const namePtr = this._allocateString(tableName);
+        const idsPtr = m._malloc(batch.length * 8);
+        const offsetsPtr = m._malloc((batch.length + 1) * 4);
+        const dataPtr = m._malloc(Math.max(byteLength, 1));
+        const metasPtr = metas === null ? 0 : this._allocateString(metas);
+        let resultPtr;
+        try {
+            // Views are taken after the last _malloc, which may grow the heap.
+            const ids = new BigInt64Array(m.HEAPU8.buffer, idsPtr, batch.length);
+            const offsets = new Int32Array(m.HEAPU8.buffer, offsetsPtr, batch.length + 1);
+            let offset = 0;
+            batch.forEach((item, i) => {
+                const { vector } = item;
+                ids[i] = BigInt(item.row.id);
+                offsets[i] = offset;
+                m.HEAPU8.set(new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength), dataPtr + offset);
+                offset += vector.byteLength;
+            });
+            offsets[batch.length] = offset;
+            resultPtr = m._vec_insert_batch(namePtr, ELEMENT_TYPES[storage], batch.length,
+                idsPtr, dataPtr, offsetsPtr, metasPtr, atomic ? 1 : 0);
+        } finally {
+            m._free(namePtr);
+            m._free(idsPtr);
+            m._free(offsetsPtr);
+            m._free(dataPtr);
+            if (metasPtr) m._free(metasPtr);
+        }
+        const json = resultPtr ? m.UTF8ToString(resultPtr) : '';
+        if (!json) {
+            throw new Error(`vec_insert_batch failed: ${this.getLastError()}`);
+        }
+        return JSON.parse(json);
+    }
+
     _allocateString(str) {
         const encoded = new TextEncoder().encode(str + '\0');
         const ptr = this._module._malloc(encoded.length);
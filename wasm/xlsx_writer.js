@@ -0,0 +1,232 @@
+/**
+ * XlsxWriter - builds a minimal Office Open XML workbook (.xlsx) from
+ * tabular data so query results can be handed back to Excel users.
+ *
+ * Each sheet gets a bold header row followed by the data rows. Cell types
+ * follow the JS values: numbers and safe BigInts become numeric cells,
+ * booleans become boolean cells, Date objects become date serials with a
+ * date/date-time number format, and everything else is a shared string.
+ */
+
+let ZipArchiveImpl = null;
+try {
+    if (typeof require !== 'undefined') {
+        ({ ZipArchive: ZipArchiveImpl } = require('./zip_archive.js'));
+    }
+} catch (e) {
+    // Browser path will load via script tag
+}
+
+function getZipArchive() {
+    if (ZipArchiveImpl) return ZipArchiveImpl;
+    if (typeof ZipArchive !== 'undefined') return ZipArchive;
+    throw new Error('XLSX export requires zip_archive.js');
+}
+
+// Style indices into cellXfs in styles.xml below.
+const STYLE_DATE = 1;
+const STYLE_DATETIME = 2;
+const STYLE_HEADER = 3;
+
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // 1970-01-01 as an Excel serial
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Strip characters that are not allowed in XML 1.0.
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnLetter(index) {
+    let n = index + 1;
+    let s = '';
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        s = String.fromCharCode(65 + rem) + s;
+        n = Math.floor((n - 1) / 26);
+    }
+    return s;
+}
+
+function sanitizeSheetName(name, used) {
+    let base = String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet';
+    let candidate = base;
+    let n = 2;
+    while (used.has(candidate.toLowerCase())) {
+        const suffix = ` (${n++})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function buildSheetXml(columns, rows, sharedStrings) {
+    const stringIndex = value => {
+        const str = String(value);
+        let idx = sharedStrings.index.get(str);
+        if (idx === undefined) {
+            idx = sharedStrings.list.length;
+            sharedStrings.list.push(str);
+            sharedStrings.index.set(str, idx);
+        }
+        sharedStrings.count++;
+        return idx;
+    };
+
+    const cell = (ref, value, headerStyle) => {
+        const style = headerStyle ? ` s="${STYLE_HEADER}"` : '';
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                return `<c r="${ref}" t="s"${style}><v>${stringIndex(String(value))}</v></c>`;
+            }
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        if (typeof value === 'bigint') {
+            if (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)) {
+                return `<c r="${ref}"${style}><v>${value.toString()}</v></c>`;
+            }
+            return `<c r="${ref}" t="s"${style}><v>${stringIndex(value.toString())}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"${style}><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            const serial = value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+            const hasTime = value.getTime() % MS_PER_DAY !== 0;
+            return `<c r="${ref}" s="${hasTime ? STYLE_DATETIME : STYLE_DATE}"><v>${serial}</v></c>`;
+        }
+        const text = typeof value === 'object' && !(value instanceof Date)
+            ? JSON.stringify(value)
+            : String(value);
+        return `<c r="${ref}" t="s"${style}><v>${stringIndex(text)}</v></c>`;
+    };
+
+    const lines = [];
+    const header = columns.map((col, c) => cell(`${columnLetter(c)}1`, col, true)).join('');
+    lines.push(`<row r="1">${header}</row>`);
+    rows.forEach((row, r) => {
+        const rowNum = r + 2;
+        const cells = columns.map((_, c) => cell(`${columnLetter(c)}${rowNum}`, row[c], false)).join('');
+        lines.push(`<row r="${rowNum}">${cells}</row>`);
+    });
+
+    const lastRef = columns.length > 0
+        ? `${columnLetter(columns.length - 1)}${rows.length + 1}`
+        : 'A1';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<dimension ref="A1:${lastRef}"/>` +
+        `<sheetData>${lines.join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Write an XLSX workbook.
+ * @param {Array<{name: string, columns: string[], rows: Array<Array>}>} sheets
+ * @returns {Uint8Array} - XLSX file bytes
+ */
+function writeXlsx(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+        throw new Error('writeXlsx: at least one sheet is required');
+    }
+
+    const usedNames = new Set();
+    const sharedStrings = { list: [], index: new Map(), count: 0 };
+    const sheetEntries = sheets.map((sheet, i) => ({
+        name: sanitizeSheetName(sheet.name || `Sheet${i + 1}`, usedNames),
+        xml: buildSheetXml(sheet.columns || [], sheet.rows || [], sharedStrings)
+    }));
+
+    const contentTypes =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheetEntries.map((_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>' +
+        '</Types>';
+
+    const rootRels =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>';
+
+    const workbookXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        sheetEntries.map((s, i) =>
+            `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        ).join('') +
+        '</sheets></workbook>';
+
+    const n = sheetEntries.length;
+    const workbookRels =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetEntries.map((_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${n + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        `<Relationship Id="rId${n + 2}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/>` +
+        '</Relationships>';
+
+    // cellXfs: 0 = default, 1 = date, 2 = date-time, 3 = bold header
+    const stylesXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+        '<fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="4">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+
+    const sharedStringsXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        `count="${sharedStrings.count}" uniqueCount="${sharedStrings.list.length}">` +
+        sharedStrings.list.map(str => {
+            const space = /^\s|\s$/.test(str) ? ' xml:space="preserve"' : '';
+            return `<si><t${space}>${escapeXml(str)}</t></si>`;
+        }).join('') +
+        '</sst>';
+
+    return getZipArchive().createZip([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: rootRels },
+        { name: 'xl/workbook.xml', data: workbookXml },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+        { name: 'xl/styles.xml', data: stylesXml },
+        { name: 'xl/sharedStrings.xml', data: sharedStringsXml },
+        ...sheetEntries.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: s.xml }))
+    ]);
+}
+
+const XlsxWriter = { writeXlsx };
+
+if (typeof module !== 'undefined') {
+    module.exports = { XlsxWriter };
+}
@@ -0,0 +1,183 @@
+/**
+ * ZipArchive - minimal ZIP container writer used by the XLSX exporter and
+ * session bundles, plus a reader for the archives it writes.
+ *
+ * Entries are written uncompressed ("stored"), which every ZIP/OOXML reader
+ * accepts and keeps the writer synchronous and dependency-free.
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toBytes(data) {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    }
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    throw new Error('ZipArchive: entry data must be a string, Uint8Array or ArrayBuffer');
+}
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{name: string, data: string|Uint8Array|ArrayBuffer}>} entries
+ * @returns {Uint8Array}
+ */
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    // Fixed DOS timestamp (1980-01-01 00:00) keeps output deterministic.
+    const dosTime = 0;
+    const dosDate = (1 << 5) | 1;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = toBytes(entry.data);
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true);          // version needed
+        lv.setUint16(6, 0x0800, true);      // UTF-8 names
+        lv.setUint16(8, 0, true);           // stored
+        lv.setUint16(10, dosTime, true);
+        lv.setUint16(12, dosDate, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        lv.setUint16(28, 0, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true);          // version made by
+        cv.setUint16(6, 20, true);          // version needed
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, dosTime, true);
+        cv.setUint16(14, dosDate, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const out = new Uint8Array(offset + centralSize + end.length);
+    let pos = 0;
+    for (const part of [...locals, ...centrals, end]) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}
+
+/**
+ * Read a ZIP archive. Only stored (uncompressed) entries are supported;
+ * each entry's CRC is checked.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Map<string, Uint8Array>} - Entry name -> bytes (directories are skipped)
+ */
+function readZip(data) {
+    if (!(data instanceof Uint8Array) && !(data instanceof ArrayBuffer)) {
+        throw new Error('ZipArchive: archive data must be a Uint8Array or ArrayBuffer');
+    }
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record sits at the very end, followed by an optional comment.
+    let end = -1;
+    for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 0xFFFF; i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('ZipArchive: end of central directory not found');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    for (let n = 0; n < count; n++) {
+        if (pos + 46 > end || view.getUint32(pos, true) !== 0x02014b50) {
+            throw new Error('ZipArchive: corrupt central directory');
+        }
+        const method = view.getUint16(pos + 10, true);
+        const crc = view.getUint32(pos + 16, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const offset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+
+        if (offset + 30 > bytes.length || view.getUint32(offset, true) !== 0x04034b50) {
+            throw new Error(`ZipArchive: corrupt local header for ${name}`);
+        }
+        if (method !== 0) {
+            throw new Error(`ZipArchive: unsupported compression method ${method} for ${name}; ` +
+                'only stored (uncompressed) entries can be read');
+        }
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        if (start + size > bytes.length) {
+            throw new Error(`ZipArchive: truncated entry ${name}`);
+        }
+        const entry = bytes.slice(start, start + size);
+        if (crc32(entry) !== crc) {
+            throw new Error(`ZipArchive: CRC mismatch for ${name}`);
+        }
+        if (!name.endsWith('/')) {
+            entries.set(name, entry);
+        }
+    }
+    return entries;
+}
+
+const ZipArchive = { createZip, readZip, crc32 };
+
+if (typeof module !== 'undefined') {
+    module.exports = { ZipArchive };
+}